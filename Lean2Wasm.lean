@@ -64,7 +64,7 @@ unsafe def main : IO UInt32 := do
 
   -- Add all TodoMVC module C files
   let todoMVCPath := irPath / "TuxedoMVC" / "TodoMVC"
-  let moduleNames := #["Spec", "App", "View", "WebMain"]
+  let moduleNames := #["Types", "Spec", "App", "View", "WebMain"]
 
   for modName in moduleNames do
     let cfile := todoMVCPath / s!"{modName}.c"
@@ -82,6 +82,11 @@ unsafe def main : IO UInt32 := do
       cfiles := cfiles.push cfile.toString
       IO.println s!"Found core: {cfile}"
 
+  -- The C-string wrappers that ccall uses, see c/wasm_exports.c
+  let exportsC : FilePath := "c" / "wasm_exports.c"
+  cfiles := cfiles.push exportsC.toString
+  IO.println s!"Found wrappers: {exportsC}"
+
   IO.println s!"Found {cfiles.size} C files."
 
   if cfiles.isEmpty then
@@ -116,7 +121,7 @@ unsafe def main : IO UInt32 := do
     args := args ++ #[
       "-sMODULARIZE",
       "-sEXPORT_NAME=createLeanModule",
-      "-sEXPORTED_FUNCTIONS=_lean_initialize,_main",
+      "-sEXPORTED_FUNCTIONS=_lean_initialize,_main,_getInitialState,_processAction,_renderState",
       "-sEXPORTED_RUNTIME_METHODS=ccall,cwrap,UTF8ToString,stringToUTF8"
     ]
   else
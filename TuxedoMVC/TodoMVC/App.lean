@@ -6,6 +6,7 @@
   prove that all valid executions satisfy the LTL specification.
 -/
 
+import Lean.Data.Json
 import TuxedoMVC.LTL
 import TuxedoMVC.Coalgebra
 import TuxedoMVC.TodoMVC.Types
@@ -61,60 +62,21 @@ private def filterFromString (s : String) : Option Filter :=
   | "completed" => some .completed
   | _ => none
 
-/-- Find substring position in a string -/
-private partial def findSubstring (str : String) (sub : String) (startPos : Nat := 0) : Option Nat :=
-  let rec search (pos : Nat) : Option Nat :=
-    if pos + sub.length > str.length then none
-    else if (str.drop pos).take sub.length == sub then some pos
-    else search (pos + 1)
-  search startPos
-
-/-- Simple JSON parser helper: extract value for a key -/
-private def extractJsonValue (json : String) (key : String) : Option String := do
-  let pattern := s!"\"{key}\":"
-  let startIdx ← findSubstring json pattern
-  let valueStart := startIdx + pattern.length
-  if valueStart >= json.length then none
-  else
-    let c := (json.drop valueStart).front
-    if c == '"' then
-      -- String value
-      let strStart := valueStart + 1
-      let strEndOpt := findSubstring json "\"" strStart
-      match strEndOpt with
-      | some strEnd =>
-          if strEnd > strStart then
-            some ((json.drop strStart).take (strEnd - strStart))
-          else none
-      | none => none
-    else if c.isDigit then
-      -- Number value
-      let numEnd := (json.drop valueStart).takeWhile (·.isDigit) |>.length
-      some (json.extract ⟨valueStart⟩ ⟨valueStart + numEnd⟩)
-    else none
-
 /-- Parse Action from JSON string -/
 def Action.fromJson (json : String) : Option Action := do
-  let actionType ← extractJsonValue json "type"
+  let j ← (Lean.Json.parse json).toOption
+  let actionType ← (j.getObjValAs? String "type").toOption
+  let id? := (j.getObjValAs? Nat "id").toOption
   match actionType with
-  | "enterText" =>
-      let text ← extractJsonValue json "text"
-      some (.enterText text)
-  | "addTodo" => some .addTodo
+  | "enterText" => return .enterText (← (j.getObjValAs? String "text").toOption)
+  | "addTodo" => return .addTodo
   | "setFilter" =>
-      let filterStr ← extractJsonValue json "filter"
-      let filter ← filterFromString filterStr
-      some (.setFilter filter)
-  | "toggleTodo" =>
-      let idStr ← extractJsonValue json "id"
-      let id ← idStr.toNat?
-      some (.toggleTodo id)
-  | "deleteTodo" =>
-      let idStr ← extractJsonValue json "id"
-      let id ← idStr.toNat?
-      some (.deleteTodo id)
-  | "toggleAll" => some .toggleAll
-  | "clearCompleted" => some .clearCompleted
+      let filterStr ← (j.getObjValAs? String "filter").toOption
+      return .setFilter (← filterFromString filterStr)
+  | "toggleTodo" => return .toggleTodo (← id?)
+  | "deleteTodo" => return .deleteTodo (← id?)
+  | "toggleAll" => return .toggleAll
+  | "clearCompleted" => return .clearCompleted
   | _ => none
 
 /-! ## State Manipulation Functions -/
@@ -127,9 +89,10 @@ namespace TodoState
 def setPendingText (s : TodoState) (text : String) : TodoState :=
   { s with pendingText := text }
 
-/-- Add a new todo item -/
+/-- Add a new todo item. Text that is empty once trimmed adds nothing, as
+    in addTodo in docs/reducer.js. -/
 def addItem (s : TodoState) (text : String) : TodoState :=
-  if text.isEmpty then s
+  if text.trim.isEmpty then s
   else
     let newItem : TodoItem := {
       id := s.nextId
@@ -200,7 +163,7 @@ def todoActionSystem : ActionSystem Action TodoState where
         some (TodoState.setPendingText s text)
 
     | .addTodo =>
-        if s.pendingText.isEmpty then none
+        if s.pendingText.trim.isEmpty then none
         else some (TodoState.addItem s s.pendingText)
 
     | .setFilter f =>
@@ -237,7 +200,7 @@ def step (s : TodoState) (a : Action) : Option TodoState :=
 /-- Precondition: when is an action enabled? -/
 def actionEnabled (s : TodoState) : Action → Bool
   | .enterText _ => true
-  | .addTodo => !s.pendingText.isEmpty
+  | .addTodo => !s.pendingText.trim.isEmpty
   | .setFilter _ => !s.items.isEmpty
   | .toggleTodo id => TodoState.hasItem s id
   | .deleteTodo id => TodoState.hasItem s id
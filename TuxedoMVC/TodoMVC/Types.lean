@@ -9,6 +9,7 @@
   These types are used by both the specification (Spec) and implementation (App).
 -/
 
+import Lean.Data.Json
 import TuxedoMVC.LTL
 import TuxedoMVC.Coalgebra
 
@@ -31,7 +32,11 @@ instance : ToString Filter where
 
 /-! ## Todo Item -/
 
-/-- A single todo item -/
+/-- A single todo item. `due`, `priority` and `notes` are optional and
+    default to absent, so items built from `id`, `text` and `completed`
+    alone are unchanged. `extra` holds the fields of the JSON a todo was
+    read from that it has no field for, so writing it out again keeps
+    them. -/
 structure TodoItem where
   /-- Unique identifier -/
   id : Nat
@@ -39,6 +44,14 @@ structure TodoItem where
   text : String
   /-- Whether the todo is completed -/
   completed : Bool
+  /-- Due date as an ISO calendar date, "YYYY-MM-DD" -/
+  due : Option String := none
+  /-- Priority from 1 (high) to 3 (low) -/
+  priority : Option Nat := none
+  /-- Free-form notes; empty means none -/
+  notes : String := ""
+  /-- Unknown fields, as their name and compressed JSON value -/
+  extra : List (String × String) := []
   deriving DecidableEq, Repr
 
 instance : ToString TodoItem where
@@ -136,9 +149,21 @@ def Filter.fromJson (s : String) : Option Filter :=
   | "completed" => some .completed
   | _ => none
 
-/-- Convert TodoItem to JSON string -/
+/-- Convert TodoItem to JSON string. Absent optional fields are left out,
+    as in the JS state JSON, and the unknown fields follow the known ones. -/
 def TodoItem.toJson (item : TodoItem) : String :=
-  s!"\{\"id\":{item.id},\"text\":\"{escapeJsonString item.text}\",\"completed\":{item.completed}}"
+  let due := match item.due with
+    | some date => s!",\"due\":\"{escapeJsonString date}\""
+    | none => ""
+  let priority := match item.priority with
+    | some p => s!",\"priority\":{p}"
+    | none => ""
+  let notes :=
+    if item.notes.isEmpty then ""
+    else s!",\"notes\":\"{escapeJsonString item.notes}\""
+  let extra := String.join (item.extra.map fun (name, value) =>
+    s!",{(Lean.Json.str name).compress}:{value}")
+  s!"\{\"id\":{item.id},\"text\":\"{escapeJsonString item.text}\",\"completed\":{item.completed}{due}{priority}{notes}{extra}}"
 
 /-- Convert list of TodoItems to JSON array -/
 def todoItemsToJson (items : List TodoItem) : String :=
@@ -156,61 +181,62 @@ def TodoState.toJson (s : TodoState) : String :=
   let pendingTextJson := s!"\"{escapeJsonString s.pendingText}\""
   s!"\{\"items\":{itemsJson},\"selectedFilter\":{filterJson},\"pendingText\":{pendingTextJson},\"nextId\":{s.nextId}}"
 
-/-- Find substring position in a string -/
-private partial def findSubstring (str : String) (sub : String) : Option Nat :=
-  let rec search (pos : Nat) : Option Nat :=
-    if pos + sub.length > str.length then none
-    else if (str.drop pos).take sub.length == sub then some pos
-    else search (pos + 1)
-  search 0
-
-/-- Simple JSON parser helper: extract value for a key -/
-private def extractJsonValue (json : String) (key : String) : Option String := do
-  let pattern := s!"\"{key}\":"
-  let startIdx ← findSubstring json pattern
-  let valueStart := startIdx + pattern.length
-  if valueStart >= json.length then none
-  else
-    let remaining := json.drop valueStart
-    -- Skip whitespace
-    let remaining := remaining.dropWhile (·.isWhitespace)
-    if remaining.isEmpty then none
-    else
-      let c := remaining.front
-      if c == '"' then
-        -- String value
-        let strContent := remaining.drop 1
-        let strEndOpt := findSubstring strContent "\""
-        match strEndOpt with
-        | some strEnd => some (strContent.take strEnd)
-        | none => none
-      else if c.isDigit then
-        -- Number value
-        let numStr := remaining.takeWhile (fun ch => ch.isDigit)
-        some numStr
-      else if remaining.startsWith "null" then
-        some "null"
-      else if remaining.startsWith "true" then
-        some "true"
-      else if remaining.startsWith "false" then
-        some "false"
-      else none
+/-- The fields TodoItem.fromJson? reads into fields of their own -/
+def TodoItem.knownFields : List String :=
+  ["id", "text", "completed", "due", "priority", "notes"]
+
+/-- An optional field of a JSON object: a missing or null one is `none`,
+    and one of the wrong type fails the parse rather than reading as
+    missing -/
+private def optionalField? [Lean.FromJson α] (j : Lean.Json) (name : String) :
+    Option (Option α) :=
+  match j.getObjVal? name with
+  | .error _ | .ok .null => some none
+  | .ok value => (Lean.fromJson? value).toOption.map some
+
+/-- Parse a TodoItem from a JSON object. `due`, `priority` and `notes` are
+    read when present and any other field is kept in `extra`, so `toJson`
+    gives back the fields it was given; a missing or null detail is
+    absent. A detail of the wrong type makes the todo unreadable. -/
+def TodoItem.fromJson? (j : Lean.Json) : Option TodoItem := do
+  let id ← (j.getObjValAs? Nat "id").toOption
+  let text ← (j.getObjValAs? String "text").toOption
+  let completed ← (j.getObjValAs? Bool "completed").toOption
+  let due ← optionalField? (α := String) j "due"
+  let priority ← optionalField? (α := Nat) j "priority"
+  let notes ← optionalField? (α := String) j "notes"
+  let fields ← j.getObj?.toOption
+  let extra := fields.fold (fun acc name value =>
+    if TodoItem.knownFields.contains name then acc
+    else acc ++ [(name, value.compress)]) ([] : List (String × String))
+  some {
+    id := id
+    text := text
+    completed := completed
+    due := due
+    priority := priority
+    notes := notes.getD ""
+    extra := extra
+  }
+
+/-- The selectedFilter field, which must be present. Anything but the name
+    of a filter reads as no filter. -/
+private def selectedFilterFromJson (j : Lean.Json) : Option (Option Filter) :=
+  match j.getObjVal? "selectedFilter" with
+  | .ok (.str s) => some (Filter.fromJson s)
+  | .ok _ => some none
+  | .error _ => none
 
 /-- Parse TodoState from JSON string -/
 def TodoState.fromJson (json : String) : Option TodoState := do
-  let pendingText ← extractJsonValue json "pendingText"
-  let nextIdStr ← extractJsonValue json "nextId"
-  let nextId ← nextIdStr.toNat?
-
-  let filterStr ← extractJsonValue json "selectedFilter"
-  let selectedFilter :=
-    if filterStr == "null" then none
-    else Filter.fromJson filterStr
-
-  -- For simplicity, we'll reconstruct items as empty list initially
-  -- In practice, the web app will maintain items through transitions
+  let j ← (Lean.Json.parse json).toOption
+  let pendingText ← (j.getObjValAs? String "pendingText").toOption
+  let nextId ← (j.getObjValAs? Nat "nextId").toOption
+  let selectedFilter ← selectedFilterFromJson j
+  let itemsJson ← (j.getObjVal? "items" >>= Lean.Json.getArr?).toOption
+  let items ← itemsJson.toList.mapM TodoItem.fromJson?
   some {
-    items := []
+    items := items
     selectedFilter := selectedFilter
     pendingText := pendingText
     nextId := nextId
@@ -61,8 +61,16 @@ def class_ (name : String) : Attr := ⟨"class", name⟩
 def id_ (name : String) : Attr := ⟨"id", name⟩
 def type_ (t : String) : Attr := ⟨"type", t⟩
 def placeholder_ (text : String) : Attr := ⟨"placeholder", text⟩
-def checked_ (b : Bool) : Attr := ⟨"checked", if b then "true" else "false"⟩
 def value_ (v : String) : Attr := ⟨"value", v⟩
+def href_ (url : String) : Attr := ⟨"href", url⟩
+def for_ (id : String) : Attr := ⟨"for", id⟩
+/-- A `data-` attribute, read by the page's event handlers -/
+def data_ (name : String) (value : String) : Attr := ⟨s!"data-{name}", value⟩
+
+/-- A boolean attribute, present only when set: any value of `checked`,
+    even "false", checks a checkbox -/
+def flag_ (name : String) (on : Bool) : List Attr :=
+  if on then [⟨name, name⟩] else []
 
 /-- Escape HTML special characters -/
 def escapeHtml (s : String) : String :=
@@ -99,6 +107,8 @@ end Html
 /-- The view model extracts relevant information for rendering -/
 structure ViewModel where
   items : List TodoItem
+  hasItems : Bool
+  allCompleted : Bool
   filter : Option Filter
   activeCount : Nat
   completedCount : Nat
@@ -108,6 +118,8 @@ structure ViewModel where
 /-- Convert TodoState to ViewModel -/
 def toViewModel (s : TodoState) : ViewModel := {
   items := s.visibleItems
+  hasItems := !s.items.isEmpty
+  allCompleted := s.items.all (·.completed)
   filter := s.selectedFilter
   activeCount := s.numUnchecked
   completedCount := s.numChecked
@@ -116,12 +128,14 @@ def toViewModel (s : TodoState) : ViewModel := {
 
 /-! ## Rendering Functions -/
 
-/-- Render a single todo item -/
+/-- Render a single todo item. The markup matches renderHTML in
+    docs/reducer.js, whose handlers find a todo by its `data-id`. -/
 def renderItem (item : TodoItem) : Html :=
   let itemClass := if item.completed then "completed" else ""
-  Html.li [Html.class_ itemClass] [
+  Html.li [Html.class_ itemClass, Html.data_ "id" s!"{item.id}"] [
     Html.div [Html.class_ "view"] [
-      Html.input [Html.type_ "checkbox", Html.checked_ item.completed],
+      Html.input ([Html.class_ "toggle", Html.type_ "checkbox"] ++
+        Html.flag_ "checked" item.completed),
       Html.label [] [Html.txt item.text],
       Html.button [Html.class_ "destroy"] []
     ]
@@ -136,23 +150,24 @@ def renderItems (items : List TodoItem) : Html :=
 def renderHeader (inputValue : String) : Html :=
   Html.header [Html.class_ "header"] [
     Html.h1 [] [Html.txt "todos"],
-    Html.input [
+    Html.input ([
       Html.class_ "new-todo",
       Html.placeholder_ "What needs to be done?",
       Html.value_ inputValue
-    ]
+    ] ++ Html.flag_ "autofocus" true)
   ]
 
 /-- Render a filter link -/
 def renderFilterLink (current : Option Filter) (target : Filter) : Html :=
   let isSelected := current == some target
   let className := if isSelected then "selected" else ""
-  let text := match target with
-    | .all => "All"
-    | .active => "Active"
-    | .completed => "Completed"
+  let (name, href) := match target with
+    | .all => ("all", "#/")
+    | .active => ("active", "#/active")
+    | .completed => ("completed", "#/completed")
   Html.li [] [
-    Html.a [Html.class_ className] [Html.txt text]
+    Html.a [Html.href_ href, Html.class_ className, Html.data_ "filter" name]
+      [Html.txt s!"{target}"]
   ]
 
 /-- Render the footer with filters and counts -/
@@ -177,29 +192,28 @@ def renderFooter (activeCount : Nat) (completedCount : Nat) (filter : Option Fil
   ]
 
 /-- Render the main section -/
-def renderMain (items : List TodoItem) : Html :=
-  if items.isEmpty then
-    Html.empty
-  else
-    Html.section_ [Html.class_ "main"] [
-      Html.input [Html.type_ "checkbox", Html.class_ "toggle-all"],
-      renderItems items
-    ]
+def renderMain (items : List TodoItem) (allCompleted : Bool) : Html :=
+  Html.section_ [Html.class_ "main"] [
+    Html.input ([Html.id_ "toggle-all", Html.class_ "toggle-all", Html.type_ "checkbox"] ++
+      Html.flag_ "checked" allCompleted),
+    Html.label [Html.for_ "toggle-all"] [Html.txt "Mark all as complete"],
+    renderItems items
+  ]
 
-/-- Render the complete TodoMVC view -/
+/-- Render the complete TodoMVC view. The main section and footer show
+    whenever there are todos, even if the filter hides them all, so the
+    filters stay in reach. -/
 def render (s : TodoState) : Html :=
   let vm := toViewModel s
   let header := renderHeader vm.inputValue
-  let main := renderMain vm.items
-  let footer := if vm.items.isEmpty then
-      Html.empty
-    else
+  if vm.hasItems then
+    Html.section_ [Html.class_ "todoapp"] [
+      header,
+      renderMain vm.items vm.allCompleted,
       renderFooter vm.activeCount vm.completedCount vm.filter
-  Html.div [Html.class_ "todoapp"] [
-    header,
-    main,
-    footer
-  ]
+    ]
+  else
+    Html.section_ [Html.class_ "todoapp"] [header]
 
 /-! ## Observer -/
 
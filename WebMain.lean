@@ -10,16 +10,19 @@ import TuxedoMVC.TodoMVC.WebMain
 /-- Dummy main so WASM compilation works. -/
 def main : IO Unit := return
 
-/-- Export functions for JavaScript interop -/
+/-- Export functions for JavaScript interop. These take and return Lean
+    strings (`lean_object*`), not the C strings that ccall passes, so
+    `c/wasm_exports.c` wraps them under the names the page calls:
+    getInitialState, processAction and renderState. -/
 
-@[export getInitialState]
-def exportGetInitialState : String :=
+@[export lean_todo_get_initial_state]
+def exportGetInitialState (_ : Unit) : String :=
   TodoMVC.WebMain.getInitialState
 
-@[export processAction]
+@[export lean_todo_process_action]
 def exportProcessAction (stateJson : String) (actionJson : String) : String :=
   TodoMVC.WebMain.processAction stateJson actionJson
 
-@[export renderState]
+@[export lean_todo_render_state]
 def exportRenderState (stateJson : String) : String :=
   TodoMVC.WebMain.renderState stateJson
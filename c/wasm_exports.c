@@ -0,0 +1,42 @@
+/*
+  C-string wrappers for the Lean exports in WebMain.lean
+
+  Emscripten's ccall passes a "string" argument as a pointer to UTF-8 bytes
+  and reads a "string" result the same way, while the Lean functions take
+  and return `lean_object*` strings. These wrappers convert between the two
+  under the names the page calls (see EXPORTS in docs/engine-worker.js).
+
+  The returned pointer is into a Lean string kept alive until the next
+  call, which is after ccall has copied it out.
+*/
+
+#include <lean/lean.h>
+
+extern lean_object* lean_todo_get_initial_state(lean_object* unit);
+extern lean_object* lean_todo_process_action(lean_object* state, lean_object* action);
+extern lean_object* lean_todo_render_state(lean_object* state);
+
+static lean_object* last_result = NULL;
+
+/* Keep result as the live string and hand out its bytes */
+static const char* keep(lean_object* result) {
+    if (last_result != NULL) {
+        lean_dec(last_result);
+    }
+    last_result = result;
+    return lean_string_cstr(result);
+}
+
+const char* getInitialState(void) {
+    return keep(lean_todo_get_initial_state(lean_box(0)));
+}
+
+/* Exported Lean functions take their arguments as owned references, so the
+   strings made here are released by the callee */
+const char* processAction(const char* state, const char* action) {
+    return keep(lean_todo_process_action(lean_mk_string(state), lean_mk_string(action)));
+}
+
+const char* renderState(const char* state) {
+    return keep(lean_todo_render_state(lean_mk_string(state)));
+}
@@ -0,0 +1,402 @@
+/**
+ * TodoMVC - Accessibility
+ *
+ * The view from renderState is the plain TodoMVC markup, the same for
+ * both engines. annotate() adds the labels, ARIA attributes and tabindex
+ * it lacks to the parsed view before it is patched in, so the Lean
+ * renderer stays as it is. label() adds only the names, for views without
+ * the page's key bindings such as the <todo-mvc> element (element.js).
+ *
+ * The todo list uses a roving tabindex: Tab stops on one todo and the
+ * arrow keys move between them (the key bindings are in app.js). Changes
+ * are read out through a single polite live region, worded from the
+ * states before and after by describeChange(), which also gives the new
+ * "items left" count whenever it changes.
+ *
+ * describeChange() has no DOM dependencies and also loads in Node.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./reducer.js"), require("./search.js"));
+  } else {
+    root.TodoA11y = factory(root.TodoReducer, root.TodoSearch);
+  }
+})(
+  typeof self !== "undefined" ? self : this,
+  function (TodoReducer, TodoSearch) {
+    "use strict";
+
+    const FILTER_SHORTCUTS = { all: "1", active: "2", completed: "3" };
+    const TOGGLE_ALL_SHORTCUT = "m";
+    const NEW_TODO_SHORTCUT = "n";
+    const SEARCH_SHORTCUT = "/";
+
+    // Describes the keys a focused todo responds to (see index.html)
+    const TODO_KEYS_ID = "todo-keys";
+    // Says a todo is selected; listitems cannot carry aria-selected
+    const TODO_SELECTED_ID = "todo-selected";
+
+    /* Markup */
+
+    function setAttributes(element, attributes) {
+      if (!element) return;
+      Object.entries(attributes).forEach(([name, value]) => {
+        element.setAttribute(name, value);
+      });
+    }
+
+    /**
+     * Name the controls of the parsed view: the new-todo field, the list,
+     * each todo's checkbox, delete button and editor, and the filters
+     */
+    function label(view) {
+      setAttributes(view.querySelector(".new-todo"), {
+        "aria-label": "New todo",
+      });
+
+      const list = view.querySelector(".todo-list");
+      if (list) {
+        list.setAttribute("aria-label", "Todos");
+        Array.from(list.children).forEach((li) => {
+          // A row without a label has no text to name its controls by
+          const labelElement = li.querySelector("label");
+          if (!labelElement) return;
+          const text = labelElement.textContent;
+          setAttributes(li.querySelector(".toggle"), {
+            "aria-label": `Mark "${text}" as complete`,
+          });
+          setAttributes(li.querySelector(".destroy"), {
+            "aria-label": `Delete "${text}"`,
+          });
+          setAttributes(li.querySelector(".edit"), {
+            "aria-label": `Edit "${text}"`,
+          });
+        });
+      }
+
+      const filters = view.querySelector(".filters");
+      if (filters) {
+        filters.setAttribute("aria-label", "Show");
+        const selected = filters.querySelector("a.selected");
+        if (selected) selected.setAttribute("aria-current", "page");
+      }
+    }
+
+    /**
+     * Label the parsed view and add the keyboard support of the page to it.
+     * activeId is the todo that keeps the list's tab stop; the first visible
+     * todo takes it when activeId is not shown. The todos in selectedIds are
+     * marked selected.
+     */
+    function annotate(view, activeId, selectedIds = []) {
+      label(view);
+      setAttributes(view.querySelector(".new-todo"), {
+        "aria-keyshortcuts": NEW_TODO_SHORTCUT.toUpperCase(),
+      });
+      setAttributes(view.querySelector(".toggle-all"), {
+        "aria-keyshortcuts": TOGGLE_ALL_SHORTCUT.toUpperCase(),
+      });
+
+      const list = view.querySelector(".todo-list");
+      if (list) {
+        const items = Array.from(list.children);
+        const active =
+          items.find((li) => li.getAttribute("data-id") === String(activeId)) ||
+          items[0];
+
+        items.forEach((li) => {
+          const selected = selectedIds.includes(
+            parseInt(li.getAttribute("data-id"), 10),
+          );
+          li.classList.toggle("selected", selected);
+          setAttributes(li, {
+            tabindex: li === active ? "0" : "-1",
+            "aria-describedby": selected
+              ? `${TODO_SELECTED_ID} ${TODO_KEYS_ID}`
+              : TODO_KEYS_ID,
+          });
+          // Reached through the todo's own keys instead of one Tab stop each
+          setAttributes(li.querySelector(".toggle"), { tabindex: "-1" });
+          setAttributes(li.querySelector(".destroy"), { tabindex: "-1" });
+        });
+      }
+
+      view.querySelectorAll(".filters a[data-filter]").forEach((link) => {
+        link.setAttribute(
+          "aria-keyshortcuts",
+          FILTER_SHORTCUTS[link.getAttribute("data-filter")],
+        );
+      });
+    }
+
+    /* Focus */
+
+    /**
+     * Move the list's tab stop to li and focus it
+     */
+    function focusTodo(li) {
+      if (!li) return;
+      Array.from(li.parentNode.children).forEach((item) => {
+        item.setAttribute("tabindex", item === li ? "0" : "-1");
+      });
+      li.focus();
+    }
+
+    /**
+     * Note where focus is inside container before a render. In a shadow
+     * root, element is null while focus is outside it.
+     */
+    function captureFocus(container) {
+      const element = container.getRootNode().activeElement;
+      const items = Array.from(container.querySelectorAll(".todo-list > li"));
+      const tabStop = items.find((li) => li.getAttribute("tabindex") === "0");
+      const li = items.find((item) => item.contains(element)) || null;
+
+      return {
+        element,
+        activeId: tabStop ? tabStop.getAttribute("data-id") : null,
+        id: li ? li.getAttribute("data-id") : null,
+        index: li ? items.indexOf(li) : -1,
+      };
+    }
+
+    /**
+     * Put focus back after a render. Focus left on an element that is still
+     * there stays put, and is given back if moving it (a reordered todo)
+     * dropped it. A todo that went away (deleted, filtered out or done
+     * editing) hands focus to its own row or the one now in its place;
+     * otherwise lost focus goes to the new-todo field.
+     */
+    function restoreFocus(container, focus) {
+      const { element } = focus;
+      const root = container.getRootNode();
+      if (element && element !== root.body && element.isConnected) {
+        if (root.activeElement !== element) element.focus();
+        return;
+      }
+
+      if (focus.id !== null) {
+        const items = Array.from(container.querySelectorAll(".todo-list > li"));
+        const li =
+          items.find((item) => item.getAttribute("data-id") === focus.id) ||
+          items[Math.min(focus.index, items.length - 1)];
+        if (li) {
+          focusTodo(li);
+          return;
+        }
+      }
+
+      const input = container.querySelector(".new-todo");
+      if (input) input.focus();
+    }
+
+    /**
+     * Whether keystrokes on element are typing rather than shortcuts
+     */
+    function isTextField(element) {
+      return Boolean(
+        element &&
+        element.matches &&
+        element.matches(
+          'input:not([type]), input[type="text"], input[type="search"], textarea, select, [contenteditable]',
+        ),
+      );
+    }
+
+    /* Announcements */
+
+    const quote = (text) => `"${text.trim()}"`;
+
+    // The optional todo fields and sort orders of details.js
+    const DETAILS = ["due", "priority", "notes"];
+    const SORT_NAMES = {
+      manual: "manual order",
+      due: "due date",
+      priority: "priority",
+    };
+    const countOf = (n, noun) => `${n} ${noun}${n === 1 ? "" : "s"}`;
+
+    function visibleCount(state) {
+      return TodoReducer.getVisibleItems(state).length;
+    }
+
+    function sameSearch(a, b) {
+      return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    /**
+     * The todo moved to a new place when before and after hold the same todos
+     * in a different order, or null. Swapping neighbours moves either one,
+     * so the action's id (when there is one) says which.
+     */
+    function movedTodo(before, after, action) {
+      const ids = (state) => state.items.map((item) => item.id);
+      const beforeIds = ids(before);
+      const afterIds = ids(after);
+      if (
+        beforeIds.length !== afterIds.length ||
+        beforeIds.every((id, i) => id === afterIds[i]) ||
+        !afterIds.every((id) => beforeIds.includes(id))
+      ) {
+        return null;
+      }
+
+      const without = (list, id) => list.filter((other) => other !== id).join();
+      const candidates = after.items.filter(
+        (item) => without(beforeIds, item.id) === without(afterIds, item.id),
+      );
+      return (
+        candidates.find((item) => action && item.id === action.id) ||
+        candidates[0] ||
+        null
+      );
+    }
+
+    /**
+     * Word what changed between two states for a screen reader, or return
+     * "" when nothing worth announcing did. Works from the states alone, so
+     * undo, imports and other tabs' changes are described too; the action,
+     * when known, only settles which of two swapped todos was moved.
+     */
+    function describeChange(before, after, action) {
+      const messages = [];
+      const beforeById = new Map(before.items.map((item) => [item.id, item]));
+      const afterIds = new Set(after.items.map((item) => item.id));
+
+      const added = after.items.filter((item) => !beforeById.has(item.id));
+      const removed = before.items.filter((item) => !afterIds.has(item.id));
+      const kept = after.items.filter((item) => beforeById.has(item.id));
+      const toggled = kept.filter(
+        (item) => item.completed !== beforeById.get(item.id).completed,
+      );
+      const renamed = kept.filter(
+        (item) => item.text !== beforeById.get(item.id).text,
+      );
+      const detailed = kept.filter((item) =>
+        DETAILS.some((name) => item[name] !== beforeById.get(item.id)[name]),
+      );
+
+      if (added.length === 1) {
+        messages.push(`Added ${quote(added[0].text)}.`);
+      } else if (added.length > 1) {
+        messages.push(`Added ${countOf(added.length, "todo")}.`);
+      }
+
+      if (removed.length === 1) {
+        messages.push(`Deleted ${quote(removed[0].text)}.`);
+      } else if (removed.length > 1) {
+        messages.push(`Deleted ${countOf(removed.length, "todo")}.`);
+      }
+
+      if (toggled.length === 1) {
+        const [item] = toggled;
+        messages.push(
+          `Marked ${quote(item.text)} as ${item.completed ? "complete" : "active"}.`,
+        );
+      } else if (toggled.length > 1) {
+        const state = toggled[0].completed ? "complete" : "active";
+        messages.push(`Marked ${countOf(toggled.length, "todo")} as ${state}.`);
+      }
+
+      if (renamed.length === 1) {
+        messages.push(`Renamed to ${quote(renamed[0].text)}.`);
+      } else if (renamed.length > 1) {
+        messages.push(`Renamed ${countOf(renamed.length, "todo")}.`);
+      }
+
+      if (detailed.length === 1) {
+        messages.push(`Updated the details of ${quote(detailed[0].text)}.`);
+      }
+
+      const moved = movedTodo(before, after, action);
+      if (moved) {
+        const visible = TodoReducer.getVisibleItems(after);
+        const position = visible.indexOf(moved) + 1;
+        if (position > 0) {
+          messages.push(
+            `Moved ${quote(moved.text)} to position ${position} of ${visible.length}.`,
+          );
+        }
+      }
+
+      // The filter also changes when the list is emptied or first filled;
+      // only a switch between filters is news
+      if (
+        before.selectedFilter &&
+        after.selectedFilter &&
+        before.selectedFilter !== after.selectedFilter
+      ) {
+        messages.push(
+          `Showing ${after.selectedFilter} todos: ${visibleCount(after)}.`,
+        );
+      }
+
+      const sort = after.sortBy || "manual";
+      if (sort !== (before.sortBy || "manual")) {
+        messages.push(`Sorted by ${SORT_NAMES[sort] || sort}.`);
+      }
+
+      if (
+        !sameSearch(TodoSearch.searchOf(before), TodoSearch.searchOf(after))
+      ) {
+        const shown = visibleCount(after);
+        messages.push(
+          TodoSearch.isSearching(TodoSearch.searchOf(after))
+            ? `${countOf(shown, "todo")} found.`
+            : `Search cleared, showing ${countOf(shown, "todo")}.`,
+        );
+      }
+
+      const activeBefore = before.items.filter(
+        (item) => !item.completed,
+      ).length;
+      const activeAfter = after.items.filter((item) => !item.completed).length;
+      if (activeAfter !== activeBefore) {
+        messages.push(`${countOf(activeAfter, "item")} left.`);
+      }
+
+      return messages.join(" ");
+    }
+
+    /**
+     * Word the size of a multi-select
+     */
+    function describeSelection(count) {
+      return count === 0
+        ? "Selection cleared."
+        : `${countOf(count, "todo")} selected.`;
+    }
+
+    /**
+     * Announce messages through a live region element
+     */
+    function createAnnouncer(element) {
+      return {
+        say(message) {
+          if (!message) return;
+          // Setting the text a live region already holds is not read out,
+          // so a repeat gets a trailing no-break space
+          element.textContent =
+            element.textContent === message ? message + "\u00a0" : message;
+        },
+      };
+    }
+
+    return {
+      FILTER_SHORTCUTS,
+      TOGGLE_ALL_SHORTCUT,
+      NEW_TODO_SHORTCUT,
+      SEARCH_SHORTCUT,
+      label,
+      annotate,
+      focusTodo,
+      captureFocus,
+      restoreFocus,
+      isTextField,
+      describeChange,
+      describeSelection,
+      createAnnouncer,
+    };
+  },
+);
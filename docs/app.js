@@ -10,17 +10,89 @@
   "use strict";
 
   // Global state
-  let leanModule = null;
+  let engineClient = null; // TodoEngine client for the worker hosting Lean
   let currentStateJson = null;
-  let editingTodoId = null; // Track which todo is being edited
-
-  // Lean function wrappers - will be initialized after module loads
+  let activeEngine = null; // "wasm", "js" or "mixed" once leanAPI is set up
+  // Whether the Lean exports run the page rather than only being checked
+  // against in conformance mode (?engine=js)
+  let wasmLive = false;
+  // The Lean and JavaScript engines behind leanAPI (see hybrid.js)
+  let hybrid = null;
+
+  // Lean function wrappers - will be initialized after module loads.
+  // Every function returns a promise for its result string.
   let leanAPI = {
     getInitialState: null,
     processAction: null,
     renderState: null,
   };
 
+  // The verified exports, called in the worker (null when missing)
+  let wasmAPI = {
+    getInitialState: null,
+    processAction: null,
+    renderState: null,
+  };
+
+  // JavaScript implementation that mirrors the Lean logic (reducer.js)
+  const jsAPI = TodoController.jsEngine;
+
+  // Console logging at the level given by ?log= (see logger.js)
+  const log = TodoLogger.shared;
+
+  // Actions, state diffs, timings and module output (see devtools.js)
+  let devtools = null;
+
+  // Differential checker, set up when the page is opened with ?conformance=1
+  let conformance = null;
+
+  // Overlay listing Spec.lean predicates violated at runtime, set up when
+  // the page is opened with ?monitor=1
+  let monitorOverlay = null;
+
+  // Undo/redo history of dispatched actions and the states they produced
+  let actionHistory = null;
+  let toastTimer = null;
+
+  // Session trace of every dispatch, for download and replay
+  let traceRecorder = null;
+  const REPLAY_STEP_MS = 300;
+
+  // Sync with other tabs showing the same list
+  let tabSync = null;
+
+  // Sync with a server, set up when the page has a sync endpoint
+  let remoteSync = null;
+  let shownConflicts = 0;
+
+  // Live region reading out what each update changed
+  let announcer = null;
+
+  // The URL, kept in step with the filter once the page is set up
+  let router = null;
+  let applyingRoute = false;
+
+  // Todos picked for a bulk action (see selection.js)
+  let selection = TodoSelection.EMPTY_SELECTION;
+
+  // The public TodoMVC object's extension points (see plugins.js)
+  const plugins = TodoPlugins.createRegistry();
+  const middleware = TodoPlugins.createMiddleware((action) =>
+    enqueue(() => applyAction(action)),
+  );
+  const subscribers = new Set();
+  let resolveReady;
+  let rejectReady;
+  const ready = new Promise((resolve, reject) => {
+    resolveReady = resolve;
+    rejectReady = reject;
+  });
+  ready.catch(() => {}); // init() reports the failure itself
+
+  // State updates waiting on the engine, run strictly one after another
+  let taskQueue = Promise.resolve();
+  let queuedTasks = 0;
+
   /**
    * Initialize the application
    */
@@ -28,452 +100,864 @@
     try {
       showLoading();
 
-      console.log("=== TodoMVC Initialization Starting ===");
-      console.log("Location:", window.location.href);
-      console.log("Base URL:", window.location.origin);
+      log.debug("TodoMVC initialization starting at", window.location.href);
 
-      // Check if WASM module is loaded
-      if (typeof createLeanModule === "undefined") {
-        console.error("createLeanModule is not defined!");
-        console.error(
-          "This usually means main.js failed to load or export the module",
-        );
-        throw new Error(
-          "WASM module (main.js) not loaded. Make sure main.js is loaded before app.js",
-        );
+      // Before the module loads, so the panel has everything it prints
+      devtools = TodoDevtools.createPanel(document.getElementById("devtools"));
+      if (TodoDevtools.isRequested(window.location.search)) {
+        devtools.toggle(true, { focus: false });
       }
 
-      console.log("✓ createLeanModule found");
-      console.log("Initializing Lean WASM module...");
-      console.log("Downloading and decompressing WASM (~7MB gzipped)...");
-
-      // Fetch and decompress the gzipped WASM file
-      const wasmUrl = "main.wasm.gz";
-
-      console.log("Fetching:", wasmUrl);
-      const response = await fetch(wasmUrl);
-
-      if (!response.ok) {
-        throw new Error(
-          `Failed to fetch WASM: ${response.status} ${response.statusText}`,
-        );
+      registerServiceWorker();
+
+      // The module is only needed to run the page on it or to check the
+      // JavaScript engine against it
+      wasmLive = TodoEngine.isRequested(window.location.search);
+      let exports = {};
+      if (wasmLive || TodoConformance.isEnabled(window.location.search)) {
+        log.debug("Starting the Lean engine worker");
+        engineClient = TodoEngine.createWorkerClient();
+
+        // The worker downloads, decompresses and instantiates the module,
+        // so the page stays responsive and can show real progress
+        try {
+          exports = await engineClient.load("main.wasm.gz", {
+            manifestUrl: "wasm-manifest.json",
+            onProgress: showProgress,
+            onLog: (stream, text) => {
+              devtools.output(stream, text);
+              if (stream === "stdout") {
+                log.debug("[Lean stdout]:", text);
+              } else {
+                log.warn("[Lean stderr]:", text);
+              }
+            },
+          });
+          log.debug("Module loaded");
+        } catch (error) {
+          // Without the module every export falls back to JavaScript
+          log.warn("The Lean module did not load, using JavaScript:", error);
+          engineClient.terminate();
+          engineClient = null;
+        }
       }
 
-      console.log("Decompressing WASM...");
-      const compressedBuffer = await response.arrayBuffer();
+      // Initialize Lean API wrappers
+      initializeLeanAPI(exports);
+      initializeConformance();
 
-      // Decompress using browser's native DecompressionStream API
-      const decompressedStream = new Response(
-        new Response(compressedBuffer).body.pipeThrough(
-          new DecompressionStream("gzip"),
-        ),
-      );
-      const wasmBinary = await decompressedStream.arrayBuffer();
+      // Get initial state
+      currentStateJson = await leanAPI.getInitialState();
+      log.debug("Initial state:", currentStateJson);
+
+      // Restore the saved state, if any, before the first render
+      const savedStateJson = TodoStorage.load();
+      if (savedStateJson) {
+        currentStateJson = savedStateJson;
+        log.debug("Restored saved state:", currentStateJson);
+      }
 
-      console.log(
-        `✓ Decompressed ${compressedBuffer.byteLength} bytes -> ${wasmBinary.byteLength} bytes`,
-      );
+      actionHistory = TodoHistory.create(currentStateJson);
+      traceRecorder = TodoTrace.createRecorder(currentStateJson);
+      tabSync = TodoSync.create({
+        initialStateJson: currentStateJson,
+        processAction: (stateJson, actionJson) =>
+          leanAPI.processAction(stateJson, actionJson),
+        onOperation: (op) => enqueue(() => applyRemote(op)),
+      });
 
-      try {
-        leanModule = await createLeanModule({
-          wasmBinary: wasmBinary, // Provide the decompressed WASM directly
-          print: (text) => console.log("[Lean stdout]:", text),
-          printErr: (text) => console.warn("[Lean stderr]:", text),
-        });
-      } catch (moduleError) {
-        console.error("Failed to initialize WASM module:", moduleError);
-        throw new Error(
-          "WASM module initialization failed: " + moduleError.message,
+      if (TodoMonitor.isEnabled(window.location.search)) {
+        monitorOverlay = TodoMonitor.createOverlay(
+          document.getElementById("monitor-overlay"),
         );
+        const startViolations = TodoMonitor.checkState(
+          JSON.parse(currentStateJson),
+        );
+        if (startViolations.length > 0) {
+          monitorOverlay.report({ type: "init" }, startViolations);
+        }
       }
-
-      console.log("✓ Module loaded successfully");
-      console.log("Module object:", leanModule);
-
-      // Initialize Lean API wrappers
-      initializeLeanAPI();
-
-      // Get initial state
-      console.log("Getting initial state...");
-      currentStateJson = leanAPI.getInitialState();
-      console.log("Initial state:", currentStateJson);
+      announcer = TodoA11y.createAnnouncer(
+        document.getElementById("announcer"),
+      );
+      initializeRemoteSync();
 
       // Hide loading, show app
       hideLoading();
       showApp();
 
       // Initial render
-      render();
+      await render();
 
       // Set up event listeners
       setupEventListeners();
 
-      console.log("=== Application Initialized Successfully! ===");
+      log.info("TodoMVC initialized");
+      resolveReady();
     } catch (error) {
-      console.error("=== Application Initialization Failed ===");
-      console.error("Error:", error);
-      console.error("Stack:", error.stack);
-
-      let errorMsg = "Failed to load application: " + error.message;
-
-      // Add helpful hints for common issues
-      if (error.message.includes("main.js")) {
-        errorMsg +=
-          "\n\nPossible causes:\n" +
-          "- WASM files not deployed to GitHub Pages\n" +
-          "- MIME type issues with .wasm files\n" +
-          "- Files not in the docs/ directory";
-      } else if (error.message.includes("WASM")) {
-        errorMsg +=
-          "\n\nThe WASM module failed to load. This could be due to:\n" +
-          "- Network issues (48MB file from GitHub raw URL)\n" +
-          "- CORS restrictions\n" +
-          "- GitHub LFS issues with raw file access";
-      }
+      log.error("TodoMVC initialization failed:", error);
 
-      showError(errorMsg);
+      // A module that fails to load falls back to JavaScript above, so
+      // this is the page itself failing
+      showError("Failed to load application: " + error.message);
+      rejectReady(error);
     }
   }
 
+  /**
+   * Cache the app shell so later visits open offline. Failure only costs
+   * offline support, so it is logged rather than shown.
+   */
+  function registerServiceWorker() {
+    if (!("serviceWorker" in navigator)) return;
+    navigator.serviceWorker
+      .register("sw.js")
+      .then(() => log.debug("Service worker registered"))
+      .catch((error) => log.warn("Service worker registration failed:", error));
+  }
+
   /**
    * Initialize Lean API function wrappers
    *
-   * The Lean functions are exported with @[export name] and should be
-   * accessible as Module._name or through other mechanisms.
+   * The Lean functions are wrapped for ccall in c/wasm_exports.c; the
+   * worker reports which of them it found on the module.
    */
-  function initializeLeanAPI() {
-    // Try different ways to access exported functions
-    const tryGetFunction = (name) => {
-      // Try direct access
-      if (leanModule["_" + name]) return leanModule["_" + name];
-      if (leanModule[name]) return leanModule[name];
+  function initializeLeanAPI(exports) {
+    // Call the verified exports in the worker through ccall (the same
+    // convention as test/test_wasm.js)
+    Object.keys(wasmAPI).forEach((name) => {
+      wasmAPI[name] = exports[name]
+        ? (...args) => engineClient.call(name, ...args)
+        : null;
+    });
 
-      // Try through asm
-      if (leanModule.asm && leanModule.asm[name]) return leanModule.asm[name];
+    // Lean runs the calls it can answer in full and the JavaScript
+    // implementation the rest: the actions Lean has no constructor for,
+    // any export missing from the module, and everything unless the page
+    // asked for the Lean engine (see hybrid.js)
+    hybrid = TodoHybrid.combine({
+      wasm: wasmLive ? wasmAPI : {},
+      js: jsAPI,
+    });
+    const { engineFor, ...engine } = hybrid;
+
+    // Plugin actions and render hooks apply on top of either engine, and
+    // every state and action crossing into or out of them is checked
+    Object.assign(
+      leanAPI,
+      TodoSchema.guardEngine(plugins.wrapEngine(engine), {
+        isExtraAction: plugins.handles,
+      }),
+    );
 
-      return null;
-    };
+    const found = Object.keys(wasmAPI).map((name) =>
+      Boolean(wasmLive && wasmAPI[name]),
+    );
+    if (found.every(Boolean)) {
+      activeEngine = "wasm";
+    } else if (found.some(Boolean)) {
+      activeEngine = "mixed";
+    } else {
+      activeEngine = "js";
+    }
 
-    console.log("Attempting to find exported Lean functions...");
+    const byExport = Object.fromEntries(
+      Object.keys(wasmAPI).map((name, i) => [name, found[i] ? "wasm" : "js"]),
+    );
+    log.info("Active engine:", activeEngine, byExport);
+    devtools.engines(activeEngine, byExport);
+    showEngineBadge(activeEngine);
+  }
 
-    // Try to find the actual exported functions
-    const getInitialStateFunc = tryGetFunction("getInitialState");
-    const processActionFunc = tryGetFunction("processAction");
-    const renderStateFunc = tryGetFunction("renderState");
+  /**
+   * Which engine runs a call to the named leanAPI export with the given
+   * arguments: "wasm" or "js"
+   */
+  function engineOf(name, ...args) {
+    return hybrid ? hybrid.engineFor(name, ...args) : "js";
+  }
 
-    console.log("Function lookup results:");
-    console.log(
-      "- getInitialState:",
-      getInitialStateFunc ? "✓ found" : "✗ not found",
+  /**
+   * Set up differential conformance mode if requested in the URL
+   *
+   * Every dispatched action is then also run through both engines and any
+   * disagreement is listed in an on-page report. The Lean side is the
+   * hybrid of hybrid.js, so what Lean cannot run is not counted against it.
+   */
+  function initializeConformance() {
+    if (!TodoConformance.isEnabled(window.location.search)) return;
+
+    const report = TodoConformance.createReport(
+      document.getElementById("conformance-report"),
     );
-    console.log(
-      "- processAction:",
-      processActionFunc ? "✓ found" : "✗ not found",
+
+    if (!wasmAPI.processAction || !wasmAPI.renderState) {
+      log.warn("Conformance mode requested but the WASM exports are missing");
+      report.unavailable("The Lean WASM exports were not found on the module.");
+      return;
+    }
+
+    const lean = TodoHybrid.combine({ wasm: wasmAPI, js: jsAPI });
+    conformance = TodoConformance.createChecker(
+      {
+        wasm: {
+          processAction: lean.processAction,
+          renderState: lean.renderState,
+        },
+        js: {
+          processAction: jsAPI.processAction,
+          renderState: jsAPI.renderState,
+        },
+      },
+      (mismatch) => report.record(mismatch),
     );
-    console.log("- renderState:", renderStateFunc ? "✓ found" : "✗ not found");
+    report.attach(conformance);
+    log.info("Conformance mode enabled");
+  }
+
+  /**
+   * Sync with a server if the page has a sync endpoint (?sync=<url>, see
+   * remote.js)
+   */
+  function initializeRemoteSync() {
+    const endpoint = TodoRemote.configure(window.location.search);
+    if (!endpoint) return;
+
+    remoteSync = TodoRemote.create({
+      endpoint,
+      processAction: (stateJson, actionJson) =>
+        leanAPI.processAction(stateJson, actionJson),
+      onChange: () => enqueue(applyServerSync),
+      onStatus: (status) => renderSyncBar(endpoint, status),
+    });
 
-    // For now, we'll use a simple approach: parse the state maintained by the
-    // Lean main() output and manage state in JavaScript, calling Lean logic
-    // through a bridge approach
-    console.log(
-      "Using JavaScript fallback implementation (Lean functions not yet integrated)",
+    document.getElementById("sync-bar").classList.remove("hidden");
+    document
+      .getElementById("sync-conflicts")
+      .addEventListener("click", resolveConflict);
+    window.addEventListener("online", () => remoteSync.syncNow());
+    remoteSync.start();
+    log.info("Syncing with", endpoint);
+  }
+
+  /**
+   * Show the sync status and the changes the server did not apply
+   */
+  function renderSyncBar(endpoint, status) {
+    document.getElementById("sync-status").textContent =
+      TodoRemote.describeStatus(status, endpoint);
+
+    const list = document.getElementById("sync-conflicts");
+    list.replaceChildren(
+      ...status.conflicts.map((conflict, index) => {
+        const li = document.createElement("li");
+        li.append(TodoRemote.describeConflict(conflict), " ");
+        if (conflict.reason === "changed" && conflict.mine) {
+          li.append(conflictButton("Apply mine", index, "mine"), " ");
+        }
+        li.append(conflictButton("Dismiss", index, "dismiss"));
+        return li;
+      }),
     );
 
-    leanAPI.getInitialState = function () {
-      // Return initial TodoMVC state
-      return JSON.stringify({
-        items: [],
-        selectedFilter: "all",
-        pendingText: "",
-        nextId: 0,
-      });
-    };
+    if (status.conflicts.length > shownConflicts) {
+      announcer.say(
+        TodoRemote.describeConflict(
+          status.conflicts[status.conflicts.length - 1],
+        ),
+      );
+    }
+    shownConflicts = status.conflicts.length;
+  }
 
-    leanAPI.processAction = function (stateJson, actionJson) {
-      // Parse current state
-      const state = JSON.parse(stateJson);
-      const action = JSON.parse(actionJson);
+  function conflictButton(label, index, resolution) {
+    const button = document.createElement("button");
+    button.textContent = label;
+    button.dataset.conflict = String(index);
+    button.dataset.resolve = resolution;
+    return button;
+  }
 
-      // Process action (JavaScript implementation that matches Lean logic)
-      return JSON.stringify(processActionInJS(state, action));
-    };
+  function resolveConflict(e) {
+    const button = e.target.closest("button[data-resolve]");
+    if (!button) return;
+    const conflict = remoteSync.resolve(parseInt(button.dataset.conflict, 10));
+    if (conflict && button.dataset.resolve === "mine") {
+      dispatch(conflict.mine);
+    }
+  }
 
-    leanAPI.renderState = function (stateJson) {
-      // Parse state and render using our JS rendering
-      // (matches the Lean HTML rendering logic)
-      const state = JSON.parse(stateJson);
-      return renderHTML(state);
-    };
+  /**
+   * Run a state update after every update queued before it. Engine calls
+   * are asynchronous, so without the queue a fast typist's enterText could
+   * be applied to a state that is already out of date. An update that
+   * fails leaves the state as it was.
+   */
+  function enqueue(task) {
+    queuedTasks++;
+    const run = taskQueue
+      .then(task)
+      .catch((error) => {
+        log.error("State update failed:", error);
+        if (error instanceof TodoSchema.SchemaError) showSchemaError(error);
+      })
+      .finally(() => queuedTasks--);
+    taskQueue = run;
+    return run;
   }
 
   /**
-   * Helper: Get visible items for a given state and filter
+   * Dispatch an action to update the state, through any middleware
    */
-  function getVisibleItemsForState(state) {
-    if (!state.selectedFilter || state.items.length === 0) {
-      return [];
-    }
+  function dispatch(action) {
+    return middleware
+      .dispatch(action)
+      .catch((error) => log.error("Dispatch failed:", error));
+  }
 
-    switch (state.selectedFilter) {
-      case "all":
-        return state.items;
-      case "active":
-        return state.items.filter((item) => !item.completed);
-      case "completed":
-        return state.items.filter((item) => item.completed);
-      default:
-        return state.items;
+  /**
+   * Tell the subscribers about a state change. action is what caused it,
+   * or null for a state set without the reducer (undo, time travel,
+   * loading a trace).
+   */
+  function notify(previousStateJson, action) {
+    if (currentStateJson === previousStateJson || subscribers.size === 0) {
+      return;
     }
+    const state = JSON.parse(currentStateJson);
+    const previous = JSON.parse(previousStateJson);
+    subscribers.forEach((listener) => {
+      try {
+        listener(state, action, previous);
+      } catch (error) {
+        log.error("TodoMVC subscriber failed:", error);
+      }
+    });
   }
 
   /**
-   * Helper: Check if filter should be reset
-   * According to TodoMVC spec: when no VISIBLE items exist, filter should be null
+   * Run one action through the engine on stateJson without applying it.
+   * Resolves to the step for commitStep().
    */
-  function shouldResetFilter(state) {
-    // Always reset if no items at all
-    if (state.items.length === 0) {
-      return true;
+  async function runStep(action, stateJson) {
+    log.debug("Dispatching action:", action);
+
+    const actionJson = JSON.stringify(action);
+    if (conformance && !plugins.handles(action.type)) {
+      await conformance.check(stateJson, actionJson);
     }
+    const started = performance.now();
+    const nextStateJson = await leanAPI.processAction(stateJson, actionJson);
+    return {
+      action,
+      actionJson,
+      previousStateJson: stateJson,
+      stateJson: nextStateJson,
+      ms: performance.now() - started,
+    };
+  }
 
-    // If filter is set and would show no visible items, reset it
-    if (state.selectedFilter && state.selectedFilter !== "all") {
-      const visibleItems = getVisibleItemsForState(state);
-      if (visibleItems.length === 0) {
-        return true;
-      }
+  /**
+   * Make the state a step ran to the current one, and record the step in
+   * the trace, the monitor and the other tabs
+   */
+  function commitStep({
+    action,
+    actionJson,
+    previousStateJson,
+    stateJson,
+    ms,
+  }) {
+    currentStateJson = stateJson;
+    devtools.action({
+      action,
+      engine: plugins.handles(action.type)
+        ? "plugin"
+        : engineOf("processAction", previousStateJson, actionJson),
+      ms,
+      beforeJson: previousStateJson,
+      afterJson: currentStateJson,
+    });
+    traceRecorder.record(action, previousStateJson, currentStateJson);
+    tabSync.dispatched(action, previousStateJson, currentStateJson);
+    if (remoteSync) {
+      remoteSync.dispatched(action, previousStateJson, currentStateJson);
     }
 
-    return false;
+    log.debug("New state:", currentStateJson);
+
+    if (!monitorOverlay) return;
+    const violations = TodoMonitor.checkStep(
+      action,
+      JSON.parse(previousStateJson),
+      JSON.parse(currentStateJson),
+    );
+    if (violations.length > 0) {
+      log.warn("Spec violated:", violations, "by", action);
+      monitorOverlay.report(action, violations);
+    }
   }
 
   /**
-   * Process an action on the state (JavaScript implementation matching Lean logic)
-   * This is a faithful implementation of the Lean action system
+   * Run one action and commit it. Returns the state before the action.
    */
-  function processActionInJS(state, action) {
-    const newState = { ...state };
+  async function step(action) {
+    const ran = await runStep(action, currentStateJson);
+    commitStep(ran);
+    return ran.previousStateJson;
+  }
 
-    switch (action.type) {
-      case "enterText":
-        newState.pendingText = action.text || "";
-        break;
+  async function applyAction(action) {
+    const previousStateJson = await step(action);
+    TodoStorage.save(currentStateJson);
+    announceChange(previousStateJson, action);
+    notify(previousStateJson, action);
 
-      case "addTodo":
-        if (state.pendingText && state.pendingText.trim()) {
-          const newItem = {
-            id: state.nextId,
-            text: state.pendingText.trim(),
-            completed: false,
-          };
-          newState.items = [...state.items, newItem];
-          newState.pendingText = "";
-          newState.nextId = state.nextId + 1;
-
-          // Set filter to 'all' if this is the first item
-          if (state.items.length === 0) {
-            newState.selectedFilter = "all";
-          }
-        }
-        break;
+    if (currentStateJson !== previousStateJson) {
+      actionHistory.push(action, currentStateJson);
+      renderHistoryBar();
+      showUndoToast(action, previousStateJson, currentStateJson);
+    }
 
-      case "toggleTodo":
-        newState.items = state.items.map((item) =>
-          item.id === action.id
-            ? { ...item, completed: !item.completed }
-            : item,
-        );
+    // Rendering an intermediate state would write stale text back into an
+    // input the user is still typing in, so only the last update renders
+    if (queuedTasks === 1) await render();
+  }
 
-        // Reset filter if the filtered view becomes empty
-        if (shouldResetFilter(newState)) {
-          newState.selectedFilter = null;
-        }
-        break;
+  /**
+   * Apply a sequence of reducer actions as a single undo step, e.g. an
+   * import. buildActions receives the state once earlier updates have
+   * landed; label is the entry shown in the history bar.
+   */
+  function dispatchBatch(label, buildActions) {
+    return enqueue(async () =>
+      applyBatch(
+        label,
+        await throughMiddleware(buildActions(JSON.parse(currentStateJson))),
+      ),
+    );
+  }
 
-      case "deleteTodo":
-        newState.items = state.items.filter((item) => item.id !== action.id);
+  /**
+   * Run actions worked out inside a queued update through the middleware
+   * one by one, resolving to the ones passed on. The caller applies them
+   * in the same update, so the state they came from is still current.
+   */
+  async function throughMiddleware(actions) {
+    const passed = [];
+    for (const action of actions) {
+      await middleware.dispatch(action, async (next) => {
+        passed.push(next);
+      });
+    }
+    return passed;
+  }
 
-        // Clear filter if no items left or filtered view becomes empty
-        if (shouldResetFilter(newState)) {
-          newState.selectedFilter = null;
-        }
-        break;
+  /**
+   * Apply actions as one update: one save, announcement and render, and
+   * nothing at all if any of them fails. The
+   * update is a single undo step unless undoable is false, as for a
+   * route, which changes only what is shown and so should not take the
+   * redo entries with it.
+   */
+  async function applyBatch(label, actions, { undoable = true } = {}) {
+    const startStateJson = currentStateJson;
+    // Every action runs before any is committed, so one that fails leaves
+    // the whole batch unapplied rather than half sent to the other tabs
+    const steps = [];
+    let stateJson = startStateJson;
+    for (const action of actions) {
+      const ran = await runStep(action, stateJson);
+      steps.push(ran);
+      stateJson = ran.stateJson;
+    }
+    steps.forEach(commitStep);
+    TodoStorage.save(currentStateJson);
+    announceChange(startStateJson);
+    notify(startStateJson, label);
+
+    if (undoable && currentStateJson !== startStateJson) {
+      actionHistory.push(label, currentStateJson);
+      renderHistoryBar();
+    }
+    hideToast();
 
-      case "setFilter":
-        if (state.items.length > 0) {
-          newState.selectedFilter = action.filter;
+    if (queuedTasks === 1) await render();
+  }
 
-          // Reset filter if the new filter would show no items
-          if (shouldResetFilter(newState)) {
-            newState.selectedFilter = null;
-          }
-        }
-        break;
+  /**
+   * Apply an operation broadcast by another tab
+   */
+  async function applyRemote(op) {
+    log.debug("Applying action from tab", op.tabId, op.action);
+
+    const previousStateJson = currentStateJson;
+    currentStateJson = await tabSync.receive(op, currentStateJson);
+    TodoStorage.save(currentStateJson);
+    announceChange(previousStateJson);
+    notify(previousStateJson, op.action);
+
+    if (monitorOverlay) {
+      const violations = TodoMonitor.checkState(JSON.parse(currentStateJson));
+      if (violations.length > 0) {
+        log.warn("Spec violated:", violations, "by", op);
+        monitorOverlay.report(op.action, violations);
+      }
+    }
 
-      case "toggleAll":
-        if (state.items.length > 0) {
-          const anyUncompleted = state.items.some((item) => !item.completed);
-          newState.items = state.items.map((item) => ({
-            ...item,
-            completed: anyUncompleted,
-          }));
-
-          // Reset filter if the filtered view becomes empty
-          if (shouldResetFilter(newState)) {
-            newState.selectedFilter = null;
-          }
-        }
-        break;
+    if (currentStateJson !== previousStateJson) {
+      actionHistory.push(op.action, currentStateJson);
+      renderHistoryBar();
+    }
 
-      case "clearCompleted":
-        newState.items = state.items.filter((item) => !item.completed);
+    if (queuedTasks === 1) await render();
+  }
 
-        // Clear filter if no items left or filtered view becomes empty
-        if (shouldResetFilter(newState)) {
-          newState.selectedFilter = null;
-        }
-        break;
+  /**
+   * Show the items the last sync with the server brought, with the
+   * changes still waiting to be sent on top
+   */
+  async function applyServerSync() {
+    const previousStateJson = currentStateJson;
+    currentStateJson = await remoteSync.rebase(currentStateJson);
+    if (currentStateJson === previousStateJson) return;
+
+    TodoStorage.save(currentStateJson);
+    announceChange(previousStateJson);
+    notify(previousStateJson, { type: "serverSync" });
+
+    if (monitorOverlay) {
+      const violations = TodoMonitor.checkState(JSON.parse(currentStateJson));
+      if (violations.length > 0) {
+        log.warn("Spec violated:", violations, "by a server sync");
+        monitorOverlay.report({ type: "serverSync" }, violations);
+      }
+    }
 
-      default:
-        console.warn("Unknown action type:", action.type);
-    }
-
-    return newState;
-  }
-
-  /**
-   * Render HTML for the current state (matching Lean's HTML rendering)
-   */
-  function renderHTML(state) {
-    const visibleItems = getVisibleItems(state);
-    const activeCount = state.items.filter((item) => !item.completed).length;
-    const completedCount = state.items.length - activeCount;
-
-    let html = '<section class="todoapp">';
-
-    // Header
-    html += '<header class="header">';
-    html += "<h1>todos</h1>";
-    html += `<input class="new-todo"
-                        placeholder="What needs to be done?"
-                        value="${escapeHtml(state.pendingText || "")}"
-                        autofocus>`;
-    html += "</header>";
-
-    // Main section (only if there are items)
-    if (state.items.length > 0) {
-      html += '<section class="main">';
-      html += `<input id="toggle-all" class="toggle-all" type="checkbox"
-                            ${state.items.every((item) => item.completed) ? "checked" : ""}>`;
-      html += '<label for="toggle-all">Mark all as complete</label>';
-      html += '<ul class="todo-list">';
-
-      visibleItems.forEach((item) => {
-        const isEditing = editingTodoId === item.id;
-        const classes = [
-          item.completed ? "completed" : "",
-          isEditing ? "editing" : "",
-        ]
-          .filter(Boolean)
-          .join(" ");
-
-        html += `<li class="${classes}" data-id="${item.id}">`;
-        html += '<div class="view">';
-        html += `<input class="toggle" type="checkbox" ${item.completed ? "checked" : ""}>`;
-        html += `<label>${escapeHtml(item.text)}</label>`;
-        html += '<button class="destroy"></button>';
-        html += "</div>";
-        if (isEditing) {
-          html += `<input class="edit" value="${escapeHtml(item.text)}">`;
-        }
-        html += "</li>";
+    actionHistory.push({ type: "serverSync" }, currentStateJson);
+    renderHistoryBar();
+
+    if (queuedTasks === 1) await render();
+  }
+
+  /**
+   * Restore a state from the history without going through the reducer
+   */
+  function timeTravel(stateJson) {
+    return enqueue(async () => {
+      // Never reopen an editor from the past: its blur would dispatch a new
+      // action and discard the redo entries
+      const previousStateJson = currentStateJson;
+      currentStateJson = JSON.stringify({
+        ...JSON.parse(stateJson),
+        editingId: null,
       });
+      TodoStorage.save(currentStateJson);
+      tabSync.restored(currentStateJson);
+      if (remoteSync) remoteSync.restored(previousStateJson, currentStateJson);
+      announceChange(previousStateJson);
+      notify(previousStateJson, null);
+      hideToast();
+      renderHistoryBar();
+      await render();
+    });
+  }
 
-      html += "</ul>";
-      html += "</section>";
+  function announceChange(previousStateJson, action) {
+    if (currentStateJson === previousStateJson) return;
+    announcer.say(
+      TodoA11y.describeChange(
+        JSON.parse(previousStateJson),
+        JSON.parse(currentStateJson),
+        action,
+      ),
+    );
+  }
 
-      // Footer
-      html += '<footer class="footer">';
-      html += '<span class="todo-count">';
-      html += `<strong>${activeCount}</strong> `;
-      html += activeCount === 1 ? "item" : "items";
-      html += " left";
-      html += "</span>";
+  function undo() {
+    if (actionHistory.canUndo()) timeTravel(actionHistory.undo());
+  }
 
-      html += '<ul class="filters">';
-      html += `<li><a href="#/" class="${state.selectedFilter === "all" ? "selected" : ""}" data-filter="all">All</a></li>`;
-      html += `<li><a href="#/active" class="${state.selectedFilter === "active" ? "selected" : ""}" data-filter="active">Active</a></li>`;
-      html += `<li><a href="#/completed" class="${state.selectedFilter === "completed" ? "selected" : ""}" data-filter="completed">Completed</a></li>`;
-      html += "</ul>";
+  function redo() {
+    if (actionHistory.canRedo()) timeTravel(actionHistory.redo());
+  }
 
-      if (completedCount > 0) {
-        html += `<button class="clear-completed">Clear completed</button>`;
-      }
+  /**
+   * Sync the undo/redo buttons and the scrubber with the history cursor
+   */
+  function renderHistoryBar() {
+    const scrubber = document.getElementById("history-scrubber");
+    scrubber.max = actionHistory.entries.length - 1;
+    scrubber.value = actionHistory.index;
+    document.getElementById("undo-button").disabled = !actionHistory.canUndo();
+    document.getElementById("redo-button").disabled = !actionHistory.canRedo();
+
+    const entry = actionHistory.entries[actionHistory.index];
+    document.getElementById("history-position").textContent = entry.action
+      ? `${actionHistory.index}: ${entry.action.type}`
+      : "0: start";
+  }
 
-      html += "</footer>";
+  /**
+   * Offer an undo after a destructive action
+   */
+  function showUndoToast(action, previousStateJson, newStateJson) {
+    const before = JSON.parse(previousStateJson);
+    const after = JSON.parse(newStateJson);
+    let message;
+
+    const deleted = before.items.find(
+      (item) =>
+        item.id === action.id &&
+        !after.items.some((remaining) => remaining.id === item.id),
+    );
+
+    if (
+      (action.type === "deleteTodo" || action.type === "updateTodoText") &&
+      deleted
+    ) {
+      message = `Deleted "${deleted.text}"`;
+    } else if (action.type === "deleteTodos") {
+      const count = before.items.length - after.items.length;
+      message = `Deleted ${count} ${count === 1 ? "item" : "items"}`;
+    } else if (action.type === "clearCompleted") {
+      const count = before.items.length - after.items.length;
+      message = `Cleared ${count} completed ${count === 1 ? "item" : "items"}`;
+    } else {
+      hideToast();
+      return;
     }
 
-    html += "</section>";
+    const toast = document.getElementById("toast");
+    toast.querySelector(".toast-message").textContent = message;
+    toast.classList.remove("hidden");
+
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(hideToast, 5000);
+  }
 
-    return html;
+  function hideToast() {
+    clearTimeout(toastTimer);
+    document.getElementById("toast").classList.add("hidden");
   }
 
   /**
-   * Get visible items based on current filter
+   * Start a fresh session from the given state, dropping history and trace
    */
-  function getVisibleItems(state) {
-    if (!state.selectedFilter) return [];
+  function replaceState(stateJson) {
+    return enqueue(async () => {
+      TodoSchema.parseState(stateJson);
+      const previousStateJson = currentStateJson;
+      currentStateJson = stateJson;
+      TodoStorage.save(currentStateJson);
+      tabSync.restored(currentStateJson);
+      if (remoteSync) remoteSync.restored(previousStateJson, currentStateJson);
+      notify(previousStateJson, null);
+      actionHistory = TodoHistory.create(currentStateJson);
+      traceRecorder.reset(currentStateJson);
+      hideToast();
+      renderHistoryBar();
+      await render();
+    });
+  }
 
-    switch (state.selectedFilter) {
-      case "all":
-        return state.items;
-      case "active":
-        return state.items.filter((item) => !item.completed);
-      case "completed":
-        return state.items.filter((item) => item.completed);
-      default:
-        return state.items;
+  function setTraceStatus(message, isError = false) {
+    const status = document.getElementById("trace-status");
+    status.textContent = message;
+    status.classList.toggle("trace-error", isError);
+  }
+
+  function downloadTrace() {
+    TodoFiles.download(
+      "todomvc-trace.json",
+      JSON.stringify(traceRecorder.toTrace(), null, 2),
+    );
+  }
+
+  function downloadDriverScript() {
+    const { commands, skipped } = TodoTrace.toDriverCommands(
+      traceRecorder.toTrace(),
+    );
+    TodoFiles.download(
+      "todomvc-driver.txt",
+      commands.join("\n") + "\n",
+      "text/plain",
+    );
+    if (skipped.length > 0) {
+      setTraceStatus(
+        `${skipped.length} step(s) have no driver command, or name a todo the driver does not have, and were left out`,
+      );
     }
   }
 
   /**
-   * Escape HTML special characters
+   * Load a trace file (or a Driver.lean command script) and replay it step
+   * by step. Recorded steps are checked against the reducer: each action is
+   * applied to the recorded stateBefore and must reproduce stateAfter.
    */
-  function escapeHtml(text) {
-    const div = document.createElement("div");
-    div.textContent = text;
-    return div.innerHTML;
+  async function loadTraceFile(file) {
+    const text = await TodoFiles.readText(file);
+    let initialStateJson;
+    let steps;
+
+    try {
+      if (text.trim().startsWith("{")) {
+        const trace = TodoTrace.parseTrace(text);
+        initialStateJson = JSON.stringify(trace.initialState);
+        TodoSchema.parseState(initialStateJson, "initial state in the trace");
+        steps = trace.steps;
+      } else {
+        initialStateJson = await leanAPI.getInitialState();
+        steps = TodoTrace.fromDriverCommands(text).map((action) => ({
+          action,
+        }));
+      }
+    } catch (error) {
+      setTraceStatus(`Could not load ${file.name}: ${error.message}`, true);
+      return;
+    }
+
+    await replaceState(initialStateJson);
+
+    for (let i = 0; i < steps.length; i++) {
+      const { action, stateBefore, stateAfter } = steps[i];
+      setTraceStatus(`Replaying step ${i + 1}/${steps.length}: ${action.type}`);
+
+      if (!stateAfter) {
+        await dispatch(action);
+      } else {
+        const beforeJson = JSON.stringify(stateBefore);
+        const resultJson = await enqueue(async () => {
+          const result = await leanAPI.processAction(
+            beforeJson,
+            JSON.stringify(action),
+          );
+          traceRecorder.record(action, beforeJson, result);
+          tabSync.restored(result);
+          if (remoteSync) remoteSync.restored(currentStateJson, result);
+          const previousStateJson = currentStateJson;
+          currentStateJson = result;
+          notify(previousStateJson, action);
+          await render();
+          return result;
+        });
+
+        if (
+          TodoConformance.canonicalJson(resultJson) !==
+          TodoConformance.canonicalJson(JSON.stringify(stateAfter))
+        ) {
+          log.warn("Replay diverged at step", i + 1, {
+            action,
+            expected: stateAfter,
+            actual: JSON.parse(resultJson),
+          });
+          setTraceStatus(
+            `Step ${i + 1} (${action.type}) did not reproduce the recorded state`,
+            true,
+          );
+          break;
+        }
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, REPLAY_STEP_MS));
+    }
+
+    await enqueue(() => {
+      TodoStorage.save(currentStateJson);
+      actionHistory = TodoHistory.create(currentStateJson);
+      renderHistoryBar();
+    });
+    if (
+      !document.getElementById("trace-status").classList.contains("trace-error")
+    ) {
+      setTraceStatus(`Replayed ${steps.length} step(s) from ${file.name}`);
+    }
+  }
+
+  function exportTodos() {
+    const format = document.getElementById("export-format").value;
+    const { filename, text, type } = TodoFormats.exportState(
+      JSON.parse(currentStateJson),
+      format,
+    );
+    TodoFiles.download(filename, text, type);
   }
 
   /**
-   * Dispatch an action to update the state
+   * Import todos from a JSON, Markdown or CSV file. A file with any
+   * malformed line is rejected as a whole, listing every problem.
    */
-  function dispatch(action, skipRender = false) {
-    console.log("Dispatching action:", action);
-
-    const actionJson = JSON.stringify(action);
-    currentStateJson = leanAPI.processAction(currentStateJson, actionJson);
-
-    console.log("New state:", currentStateJson);
+  async function importTodos(file) {
+    const status = document.getElementById("transfer-status");
+    const errorList = document.getElementById("transfer-errors");
+    const text = await TodoFiles.readText(file);
+    const format = TodoFormats.detectFormat(file.name, text);
+    const { items, errors } = TodoFormats.parseImport(text, format);
+
+    errorList.innerHTML = "";
+    errors.forEach(({ line, message }) => {
+      const item = document.createElement("li");
+      item.textContent = line === null ? message : `Line ${line}: ${message}`;
+      errorList.appendChild(item);
+    });
 
-    // Don't re-render for enterText to preserve cursor position
-    if (!skipRender) {
-      render();
+    if (errors.length > 0) {
+      status.textContent = `Nothing imported from ${file.name}: ${errors.length} problem(s)`;
+      status.classList.add("transfer-error");
+      return;
     }
+
+    const mode = document.getElementById("import-mode").value;
+    await dispatchBatch(
+      { type: "import", mode, count: items.length },
+      (state) => TodoFormats.importActions(state, items, mode),
+    );
+    status.textContent = `Imported ${items.length} todo(s) from ${file.name}`;
+    status.classList.remove("transfer-error");
   }
 
   /**
    * Render the application
    */
-  function render() {
+  async function render() {
     const appElement = document.getElementById("app");
-    const html = leanAPI.renderState(currentStateJson);
-    appElement.innerHTML = html;
+    const renderedStateJson = currentStateJson;
+    const started = performance.now();
+    const html = await leanAPI.renderState(renderedStateJson);
+    const engineMs = performance.now() - started;
+
+    // The text typed into the edit field is not in the state until it is
+    // saved, so keep it when a render (e.g. from another tab) passes by
+    const editing = appElement.querySelector(".editing .edit");
+    const draft = editing && {
+      input: editing,
+      value: editing.value,
+      start: editing.selectionStart,
+      end: editing.selectionEnd,
+      details: Array.from(
+        appElement.querySelectorAll(".editing .edit-details [class]"),
+      ).map((field) => [field, field.value]),
+    };
+    const focus = TodoA11y.captureFocus(appElement);
+
+    // Patch in place so focus, selection and scroll position survive
+    const view = TodoPatch.toFragment(html);
+    selection = TodoSelection.prune(selection, todoIds(view));
+    TodoA11y.annotate(view, focus.activeId, selection.ids);
+    TodoPatch.patch(appElement, view);
+
+    if (draft && draft.input.isConnected && draft.input.closest(".editing")) {
+      draft.input.value = draft.value;
+      draft.input.setSelectionRange(draft.start, draft.end);
+      draft.details.forEach(([field, value]) => {
+        if (field.isConnected) field.value = value;
+      });
+    }
 
     // Focus the edit input if editing
-    if (editingTodoId !== null) {
+    if (JSON.parse(currentStateJson).editingId != null) {
       const editInput = appElement.querySelector(".editing .edit");
-      if (editInput) {
+      if (editInput && document.activeElement !== editInput) {
         editInput.focus();
         editInput.setSelectionRange(
           editInput.value.length,
@@ -481,12 +965,270 @@
         );
       }
     } else {
-      // Focus the new-todo input if it exists
-      const input = appElement.querySelector(".new-todo");
-      if (input && document.activeElement !== input) {
-        input.focus();
+      TodoA11y.restoreFocus(appElement, focus);
+    }
+
+    // Renders midway through applying a route would trim it
+    if (router && !applyingRoute) router.sync(JSON.parse(currentStateJson));
+    renderSearchBar();
+    renderBulkBar();
+
+    devtools.rendered({
+      engine: engineOf("renderState", renderedStateJson),
+      engineMs,
+      totalMs: performance.now() - started,
+    });
+  }
+
+  /**
+   * The ids of the todos shown in container, in list order
+   */
+  function todoIds(container) {
+    return Array.from(container.querySelectorAll(".todo-list > li")).map((li) =>
+      parseInt(li.getAttribute("data-id"), 10),
+    );
+  }
+
+  /**
+   * Show the bulk bar while todos are selected
+   */
+  function renderBulkBar() {
+    const count = selection.ids.length;
+    document.getElementById("bulk-bar").classList.toggle("hidden", count === 0);
+    document.getElementById("bulk-count").textContent = `${count} selected`;
+  }
+
+  /**
+   * Change the selection and mark it in the list
+   */
+  function select(next) {
+    if (next === selection) return Promise.resolve();
+    const changed = next.ids.length !== selection.ids.length;
+    selection = next;
+    if (changed) {
+      announcer.say(TodoA11y.describeSelection(selection.ids.length));
+    }
+    return enqueue(render);
+  }
+
+  /**
+   * Apply a bulk command from the bulk bar to the selected todos, as one
+   * action and so one undo step
+   */
+  function applyBulk(command) {
+    const tagInput = document.getElementById("bulk-tag");
+    const action = TodoSelection.bulkAction(command, selection, tagInput.value);
+    if (!action) {
+      if (command === "addTag" || command === "removeTag") tagInput.focus();
+      return;
+    }
+    if (action.type === "deleteTodos")
+      selection = TodoSelection.EMPTY_SELECTION;
+    if (action.type === "retagTodos") tagInput.value = "";
+    dispatch(action);
+  }
+
+  /**
+   * Sync the search field, fuzzy switch, selected tag chips and sort order
+   * with the state
+   */
+  function renderSearchBar() {
+    const search = TodoSearch.searchOf(JSON.parse(currentStateJson));
+    const input = document.getElementById("search-text");
+    if (input.value !== search.text) input.value = search.text;
+    document.getElementById("search-fuzzy").checked = search.fuzzy;
+    document.getElementById("sort-by").value = TodoDetails.sortOf(
+      JSON.parse(currentStateJson),
+    );
+
+    document.getElementById("search-tags").replaceChildren(
+      ...search.tags.map((tag) => {
+        const chip = document.createElement("button");
+        chip.className = "tag selected";
+        chip.dataset.tag = tag;
+        chip.textContent = `#${tag} ×`;
+        chip.setAttribute("aria-label", `Stop filtering by #${tag}`);
+        return chip;
+      }),
+    );
+  }
+
+  /**
+   * Show the view a URL asks for: its filter and search and, for a deep
+   * link, the todo scrolled into view with the editor open if requested.
+   * A todo hidden by the route's filter or search is shown under "all"
+   * with no search instead. The changes land as one update kept out of
+   * the undo history: Back and Forward already move between views.
+   */
+  function applyRoute(route) {
+    return enqueue(async () => {
+      const state = JSON.parse(currentStateJson);
+      const item =
+        route.todoId === null
+          ? null
+          : state.items.find((todo) => todo.id === route.todoId);
+
+      if (
+        item &&
+        !(
+          TodoRouter.matchesFilter(route.filter, item) &&
+          TodoSearch.matchesSearch(TodoRouter.searchOf(route), item)
+        )
+      ) {
+        router.replace({
+          ...route,
+          filter: "all",
+          params: TodoRouter.withSearch(route.params, TodoSearch.EMPTY_SEARCH),
+        });
       }
+      const { filter } = router.route();
+      const search = TodoRouter.searchOf(router.route());
+
+      const actions = TodoController.routeActions(state, { filter, search });
+      if (item && route.edit && state.editingId !== item.id) {
+        actions.push({ type: "startEdit", id: item.id });
+      }
+
+      const passed = await throughMiddleware(actions);
+      if (passed.length > 0) {
+        applyingRoute = true;
+        try {
+          await applyBatch(
+            { type: "route", filter, todoId: route.todoId },
+            passed,
+            {
+              undoable: false,
+            },
+          );
+        } finally {
+          applyingRoute = false;
+        }
+      }
+
+      await render();
+      if (item) revealTodo(item.id);
+    });
+  }
+
+  function revealTodo(id) {
+    const li = document.querySelector(`#app .todo-list > li[data-id="${id}"]`);
+    if (!li) return;
+    li.scrollIntoView({ block: "nearest" });
+    if (JSON.parse(currentStateJson).editingId !== id) TodoA11y.focusTodo(li);
+  }
+
+  /**
+   * Keys on a focused todo: the arrows, Home and End move between todos,
+   * Space toggles, Enter or F2 edits and Delete removes
+   */
+  function handleTodoKey(e) {
+    const li = e.target;
+    const id = parseInt(li.dataset.id, 10);
+    const items = Array.from(li.parentNode.children);
+    const index = items.indexOf(li);
+
+    if (e.altKey && (e.key === "ArrowUp" || e.key === "ArrowDown")) {
+      moveTodo(id, e.key === "ArrowUp" ? index - 1 : index + 1);
+      e.preventDefault();
+      return;
+    }
+
+    // Shift+arrows select a range, Ctrl+Space one todo, Ctrl+A them all
+    const order = items.map((item) => parseInt(item.dataset.id, 10));
+    const ctrl = e.ctrlKey || e.metaKey;
+    if (e.shiftKey && (e.key === "ArrowUp" || e.key === "ArrowDown")) {
+      const next =
+        items[
+          e.key === "ArrowUp"
+            ? Math.max(index - 1, 0)
+            : Math.min(index + 1, items.length - 1)
+        ];
+      TodoA11y.focusTodo(next);
+      select(
+        TodoSelection.extend(selection, order, order[items.indexOf(next)], id),
+      );
+      e.preventDefault();
+      return;
+    }
+    if (ctrl && e.key === " ") {
+      select(TodoSelection.toggle(selection, id));
+      e.preventDefault();
+      return;
+    }
+    if (ctrl && e.key.toLowerCase() === "a") {
+      select(TodoSelection.selectAll(order));
+      e.preventDefault();
+      return;
+    }
+
+    switch (e.key) {
+      case "ArrowDown":
+        TodoA11y.focusTodo(items[Math.min(index + 1, items.length - 1)]);
+        break;
+      case "ArrowUp":
+        if (index === 0) {
+          focusNewTodo();
+        } else {
+          TodoA11y.focusTodo(items[index - 1]);
+        }
+        break;
+      case "Home":
+        TodoA11y.focusTodo(items[0]);
+        break;
+      case "End":
+        TodoA11y.focusTodo(items[items.length - 1]);
+        break;
+      case " ":
+        dispatch({ type: "toggleTodo", id });
+        break;
+      case "Enter":
+      case "F2":
+        dispatch({ type: "startEdit", id });
+        break;
+      case "Delete":
+      case "Backspace":
+        dispatch({ type: "deleteTodo", id });
+        break;
+      case "Escape":
+        if (selection.ids.length > 0) {
+          select(TodoSelection.EMPTY_SELECTION);
+        } else {
+          focusNewTodo();
+        }
+        break;
+      default:
+        return;
     }
+    e.preventDefault();
+  }
+
+  /**
+   * Move a todo to visibleIndex among the todos shown, leaving the hidden
+   * ones where they are
+   */
+  function moveTodo(id, visibleIndex) {
+    if (visibleIndex < 0) return;
+    return enqueue(() => {
+      const state = JSON.parse(currentStateJson);
+      // A sorted view has no list order to change
+      if (TodoDetails.sortOf(state) !== "manual") {
+        announcer.say("Reordering needs the manual sort order.");
+        return;
+      }
+      return middleware.dispatch(
+        {
+          type: "moveTodo",
+          id,
+          toIndex: TodoReducer.moveIndexFor(state, id, visibleIndex),
+        },
+        applyAction,
+      );
+    });
+  }
+
+  function focusNewTodo() {
+    const input = document.querySelector("#app .new-todo");
+    if (input) input.focus();
   }
 
   /**
@@ -530,6 +1272,42 @@
       else if (e.target.classList.contains("clear-completed")) {
         dispatch({ type: "clearCompleted" });
       }
+
+      // Tag chips in a todo filter by their tag
+      else if (e.target.classList.contains("tag")) {
+        e.preventDefault();
+        dispatch({ type: "toggleTag", tag: e.target.dataset.tag });
+      }
+
+      // Ctrl/Cmd-click selects a todo, Shift-click a range of them
+      else if (
+        (e.shiftKey || e.ctrlKey || e.metaKey) &&
+        e.target.closest(".todo-list > li") &&
+        !e.target.closest(".edit")
+      ) {
+        e.preventDefault();
+        const li = e.target.closest(".todo-list > li");
+        const id = parseInt(li.dataset.id, 10);
+        TodoA11y.focusTodo(li);
+        select(
+          e.shiftKey
+            ? TodoSelection.extend(selection, todoIds(appElement), id)
+            : TodoSelection.toggle(selection, id),
+        );
+      }
+    });
+
+    // Bulk commands on the selected todos
+    document.getElementById("bulk-bar").addEventListener("click", (e) => {
+      const command = e.target.dataset && e.target.dataset.command;
+      if (command === "clear") {
+        select(TodoSelection.EMPTY_SELECTION);
+      } else if (command) {
+        applyBulk(command);
+      }
+    });
+    document.getElementById("bulk-tag").addEventListener("keydown", (e) => {
+      if (e.key === "Enter") applyBulk("addTag");
     });
 
     // Double-click to edit
@@ -537,16 +1315,14 @@
       if (e.target.tagName === "LABEL") {
         const li = e.target.closest("li");
         const id = parseInt(li.dataset.id, 10);
-        editingTodoId = id;
-        render();
+        dispatch({ type: "startEdit", id });
       }
     });
 
     // Input field changes
     appElement.addEventListener("input", (e) => {
       if (e.target.classList.contains("new-todo")) {
-        // Skip render to preserve cursor position
-        dispatch({ type: "enterText", text: e.target.value }, true);
+        dispatch({ type: "enterText", text: e.target.value });
       }
     });
 
@@ -555,14 +1331,33 @@
       if (e.target.classList.contains("new-todo") && e.key === "Enter") {
         dispatch({ type: "addTodo" });
       }
-      // Save edit on Enter
-      else if (e.target.classList.contains("edit") && e.key === "Enter") {
-        saveEdit(e.target);
+      // Save edit on Enter (Ctrl+Enter in the notes, where Enter is a new
+      // line)
+      else if (
+        TodoController.isEditorField(e.target) &&
+        e.key === "Enter" &&
+        (e.target.tagName !== "TEXTAREA" || e.ctrlKey || e.metaKey)
+      ) {
+        e.preventDefault();
+        saveEdit(e.target.closest("li"));
       }
       // Cancel edit on Escape
-      else if (e.target.classList.contains("edit") && e.key === "Escape") {
-        editingTodoId = null;
-        render();
+      else if (TodoController.isEditorField(e.target) && e.key === "Escape") {
+        dispatch({ type: "cancelEdit" });
+      }
+      // Down from the new-todo field into the list
+      else if (
+        e.target.classList.contains("new-todo") &&
+        e.key === "ArrowDown"
+      ) {
+        e.preventDefault();
+        TodoA11y.focusTodo(
+          appElement.querySelector('.todo-list > li[tabindex="0"]'),
+        );
+      }
+      // Keyboard navigation within the list
+      else if (e.target.matches(".todo-list > li")) {
+        handleTodoKey(e);
       }
     });
 
@@ -570,38 +1365,128 @@
     appElement.addEventListener(
       "blur",
       (e) => {
-        if (e.target.classList.contains("edit")) {
-          saveEdit(e.target);
+        // Moving between the text and the detail fields keeps it open
+        const li =
+          TodoController.isEditorField(e.target) && e.target.closest("li");
+        if (li && !(e.relatedTarget && li.contains(e.relatedTarget))) {
+          saveEdit(li);
         }
       },
       true,
     );
 
-    // Handle hash changes for routing
-    window.addEventListener("hashchange", () => {
-      const hash = window.location.hash;
-      let filter = "all";
+    // Search field, fuzzy switch and the chips of the selected tags
+    const searchBar = document.getElementById("search-bar");
+    searchBar.addEventListener("input", (e) => {
+      if (e.target.id === "sort-by") {
+        dispatch({ type: "setSort", sort: e.target.value });
+        return;
+      }
+      dispatch({
+        type: "setSearch",
+        text: document.getElementById("search-text").value,
+        fuzzy: document.getElementById("search-fuzzy").checked,
+        tags: TodoSearch.searchOf(JSON.parse(currentStateJson)).tags,
+      });
+    });
+    searchBar.addEventListener("click", (e) => {
+      if (e.target.classList.contains("tag")) {
+        dispatch({ type: "toggleTag", tag: e.target.dataset.tag });
+      }
+    });
 
-      if (hash === "#/active") filter = "active";
-      else if (hash === "#/completed") filter = "completed";
+    document
+      .getElementById("schema-error-dismiss")
+      .addEventListener("click", () =>
+        document.getElementById("schema-error").classList.add("hidden"),
+      );
 
-      const state = JSON.parse(currentStateJson);
-      if (state.items.length > 0 && state.selectedFilter !== filter) {
-        dispatch({ type: "setFilter", filter });
+    // Undo/redo controls
+    document.getElementById("undo-button").addEventListener("click", undo);
+    document.getElementById("redo-button").addEventListener("click", redo);
+    document
+      .querySelector("#toast .toast-undo")
+      .addEventListener("click", undo);
+    document
+      .getElementById("history-scrubber")
+      .addEventListener("input", (e) => {
+        timeTravel(actionHistory.jumpTo(parseInt(e.target.value, 10)));
+      });
+
+    // Trace download and replay
+    document
+      .getElementById("trace-download")
+      .addEventListener("click", downloadTrace);
+    document
+      .getElementById("trace-driver")
+      .addEventListener("click", downloadDriverScript);
+    document.getElementById("trace-file").addEventListener("change", (e) => {
+      const file = e.target.files[0];
+      e.target.value = "";
+      if (file) loadTraceFile(file);
+    });
+
+    // Import and export
+    document
+      .getElementById("export-button")
+      .addEventListener("click", exportTodos);
+    document.getElementById("import-file").addEventListener("change", (e) => {
+      const file = e.target.files[0];
+      e.target.value = "";
+      if (file) importTodos(file);
+    });
+
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS)
+    document.addEventListener("keydown", (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== "z") return;
+
+      // pendingText is part of the state, so only the edit field keeps
+      // the browser's native text undo
+      if (e.target.classList.contains("edit")) return;
+
+      e.preventDefault();
+      if (e.shiftKey) {
+        redo();
+      } else {
+        undo();
       }
     });
 
-    // Set initial filter based on hash
-    const hash = window.location.hash;
-    if (hash && hash !== "#/") {
-      let filter = "all";
-      if (hash === "#/active") filter = "active";
-      else if (hash === "#/completed") filter = "completed";
+    // Single-key shortcuts for the filters, toggle-all, the new-todo
+    // field, search and the developer panel, ignored while typing
+    document.addEventListener("keydown", (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey || TodoA11y.isTextField(e.target))
+        return;
 
-      const state = JSON.parse(currentStateJson);
-      if (state.items.length > 0) {
+      const key = e.key.toLowerCase();
+      const filter = Object.keys(TodoA11y.FILTER_SHORTCUTS).find(
+        (name) => TodoA11y.FILTER_SHORTCUTS[name] === key,
+      );
+      if (filter) {
         dispatch({ type: "setFilter", filter });
+      } else if (key === TodoA11y.TOGGLE_ALL_SHORTCUT) {
+        dispatch({ type: "toggleAll" });
+      } else if (key === TodoA11y.NEW_TODO_SHORTCUT) {
+        focusNewTodo();
+      } else if (key === TodoA11y.SEARCH_SHORTCUT) {
+        document.getElementById("search-text").focus();
+      } else if (key === TodoDevtools.TOGGLE_SHORTCUT) {
+        devtools.toggle();
+      } else {
+        return;
       }
+      e.preventDefault();
+    });
+
+    TodoReorder.enable(appElement, { onMove: moveTodo });
+
+    // Follow the URL from now on. A route in the URL the page opened with
+    // wins over the saved view; a bare URL takes on the saved view.
+    router = TodoRouter.create({ onRoute: applyRoute });
+    if (window.location.hash) {
+      applyRoute(router.route());
+    } else {
+      router.sync(JSON.parse(currentStateJson));
     }
   }
 
@@ -614,12 +1499,78 @@
     document.getElementById("error").classList.add("hidden");
   }
 
+  /**
+   * Report the worker's progress on the loading screen
+   */
+  function showProgress({ phase, loaded, total }) {
+    const bar = document.getElementById("loading-progress");
+    const status = document.getElementById("loading-status");
+    const mb = (bytes) => (bytes / 1e6).toFixed(1);
+
+    if (phase === "download") {
+      if (total) {
+        bar.max = total;
+        bar.value = loaded;
+        status.textContent = `Downloading WebAssembly module: ${mb(loaded)} of ${mb(total)} MB`;
+      } else {
+        bar.removeAttribute("value");
+        status.textContent = `Downloading WebAssembly module: ${mb(loaded)} MB`;
+      }
+    } else {
+      // None of the other steps reports its own progress
+      const messages = {
+        decompress: "Decompressing WebAssembly module...",
+        cache: "Loading WebAssembly module from cache...",
+        instantiate: "Initializing WebAssembly module...",
+      };
+      bar.removeAttribute("value");
+      status.textContent = messages[phase];
+    }
+  }
+
   function hideLoading() {
     document.getElementById("loading").classList.add("hidden");
   }
 
   function showApp() {
     document.getElementById("app").classList.remove("hidden");
+    document.getElementById("history-bar").classList.remove("hidden");
+    document.getElementById("trace-bar").classList.remove("hidden");
+    document.getElementById("transfer-bar").classList.remove("hidden");
+    document.getElementById("search-bar").classList.remove("hidden");
+    renderHistoryBar();
+  }
+
+  /**
+   * Show which engine is serving leanAPI calls
+   */
+  function showEngineBadge(engine) {
+    const labels = {
+      wasm: "Engine: verified Lean (WASM), JS for the rest",
+      mixed: "Engine: Lean (WASM) with JS fallback",
+      js: "Engine: JavaScript fallback",
+    };
+    const badge = document.getElementById("engine-badge");
+    badge.textContent = labels[engine];
+    badge.className = "engine-" + engine;
+  }
+
+  /**
+   * Say which state or action the schema turned away, without getting in
+   * the way of the list, which still shows the last valid state
+   */
+  function showSchemaError(error) {
+    const banner = document.getElementById("schema-error");
+    document.getElementById("schema-error-message").textContent =
+      `Invalid ${error.subject}, so the list was left as it was:`;
+    const list = document.getElementById("schema-error-problems");
+    list.innerHTML = "";
+    error.problems.forEach(({ path, message }) => {
+      const item = document.createElement("li");
+      item.textContent = path ? `${path} ${message}` : message;
+      list.appendChild(item);
+    });
+    banner.classList.remove("hidden");
   }
 
   function showError(message) {
@@ -630,32 +1581,64 @@
   }
 
   /**
-   * Save the edit for a todo
+   * Save the edit for a todo from its editor in li: the text and, where
+   * the view offers them, the due date, priority and notes, together as
+   * one undo step
    */
-  function saveEdit(input) {
-    if (editingTodoId === null) return;
-
-    const newText = input.value.trim();
-    const state = JSON.parse(currentStateJson);
-    const idToEdit = editingTodoId;
+  function saveEdit(li) {
+    const editor = TodoController.readEditor(li);
 
-    // Reset editing state BEFORE rendering to dismiss edit mode
-    editingTodoId = null;
-
-    if (newText === "") {
-      // Delete if empty
-      dispatch({ type: "deleteTodo", id: idToEdit });
-    } else {
-      // Update the todo text
-      const newState = { ...state };
-      newState.items = state.items.map((item) =>
-        item.id === idToEdit ? { ...item, text: newText } : item,
-      );
-      currentStateJson = JSON.stringify(newState);
-      render();
-    }
+    // Queued so that editingId is read after earlier updates: the reducer
+    // clears it, so a blur that follows Enter or Escape finds nothing left
+    // to save
+    enqueue(async () => {
+      const state = JSON.parse(currentStateJson);
+      const actions = TodoController.editActions(state, editor);
+      if (actions.length === 0) return;
+
+      return actions.length === 1
+        ? middleware.dispatch(actions[0], applyAction)
+        : applyBatch(
+            { type: "editTodo", id: state.editingId },
+            await throughMiddleware(actions),
+          );
+    });
   }
 
+  /**
+   * The page's public API, for other scripts on it:
+   *
+   *   TodoMVC.ready                resolves once the engine has loaded
+   *   TodoMVC.getState()           a copy of the state, null until loaded
+   *   TodoMVC.dispatch(action)     resolves once the action is applied
+   *   TodoMVC.subscribe(listener)  listener(state, action, previousState)
+   *                                after every change; returns unsubscribe
+   *   TodoMVC.use(middleware)      see plugins.js; returns a remover
+   *   TodoMVC.registerPlugin(p)    see plugins.js
+   *
+   * Dispatch goes through the middleware, as does every action the page
+   * dispatches itself. The actions of a batch (an import, saving an edit
+   * with its details, following a link) pass through one by one and are
+   * applied together once all have, reaching subscribers as one change, so
+   * next() resolves before they land. Middleware runs when an action is
+   * dispatched, so getState() there may not show the actions still queued
+   * ahead of it yet.
+   */
+  window.TodoMVC = Object.freeze({
+    ready,
+    getState: () => (currentStateJson ? JSON.parse(currentStateJson) : null),
+    dispatch: (action) => ready.then(() => middleware.dispatch(action)),
+    subscribe(listener) {
+      subscribers.add(listener);
+      return () => subscribers.delete(listener);
+    },
+    use: (fn) => middleware.use(fn),
+    registerPlugin(plugin) {
+      plugins.register(plugin);
+      if (currentStateJson) enqueue(render);
+    },
+  });
+
   // Initialize the app when DOM is ready
   if (document.readyState === "loading") {
     document.addEventListener("DOMContentLoaded", init);
@@ -0,0 +1,275 @@
+/**
+ * TodoMVC - Differential Conformance Mode
+ *
+ * When the page is opened with ?conformance=1, every dispatched action is
+ * sent through both the Lean WASM reducer and the JavaScript fallback
+ * (processActionInJS). Any difference in the resulting state JSON or in the
+ * rendered HTML is recorded together with the action and the prior state,
+ * listed in an on-page report, and can be downloaded as a reproducible case.
+ *
+ * Markup is compared as parsed rather than as text: Lean writes boolean
+ * attributes as checked="checked" where the JavaScript view writes a bare
+ * checked, and the two engines order attributes and space tags
+ * differently.
+ *
+ * Everything but createReport() has no DOM dependencies and also loads in
+ * Node.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TodoConformance = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // Attributes whose presence is their meaning, whatever their value
+  const BOOLEAN_ATTRIBUTES = [
+    "autofocus",
+    "checked",
+    "disabled",
+    "hidden",
+    "readonly",
+    "required",
+    "selected",
+  ];
+
+  const START_TAG =
+    /<([\w-]+)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*\/?>/g;
+  const ATTRIBUTE = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  const END_TAG = /<\/([\w-]+)\s*>/g;
+
+  const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', "#39": "'" };
+  const decode = (text) =>
+    text.replace(/&(amp|lt|gt|quot|#39);/g, (_, name) => ENTITIES[name]);
+
+  /**
+   * Check whether conformance mode was requested in the query string
+   */
+  function isEnabled(search) {
+    return new URLSearchParams(search).get("conformance") === "1";
+  }
+
+  /**
+   * Re-serialize JSON with sorted keys so that key order does not count
+   * as a difference. Unparseable input is returned unchanged.
+   */
+  function canonicalJson(json) {
+    const sortKeys = (value) => {
+      if (Array.isArray(value)) return value.map(sortKeys);
+      if (value && typeof value === "object") {
+        const sorted = {};
+        Object.keys(value)
+          .sort()
+          .forEach((key) => {
+            sorted[key] = sortKeys(value[key]);
+          });
+        return sorted;
+      }
+      return value;
+    };
+
+    try {
+      return JSON.stringify(sortKeys(JSON.parse(json)));
+    } catch (e) {
+      return json;
+    }
+  }
+
+  /**
+   * The attributes of a start tag, sorted by name and written one way: a
+   * boolean attribute bare, an empty value bare (which HTML reads the
+   * same) and any other value in double quotes
+   */
+  function normalizeAttributes(text) {
+    return [...text.matchAll(ATTRIBUTE)]
+      .map(([, rawName, double, single, bare]) => {
+        const name = rawName.toLowerCase();
+        const value = decode(double ?? single ?? bare ?? "");
+        return BOOLEAN_ATTRIBUTES.includes(name) || value === ""
+          ? name
+          : `${name}="${value.replace(/&/g, "&amp;").replace(/"/g, "&quot;")}"`;
+      })
+      .sort()
+      .map((attribute) => " " + attribute)
+      .join("");
+  }
+
+  /**
+   * Markup written the same way whichever engine rendered it: tags and
+   * their attributes normalized, and insignificant whitespace between
+   * and inside tags collapsed
+   */
+  function normalizeHtml(html) {
+    return html
+      .replace(
+        START_TAG,
+        (_, tag, attributes) =>
+          `<${tag.toLowerCase()}${normalizeAttributes(attributes)}>`,
+      )
+      .replace(END_TAG, (_, tag) => `</${tag.toLowerCase()}>`)
+      .replace(/>\s+</g, "><")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  /**
+   * Run one engine, capturing exceptions as part of the result. Engine
+   * functions may return the string directly or a promise for it.
+   */
+  async function runEngine(engine, stateJson, actionJson) {
+    try {
+      const state = await engine.processAction(stateJson, actionJson);
+      return { state, html: await engine.renderState(state) };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Create a checker over two engines ({ wasm, js }), each exposing
+   * processAction(stateJson, actionJson) and renderState(stateJson).
+   * check() resolves once both engines have answered. onResult is called
+   * after every check with the recorded case, or null when both engines
+   * agree.
+   */
+  function createChecker(engines, onResult) {
+    const checker = {
+      steps: 0,
+      mismatches: [],
+
+      async check(stateJson, actionJson) {
+        const step = checker.steps++;
+        const wasm = await runEngine(engines.wasm, stateJson, actionJson);
+        const js = await runEngine(engines.js, stateJson, actionJson);
+
+        const differences = [];
+        if (wasm.error || js.error) {
+          if (wasm.error !== js.error) differences.push("error");
+        } else {
+          if (canonicalJson(wasm.state) !== canonicalJson(js.state)) {
+            differences.push("state");
+          }
+          if (normalizeHtml(wasm.html) !== normalizeHtml(js.html)) {
+            differences.push("html");
+          }
+        }
+
+        if (differences.length === 0) {
+          if (onResult) onResult(null);
+          return null;
+        }
+
+        const mismatch = {
+          step,
+          differences,
+          action: JSON.parse(actionJson),
+          stateBefore: stateJson,
+          wasm,
+          js,
+        };
+        checker.mismatches.push(mismatch);
+        if (onResult) onResult(mismatch);
+        return mismatch;
+      },
+    };
+
+    return checker;
+  }
+
+  /**
+   * Serialize mismatches as a downloadable case file. Each case carries
+   * the prior state and the action, which is enough to replay it against
+   * either engine.
+   */
+  function toCaseFile(mismatches) {
+    return JSON.stringify(
+      {
+        kind: "todomvc-conformance",
+        version: 1,
+        cases: mismatches.map((m) => ({
+          step: m.step,
+          differences: m.differences,
+          stateBefore: m.stateBefore,
+          action: m.action,
+          wasm: m.wasm,
+          js: m.js,
+        })),
+      },
+      null,
+      2,
+    );
+  }
+
+  /**
+   * Create the on-page report inside the given container (in the page,
+   * where files.js has loaded)
+   */
+  function createReport(container) {
+    let checker = null;
+
+    container.classList.remove("hidden");
+    container.innerHTML =
+      "<h3>Conformance</h3>" +
+      '<p class="conformance-summary"></p>' +
+      '<button class="conformance-download" disabled>Download cases</button>' +
+      '<ol class="conformance-cases"></ol>';
+
+    const summary = container.querySelector(".conformance-summary");
+    const button = container.querySelector(".conformance-download");
+    const list = container.querySelector(".conformance-cases");
+
+    button.addEventListener("click", () => {
+      if (checker && checker.mismatches.length > 0) {
+        TodoFiles.download(
+          "todomvc-conformance.json",
+          toCaseFile(checker.mismatches),
+        );
+      }
+    });
+
+    const report = {
+      attach(newChecker) {
+        checker = newChecker;
+        report.update();
+      },
+
+      update() {
+        const count = checker.mismatches.length;
+        summary.textContent =
+          `${checker.steps} action(s) checked, ` +
+          `${count} mismatch${count === 1 ? "" : "es"}`;
+        button.disabled = count === 0;
+      },
+
+      record(mismatch) {
+        if (mismatch) {
+          const item = document.createElement("li");
+          item.textContent =
+            `#${mismatch.step} ${mismatch.action.type}: ` +
+            `${mismatch.differences.join(", ")} differ`;
+          item.title = JSON.stringify(mismatch.action);
+          list.appendChild(item);
+        }
+        report.update();
+      },
+
+      unavailable(reason) {
+        summary.textContent = "Unavailable: " + reason;
+      },
+    };
+
+    return report;
+  }
+
+  return {
+    isEnabled,
+    canonicalJson,
+    normalizeHtml,
+    createChecker,
+    createReport,
+    toCaseFile,
+  };
+});
@@ -0,0 +1,255 @@
+/**
+ * TodoMVC - Shared List Controller
+ *
+ * What the page (app.js) and the <todo-mvc> element (element.js) both need
+ * to drive a list:
+ *
+ *   jsEngine       the JavaScript reducer and renderer behind the leanAPI
+ *                  interface of JSON and HTML strings
+ *   routeActions   the actions that bring a state to a route's filter and
+ *                  search
+ *   readEditor,    the open editor's text and details, and the actions
+ *   editActions    saving them takes
+ *   createList     a state held as JSON, optionally saved under a
+ *                  localStorage key, and updated strictly one update after
+ *                  another; the element keeps its list in one
+ *   optionsOf      the element's attributes
+ *
+ * The page adds undo, syncing and the rest around the same pieces.
+ *
+ * No DOM dependencies beyond the elements passed in: loads in the page and
+ * in Node.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(
+      require("./reducer.js"),
+      require("./search.js"),
+      require("./details.js"),
+      require("./storage.js"),
+    );
+  } else {
+    root.TodoController = factory(
+      root.TodoReducer,
+      root.TodoSearch,
+      root.TodoDetails,
+      root.TodoStorage,
+    );
+  }
+})(
+  typeof self !== "undefined" ? self : this,
+  function (TodoReducer, TodoSearch, TodoDetails, TodoStorage) {
+    "use strict";
+
+    // JavaScript implementation that mirrors the Lean logic (reducer.js)
+    const jsEngine = {
+      getInitialState: () => JSON.stringify(TodoReducer.getInitialState()),
+      processAction: (stateJson, actionJson) =>
+        JSON.stringify(
+          TodoReducer.processActionInJS(
+            JSON.parse(stateJson),
+            JSON.parse(actionJson),
+          ),
+        ),
+      renderState: (stateJson) => TodoReducer.renderHTML(JSON.parse(stateJson)),
+    };
+
+    /* Routes */
+
+    function sameSearch(a, b) {
+      return (
+        a.text === b.text &&
+        a.fuzzy === b.fuzzy &&
+        a.tags.length === b.tags.length &&
+        a.tags.every((tag, i) => tag === b.tags[i])
+      );
+    }
+
+    /**
+     * The setFilter and setSearch actions that show state under filter
+     * and search. An empty list keeps its null filter.
+     */
+    function routeActions(state, { filter, search }) {
+      const actions = [];
+      if (state.items.length > 0 && state.selectedFilter !== filter) {
+        actions.push({ type: "setFilter", filter });
+      }
+      if (!sameSearch(TodoSearch.searchOf(state), search)) {
+        actions.push({ type: "setSearch", ...search });
+      }
+      return actions;
+    }
+
+    /* Editing */
+
+    /**
+     * Whether element is one of the fields of the open editor
+     */
+    function isEditorField(element) {
+      return element.matches(".editing .edit, .editing .edit-details [class]");
+    }
+
+    /**
+     * What the editor in li holds: its text and, where the view offers
+     * them, the due date, priority and notes (null for an empty field)
+     */
+    function readEditor(li) {
+      const field = (name) => li.querySelector(`.edit-details .edit-${name}`);
+      return {
+        text: li.querySelector(".edit").value,
+        details: field("due")
+          ? {
+              due: field("due").value || null,
+              priority: Number(field("priority").value) || null,
+              notes: field("notes").value || null,
+            }
+          : {},
+      };
+    }
+
+    /**
+     * The actions that save editor to the todo being edited in state: one
+     * per changed detail, then the text, or none when no edit is open.
+     * Empty text turns into a delete inside the reducer, and the details
+     * go with it.
+     */
+    function editActions(state, { text, details }) {
+      if (state.editingId == null) return [];
+      const id = state.editingId;
+      const item = state.items.find((todo) => todo.id === id);
+
+      const edits =
+        text.trim() === ""
+          ? []
+          : Object.entries(TodoDetails.DETAIL_ACTIONS)
+              .filter(
+                ([, name]) =>
+                  name in details && (item[name] ?? null) !== details[name],
+              )
+              .map(([type, name]) => ({ type, id, [name]: details[name] }));
+      return [...edits, { type: "updateTodoText", id, text }];
+    }
+
+    /* Lists */
+
+    /**
+     * The options a <todo-mvc> element takes from its attributes
+     */
+    function optionsOf(element) {
+      return {
+        storageKey: element.getAttribute("storage-key"),
+        hashRouting: element.hasAttribute("hash-routing"),
+      };
+    }
+
+    /**
+     * A list run on engine (with leanAPI's interface, returning strings or
+     * promises for them). start() loads it from storageKey, or from the
+     * engine's initial state when there is no key or nothing saved under
+     * it, and useStorageKey(key) does the same for another key once the
+     * queued updates have run. update(buildActions) applies the actions
+     * buildActions(state) returns for the state once the updates queued
+     * before it have run, saving and calling
+     * onChange({ state, action, previousState }) for each that changes the
+     * state, and then render() if no other update is waiting. Every action
+     * of an update runs before any is applied, so one that fails is passed
+     * to onError and leaves the state as it was.
+     */
+    function createList({
+      engine,
+      storageKey = null,
+      onChange = () => {},
+      render = async () => {},
+      onError = () => {},
+    }) {
+      let stateJson = null;
+      let taskQueue = Promise.resolve();
+      let queuedTasks = 0;
+
+      function enqueue(task) {
+        queuedTasks++;
+        const run = taskQueue
+          .then(task)
+          .catch(onError)
+          .finally(() => queuedTasks--);
+        taskQueue = run;
+        return run;
+      }
+
+      async function load() {
+        stateJson =
+          (storageKey && TodoStorage.load(storageKey)) ||
+          (await engine.getInitialState());
+        await render();
+      }
+
+      /**
+       * The steps that change the state, from running actions one after
+       * another on it, without applying any
+       */
+      async function runActions(actions) {
+        const steps = [];
+        let current = stateJson;
+        for (const action of actions) {
+          const next = await engine.processAction(
+            current,
+            JSON.stringify(action),
+          );
+          if (next !== current) {
+            steps.push({ action, previousStateJson: current, stateJson: next });
+          }
+          current = next;
+        }
+        return steps;
+      }
+
+      return {
+        start: load,
+
+        useStorageKey(key) {
+          return enqueue(() => {
+            storageKey = key;
+            return load();
+          });
+        },
+
+        stateJson: () => stateJson,
+
+        getState: () => (stateJson ? JSON.parse(stateJson) : null),
+
+        update(buildActions) {
+          return enqueue(async () => {
+            const actions = buildActions(JSON.parse(stateJson));
+            const steps = await runActions(actions);
+            if (steps.length > 0) {
+              stateJson = steps[steps.length - 1].stateJson;
+              if (storageKey) TodoStorage.save(stateJson, storageKey);
+            }
+            steps.forEach((step) =>
+              onChange({
+                state: JSON.parse(step.stateJson),
+                action: step.action,
+                previousState: JSON.parse(step.previousStateJson),
+              }),
+            );
+            // Only the last queued update renders, so a render never
+            // writes stale text back into a field still being typed in
+            if (actions.length > 0 && queuedTasks === 1) await render();
+          });
+        },
+      };
+    }
+
+    return {
+      jsEngine,
+      sameSearch,
+      routeActions,
+      isEditorField,
+      readEditor,
+      editActions,
+      optionsOf,
+      createList,
+    };
+  },
+);
@@ -0,0 +1,145 @@
+/**
+ * TodoMVC - Due Dates, Priority and Notes
+ *
+ * The optional fields of a todo beyond id, text and completed:
+ *
+ *   due       a calendar date, "YYYY-MM-DD"
+ *   priority  1 (high), 2 (medium) or 3 (low)
+ *   notes     free text
+ *
+ * A todo without one simply has no such key, so states saved before these
+ * fields existed read unchanged, and clearing a field removes its key
+ * again. Every update copies the todo with a spread, so fields this
+ * version does not know about are carried along rather than dropped.
+ *
+ * The state's sortBy picks the order todos are shown in: "manual" (the
+ * list order, which moveTodo changes), "due" or "priority". Todos without
+ * the field sort last, and ties keep their list order.
+ *
+ * No DOM dependencies: loads in the page, in Node and in workers.
+ */
+
+(function (root, factory) {
+  const details = factory();
+  if (typeof module === "object" && module.exports) {
+    module.exports = details;
+  } else {
+    root.TodoDetails = details;
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const PRIORITIES = Object.freeze({ 1: "High", 2: "Medium", 3: "Low" });
+  const SORTS = ["manual", "due", "priority"];
+
+  // The action that sets each field, e.g. { type: "setDue", id, due }
+  const DETAIL_ACTIONS = Object.freeze({
+    setDue: "due",
+    setPriority: "priority",
+    setNotes: "notes",
+  });
+
+  function isDate(value) {
+    const match =
+      typeof value === "string" && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) return false;
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+  }
+
+  function isPriority(value) {
+    return Number.isInteger(value) && value >= 1 && value <= 3;
+  }
+
+  const VALIDATORS = {
+    due: isDate,
+    priority: isPriority,
+    notes: (value) => typeof value === "string",
+  };
+
+  /**
+   * The problem with a todo's optional fields, or null when they are
+   * valid. null stands for an absent field.
+   */
+  function checkDetails(item) {
+    const invalid = Object.keys(VALIDATORS).find(
+      (name) => item[name] != null && !VALIDATORS[name](item[name]),
+    );
+    return invalid ? `${invalid} is not valid` : null;
+  }
+
+  /**
+   * item with one field set, or removed when value is null or "". An
+   * invalid value leaves item as it is.
+   */
+  function withDetail(item, name, value) {
+    if (value == null || value === "") {
+      if (!(name in item)) return item;
+      const { [name]: _, ...rest } = item;
+      return rest;
+    }
+    if (!VALIDATORS[name](value) || item[name] === value) return item;
+    return { ...item, [name]: value };
+  }
+
+  /**
+   * Today's date in the user's time zone, as "YYYY-MM-DD"
+   */
+  function localDate(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * "overdue", "today" or null for an active todo's due date. Completed
+   * todos are never overdue.
+   */
+  function dueStatus(item, today) {
+    if (item.completed || !isDate(item.due)) return null;
+    if (item.due < today) return "overdue";
+    return item.due === today ? "today" : null;
+  }
+
+  function sortOf(state) {
+    return SORTS.includes(state.sortBy) ? state.sortBy : "manual";
+  }
+
+  // Todos missing the key sort after every todo that has it
+  const byKey = (key) => (a, b) => {
+    const x = key(a);
+    const y = key(b);
+    if (x === y) return 0;
+    if (x === undefined) return 1;
+    if (y === undefined) return -1;
+    return x < y ? -1 : 1;
+  };
+
+  const COMPARATORS = {
+    due: byKey((item) => (isDate(item.due) ? item.due : undefined)),
+    priority: byKey((item) =>
+      isPriority(item.priority) ? item.priority : undefined,
+    ),
+  };
+
+  /**
+   * items in the order sort shows them in (Array.prototype.sort is stable)
+   */
+  function sortItems(items, sort) {
+    return COMPARATORS[sort] ? [...items].sort(COMPARATORS[sort]) : items;
+  }
+
+  return {
+    PRIORITIES,
+    SORTS,
+    DETAIL_ACTIONS,
+    isDate,
+    isPriority,
+    checkDetails,
+    withDetail,
+    localDate,
+    dueStatus,
+    sortOf,
+    sortItems,
+  };
+});
@@ -0,0 +1,317 @@
+/**
+ * TodoMVC - Developer Panel
+ *
+ * A drawer listing every dispatched action with what it changed in the
+ * state, how long the engine took and which engine ran it (the Lean WASM
+ * module, the JavaScript fallback or a plugin), the time and engine of the
+ * render that followed, and what the module printed to stdout and stderr.
+ * It opens with ?devtools=1 or the D key (see app.js) and records while
+ * closed, so the actions leading up to a problem are there once it opens.
+ *
+ * diffStates() compares two parsed states structurally. Lists of todos are
+ * matched by id, so a toggle reads as one changed field rather than a
+ * changed list:
+ *
+ *   { kind: "changed", path: "items[id=3].completed", before: false, after: true }
+ *   { kind: "added", path: "items[id=4]", after: { id: 4, ... } }
+ *   { kind: "moved", path: "items", before: [0, 1], after: [1, 0] }
+ *
+ * diffStates() has no DOM dependencies and also loads in Node.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TodoDevtools = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const TOGGLE_SHORTCUT = "d";
+
+  // Older entries are dropped so a long session does not grow the page
+  const MAX_ENTRIES = 200;
+  const MAX_OUTPUT_LINES = 500;
+
+  /**
+   * Check whether the panel was asked to open in the query string
+   */
+  function isRequested(search) {
+    return new URLSearchParams(search).get("devtools") === "1";
+  }
+
+  /* Structural diff */
+
+  const isObject = (value) =>
+    Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+  // A list of objects with distinct integer ids, such as state.items
+  function isKeyedList(value) {
+    return (
+      Array.isArray(value) &&
+      value.every((item) => isObject(item) && Number.isInteger(item.id)) &&
+      new Set(value.map((item) => item.id)).size === value.length
+    );
+  }
+
+  const join = (path, key) => (path ? `${path}.${key}` : key);
+
+  function diffValues(before, after, path, changes) {
+    if (isObject(before) && isObject(after)) {
+      const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+      keys.forEach((key) => {
+        const child = join(path, key);
+        if (!(key in after)) {
+          changes.push({ kind: "removed", path: child, before: before[key] });
+        } else if (!(key in before)) {
+          changes.push({ kind: "added", path: child, after: after[key] });
+        } else {
+          diffValues(before[key], after[key], child, changes);
+        }
+      });
+    } else if (isKeyedList(before) && isKeyedList(after)) {
+      diffKeyedLists(before, after, path, changes);
+    } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes.push({ kind: "changed", path, before, after });
+    }
+  }
+
+  function diffKeyedLists(before, after, path, changes) {
+    const beforeById = new Map(before.map((item) => [item.id, item]));
+    const afterById = new Map(after.map((item) => [item.id, item]));
+    const itemPath = (id) => `${path}[id=${id}]`;
+
+    before.forEach((item) => {
+      if (afterById.has(item.id)) {
+        diffValues(item, afterById.get(item.id), itemPath(item.id), changes);
+      } else {
+        changes.push({
+          kind: "removed",
+          path: itemPath(item.id),
+          before: item,
+        });
+      }
+    });
+    after
+      .filter((item) => !beforeById.has(item.id))
+      .forEach((item) =>
+        changes.push({ kind: "added", path: itemPath(item.id), after: item }),
+      );
+
+    // Additions and removals aside, did the todos that stayed move?
+    const kept = before
+      .map((item) => item.id)
+      .filter((id) => afterById.has(id));
+    const keptAfter = after
+      .map((item) => item.id)
+      .filter((id) => beforeById.has(id));
+    if (kept.some((id, index) => id !== keptAfter[index])) {
+      changes.push({ kind: "moved", path, before: kept, after: keptAfter });
+    }
+  }
+
+  /**
+   * What changed between two parsed states, as a list of
+   * { kind, path, before, after } with kind one of "changed", "added",
+   * "removed" and "moved"; [] when they are the same
+   */
+  function diffStates(before, after) {
+    const changes = [];
+    diffValues(before, after, "", changes);
+    return changes;
+  }
+
+  /**
+   * One change as a line of text, e.g. items[id=3].completed: false → true
+   */
+  function describeChange(change) {
+    const show = (value) => {
+      const json = JSON.stringify(value);
+      return json.length > 80 ? json.slice(0, 79) + "…" : json;
+    };
+    switch (change.kind) {
+      case "added":
+        return `+ ${change.path}: ${show(change.after)}`;
+      case "removed":
+        return `- ${change.path}: ${show(change.before)}`;
+      case "moved":
+        return `${change.path} reordered: ${change.before.join(", ")} → ${change.after.join(", ")}`;
+      default:
+        return `${change.path}: ${show(change.before)} → ${show(change.after)}`;
+    }
+  }
+
+  const formatMs = (ms) => `${ms.toFixed(1)} ms`;
+
+  /* The panel */
+
+  /**
+   * Create the panel inside the given container, hidden until toggled
+   */
+  function createPanel(container) {
+    let step = 0;
+    // The last action, until a render is recorded against it
+    let unrendered = null;
+    let returnFocus = null;
+
+    container.innerHTML =
+      "<h3>Developer panel</h3>" +
+      '<p class="devtools-engines"></p>' +
+      '<div class="devtools-controls">' +
+      '<button class="devtools-clear">Clear</button>' +
+      '<button class="devtools-close">Close</button>' +
+      "</div>" +
+      "<h4>Actions</h4>" +
+      '<ol class="devtools-actions"></ol>' +
+      "<h4>Module output</h4>" +
+      '<pre class="devtools-output"></pre>';
+
+    const engines = container.querySelector(".devtools-engines");
+    const actions = container.querySelector(".devtools-actions");
+    const output = container.querySelector(".devtools-output");
+
+    const trim = (parent, max) => {
+      while (parent.children.length > max) parent.firstElementChild.remove();
+    };
+
+    function addEntry(summaryText) {
+      const entry = document.createElement("li");
+      const details = document.createElement("details");
+      const summary = document.createElement("summary");
+      summary.textContent = summaryText;
+      details.appendChild(summary);
+      entry.appendChild(details);
+      actions.appendChild(entry);
+      trim(actions, MAX_ENTRIES);
+      return { entry, details, summary };
+    }
+
+    const panel = {
+      get open() {
+        return !container.classList.contains("hidden");
+      },
+
+      /**
+       * Show or hide the panel (force says which), moving focus into it
+       * when it opens, unless focus is false, and back where it was when
+       * it closes
+       */
+      toggle(force = !panel.open, { focus = true } = {}) {
+        if (force === panel.open) return;
+        container.classList.toggle("hidden", !force);
+        if (force && focus) {
+          returnFocus = document.activeElement;
+          container.focus();
+        } else if (container.contains(document.activeElement)) {
+          if (returnFocus && returnFocus.isConnected) returnFocus.focus();
+          returnFocus = null;
+        }
+      },
+
+      /**
+       * Which engine each export runs on, e.g. { processAction: "wasm" },
+       * and the engine overall ("wasm", "mixed" or "js")
+       */
+      engines(active, byExport) {
+        engines.textContent =
+          `Engine: ${active} (` +
+          Object.entries(byExport)
+            .map(([name, engine]) => `${name}: ${engine}`)
+            .join(", ") +
+          ")";
+      },
+
+      /**
+       * Record an action run by engine in ms milliseconds, taking the
+       * state from beforeJson to afterJson. What it changed is only
+       * worked out when its entry is opened, so recording costs no parse.
+       */
+      action({ action, engine, ms, beforeJson, afterJson }) {
+        step++;
+        const text =
+          `#${step} ${action.type} · ${engine} ${formatMs(ms)}` +
+          (beforeJson === afterJson ? " · no change" : "");
+        const { entry, details, summary } = addEntry(text);
+        unrendered = { entry, summary, text };
+
+        const actionJson = document.createElement("pre");
+        actionJson.textContent = JSON.stringify(action);
+        details.appendChild(actionJson);
+
+        if (beforeJson === afterJson) return;
+        details.addEventListener(
+          "toggle",
+          () => {
+            const list = document.createElement("ul");
+            list.className = "devtools-diff";
+            diffStates(JSON.parse(beforeJson), JSON.parse(afterJson)).forEach(
+              (change) => {
+                const item = document.createElement("li");
+                item.className = `devtools-${change.kind}`;
+                item.textContent = describeChange(change);
+                list.appendChild(item);
+              },
+            );
+            details.appendChild(list);
+          },
+          { once: true },
+        );
+      },
+
+      /**
+       * Record a render: engineMs in renderState on engine, totalMs with
+       * patching the page. It belongs to the last action, if that has not
+       * been rendered yet.
+       */
+      rendered({ engine, engineMs, totalMs }) {
+        const timing =
+          `render ${engine} ${formatMs(engineMs)}, ` +
+          `${formatMs(totalMs)} in all`;
+        if (unrendered && unrendered.entry.isConnected) {
+          unrendered.summary.textContent = `${unrendered.text} · ${timing}`;
+        } else {
+          addEntry(timing).entry.classList.add("devtools-render");
+        }
+        unrendered = null;
+      },
+
+      /**
+       * Record a line the module printed on stream ("stdout" or "stderr")
+       */
+      output(stream, text) {
+        const line = document.createElement("span");
+        line.className = `devtools-${stream}`;
+        line.textContent = text + "\n";
+        output.appendChild(line);
+        trim(output, MAX_OUTPUT_LINES);
+      },
+
+      /**
+       * Forget the recorded actions and output
+       */
+      clear() {
+        actions.textContent = "";
+        output.textContent = "";
+        unrendered = null;
+      },
+    };
+
+    container
+      .querySelector(".devtools-clear")
+      .addEventListener("click", () => panel.clear());
+    container
+      .querySelector(".devtools-close")
+      .addEventListener("click", () => panel.toggle(false));
+
+    return panel;
+  }
+
+  return {
+    TOGGLE_SHORTCUT,
+    isRequested,
+    diffStates,
+    describeChange,
+    createPanel,
+  };
+});
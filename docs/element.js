@@ -0,0 +1,389 @@
+/**
+ * TodoMVC - <todo-mvc> Element
+ *
+ * The todo list as a custom element, for putting one or more lists on any
+ * page:
+ *
+ *   <script src="todomvc/engine.js"></script>
+ *   ...the other scripts listed in README.md...
+ *   <script src="todomvc/element.js"></script>
+ *
+ *   <todo-mvc storage-key="work" hash-routing></todo-mvc>
+ *   <todo-mvc storage-key="home"></todo-mvc>
+ *
+ * Each element keeps its own state and renders into its own shadow root,
+ * styled by the todomvc.css and view.css next to this script. All the
+ * elements on a page share one engine: one engine worker, and so one Lean
+ * module, loaded when the first of them connects, or the JavaScript
+ * reducer alone when the page is opened with ?engine=js (see engine.js).
+ * Where the worker or module cannot load (the scripts served from another
+ * origin, say) they use the JavaScript engine instead.
+ *
+ * Attributes, which can be changed at any time:
+ *   storage-key   the localStorage key the list is saved under; without
+ *                 one the list starts empty on every load. Changing it
+ *                 switches to the list saved under the new key.
+ *   hash-routing  the filter and tag search follow location.hash and are
+ *                 written back to it, as on the page (see router.js).
+ *                 There is one URL, so only the first element with it
+ *                 follows the URL; another logs a warning and takes over
+ *                 when that one is removed or loses the attribute.
+ *
+ * Every action that changes the state fires a "todochange" event on the
+ * element, which bubbles out of the shadow root, with detail
+ * { state, action, previousState }. element.ready resolves once the
+ * element has first rendered, element.getState() returns a copy of its
+ * state (null until then) and element.dispatch(action) resolves once the
+ * action is applied.
+ *
+ * The element has the TodoMVC interactions, tags and the details editor.
+ * Undo, search, selection, the keyboard shortcuts and syncing stay with
+ * the full page (app.js).
+ */
+
+(function () {
+  "use strict";
+
+  // The engine and stylesheets are found next to this script, wherever
+  // the page embedding it lives
+  const BASE_URL = document.currentScript
+    ? document.currentScript.src
+    : document.baseURI;
+  const STYLESHEETS = ["todomvc.css", "view.css"];
+
+  // What todomvc.css sets on body, which a shadow root does not have
+  const HOST_STYLE = `
+    :host {
+      display: block;
+      min-width: 230px;
+      max-width: 550px;
+      margin: 0 auto;
+      font: 14px "Helvetica Neue", Helvetica, Arial, sans-serif;
+      line-height: 1.4em;
+      color: #111111;
+      font-weight: 300;
+      -webkit-font-smoothing: antialiased;
+      -moz-osx-font-smoothing: grayscale;
+    }
+    :host([hidden]) {
+      display: none;
+    }
+  `;
+
+  const jsAPI = TodoController.jsEngine;
+  const log = TodoLogger.shared;
+
+  let sharedEngine = null;
+
+  // The element following the URL, and those with hash-routing waiting
+  // for it to let go, first come first served
+  let routedElement = null;
+  const waitingForRoute = new Set();
+
+  /**
+   * The engine all the elements use, loaded by the first call: the Lean
+   * exports the worker found, with the JavaScript engine standing in for
+   * any it did not and for the actions Lean lacks, or with ?engine=js the
+   * JavaScript engine alone
+   */
+  function loadEngine() {
+    if (sharedEngine) return sharedEngine;
+
+    sharedEngine = (async () => {
+      let client = null;
+      let exports = {};
+      if (TodoEngine.isRequested(window.location.search)) {
+        try {
+          client = TodoEngine.createWorkerClient(
+            new URL("engine-worker.js", BASE_URL).href,
+          );
+          exports = await client.load("main.wasm.gz", {
+            manifestUrl: "wasm-manifest.json",
+          });
+        } catch (error) {
+          log.warn("<todo-mvc> is using the JavaScript engine:", error);
+          if (client) client.terminate();
+        }
+      }
+
+      const wasm = {};
+      Object.keys(jsAPI).forEach((name) => {
+        if (exports[name]) wasm[name] = (...args) => client.call(name, ...args);
+      });
+      // Lean runs what it can answer in full (see hybrid.js). A call the
+      // schema turns away leaves the element's state as it was.
+      const { engineFor, ...engine } = TodoHybrid.combine({ wasm, js: jsAPI });
+      return TodoSchema.guardEngine(engine);
+    })();
+    return sharedEngine;
+  }
+
+  function todoIdOf(element) {
+    return parseInt(element.closest("li").dataset.id, 10);
+  }
+
+  class TodoMvcElement extends HTMLElement {
+    static observedAttributes = ["storage-key", "hash-routing"];
+
+    #app;
+    #engine = null;
+    #list = null;
+    #router = null;
+    #started = false;
+    #ready;
+    #resolveReady;
+    #rejectReady;
+
+    constructor() {
+      super();
+      this.#ready = new Promise((resolve, reject) => {
+        this.#resolveReady = resolve;
+        this.#rejectReady = reject;
+      });
+      // Failing to start is logged; awaiting ready is optional
+      this.#ready.catch(() => {});
+
+      const styles = STYLESHEETS.map((file) => {
+        const link = document.createElement("link");
+        link.rel = "stylesheet";
+        link.href = new URL(file, BASE_URL).href;
+        return link;
+      });
+      const hostStyle = document.createElement("style");
+      hostStyle.textContent = HOST_STYLE;
+      this.#app = document.createElement("div");
+
+      this.attachShadow({ mode: "open" }).append(
+        ...styles,
+        hostStyle,
+        this.#app,
+      );
+      this.#listen();
+    }
+
+    get ready() {
+      return this.#ready;
+    }
+
+    getState() {
+      return this.#list ? this.#list.getState() : null;
+    }
+
+    dispatch(action) {
+      return this.#ready.then(() => this.#list.update(() => [action]));
+    }
+
+    connectedCallback() {
+      if (!this.#started) {
+        this.#started = true;
+        this.#start();
+      } else if (this.#list && this.#list.stateJson()) {
+        this.#startRouting();
+      }
+    }
+
+    disconnectedCallback() {
+      this.#stopRouting();
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+      if (oldValue === newValue) return;
+      // Before it has started, the element reads its attributes then
+      this.#ready.then(
+        () => {
+          const options = TodoController.optionsOf(this);
+          if (name === "storage-key") {
+            this.#list.useStorageKey(options.storageKey);
+          } else if (options.hashRouting) {
+            this.#startRouting();
+          } else {
+            this.#stopRouting();
+          }
+        },
+        () => {},
+      );
+    }
+
+    async #start() {
+      try {
+        this.#engine = await loadEngine();
+        this.#list = TodoController.createList({
+          engine: this.#engine,
+          storageKey: TodoController.optionsOf(this).storageKey,
+          onChange: (detail) =>
+            this.dispatchEvent(
+              new CustomEvent("todochange", {
+                bubbles: true,
+                composed: true,
+                detail,
+              }),
+            ),
+          render: () => this.#render(),
+          onError: (error) => log.error("<todo-mvc> update failed:", error),
+        });
+        await this.#list.start();
+        this.#startRouting();
+        this.#resolveReady();
+      } catch (error) {
+        log.error("<todo-mvc> failed to start:", error);
+        this.#rejectReady(error);
+      }
+    }
+
+    #startRouting() {
+      if (!TodoController.optionsOf(this).hashRouting || this.#router) return;
+      if (!this.isConnected || !this.#list || !this.#list.stateJson()) return;
+      if (routedElement) {
+        if (!waitingForRoute.has(this)) {
+          log.warn(
+            "<todo-mvc> hash-routing: another element already follows " +
+              "the URL, this one will once that one lets go",
+          );
+          waitingForRoute.add(this);
+        }
+        return;
+      }
+
+      // The filter and search of the URL, as applyRoute() in app.js
+      const applyRoute = (route) =>
+        this.#list.update((state) =>
+          TodoController.routeActions(state, {
+            filter: route.filter,
+            search: TodoRouter.searchOf(route),
+          }),
+        );
+      waitingForRoute.delete(this);
+      routedElement = this;
+      this.#router = TodoRouter.create({ onRoute: applyRoute });
+      applyRoute(this.#router.route());
+    }
+
+    /**
+     * Stop following the URL, handing it to the next element waiting
+     */
+    #stopRouting() {
+      waitingForRoute.delete(this);
+      if (!this.#router) return;
+
+      this.#router.close();
+      this.#router = null;
+      routedElement = null;
+      for (const element of waitingForRoute) {
+        waitingForRoute.delete(element);
+        element.#startRouting();
+        if (routedElement) break;
+      }
+    }
+
+    async #render() {
+      const stateJson = this.#list.stateJson();
+      const html = await this.#engine.renderState(stateJson);
+      const state = JSON.parse(stateJson);
+      const focus = TodoA11y.captureFocus(this.#app);
+
+      const view = TodoPatch.toFragment(html);
+      // Not the page's to take focus when the element loads
+      const input = view.querySelector(".new-todo");
+      if (input) input.removeAttribute("autofocus");
+      TodoA11y.label(view);
+      TodoPatch.patch(this.#app, view);
+
+      const editInput = this.#app.querySelector(".editing .edit");
+      if (state.editingId != null && editInput) {
+        if (this.shadowRoot.activeElement !== editInput) {
+          editInput.focus();
+          editInput.setSelectionRange(
+            editInput.value.length,
+            editInput.value.length,
+          );
+        }
+      } else if (focus.element) {
+        // Only focus that was in this element is put back
+        TodoA11y.restoreFocus(this.#app, focus);
+      }
+
+      if (this.#router) this.#router.sync(state);
+    }
+
+    /**
+     * Save the editor in li, as saveEdit() in app.js does
+     */
+    #saveEdit(li) {
+      const editor = TodoController.readEditor(li);
+      this.#list.update((state) => TodoController.editActions(state, editor));
+    }
+
+    #listen() {
+      const app = this.#app;
+      const apply = (action) => this.#list.update(() => [action]);
+
+      app.addEventListener("click", (e) => {
+        const { classList } = e.target;
+        if (classList.contains("toggle")) {
+          apply({ type: "toggleTodo", id: todoIdOf(e.target) });
+        } else if (classList.contains("destroy")) {
+          apply({ type: "deleteTodo", id: todoIdOf(e.target) });
+        } else if (classList.contains("toggle-all")) {
+          apply({ type: "toggleAll" });
+        } else if (e.target.hasAttribute("data-filter")) {
+          e.preventDefault();
+          apply({ type: "setFilter", filter: e.target.dataset.filter });
+        } else if (classList.contains("clear-completed")) {
+          apply({ type: "clearCompleted" });
+        } else if (classList.contains("tag")) {
+          e.preventDefault();
+          apply({ type: "toggleTag", tag: e.target.dataset.tag });
+        }
+      });
+
+      app.addEventListener("dblclick", (e) => {
+        if (e.target.tagName === "LABEL" && e.target.closest(".view")) {
+          apply({ type: "startEdit", id: todoIdOf(e.target) });
+        }
+      });
+
+      app.addEventListener("input", (e) => {
+        if (e.target.classList.contains("new-todo")) {
+          apply({ type: "enterText", text: e.target.value });
+        }
+      });
+
+      app.addEventListener("keydown", (e) => {
+        if (e.target.classList.contains("new-todo") && e.key === "Enter") {
+          apply({ type: "addTodo" });
+        }
+        // Enter saves, except in the notes where it is a new line
+        else if (
+          TodoController.isEditorField(e.target) &&
+          e.key === "Enter" &&
+          (e.target.tagName !== "TEXTAREA" || e.ctrlKey || e.metaKey)
+        ) {
+          e.preventDefault();
+          this.#saveEdit(e.target.closest("li"));
+        } else if (
+          TodoController.isEditorField(e.target) &&
+          e.key === "Escape"
+        ) {
+          apply({ type: "cancelEdit" });
+        }
+      });
+
+      // Leaving the editor saves it; moving between its fields does not
+      app.addEventListener(
+        "blur",
+        (e) => {
+          const li =
+            TodoController.isEditorField(e.target) && e.target.closest("li");
+          if (li && !(e.relatedTarget && li.contains(e.relatedTarget))) {
+            this.#saveEdit(li);
+          }
+        },
+        true,
+      );
+    }
+  }
+
+  if (!customElements.get("todo-mvc")) {
+    customElements.define("todo-mvc", TodoMvcElement);
+  }
+})();
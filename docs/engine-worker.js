@@ -0,0 +1,250 @@
+/**
+ * TodoMVC - Lean Engine Worker
+ *
+ * Hosts the Lean WASM module off the main thread. The page talks to it
+ * through the client in engine.js:
+ *
+ *   in:  { type: "load", wasmUrl, manifestUrl }
+ *        { type: "call", id, name, args }
+ *   out: { type: "progress", phase, loaded, total }
+ *        { type: "ready", exports }
+ *        { type: "result", id, value } or { type: "error", id, message }
+ *        { type: "output", stream, text }
+ *        { type: "log", level, args }
+ *
+ * "output" is the module's stdout and stderr. "log" is the worker's own
+ * lines, for the page's logger to show at its level (see logger.js).
+ *
+ * Messages are handled one at a time, so calls are answered in the order
+ * they were sent.
+ *
+ * The decompressed binary is kept in the Cache API under the content hash
+ * listed in wasm-manifest.json, so later visits (and offline ones) skip
+ * the download and DecompressionStream. A deploy with a new hash misses
+ * the cache and replaces the old entry.
+ */
+
+(function () {
+  "use strict";
+
+  // Argument types of the C-string wrappers in c/wasm_exports.c, for ccall
+  const EXPORTS = {
+    getInitialState: [],
+    processAction: ["string", "string"],
+    renderState: ["string"],
+  };
+
+  const WASM_CACHE = "todomvc-wasm";
+
+  let leanModule = null;
+
+  function log(level, ...args) {
+    self.postMessage({ type: "log", level, args });
+  }
+
+  function progress(phase, loaded = 0, total = null) {
+    self.postMessage({ type: "progress", phase, loaded, total });
+  }
+
+  /**
+   * Download the gzipped WASM, reporting bytes as they arrive
+   */
+  async function download(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(
+        `Failed to fetch WASM: ${response.status} ${response.statusText}`,
+      );
+    }
+
+    const total = parseInt(response.headers.get("Content-Length"), 10) || null;
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      loaded += value.byteLength;
+      progress("download", loaded, total);
+    }
+
+    return new Blob(chunks);
+  }
+
+  async function decompress(blob) {
+    progress("decompress");
+    const stream = blob.stream().pipeThrough(new DecompressionStream("gzip"));
+    return new Response(stream).arrayBuffer();
+  }
+
+  /**
+   * The SHA-256 of the deployed main.wasm.gz, or null when there is no
+   * manifest (e.g. a local build), in which case nothing is cached
+   */
+  async function fetchContentHash(manifestUrl) {
+    try {
+      const response = await fetch(manifestUrl, { cache: "no-cache" });
+      if (!response.ok) return null;
+      const manifest = await response.json();
+      return typeof manifest.sha256 === "string" ? manifest.sha256 : null;
+    } catch (error) {
+      log("warn", "No WASM manifest, caching disabled:", error.message);
+      return null;
+    }
+  }
+
+  async function sha256(blob) {
+    const digest = await crypto.subtle.digest(
+      "SHA-256",
+      await blob.arrayBuffer(),
+    );
+    return Array.from(new Uint8Array(digest), (byte) =>
+      byte.toString(16).padStart(2, "0"),
+    ).join("");
+  }
+
+  /**
+   * The Cache API is missing outside secure contexts; run uncached there
+   */
+  async function openWasmCache() {
+    if (typeof caches === "undefined") return null;
+    try {
+      return await caches.open(WASM_CACHE);
+    } catch (error) {
+      log("warn", "WASM cache unavailable:", error.message);
+      return null;
+    }
+  }
+
+  const cacheKey = (hash) => `wasm-cache/${hash}.wasm`;
+
+  async function readCached(cache, hash) {
+    const response = await cache.match(cacheKey(hash));
+    if (!response) return null;
+    progress("cache");
+    return response.arrayBuffer();
+  }
+
+  async function storeCached(cache, hash, wasmBinary) {
+    const keys = await cache.keys();
+    await Promise.all(keys.map((key) => cache.delete(key)));
+    await cache.put(
+      cacheKey(hash),
+      new Response(wasmBinary, {
+        headers: { "Content-Type": "application/wasm" },
+      }),
+    );
+  }
+
+  /**
+   * The decompressed binary, from the cache when the hash matches
+   */
+  async function fetchWasm(wasmUrl, manifestUrl) {
+    const hash = await fetchContentHash(manifestUrl);
+    const cache = hash ? await openWasmCache() : null;
+
+    const cached = cache ? await readCached(cache, hash) : null;
+    if (cached) {
+      log("info", `✓ Loaded ${cached.byteLength} bytes from the WASM cache`);
+      return cached;
+    }
+
+    const compressed = await download(wasmUrl);
+    const wasmBinary = await decompress(compressed);
+    log(
+      "info",
+      `✓ Decompressed ${compressed.size} bytes -> ${wasmBinary.byteLength} bytes`,
+    );
+
+    if (cache) {
+      if ((await sha256(compressed)) === hash) {
+        await storeCached(cache, hash, wasmBinary);
+      } else {
+        log("warn", `${wasmUrl} does not match ${manifestUrl}; not caching`);
+      }
+    }
+
+    return wasmBinary;
+  }
+
+  /**
+   * Look up an export the way Emscripten may expose it
+   */
+  function hasExport(name) {
+    return Boolean(
+      leanModule["_" + name] ||
+      leanModule[name] ||
+      (leanModule.asm && leanModule.asm[name]),
+    );
+  }
+
+  async function load(wasmUrl, manifestUrl) {
+    try {
+      self.importScripts("main.js");
+    } catch (error) {
+      throw new Error(`WASM module (main.js) not loaded: ${error.message}`);
+    }
+
+    const wasmBinary = await fetchWasm(wasmUrl, manifestUrl);
+
+    progress("instantiate");
+    try {
+      leanModule = await createLeanModule({
+        wasmBinary,
+        print: (text) =>
+          self.postMessage({ type: "output", stream: "stdout", text }),
+        printErr: (text) =>
+          self.postMessage({ type: "output", stream: "stderr", text }),
+      });
+    } catch (moduleError) {
+      throw new Error(
+        "WASM module initialization failed: " + moduleError.message,
+      );
+    }
+
+    const exports = {};
+    Object.keys(EXPORTS).forEach((name) => {
+      exports[name] = hasExport(name);
+    });
+    return exports;
+  }
+
+  function call(name, args) {
+    if (!leanModule) throw new Error("the Lean module is not loaded");
+    if (!(name in EXPORTS)) throw new Error(`unknown export ${name}`);
+    return leanModule.ccall(name, "string", EXPORTS[name], args);
+  }
+
+  self.addEventListener("message", async (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+      case "load":
+        try {
+          const exports = await load(message.wasmUrl, message.manifestUrl);
+          self.postMessage({ type: "ready", exports });
+        } catch (error) {
+          self.postMessage({ type: "error", id: null, message: error.message });
+        }
+        break;
+
+      case "call":
+        try {
+          const value = call(message.name, message.args);
+          self.postMessage({ type: "result", id: message.id, value });
+        } catch (error) {
+          self.postMessage({
+            type: "error",
+            id: message.id,
+            message: error.message,
+          });
+        }
+        break;
+
+      default:
+        log("warn", "Engine worker ignored message:", message);
+    }
+  });
+})();
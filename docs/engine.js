@@ -0,0 +1,122 @@
+/**
+ * TodoMVC - Engine Worker Client
+ *
+ * Async bridge to the Lean WASM module running in engine-worker.js. Every
+ * call returns a promise for the string the export returns; the worker
+ * answers in the order calls were made, so a sequence of processAction
+ * calls resolves in sequence.
+ */
+
+(function () {
+  "use strict";
+
+  /**
+   * Check whether the Lean engine should run the page: it does unless the
+   * query string asks for the JavaScript reducer alone (?engine=js)
+   */
+  function isRequested(search) {
+    return new URLSearchParams(search).get("engine") !== "js";
+  }
+
+  /**
+   * Start the worker. Nothing is downloaded until load() is called. The
+   * worker's own log lines go to TodoLogger.shared.
+   */
+  function createWorkerClient(scriptUrl = "engine-worker.js") {
+    const worker = new Worker(scriptUrl);
+    const pending = new Map();
+    let nextId = 0;
+    let loading = null;
+    let listeners = {};
+
+    function failAll(error) {
+      if (loading) loading.reject(error);
+      loading = null;
+      pending.forEach(({ reject }) => reject(error));
+      pending.clear();
+    }
+
+    worker.addEventListener("message", (event) => {
+      const message = event.data;
+
+      switch (message.type) {
+        case "progress":
+          if (listeners.onProgress) listeners.onProgress(message);
+          break;
+
+        case "output":
+          if (listeners.onLog) listeners.onLog(message.stream, message.text);
+          break;
+
+        case "log":
+          TodoLogger.shared[message.level](...message.args);
+          break;
+
+        case "ready":
+          if (loading) loading.resolve(message.exports);
+          loading = null;
+          break;
+
+        case "result":
+        case "error": {
+          if (message.id === null) {
+            failAll(new Error(message.message));
+            break;
+          }
+          const request = pending.get(message.id);
+          if (!request) break;
+          pending.delete(message.id);
+          if (message.type === "result") {
+            request.resolve(message.value);
+          } else {
+            request.reject(new Error(message.message));
+          }
+          break;
+        }
+      }
+    });
+
+    // The worker script itself failed to load or threw at the top level
+    worker.addEventListener("error", (event) => {
+      event.preventDefault();
+      failAll(new Error(`Engine worker failed: ${event.message || "error"}`));
+    });
+
+    return {
+      /**
+       * Download (or read from the cache) and instantiate the module.
+       * Resolves with the exports that were found, e.g.
+       * { processAction: true, ... }. manifestUrl names the JSON file
+       * holding the content hash of wasmUrl.
+       * onProgress receives { phase, loaded, total } with phase one of
+       * "download", "decompress", "cache" or "instantiate"; onLog receives
+       * the module's (stream, text) output.
+       */
+      load(wasmUrl, { manifestUrl, onProgress, onLog } = {}) {
+        listeners = { onProgress, onLog };
+        return new Promise((resolve, reject) => {
+          loading = { resolve, reject };
+          worker.postMessage({ type: "load", wasmUrl, manifestUrl });
+        });
+      },
+
+      call(name, ...args) {
+        const id = nextId++;
+        return new Promise((resolve, reject) => {
+          pending.set(id, { resolve, reject });
+          worker.postMessage({ type: "call", id, name, args });
+        });
+      },
+
+      terminate() {
+        worker.terminate();
+        failAll(new Error("Engine worker terminated"));
+      },
+    };
+  }
+
+  window.TodoEngine = {
+    isRequested,
+    createWorkerClient,
+  };
+})();
@@ -0,0 +1,41 @@
+/**
+ * TodoMVC - File Helpers
+ *
+ * Small helpers for moving text in and out of the page as files.
+ */
+
+(function () {
+  "use strict";
+
+  /**
+   * Trigger a browser download of a text file
+   */
+  function download(filename, text, type = "application/json") {
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Read a File (e.g. from an <input type="file">) as text
+   */
+  function readText(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsText(file);
+    });
+  }
+
+  window.TodoFiles = {
+    download,
+    readText,
+  };
+})();
@@ -0,0 +1,386 @@
+/**
+ * TodoMVC - Import and Export Formats
+ *
+ * Converts the todo list to and from:
+ * - the native state JSON,
+ * - a Markdown checklist ("- [ ] text" / "- [x] text"), and
+ * - CSV with a header row (id,text,completed,due,priority,notes).
+ *
+ * JSON and CSV carry each todo's due date, priority and notes (see
+ * details.js); a Markdown checklist has only the text and the checkbox.
+ *
+ * Parsing reports every malformed line instead of stopping at the first.
+ * Imports never write the state directly: importActions() turns parsed
+ * items into reducer actions, so ids are minted as for typed todos (see
+ * ids.js) and the filter rules of the reducer apply as if the todos had
+ * been typed in.
+ *
+ * Like reducer.js this has no DOM dependencies and also loads in Node.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./details.js"), require("./ids.js"));
+  } else {
+    root.TodoFormats = factory(root.TodoDetails, root.TodoIds);
+  }
+})(typeof self !== "undefined" ? self : this, function (TodoDetails, TodoIds) {
+  "use strict";
+
+  const FORMATS = {
+    json: { extension: "json", type: "application/json" },
+    markdown: { extension: "md", type: "text/markdown" },
+    csv: { extension: "csv", type: "text/csv" },
+  };
+
+  /* Export */
+
+  // Markdown punctuation that could change how a checklist line reads
+  const MARKDOWN_SPECIAL = /[\\`*_[\]<>~|#]/g;
+
+  function escapeMarkdown(text) {
+    return text.replace(/\r?\n/g, " ").replace(MARKDOWN_SPECIAL, "\\$&");
+  }
+
+  // RFC 4180: quote fields holding a comma, quote or line break
+  function escapeCsv(field) {
+    const text = String(field);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function toMarkdown(items) {
+    return items
+      .map(
+        (item) =>
+          `- [${item.completed ? "x" : " "}] ${escapeMarkdown(item.text)}\n`,
+      )
+      .join("");
+  }
+
+  const CSV_COLUMNS = ["id", "text", "completed", "due", "priority", "notes"];
+
+  function toCsv(items) {
+    const rows = [CSV_COLUMNS].concat(
+      items.map((item) => [
+        item.id,
+        item.text,
+        item.completed,
+        item.due || "",
+        item.priority || "",
+        item.notes || "",
+      ]),
+    );
+    return rows.map((row) => row.map(escapeCsv).join(",") + "\r\n").join("");
+  }
+
+  /**
+   * Serialize the state's items. Returns { filename, text, type }.
+   */
+  function exportState(state, format) {
+    const { extension, type } = FORMATS[format];
+    const text = {
+      json: () => JSON.stringify(state, null, 2) + "\n",
+      markdown: () => toMarkdown(state.items),
+      csv: () => toCsv(state.items),
+    }[format]();
+
+    return { filename: `todos.${extension}`, text, type };
+  }
+
+  /* Import */
+
+  const DETAILS = ["due", "priority", "notes"];
+
+  // The optional fields an imported item carries, without the absent ones
+  function detailsOf(item) {
+    const details = {};
+    DETAILS.forEach((name) => {
+      if (item[name] != null && item[name] !== "") details[name] = item[name];
+    });
+    return details;
+  }
+
+  /**
+   * Guess the format from the file name, then from the content
+   */
+  function detectFormat(filename, text) {
+    const extension = filename.split(".").pop().toLowerCase();
+    if (extension === "json") return "json";
+    if (extension === "md" || extension === "markdown") return "markdown";
+    if (extension === "csv") return "csv";
+
+    const trimmed = text.trim();
+    if (trimmed.startsWith("{") || trimmed.startsWith("[")) return "json";
+    if (/^\s*[-*+] \[[ xX]\]/.test(trimmed)) return "markdown";
+    return "csv";
+  }
+
+  function parseJson(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      return { items: [], errors: [{ line: null, message: error.message }] };
+    }
+
+    // Accept a whole state or just its items array
+    const list = Array.isArray(data) ? data : data && data.items;
+    if (!Array.isArray(list)) {
+      return {
+        items: [],
+        errors: [
+          { line: null, message: "expected a state with an items array" },
+        ],
+      };
+    }
+
+    const items = [];
+    const errors = [];
+    // JSON has no rows, so problems are located by item index instead
+    list.forEach((item, index) => {
+      if (!item || typeof item !== "object") {
+        errors.push({ line: null, message: `item ${index} is not an object` });
+      } else if (typeof item.text !== "string") {
+        errors.push({ line: null, message: `item ${index} has no text` });
+      } else if (typeof item.completed !== "boolean") {
+        errors.push({
+          line: null,
+          message: `item ${index}: completed must be true or false`,
+        });
+      } else if (TodoDetails.checkDetails(item)) {
+        errors.push({
+          line: null,
+          message: `item ${index}: ${TodoDetails.checkDetails(item)}`,
+        });
+      } else {
+        items.push({
+          text: item.text,
+          completed: item.completed,
+          ...detailsOf(item),
+          line: null,
+          index,
+        });
+      }
+    });
+
+    return { items, errors };
+  }
+
+  function parseMarkdown(text) {
+    const items = [];
+    const errors = [];
+
+    text.split(/\r?\n/).forEach((raw, index) => {
+      const line = index + 1;
+      if (raw.trim() === "" || /^\s*#/.test(raw)) return;
+
+      const match = /^\s*[-*+] \[([ xX])\] (.*)$/.exec(raw);
+      if (!match) {
+        errors.push({ line, message: "not a checklist item (- [ ] text)" });
+        return;
+      }
+      items.push({
+        // CommonMark backslash escapes
+        text: match[2].replace(/\\([!-/:-@[-`{-~])/g, "$1"),
+        completed: match[1] !== " ",
+        line,
+      });
+    });
+
+    return { items, errors };
+  }
+
+  /**
+   * Split CSV into records of fields, tracking the line each starts on.
+   * Quoted fields may span lines.
+   */
+  function splitCsv(text) {
+    const records = [];
+    let record = [];
+    let field = "";
+    let quoted = false;
+    let line = 1;
+    let start = 1;
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          if (ch === "\n") line++;
+          field += ch;
+        }
+      } else if (ch === '"' && field === "") {
+        quoted = true;
+      } else if (ch === ",") {
+        record.push(field);
+        field = "";
+      } else if (ch === "\n" || ch === "\r") {
+        if (ch === "\r" && text[i + 1] === "\n") i++;
+        record.push(field);
+        records.push({ line: start, fields: record });
+        record = [];
+        field = "";
+        line++;
+        start = line;
+      } else {
+        field += ch;
+      }
+    }
+
+    if (quoted) {
+      return { records, error: { line: start, message: "unclosed quote" } };
+    }
+    if (field !== "" || record.length > 0) {
+      record.push(field);
+      records.push({ line: start, fields: record });
+    }
+    return { records, error: null };
+  }
+
+  const BOOLEANS = new Map([
+    ["true", true],
+    ["false", false],
+    ["1", true],
+    ["0", false],
+    ["yes", true],
+    ["no", false],
+    ["x", true],
+    ["", false],
+  ]);
+
+  function parseCsv(text) {
+    const { records, error } = splitCsv(text);
+    const rows = records.filter(
+      ({ fields }) => !(fields.length === 1 && fields[0].trim() === ""),
+    );
+    const errors = error ? [error] : [];
+
+    if (rows.length === 0) return { items: [], errors };
+
+    const header = rows[0].fields.map((name) => name.trim().toLowerCase());
+    const textColumn = header.indexOf("text");
+    const completedColumn = header.indexOf("completed");
+    if (textColumn === -1) {
+      return {
+        items: [],
+        errors: [{ line: rows[0].line, message: 'no "text" column in header' }],
+      };
+    }
+
+    const items = [];
+    rows.slice(1).forEach(({ line, fields }) => {
+      if (fields.length !== header.length) {
+        errors.push({
+          line,
+          message: `expected ${header.length} fields, found ${fields.length}`,
+        });
+        return;
+      }
+
+      const completed =
+        completedColumn === -1
+          ? false
+          : BOOLEANS.get(fields[completedColumn].trim().toLowerCase());
+      if (completed === undefined) {
+        errors.push({ line, message: "completed must be true or false" });
+        return;
+      }
+
+      // due, priority and notes are optional columns; blank means none
+      const column = (name) =>
+        header.includes(name) ? fields[header.indexOf(name)].trim() : "";
+      const priority = column("priority");
+      const details = {
+        due: column("due"),
+        priority: priority === "" ? null : Number(priority),
+        notes: header.includes("notes") ? fields[header.indexOf("notes")] : "",
+      };
+      const problem = TodoDetails.checkDetails(detailsOf(details));
+      if (problem) {
+        errors.push({ line, message: problem });
+        return;
+      }
+      items.push({
+        text: fields[textColumn],
+        completed,
+        ...detailsOf(details),
+        line,
+      });
+    });
+
+    return { items, errors };
+  }
+
+  /**
+   * Parse an import. Returns { items: [{ text, completed, line }], errors:
+   * [{ line, message }] }, where line is null for JSON. Items also carry
+   * the due, priority and notes they were given. Items whose text is
+   * blank are reported too, as the reducer would drop them.
+   */
+  function parseImport(text, format) {
+    const parsers = { json: parseJson, markdown: parseMarkdown, csv: parseCsv };
+    const result = parsers[format](text);
+
+    const items = [];
+    result.items.forEach((item) => {
+      if (item.text.trim() !== "") {
+        items.push(item);
+      } else if (item.line === null) {
+        result.errors.push({
+          line: null,
+          message: `item ${item.index}: text is empty`,
+        });
+      } else {
+        result.errors.push({ line: item.line, message: "text is empty" });
+      }
+    });
+
+    result.errors.sort((a, b) => (a.line || 0) - (b.line || 0));
+    return { items, errors: result.errors };
+  }
+
+  /**
+   * The reducer actions that import items into the state. "replace"
+   * deletes the current items first; "merge" appends. Each item is typed
+   * in with enterText/addTodo, so it gets the next id; completed items are
+   * then toggled and due, priority and notes set. The pending text is put
+   * back at the end.
+   */
+  function importActions(state, items, mode) {
+    const actions = [];
+
+    if (mode === "replace") {
+      state.items.forEach((item) => {
+        actions.push({ type: "deleteTodo", id: item.id });
+      });
+    }
+
+    items.forEach((item, index) => {
+      const id = TodoIds.newId(state, index);
+      actions.push({ type: "enterText", text: item.text });
+      actions.push({ type: "addTodo" });
+      if (item.completed) actions.push({ type: "toggleTodo", id });
+      Object.entries(TodoDetails.DETAIL_ACTIONS).forEach(([type, field]) => {
+        if (field in item) {
+          actions.push({ type, id, [field]: item[field] });
+        }
+      });
+    });
+
+    actions.push({ type: "enterText", text: state.pendingText });
+    return actions;
+  }
+
+  return {
+    FORMATS,
+    exportState,
+    detectFormat,
+    parseImport,
+    importActions,
+  };
+});
@@ -0,0 +1,99 @@
+/**
+ * TodoMVC - Action History
+ *
+ * Every state change goes through dispatch() as a pure
+ * (stateJson, actionJson) -> stateJson step, so undo and redo only need
+ * to remember the sequence of resulting states. The history keeps a
+ * bounded list of { action, stateJson } entries plus a cursor; moving the
+ * cursor restores a state exactly, including nextId and selectedFilter.
+ *
+ * No DOM dependencies: loads in the page and in Node.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TodoHistory = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const DEFAULT_LIMIT = 100;
+
+  /**
+   * Create a history starting from the given state
+   */
+  function create(initialStateJson, limit = DEFAULT_LIMIT) {
+    const history = {
+      entries: [{ action: null, stateJson: initialStateJson }],
+      index: 0,
+
+      /**
+       * The state at the cursor
+       */
+      current() {
+        return history.entries[history.index].stateJson;
+      },
+
+      /**
+       * Record the state produced by an action. Anything after the cursor
+       * is discarded, and consecutive enterText steps are merged so that
+       * typing does not flood the history.
+       */
+      push(action, stateJson) {
+        history.entries.splice(history.index + 1);
+
+        const top = history.entries[history.index];
+        if (
+          action.type === "enterText" &&
+          top.action &&
+          top.action.type === "enterText"
+        ) {
+          history.entries[history.index] = { action, stateJson };
+          return;
+        }
+
+        history.entries.push({ action, stateJson });
+        if (history.entries.length > limit) {
+          history.entries.shift();
+        }
+        history.index = history.entries.length - 1;
+      },
+
+      canUndo() {
+        return history.index > 0;
+      },
+
+      canRedo() {
+        return history.index < history.entries.length - 1;
+      },
+
+      /**
+       * Move the cursor to an entry and return its state
+       */
+      jumpTo(index) {
+        history.index = Math.max(
+          0,
+          Math.min(index, history.entries.length - 1),
+        );
+        return history.current();
+      },
+
+      undo() {
+        return history.jumpTo(history.index - 1);
+      },
+
+      redo() {
+        return history.jumpTo(history.index + 1);
+      },
+    };
+
+    return history;
+  }
+
+  return {
+    DEFAULT_LIMIT,
+    create,
+  };
+});
@@ -0,0 +1,173 @@
+/**
+ * TodoMVC - Hybrid Engine
+ *
+ * The Lean module knows seven actions (Action in App.lean) and a state of
+ * items, selectedFilter, pendingText and nextId (TodoState in Types.lean);
+ * items keep their due date, priority and notes, and any field Lean does
+ * not know as it came (TodoItem.extra), and its toJson leaves out the
+ * other fields of the state. Editing, search, ordering, the bulk and detail
+ * actions and site ids exist only in the JavaScript reducer. combine()
+ * puts the two engines behind one leanAPI-shaped object that sends every
+ * call to an engine able to answer it in full:
+ *
+ *   processAction goes to Lean for one of its seven actions, as long as
+ *     nothing the action reads is outside the Lean state: the details the
+ *     todos carry are set and valid, no todo is being edited (deleteTodo and
+ *     clearCompleted end the edit) and, for addTodo, the list has no site
+ *     id (ids are minted per site, see ids.js). The fields Lean left out
+ *     are copied back from the state it was given.
+ *   getInitialState comes from Lean, with the JavaScript defaults for
+ *     the other fields.
+ *   renderState goes to Lean when its view shows the whole state: todos
+ *     with no details or #tags, no edit open, no search and the manual
+ *     order.
+ *
+ * Everything else goes to JavaScript. test/test_hybrid.js checks that the
+ * combination agrees with the JavaScript reducer on every action type.
+ *
+ * No DOM dependencies: loads in the page, in Node and in workers.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(
+      require("./search.js"),
+      require("./details.js"),
+      require("./ids.js"),
+    );
+  } else {
+    root.TodoHybrid = factory(root.TodoSearch, root.TodoDetails, root.TodoIds);
+  }
+})(
+  typeof self !== "undefined" ? self : this,
+  function (TodoSearch, TodoDetails, TodoIds) {
+    "use strict";
+
+    // The constructors of Action in App.lean
+    const LEAN_ACTIONS = [
+      "enterText",
+      "addTodo",
+      "setFilter",
+      "toggleTodo",
+      "deleteTodo",
+      "toggleAll",
+      "clearCompleted",
+    ];
+
+    // The fields of TodoItem that TodoItem.fromJson? reads into fields of
+    // their own (TodoItem.knownFields); it keeps any other in extra
+    const LEAN_ITEM_FIELDS = [
+      "id",
+      "text",
+      "completed",
+      "due",
+      "priority",
+      "notes",
+    ];
+
+    // The fields of a todo that renderItem in View.lean shows
+    const LEAN_VIEW_FIELDS = ["id", "text", "completed"];
+
+    const hasOnly = (object, fields) =>
+      Object.keys(object).every((key) => fields.includes(key));
+
+    // Lean writes an absent detail by leaving it out, so a null, empty or
+    // invalid one would not come back as it went in
+    const leanKeeps = (item) =>
+      Object.values(TodoDetails.DETAIL_ACTIONS).every(
+        (name) => item[name] !== null && item[name] !== "",
+      ) && TodoDetails.checkDetails(item) === null;
+
+    /**
+     * Whether Lean can run action on state and give the same result as
+     * the JavaScript reducer
+     */
+    function leanRuns(state, action) {
+      return (
+        LEAN_ACTIONS.includes(action.type) &&
+        state.items.every(leanKeeps) &&
+        state.editingId == null &&
+        (action.type !== "addTodo" || TodoIds.siteIdOf(state) === 0)
+      );
+    }
+
+    /**
+     * Whether the Lean view of state shows everything the JavaScript
+     * view does
+     */
+    function leanRenders(state) {
+      return (
+        state.items.every(
+          (item) =>
+            hasOnly(item, LEAN_VIEW_FIELDS) &&
+            TodoSearch.extractTags(item.text).length === 0,
+        ) &&
+        state.editingId == null &&
+        !TodoSearch.isSearching(TodoSearch.searchOf(state)) &&
+        TodoDetails.sortOf(state) === "manual"
+      );
+    }
+
+    /**
+     * Combine engines { wasm, js }, each with getInitialState(),
+     * processAction(stateJson, actionJson) and renderState(stateJson)
+     * returning strings or promises for them. A function missing from
+     * wasm (or null) is always run on js. The result's functions return
+     * promises, and engineFor(name, stateJson, actionJson) says which
+     * engine ("wasm" or "js") a call would go to.
+     */
+    function combine({ wasm = {}, js }) {
+      function engineFor(name, stateJson, actionJson) {
+        if (!wasm[name]) return "js";
+        switch (name) {
+          case "processAction":
+            return leanRuns(JSON.parse(stateJson), JSON.parse(actionJson))
+              ? "wasm"
+              : "js";
+          case "renderState":
+            return leanRenders(JSON.parse(stateJson)) ? "wasm" : "js";
+          default:
+            return "wasm";
+        }
+      }
+
+      return {
+        engineFor,
+
+        // The Lean initial state, with the JavaScript defaults for the
+        // fields it does not have
+        async getInitialState() {
+          const jsState = await js.getInitialState();
+          if (engineFor("getInitialState") === "js") return jsState;
+          const leanState = JSON.parse(await wasm.getInitialState());
+          return JSON.stringify({ ...JSON.parse(jsState), ...leanState });
+        },
+
+        async processAction(stateJson, actionJson) {
+          if (engineFor("processAction", stateJson, actionJson) === "js") {
+            return js.processAction(stateJson, actionJson);
+          }
+          const leanState = JSON.parse(
+            await wasm.processAction(stateJson, actionJson),
+          );
+          return JSON.stringify({ ...JSON.parse(stateJson), ...leanState });
+        },
+
+        async renderState(stateJson) {
+          return engineFor("renderState", stateJson) === "wasm"
+            ? wasm.renderState(stateJson)
+            : js.renderState(stateJson);
+        },
+      };
+    }
+
+    return {
+      LEAN_ACTIONS,
+      LEAN_ITEM_FIELDS,
+      LEAN_VIEW_FIELDS,
+      leanRuns,
+      leanRenders,
+      combine,
+    };
+  },
+);
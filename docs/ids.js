@@ -0,0 +1,81 @@
+/**
+ * TodoMVC - Todo Ids
+ *
+ * A todo id is unique across every client syncing the same list, not just
+ * within one state. Each client is a site, numbered by the sync server
+ * when it first joins a list (see remote.js), and mints ids from its own
+ * counter:
+ *
+ *   id = siteId * 2^32 + counter
+ *
+ * The state's siteId names the site and nextId is its counter. A state
+ * without a siteId is site 0, the site of a list that has never been
+ * synced, so its ids are the plain counter values they always were. Ids
+ * stay natural numbers below 2^53, which the Lean parser, the router's
+ * #/todo/<id> links and data-id attributes all read unchanged.
+ *
+ * No DOM dependencies: loads in the page, in Node and in workers.
+ */
+
+(function (root, factory) {
+  const ids = factory();
+  if (typeof module === "object" && module.exports) {
+    module.exports = ids;
+  } else {
+    root.TodoIds = ids;
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const SITE_SPAN = 2 ** 32;
+  const MAX_SITE = Math.floor(Number.MAX_SAFE_INTEGER / SITE_SPAN);
+
+  function isSite(value) {
+    return Number.isInteger(value) && value >= 0 && value <= MAX_SITE;
+  }
+
+  function makeId(siteId, counter) {
+    return siteId * SITE_SPAN + counter;
+  }
+
+  function siteOf(id) {
+    return Math.floor(id / SITE_SPAN);
+  }
+
+  function counterOf(id) {
+    return id % SITE_SPAN;
+  }
+
+  function siteIdOf(state) {
+    return isSite(state.siteId) ? state.siteId : 0;
+  }
+
+  /**
+   * The id the offset-th todo added to state from now on will get
+   */
+  function newId(state, offset = 0) {
+    return makeId(siteIdOf(state), state.nextId + offset);
+  }
+
+  /**
+   * The nextId that keeps state's site from reusing the counter of id, a
+   * todo that arrived from elsewhere (another tab or the server)
+   */
+  function nextIdAfter(state, id) {
+    return siteOf(id) === siteIdOf(state)
+      ? Math.max(state.nextId, counterOf(id) + 1)
+      : state.nextId;
+  }
+
+  return {
+    SITE_SPAN,
+    MAX_SITE,
+    isSite,
+    makeId,
+    siteOf,
+    counterOf,
+    siteIdOf,
+    newId,
+    nextIdAfter,
+  };
+});
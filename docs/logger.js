@@ -0,0 +1,64 @@
+/**
+ * TodoMVC - Logger
+ *
+ * Console logging with a level, so the page is quiet unless asked. The
+ * level comes from the URL: ?log=debug shows everything (each action and
+ * state, and the module's output), ?log=info adds what was set up, and
+ * the default, warn, only shows warnings and errors. ?log=silent turns
+ * logging off.
+ *
+ * TodoLogger.shared is the logger the modules write to, at the level of
+ * the page's URL. A worker has no say in the level and posts its lines to
+ * the page instead (see engine-worker.js).
+ *
+ * No DOM dependencies: loads in the page, in Node and in workers.
+ */
+
+(function (root, factory) {
+  const logger = factory();
+  if (typeof module === "object" && module.exports) {
+    module.exports = logger;
+  } else {
+    root.TodoLogger = logger;
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const LEVELS = ["debug", "info", "warn", "error", "silent"];
+  const DEFAULT_LEVEL = "warn";
+
+  /**
+   * The level a location.search asks for
+   */
+  function levelOf(search) {
+    const level = new URLSearchParams(search).get("log");
+    return LEVELS.includes(level) ? level : DEFAULT_LEVEL;
+  }
+
+  /**
+   * A logger with debug, info, warn and error methods, each writing to
+   * the method of the same name on sink when level lets it through
+   */
+  function create(level = DEFAULT_LEVEL, sink = console) {
+    const threshold = LEVELS.indexOf(level);
+    const logger = { level };
+    LEVELS.slice(0, -1).forEach((name, rank) => {
+      logger[name] =
+        rank >= threshold ? (...args) => sink[name](...args) : () => {};
+    });
+    return logger;
+  }
+
+  // In Node, where there is no URL to ask, the default level
+  const shared = create(
+    typeof location === "object" ? levelOf(location.search) : DEFAULT_LEVEL,
+  );
+
+  return {
+    LEVELS,
+    DEFAULT_LEVEL,
+    levelOf,
+    create,
+    shared,
+  };
+});
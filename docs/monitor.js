@@ -0,0 +1,299 @@
+/**
+ * TodoMVC - Runtime Invariant Monitor
+ *
+ * JavaScript mirror of the executable predicates in
+ * TuxedoMVC/TodoMVC/Spec.lean. After every dispatch the state predicates
+ * are checked on the new state and the transition predicate matching the
+ * action is checked on the (before, after) pair. The Lean reducer is proven
+ * to satisfy these; the monitor exists to catch the JavaScript fallback
+ * (or the bindings around either engine) drifting from the spec. Checking
+ * parses both states of every dispatch, so the page only runs it when
+ * opened with ?monitor=1.
+ *
+ * Only createOverlay() needs the DOM; the checks also load in Node.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TodoMonitor = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  /* Observable properties, mirroring TodoState in Types.lean */
+
+  function visibleItems(s) {
+    switch (s.selectedFilter) {
+      case "all":
+        return s.items;
+      case "active":
+        return s.items.filter((i) => !i.completed);
+      case "completed":
+        return s.items.filter((i) => i.completed);
+      default:
+        return [];
+    }
+  }
+
+  const numItems = (s) => visibleItems(s).length;
+  const numUnchecked = (s) => s.items.filter((i) => !i.completed).length;
+  const numChecked = (s) => s.items.filter((i) => i.completed).length;
+  const numItemsLeft = (s) => (s.items.length === 0 ? null : numUnchecked(s));
+  const itemTexts = (s) => visibleItems(s).map((i) => i.text);
+  const totalItems = (s) => s.items.length;
+
+  function lastItemText(s) {
+    const visible = visibleItems(s);
+    return visible.length === 0 ? null : visible[visible.length - 1].text;
+  }
+
+  const sameTexts = (a, b) =>
+    a.length === b.length && a.every((text, i) => text === b[i]);
+
+  // Nat subtraction truncates at zero, as in Lean
+  const natSub = (a, b) => Math.max(0, a - b);
+
+  /* State predicates */
+
+  const statePredicates = {
+    hasFiltersInvariant: (s) => totalItems(s) === 0 || s.selectedFilter != null,
+
+    nonNegativeItems: (s) => numItems(s) >= 0,
+
+    checkedCountsConsistent: (s) =>
+      numChecked(s) + numUnchecked(s) === totalItems(s),
+  };
+
+  const initialState = (s) =>
+    (s.selectedFilter == null || s.selectedFilter === "all") &&
+    numItems(s) === 0 &&
+    s.pendingText === "";
+
+  /* Transition predicates */
+
+  const transitionPredicates = {
+    enterTextTrans: (s, t) =>
+      s.pendingText !== t.pendingText &&
+      sameTexts(itemTexts(s), itemTexts(t)) &&
+      s.selectedFilter === t.selectedFilter,
+
+    addNewTrans(s, t) {
+      if (t.pendingText !== "" || s.pendingText === "") return false;
+      switch (t.selectedFilter) {
+        case "all":
+        case "active":
+          return lastItemText(t) === s.pendingText;
+        case "completed":
+          return sameTexts(itemTexts(s), itemTexts(t));
+        default:
+          return false;
+      }
+    },
+
+    changeFilterTrans(s, t) {
+      const f = s.selectedFilter;
+      const g = t.selectedFilter;
+      if (f == null) return g === "all";
+      if (g == null) return false;
+      if (f === "all") {
+        return (
+          g !== "all" &&
+          numItems(s) >= numItems(t) &&
+          s.pendingText === t.pendingText
+        );
+      }
+      if (g === "active") {
+        return (
+          f !== "active" &&
+          numItemsLeft(t) === numUnchecked(t) &&
+          numItems(t) === numUnchecked(t) &&
+          s.pendingText === t.pendingText
+        );
+      }
+      return f !== g && s.pendingText === t.pendingText;
+    },
+
+    checkOneTrans(s, t) {
+      const f = s.selectedFilter;
+      const left = numItemsLeft(s);
+      const left2 = numItemsLeft(t);
+      return (
+        s.pendingText === t.pendingText &&
+        f === t.selectedFilter &&
+        f !== "completed" &&
+        (f !== "all" ||
+          (numItems(s) === numItems(t) && numChecked(s) < numChecked(t))) &&
+        (f !== "active" ||
+          (numItems(s) > numItems(t) &&
+            left != null &&
+            left2 != null &&
+            left > left2))
+      );
+    },
+
+    uncheckOneTrans(s, t) {
+      const f = s.selectedFilter;
+      const left = numItemsLeft(s);
+      const left2 = numItemsLeft(t);
+      return (
+        s.pendingText === t.pendingText &&
+        f === t.selectedFilter &&
+        f !== "active" &&
+        (f !== "all" ||
+          (numItems(s) === numItems(t) && numChecked(s) > numChecked(t))) &&
+        (f !== "completed" ||
+          (numItems(s) > numItems(t) &&
+            left != null &&
+            left2 != null &&
+            left < left2))
+      );
+    },
+
+    deleteTrans(s, t) {
+      if (s.pendingText !== t.pendingText) return false;
+      const n = numItems(s);
+      if (n === 1) return numItems(t) === 0;
+      const f = s.selectedFilter;
+      if (f == null) return false;
+      if (!(n > 0 && f === t.selectedFilter && numItems(t) === n - 1)) {
+        return false;
+      }
+      switch (f) {
+        case "all":
+          return true;
+        case "active": {
+          const left = numItemsLeft(s);
+          const left2 = numItemsLeft(t);
+          return left != null && left2 != null && left2 === natSub(left, 1);
+        }
+        default:
+          return numItemsLeft(s) === numItemsLeft(t);
+      }
+    },
+
+    toggleAllTrans(s, t) {
+      if (s.pendingText !== t.pendingText) return false;
+      if (s.selectedFilter !== t.selectedFilter) return false;
+      switch (s.selectedFilter) {
+        case "all":
+          return numItems(s) === numItems(t) && numItems(t) === numChecked(t);
+        case "active":
+          return (
+            (numItems(s) === 0 || numItems(t) === 0) &&
+            (numItems(s) !== 0 || numItems(t) > 0)
+          );
+        case "completed":
+          return numItems(s) + numUnchecked(s) === numItems(t);
+        default:
+          return false;
+      }
+    },
+  };
+
+  const validTransition = (s, t) =>
+    Object.values(transitionPredicates).some((p) => p(s, t));
+
+  /**
+   * Pick the Spec.lean transition predicate an action should satisfy.
+   * Actions with no counterpart in the spec (such as the editing actions)
+   * return null and are not checked.
+   */
+  function transitionFor(action, before) {
+    switch (action.type) {
+      case "enterText":
+        return "enterTextTrans";
+      case "addTodo":
+        return "addNewTrans";
+      case "setFilter":
+        return "changeFilterTrans";
+      case "toggleTodo": {
+        const item = before.items.find((i) => i.id === action.id);
+        if (!item) return null;
+        return item.completed ? "uncheckOneTrans" : "checkOneTrans";
+      }
+      case "deleteTodo":
+        return "deleteTrans";
+      case "toggleAll":
+        return "toggleAllTrans";
+      case "clearCompleted":
+        return "validTransition";
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Names of the state predicates the state violates
+   */
+  function checkState(state) {
+    return Object.keys(statePredicates).filter(
+      (name) => !statePredicates[name](state),
+    );
+  }
+
+  /**
+   * Names of the predicates violated by one dispatch step. A step that
+   * leaves the state unchanged is a stutter and has no transition to check.
+   */
+  function checkStep(action, before, after) {
+    const violations = checkState(after);
+    if (JSON.stringify(before) === JSON.stringify(after)) return violations;
+
+    const name = transitionFor(action, before);
+    const predicate =
+      name === "validTransition" ? validTransition : transitionPredicates[name];
+    if (predicate && !predicate(before, after)) {
+      violations.push(name);
+    }
+    return violations;
+  }
+
+  /**
+   * Check whether the monitor was requested in the query string
+   */
+  function isEnabled(search) {
+    return new URLSearchParams(search).get("monitor") === "1";
+  }
+
+  /**
+   * Create the violation overlay inside the given container
+   */
+  function createOverlay(container) {
+    container.innerHTML =
+      "<h3>Spec violations</h3>" +
+      '<ol class="monitor-violations"></ol>' +
+      '<button class="monitor-dismiss">Dismiss</button>';
+
+    const list = container.querySelector(".monitor-violations");
+    container
+      .querySelector(".monitor-dismiss")
+      .addEventListener("click", () => {
+        list.innerHTML = "";
+        container.classList.add("hidden");
+      });
+
+    return {
+      report(action, violations) {
+        const item = document.createElement("li");
+        item.textContent = `${violations.join(", ")} after ${JSON.stringify(
+          action,
+        )}`;
+        list.appendChild(item);
+        container.classList.remove("hidden");
+      },
+    };
+  }
+
+  return {
+    statePredicates,
+    transitionPredicates,
+    initialState,
+    validTransition,
+    isEnabled,
+    checkState,
+    checkStep,
+    createOverlay,
+  };
+});
@@ -0,0 +1,217 @@
+/**
+ * TodoMVC - Keyed DOM Patcher
+ *
+ * Updates the rendered view in place instead of replacing innerHTML, so
+ * focus, selection, scroll position and CSS transitions survive a render.
+ * The view produced by renderState stays the source of truth: patch()
+ * takes either its HTML string or a structured tree mirroring the Lean
+ * Html type, and morphs the existing DOM to match. Children carrying a
+ * data-id attribute (the todo <li> elements) are matched by key, so
+ * reordering, inserting or removing one item only touches that item.
+ *
+ * The DOM is only reached through the nodes passed in (and their
+ * ownerDocument), so this also loads in Node, where the tests patch the
+ * stand-in DOM of test/helpers/dom.js.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TodoPatch = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // Node.ELEMENT_NODE and Node.DOCUMENT_FRAGMENT_NODE
+  const ELEMENT_NODE = 1;
+  const DOCUMENT_FRAGMENT_NODE = 11;
+
+  /**
+   * Build DOM nodes from a structured tree, mirroring the Lean Html type:
+   * a string is a text node, { tag, attrs, children } is an element and
+   * null is Html.empty.
+   */
+  function fromTree(tree, doc = document) {
+    if (tree === null || tree === undefined) return null;
+    if (typeof tree === "string") return doc.createTextNode(tree);
+
+    const element = doc.createElement(tree.tag);
+    Object.entries(tree.attrs || {}).forEach(([name, value]) => {
+      element.setAttribute(name, value);
+    });
+    (tree.children || []).forEach((child) => {
+      const node = fromTree(child, doc);
+      if (node) element.appendChild(node);
+    });
+    return element;
+  }
+
+  /**
+   * Parse the rendered view into a detached fragment. A fragment passed
+   * in (e.g. one already parsed and annotated) is used as it is.
+   */
+  function toFragment(view, doc = document) {
+    if (view && view.nodeType === DOCUMENT_FRAGMENT_NODE) return view;
+    if (typeof view === "string") {
+      const template = doc.createElement("template");
+      template.innerHTML = view;
+      return template.content;
+    }
+
+    const fragment = doc.createDocumentFragment();
+    const node = fromTree(view, doc);
+    if (node) fragment.appendChild(node);
+    return fragment;
+  }
+
+  function keyOf(node) {
+    return node.nodeType === ELEMENT_NODE ? node.getAttribute("data-id") : null;
+  }
+
+  function sameType(a, b) {
+    return a.nodeType === b.nodeType && a.nodeName === b.nodeName;
+  }
+
+  const FIELDS = "input, textarea";
+
+  function isField(node) {
+    return node.nodeName === "INPUT" || node.nodeName === "TEXTAREA";
+  }
+
+  /**
+   * Copy form state that lives in properties rather than markup: once a
+   * field has been typed into, its value no longer follows the value
+   * attribute (or a textarea's text). Older Lean builds write
+   * checked="false" for unchecked boxes, so the attribute's value is
+   * honoured as well as its presence.
+   */
+  function syncField(field, source) {
+    const value =
+      field.nodeName === "TEXTAREA"
+        ? source.textContent
+        : source.getAttribute("value") || "";
+    if (field.value !== value) field.value = value;
+    if (field.nodeName === "TEXTAREA") return;
+
+    const checked =
+      source.hasAttribute("checked") &&
+      source.getAttribute("checked") !== "false";
+    if (field.checked !== checked) field.checked = checked;
+  }
+
+  function syncAttributes(element, source) {
+    Array.from(element.attributes).forEach(({ name }) => {
+      if (!source.hasAttribute(name)) element.removeAttribute(name);
+    });
+    Array.from(source.attributes).forEach(({ name, value }) => {
+      if (element.getAttribute(name) !== value) {
+        element.setAttribute(name, value);
+      }
+    });
+  }
+
+  /**
+   * Morph oldNode into newNode and return the node now in the document
+   */
+  function patchNode(oldNode, newNode) {
+    if (!sameType(oldNode, newNode)) {
+      oldNode.replaceWith(newNode);
+      return newNode;
+    }
+
+    if (oldNode.nodeType !== ELEMENT_NODE) {
+      if (oldNode.nodeValue !== newNode.nodeValue) {
+        oldNode.nodeValue = newNode.nodeValue;
+      }
+      return oldNode;
+    }
+
+    if (oldNode.isEqualNode(newNode)) {
+      // Same markup, but a click or keystroke may have changed properties
+      const sources = newNode.querySelectorAll(FIELDS);
+      oldNode.querySelectorAll(FIELDS).forEach((field, i) => {
+        syncField(field, sources[i]);
+      });
+    } else {
+      syncAttributes(oldNode, newNode);
+      patchChildren(oldNode, newNode);
+    }
+
+    if (isField(oldNode)) syncField(oldNode, newNode);
+    return oldNode;
+  }
+
+  /**
+   * Reconcile the children of parent with those of source. Keyed children
+   * are matched by data-id wherever they are; unkeyed children are matched
+   * by position. A keyed child the source no longer has is removed when
+   * the cursor reaches it, so deleting one todo does not move the ones
+   * after it. Whatever is left over afterwards is removed.
+   */
+  function patchChildren(parent, source) {
+    const keyed = new Map();
+    Array.from(parent.childNodes).forEach((child) => {
+      const key = keyOf(child);
+      if (key !== null) keyed.set(key, child);
+    });
+    const kept = new Set(
+      Array.from(source.childNodes, keyOf).filter((key) => key !== null),
+    );
+
+    let cursor = parent.firstChild;
+
+    Array.from(source.childNodes).forEach((newChild) => {
+      while (cursor && keyOf(cursor) !== null && !kept.has(keyOf(cursor))) {
+        const next = cursor.nextSibling;
+        parent.removeChild(cursor);
+        cursor = next;
+      }
+
+      const key = keyOf(newChild);
+      let match = null;
+
+      if (key !== null) {
+        match = keyed.get(key) || null;
+        keyed.delete(key);
+      } else if (
+        cursor &&
+        keyOf(cursor) === null &&
+        sameType(cursor, newChild)
+      ) {
+        match = cursor;
+      }
+
+      if (!match) {
+        parent.insertBefore(newChild, cursor);
+        return;
+      }
+
+      if (match === cursor) {
+        cursor = cursor.nextSibling;
+      } else {
+        parent.insertBefore(match, cursor);
+      }
+      patchNode(match, newChild);
+    });
+
+    while (cursor) {
+      const next = cursor.nextSibling;
+      parent.removeChild(cursor);
+      cursor = next;
+    }
+  }
+
+  /**
+   * Patch the contents of container to match the rendered view
+   */
+  function patch(container, view) {
+    patchChildren(container, toFragment(view, container.ownerDocument));
+  }
+
+  return {
+    fromTree,
+    toFragment,
+    patch,
+  };
+});
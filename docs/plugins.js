@@ -0,0 +1,186 @@
+/**
+ * TodoMVC - Plugins and Middleware
+ *
+ * The extension points behind the public TodoMVC object (see app.js).
+ *
+ * A plugin adds action types and a render hook without touching the
+ * reducer or the renderer:
+ *
+ *   TodoMVC.registerPlugin({
+ *     name: "star",
+ *     actions: {
+ *       // (state, action) -> new state, like processActionInJS
+ *       starTodo: (state, action) => ({ ...state, starred: action.id }),
+ *     },
+ *     // (html, state) -> html, run on the view after every render
+ *     render: (html, state) => html.replace(...),
+ *   });
+ *
+ * Plugin actions run in JavaScript whichever engine handles the built-in
+ * ones, and go through the undo history, the trace and the monitor like
+ * any other action. They stay in the page: other tabs and the sync server
+ * only receive the built-in actions. Render hooks run in the order the
+ * plugins were registered.
+ *
+ * Because they are not shared, what plugin actions do is not kept when
+ * the page rebuilds its state from the shared actions. A sync with the
+ * server replaces the items with the server's (see remote.js), dropping
+ * any fields plugin actions set on them, and a tab that rebuilds its
+ * state after a late message from another tab (see sync.js) replays only
+ * the shared actions, dropping every change plugin actions made since.
+ * A plugin whose data has to survive this keeps it in storage of its own,
+ * keyed by todo id, rather than in the state.
+ *
+ * Middleware wraps dispatch, outermost first, for logging, analytics or
+ * validation:
+ *
+ *   TodoMVC.use(async (action, next) => {
+ *     const result = await next(action);
+ *     console.log(action.type, TodoMVC.getState());
+ *     return result;
+ *   });
+ *
+ * A middleware may pass on a different action, or none to drop it. The
+ * page's own actions run through the middleware from inside its queue of
+ * state updates, which waits for them, so a middleware must not wait for
+ * a dispatch of its own before calling next.
+ *
+ * No DOM dependencies: loads in the page, in Node and in workers.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./reducer.js"));
+  } else {
+    root.TodoPlugins = factory(root.TodoReducer);
+  }
+})(typeof self !== "undefined" ? self : this, function (TodoReducer) {
+  "use strict";
+
+  /**
+   * The plugins registered on one page
+   */
+  function createRegistry() {
+    const plugins = [];
+    const reducers = new Map();
+
+    function register(plugin) {
+      if (!plugin || typeof plugin.name !== "string" || plugin.name === "") {
+        throw new Error("a plugin needs a name");
+      }
+      if (plugins.some((other) => other.name === plugin.name)) {
+        throw new Error(`plugin "${plugin.name}" is already registered`);
+      }
+      const actions = Object.entries(plugin.actions || {});
+      actions.forEach(([type, reduce]) => {
+        if (TodoReducer.ACTION_TYPES.includes(type)) {
+          throw new Error(`"${type}" is a built-in action`);
+        }
+        if (reducers.has(type)) {
+          throw new Error(`"${type}" is already handled by another plugin`);
+        }
+        if (typeof reduce !== "function") {
+          throw new Error(
+            `the "${type}" action of "${plugin.name}" is not a function`,
+          );
+        }
+      });
+      if (plugin.render != null && typeof plugin.render !== "function") {
+        throw new Error(
+          `the render hook of "${plugin.name}" is not a function`,
+        );
+      }
+
+      plugins.push(plugin);
+      actions.forEach(([type, reduce]) => reducers.set(type, reduce));
+    }
+
+    function handles(type) {
+      return reducers.has(type);
+    }
+
+    /**
+     * Wrap an engine's processAction and renderState (both taking and
+     * returning JSON or HTML strings through promises) so plugin actions
+     * and render hooks apply
+     */
+    function wrapEngine(engine) {
+      return {
+        ...engine,
+
+        async processAction(stateJson, actionJson) {
+          const action = JSON.parse(actionJson);
+          if (!handles(action.type)) {
+            return engine.processAction(stateJson, actionJson);
+          }
+          const state = JSON.parse(stateJson);
+          return JSON.stringify(reducers.get(action.type)(state, action));
+        },
+
+        async renderState(stateJson) {
+          const html = await engine.renderState(stateJson);
+          const hooks = plugins.filter((plugin) => plugin.render);
+          if (hooks.length === 0) return html;
+          const state = JSON.parse(stateJson);
+          return hooks.reduce(
+            (view, plugin) => plugin.render(view, state),
+            html,
+          );
+        },
+      };
+    }
+
+    return {
+      register,
+      handles,
+      wrapEngine,
+      names: () => plugins.map((plugin) => plugin.name),
+    };
+  }
+
+  /**
+   * A middleware chain ending in dispatch(action), which should return a
+   * promise. use(middleware) adds one as the innermost so far and returns
+   * a function removing it again. dispatch(action, apply) ends the chain
+   * in apply instead, for a caller that applies the action itself.
+   */
+  function createMiddleware(dispatch) {
+    const middleware = [];
+
+    // A middleware that throws rejects the dispatch rather than throwing
+    function run(chain, index, action, apply) {
+      return new Promise((resolve) =>
+        resolve(
+          index === chain.length
+            ? apply(action)
+            : chain[index](action, (next) =>
+                run(chain, index + 1, next, apply),
+              ),
+        ),
+      );
+    }
+
+    return {
+      use(fn) {
+        if (typeof fn !== "function") {
+          throw new Error("middleware must be a function");
+        }
+        middleware.push(fn);
+        return () => {
+          const index = middleware.indexOf(fn);
+          if (index !== -1) middleware.splice(index, 1);
+        };
+      },
+
+      dispatch(action, apply = dispatch) {
+        // The chain as it is now, even if a middleware adds another
+        return run([...middleware], 0, action, apply);
+      },
+    };
+  }
+
+  return {
+    createRegistry,
+    createMiddleware,
+  };
+});
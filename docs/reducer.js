@@ -0,0 +1,556 @@
+/**
+ * TodoMVC - JavaScript Reducer and Renderer
+ *
+ * The JavaScript implementation of the Lean action system and HTML view,
+ * used whenever a verified WASM export is unavailable. It has no DOM
+ * dependencies so the same file loads in the page, in Node (for the test
+ * suite) and in workers.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(
+      require("./search.js"),
+      require("./details.js"),
+      require("./ids.js"),
+      require("./logger.js"),
+    );
+  } else {
+    root.TodoReducer = factory(
+      root.TodoSearch,
+      root.TodoDetails,
+      root.TodoIds,
+      root.TodoLogger,
+    );
+  }
+})(
+  typeof self !== "undefined" ? self : this,
+  function (TodoSearch, TodoDetails, TodoIds, TodoLogger) {
+    "use strict";
+
+    const log = TodoLogger.shared;
+
+    /**
+     * Initial TodoMVC state
+     */
+    function getInitialState() {
+      return {
+        items: [],
+        selectedFilter: "all",
+        pendingText: "",
+        nextId: 0,
+        editingId: null,
+        search: { ...TodoSearch.EMPTY_SEARCH },
+        sortBy: "manual",
+      };
+    }
+
+    /**
+     * Helper: Check if filter should be reset
+     * As in App.lean: the filter is cleared only once the list is empty. A
+     * filter that shows no items stays selected (Spec.lean hasFiltersInvariant).
+     */
+    function shouldResetFilter(state) {
+      return state.items.length === 0;
+    }
+
+    // Every action type processActionInJS handles
+    const ACTION_TYPES = Object.freeze([
+      "enterText",
+      "addTodo",
+      "insertTodo",
+      "toggleTodo",
+      "deleteTodo",
+      "setFilter",
+      "toggleAll",
+      "clearCompleted",
+      "startEdit",
+      "updateTodoText",
+      "cancelEdit",
+      "moveTodo",
+      "completeTodos",
+      "deleteTodos",
+      "retagTodos",
+      "setDue",
+      "setPriority",
+      "setNotes",
+      "setSort",
+      "setSearch",
+      "toggleTag",
+    ]);
+
+    /**
+     * Process an action on the state (JavaScript implementation matching Lean logic)
+     * This is a faithful implementation of the Lean action system
+     *
+     * The editing actions (startEdit, updateTodoText, cancelEdit) go beyond the
+     * Lean Action type but use the same JSON encoding, e.g.
+     * {"type":"updateTodoText","id":3,"text":"..."}, so the Lean parser can
+     * accept them once matching constructors are added. So do the search
+     * actions: setSearch replaces the whole search (see search.js) and
+     * toggleTag adds or removes one tag from it. moveTodo puts a todo at
+     * toIndex in the full items list (see moveIndexFor for positions in the
+     * filtered view); ids and nextId stay as they are.
+     *
+     * The bulk actions apply to a list of ids in one step: completeTodos
+     * sets completed on each, deleteTodos removes them and retagTodos adds
+     * and removes #tags in their text. Like clearCompleted, deleteTodos
+     * resets the filter once, after the whole batch.
+     *
+     * setDue, setPriority and setNotes set or (given null) clear one of the
+     * optional fields of a todo, and setSort picks the order todos are shown
+     * in; see details.js.
+     *
+     * addTodo mints ids from siteId as well as nextId (see ids.js).
+     * insertTodo appends a whole todo that was added elsewhere, keeping its
+     * id, as the sync client does with todos from the server; a todo whose
+     * id is already taken is ignored.
+     */
+    function processActionInJS(state, action) {
+      const newState = { ...state };
+
+      switch (action.type) {
+        case "enterText":
+          newState.pendingText = action.text || "";
+          break;
+
+        case "addTodo":
+          if (state.pendingText && state.pendingText.trim()) {
+            const newItem = {
+              id: TodoIds.newId(state),
+              text: state.pendingText.trim(),
+              completed: false,
+            };
+            newState.items = [...state.items, newItem];
+            newState.pendingText = "";
+            newState.nextId = state.nextId + 1;
+
+            // Set filter to 'all' if this is the first item
+            if (state.items.length === 0) {
+              newState.selectedFilter = "all";
+            }
+          }
+          break;
+
+        case "insertTodo": {
+          const item = action.item;
+          if (
+            !item ||
+            !Number.isInteger(item.id) ||
+            item.id < 0 ||
+            typeof item.text !== "string" ||
+            !item.text.trim() ||
+            state.items.some((other) => other.id === item.id)
+          ) {
+            break;
+          }
+          newState.items = [
+            ...state.items,
+            { ...item, completed: Boolean(item.completed) },
+          ];
+          newState.nextId = TodoIds.nextIdAfter(state, item.id);
+          if (state.items.length === 0) {
+            newState.selectedFilter = "all";
+          }
+          break;
+        }
+
+        case "toggleTodo":
+          newState.items = state.items.map((item) =>
+            item.id === action.id
+              ? { ...item, completed: !item.completed }
+              : item,
+          );
+
+          break;
+
+        case "deleteTodo":
+          newState.items = state.items.filter((item) => item.id !== action.id);
+          if (state.editingId === action.id) {
+            newState.editingId = null;
+          }
+
+          // Clear filter if no items left
+          if (shouldResetFilter(newState)) {
+            newState.selectedFilter = null;
+          }
+          break;
+
+        case "setFilter":
+          if (state.items.length > 0) {
+            newState.selectedFilter = action.filter;
+          }
+          break;
+
+        case "toggleAll":
+          if (state.items.length > 0) {
+            const anyUncompleted = state.items.some((item) => !item.completed);
+            newState.items = state.items.map((item) => ({
+              ...item,
+              completed: anyUncompleted,
+            }));
+          }
+          break;
+
+        case "clearCompleted":
+          newState.items = state.items.filter((item) => !item.completed);
+          if (!newState.items.some((item) => item.id === state.editingId)) {
+            newState.editingId = null;
+          }
+
+          // Clear filter if no items left
+          if (shouldResetFilter(newState)) {
+            newState.selectedFilter = null;
+          }
+          break;
+
+        case "startEdit":
+          if (state.items.some((item) => item.id === action.id)) {
+            newState.editingId = action.id;
+          }
+          break;
+
+        case "updateTodoText": {
+          if (!state.items.some((item) => item.id === action.id)) break;
+
+          const text = (action.text || "").trim();
+          if (text === "") {
+            // An edit that empties the text deletes the todo
+            return processActionInJS(state, {
+              type: "deleteTodo",
+              id: action.id,
+            });
+          }
+          newState.items = state.items.map((item) =>
+            item.id === action.id ? { ...item, text } : item,
+          );
+          newState.editingId = null;
+          break;
+        }
+
+        case "cancelEdit":
+          newState.editingId = null;
+          break;
+
+        case "moveTodo": {
+          const from = state.items.findIndex((item) => item.id === action.id);
+          if (from === -1 || !Number.isInteger(action.toIndex)) break;
+
+          const to = Math.max(
+            0,
+            Math.min(action.toIndex, state.items.length - 1),
+          );
+          if (to === from) break;
+          const items = state.items.filter((item) => item.id !== action.id);
+          items.splice(to, 0, state.items[from]);
+          newState.items = items;
+          break;
+        }
+
+        case "completeTodos": {
+          const ids = new Set(action.ids || []);
+          const completed = Boolean(action.completed);
+          newState.items = state.items.map((item) =>
+            ids.has(item.id) && item.completed !== completed
+              ? { ...item, completed }
+              : item,
+          );
+          break;
+        }
+
+        case "deleteTodos": {
+          const ids = new Set(action.ids || []);
+          newState.items = state.items.filter((item) => !ids.has(item.id));
+          if (ids.has(state.editingId)) {
+            newState.editingId = null;
+          }
+
+          // Clear filter if no items left
+          if (shouldResetFilter(newState)) {
+            newState.selectedFilter = null;
+          }
+          break;
+        }
+
+        case "retagTodos": {
+          const ids = new Set(action.ids || []);
+          const add = (action.add || []).map(TodoSearch.normalizeTag);
+          const remove = (action.remove || []).map(TodoSearch.normalizeTag);
+          if (add.includes(null) || remove.includes(null)) break;
+
+          newState.items = state.items.map((item) => {
+            if (!ids.has(item.id)) return item;
+            const text = TodoSearch.retag(item.text, add, remove);
+            return text === item.text ? item : { ...item, text };
+          });
+          break;
+        }
+
+        case "setDue":
+        case "setPriority":
+        case "setNotes": {
+          const field = TodoDetails.DETAIL_ACTIONS[action.type];
+          newState.items = state.items.map((item) =>
+            item.id === action.id
+              ? TodoDetails.withDetail(item, field, action[field])
+              : item,
+          );
+          break;
+        }
+
+        case "setSort":
+          if (TodoDetails.SORTS.includes(action.sort)) {
+            newState.sortBy = action.sort;
+          }
+          break;
+
+        case "setSearch":
+          newState.search = {
+            text: action.text || "",
+            fuzzy: Boolean(action.fuzzy),
+            tags: (action.tags || []).map((tag) => tag.toLowerCase()),
+          };
+          break;
+
+        case "toggleTag": {
+          const search = TodoSearch.searchOf(state);
+          const tag = String(action.tag).toLowerCase();
+          newState.search = {
+            ...search,
+            tags: search.tags.includes(tag)
+              ? search.tags.filter((other) => other !== tag)
+              : [...search.tags, tag],
+          };
+          break;
+        }
+
+        default:
+          log.warn("Unknown action type:", action.type);
+      }
+
+      return newState;
+    }
+
+    /**
+     * Render HTML for the current state (matching Lean's HTML rendering).
+     * today ("YYYY-MM-DD") decides which todos are overdue or due today.
+     */
+    function renderHTML(state, today = TodoDetails.localDate()) {
+      const visibleItems = getVisibleItems(state);
+      const search = TodoSearch.searchOf(state);
+      const searching = TodoSearch.isSearching(search);
+      // While searching, the count covers only the todos the search finds
+      const counted = searching
+        ? state.items.filter((item) => TodoSearch.matchesSearch(search, item))
+        : state.items;
+      const activeCount = counted.filter((item) => !item.completed).length;
+      const completedCount = state.items.filter(
+        (item) => item.completed,
+      ).length;
+
+      let html = '<section class="todoapp">';
+
+      // Header
+      html += '<header class="header">';
+      html += "<h1>todos</h1>";
+      html += `<input class="new-todo"
+                        placeholder="What needs to be done?"
+                        value="${escapeHtml(state.pendingText || "")}"
+                        autofocus>`;
+      html += "</header>";
+
+      // Main section (only if there are items)
+      if (state.items.length > 0) {
+        html += '<section class="main">';
+        html += `<input id="toggle-all" class="toggle-all" type="checkbox"
+                            ${state.items.every((item) => item.completed) ? "checked" : ""}>`;
+        html += '<label for="toggle-all">Mark all as complete</label>';
+        html += '<ul class="todo-list">';
+
+        visibleItems.forEach((item) => {
+          const isEditing = state.editingId === item.id;
+          const due = TodoDetails.dueStatus(item, today);
+          const classes = [
+            item.completed ? "completed" : "",
+            isEditing ? "editing" : "",
+            due === "overdue" ? "overdue" : "",
+            due === "today" ? "due-today" : "",
+          ]
+            .filter(Boolean)
+            .join(" ");
+
+          html += `<li class="${classes}" data-id="${item.id}">`;
+          html += '<div class="view">';
+          html += `<input class="toggle" type="checkbox" ${item.completed ? "checked" : ""}>`;
+          html += `<label>${renderText(item.text)}</label>`;
+          html += renderDetails(item, due);
+          html += '<button class="destroy"></button>';
+          html += "</div>";
+          if (isEditing) {
+            html += `<input class="edit" value="${escapeHtml(item.text)}">`;
+            html += renderDetailsEditor(item);
+          }
+          html += "</li>";
+        });
+
+        html += "</ul>";
+        html += "</section>";
+
+        // Footer
+        html += '<footer class="footer">';
+        html += '<span class="todo-count">';
+        html += `<strong>${activeCount}</strong> `;
+        html += activeCount === 1 ? "item" : "items";
+        html += " left";
+        if (searching) {
+          html += `, ${visibleItems.length} of ${state.items.length} shown`;
+        }
+        html += "</span>";
+
+        html += '<ul class="filters">';
+        html += `<li><a href="#/" class="${state.selectedFilter === "all" ? "selected" : ""}" data-filter="all">All</a></li>`;
+        html += `<li><a href="#/active" class="${state.selectedFilter === "active" ? "selected" : ""}" data-filter="active">Active</a></li>`;
+        html += `<li><a href="#/completed" class="${state.selectedFilter === "completed" ? "selected" : ""}" data-filter="completed">Completed</a></li>`;
+        html += "</ul>";
+
+        if (completedCount > 0) {
+          html += `<button class="clear-completed">Clear completed</button>`;
+        }
+
+        html += "</footer>";
+      }
+
+      html += "</section>";
+
+      return html;
+    }
+
+    /**
+     * A todo's priority, due date and notes under its text, or "" when it
+     * has none
+     */
+    function renderDetails(item, due) {
+      const parts = [];
+      if (TodoDetails.isPriority(item.priority)) {
+        parts.push(
+          `<span class="priority priority-${item.priority}">${TodoDetails.PRIORITIES[item.priority]} priority</span>`,
+        );
+      }
+      if (TodoDetails.isDate(item.due)) {
+        const label = { overdue: "Overdue", today: "Due today" }[due] || "Due";
+        parts.push(
+          `<time class="due" datetime="${item.due}">${label} ${item.due}</time>`,
+        );
+      }
+      if (typeof item.notes === "string" && item.notes !== "") {
+        parts.push(`<span class="notes">${escapeHtml(item.notes)}</span>`);
+      }
+      return parts.length > 0
+        ? `<div class="todo-details">${parts.join("")}</div>`
+        : "";
+    }
+
+    /**
+     * Fields for the optional details, shown below the text being edited
+     */
+    function renderDetailsEditor(item) {
+      const options = [["", "No priority"]]
+        .concat(Object.entries(TodoDetails.PRIORITIES))
+        .map(
+          ([value, name]) =>
+            `<option value="${value}"${String(item.priority || "") === value ? " selected" : ""}>${name}</option>`,
+        )
+        .join("");
+      const due = TodoDetails.isDate(item.due) ? item.due : "";
+      const notes = typeof item.notes === "string" ? item.notes : "";
+
+      let html = '<div class="edit-details">';
+      html += `<label>Due <input class="edit-due" type="date" value="${due}"></label>`;
+      html += `<label>Priority <select class="edit-priority">${options}</select></label>`;
+      html += `<label>Notes <textarea class="edit-notes">${escapeHtml(notes)}</textarea></label>`;
+      html += "</div>";
+      return html;
+    }
+
+    /**
+     * Todo text with its #tags as chips, which link to the tag filter
+     */
+    function renderText(text) {
+      return TodoSearch.tokenize(text)
+        .map((token) =>
+          token.tag
+            ? `<a class="tag" href="#/?tags=${encodeURIComponent(token.tag)}" data-tag="${escapeHtml(token.tag)}">${escapeHtml(token.text)}</a>`
+            : escapeHtml(token.text),
+        )
+        .join("");
+    }
+
+    /**
+     * Get visible items based on current filter and search, in the order of
+     * the current sort
+     */
+    function getVisibleItems(state) {
+      if (!state.selectedFilter) return [];
+
+      let items;
+      switch (state.selectedFilter) {
+        case "active":
+          items = state.items.filter((item) => !item.completed);
+          break;
+        case "completed":
+          items = state.items.filter((item) => item.completed);
+          break;
+        default:
+          items = state.items;
+      }
+
+      const search = TodoSearch.searchOf(state);
+      if (TodoSearch.isSearching(search)) {
+        items = items.filter((item) => TodoSearch.matchesSearch(search, item));
+      }
+      return TodoDetails.sortItems(items, TodoDetails.sortOf(state));
+    }
+
+    /**
+     * The toIndex for a moveTodo that leaves todo id at visibleIndex in the
+     * filtered view. The todo goes just after the visible todo that will
+     * precede it (or just before the first one), so the todos hidden by the
+     * filter keep their places around it.
+     */
+    function moveIndexFor(state, id, visibleIndex) {
+      const others = state.items.filter((item) => item.id !== id);
+      const visible = getVisibleItems(state).filter((item) => item.id !== id);
+
+      if (visible.length === 0) {
+        return state.items.findIndex((item) => item.id === id);
+      }
+      if (visibleIndex <= 0) return others.indexOf(visible[0]);
+      const previous = visible[Math.min(visibleIndex, visible.length) - 1];
+      return others.indexOf(previous) + 1;
+    }
+
+    /**
+     * Escape HTML special characters (the same set as View.escapeHtml in Lean,
+     * so text is also safe inside attribute values)
+     */
+    function escapeHtml(text) {
+      return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+    }
+
+    return {
+      ACTION_TYPES,
+      getInitialState,
+      getVisibleItems,
+      moveIndexFor,
+      shouldResetFilter,
+      processActionInJS,
+      renderHTML,
+      escapeHtml,
+    };
+  },
+);
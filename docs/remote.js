@@ -0,0 +1,706 @@
+/**
+ * TodoMVC - Server Sync
+ *
+ * Keeps the list in step with a sync server over HTTP (server/ has a
+ * reference one). Each action that changes the items is put in an outbox,
+ * as an operation naming the todos it touches; the outbox is pushed to the
+ * server, which applies it with the same reducer, and the latest items are
+ * pulled back. While the server is out of reach the outbox keeps growing
+ * in localStorage and is retried with exponential backoff.
+ *
+ * The state shown is always the last pulled items with the outbox
+ * replayed over them, plus everything that is local to the page (the
+ * pending text, the edit, filter, search and sort), so a pull never
+ * loses an unsent change.
+ *
+ * Conflicts are found per todo. Every todo on the server has a revision,
+ * and each operation carries the revisions it was based on. An operation
+ * touching a todo that another client changed since (or deleted) is not
+ * applied to that todo; the server keeps its version, and the client
+ * lists the conflict so the user can apply their change again on top of
+ * the new one or drop it. Order is the exception: moveTodo never
+ * conflicts, and the last move wins.
+ *
+ * The server numbers each client as a site on its first contact, and
+ * from then on the client mints todo ids from that site (see ids.js). On
+ * joining, the todos already in the page are added to the shared list
+ * under new ids.
+ *
+ * The sync endpoint is the list's URL, e.g.
+ * http://localhost:8787/lists/home, set with ?sync=<url> (and turned off
+ * with ?sync=off); it is remembered for later visits. The transport is
+ * pluggable: anything with the register, pull and push methods of
+ * createHttpTransport will do.
+ *
+ * No DOM dependencies: the client also runs in Node, with a store that
+ * is not localStorage.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(
+      require("./ids.js"),
+      require("./details.js"),
+      require("./logger.js"),
+    );
+  } else {
+    root.TodoRemote = factory(root.TodoIds, root.TodoDetails, root.TodoLogger);
+  }
+})(
+  typeof self !== "undefined" ? self : this,
+  function (TodoIds, TodoDetails, TodoLogger) {
+    "use strict";
+
+    const log = TodoLogger.shared;
+
+    const ENDPOINT_KEY = "tuxedo-todomvc/sync-endpoint";
+    const STORE_KEY = "tuxedo-todomvc/remote";
+    const POLL_MS = 5000;
+    const MAX_RETRY_MS = 60000;
+
+    // The actions the server accepts, each in terms of the todos it names
+    const BULK_ACTIONS = ["completeTodos", "deleteTodos", "retagTodos"];
+    const ITEM_ACTIONS = [
+      "deleteTodo",
+      "updateTodoText",
+      ...Object.keys(TodoDetails.DETAIL_ACTIONS),
+    ];
+    const REMOTE_ACTIONS = [
+      "insertTodo",
+      "moveTodo",
+      ...BULK_ACTIONS,
+      ...ITEM_ACTIONS,
+    ];
+
+    const isNat = (value) => Number.isInteger(value) && value >= 0;
+
+    /* Operations */
+
+    function idsOf(items) {
+      return new Set(items.map((item) => item.id));
+    }
+
+    /**
+     * The operation to send for an action dispatched in the page, or null
+     * when it does not change the items. Actions whose effect depends on the
+     * rest of the list are sent as what they did to which todos: addTodo as
+     * an insertTodo of the new todo, toggleTodo and toggleAll as
+     * completeTodos, clearCompleted as deleteTodos.
+     */
+    function toRemoteAction(action, before, after) {
+      if (JSON.stringify(before.items) === JSON.stringify(after.items)) {
+        return null;
+      }
+
+      switch (action.type) {
+        case "addTodo": {
+          const known = idsOf(before.items);
+          const item = after.items.find((other) => !known.has(other.id));
+          return item ? { type: "insertTodo", item } : null;
+        }
+        case "toggleTodo":
+        case "toggleAll": {
+          const was = new Map(before.items.map((item) => [item.id, item]));
+          const changed = after.items.filter(
+            (item) =>
+              was.has(item.id) && was.get(item.id).completed !== item.completed,
+          );
+          return changed.length === 0
+            ? null
+            : {
+                type: "completeTodos",
+                ids: changed.map((item) => item.id),
+                completed: changed[0].completed,
+              };
+        }
+        case "clearCompleted": {
+          const kept = idsOf(after.items);
+          return {
+            type: "deleteTodos",
+            ids: before.items
+              .filter((item) => !kept.has(item.id))
+              .map((item) => item.id),
+          };
+        }
+        default:
+          return REMOTE_ACTIONS.includes(action.type) ? action : null;
+      }
+    }
+
+    /**
+     * The operations that turn before's items into after's, for states set
+     * without the reducer (undo, time travel, loading a trace)
+     */
+    function diffActions(before, after) {
+      const actions = [];
+      const was = new Map(before.items.map((item) => [item.id, item]));
+      const kept = idsOf(after.items);
+
+      const removed = before.items
+        .filter((item) => !kept.has(item.id))
+        .map((item) => item.id);
+      if (removed.length > 0) {
+        actions.push({ type: "deleteTodos", ids: removed });
+      }
+
+      after.items.forEach((item) => {
+        const old = was.get(item.id);
+        if (!old) {
+          actions.push({ type: "insertTodo", item });
+          return;
+        }
+        const { id } = item;
+        if (old.text !== item.text) {
+          actions.push({ type: "updateTodoText", id, text: item.text });
+        }
+        if (old.completed !== item.completed) {
+          actions.push({
+            type: "completeTodos",
+            ids: [id],
+            completed: item.completed,
+          });
+        }
+        Object.entries(TodoDetails.DETAIL_ACTIONS).forEach(([type, field]) => {
+          if (old[field] !== item[field]) {
+            actions.push({ type, id, [field]: item[field] ?? null });
+          }
+        });
+      });
+
+      // insertTodo appends, so the order is fixed up last
+      let order = [
+        ...before.items.filter((item) => kept.has(item.id)),
+        ...after.items.filter((item) => !was.has(item.id)),
+      ].map((item) => item.id);
+      after.items.forEach((item, index) => {
+        if (order[index] === item.id) return;
+        actions.push({ type: "moveTodo", id: item.id, toIndex: index });
+        order = order.filter((id) => id !== item.id);
+        order.splice(index, 0, item.id);
+      });
+
+      return actions;
+    }
+
+    /**
+     * The ids of the todos whose content an operation changes, the ones
+     * checked for conflicts. An inserted todo is new, and a move only
+     * changes the order.
+     */
+    function touchedIds(action) {
+      if (BULK_ACTIONS.includes(action.type)) return action.ids;
+      if (ITEM_ACTIONS.includes(action.type)) return [action.id];
+      return [];
+    }
+
+    /**
+     * action limited to the touched todos for which keep(id) holds, or null
+     * when that leaves it with nothing to do
+     */
+    function restrict(action, keep) {
+      if (BULK_ACTIONS.includes(action.type)) {
+        const ids = action.ids.filter(keep);
+        return ids.length > 0 ? { ...action, ids } : null;
+      }
+      if (ITEM_ACTIONS.includes(action.type)) {
+        return keep(action.id) ? action : null;
+      }
+      return action;
+    }
+
+    function isItem(item) {
+      return (
+        Boolean(item) &&
+        isNat(item.id) &&
+        typeof item.text === "string" &&
+        item.text.trim() !== "" &&
+        typeof item.completed === "boolean" &&
+        TodoDetails.checkDetails(item) === null
+      );
+    }
+
+    /**
+     * The problem with an operation received by the server, or null when
+     * it is well formed
+     */
+    function validateAction(action) {
+      if (!action || !REMOTE_ACTIONS.includes(action.type)) {
+        return "unknown action";
+      }
+      if (action.type === "insertTodo") {
+        return isItem(action.item) ? null : "item is not a valid todo";
+      }
+      if (BULK_ACTIONS.includes(action.type)) {
+        if (!Array.isArray(action.ids) || !action.ids.every(isNat)) {
+          return "ids must be natural numbers";
+        }
+      } else if (!isNat(action.id)) {
+        return "id must be a natural number";
+      }
+      if (action.type === "moveTodo" && !Number.isInteger(action.toIndex)) {
+        return "toIndex must be an integer";
+      }
+      if (action.type === "updateTodoText" && typeof action.text !== "string") {
+        return "text must be a string";
+      }
+      return null;
+    }
+
+    /* Messages */
+
+    function describeStatus(status, endpoint) {
+      const pending = `${status.pending} ${status.pending === 1 ? "change" : "changes"}`;
+      switch (status.state) {
+        case "offline":
+          return (
+            `Offline (${status.error}): ${pending} waiting, ` +
+            `retrying in ${Math.ceil(status.retryIn / 1000)} s`
+          );
+        case "syncing":
+          return status.pending > 0
+            ? `Sending ${pending} to ${endpoint}…`
+            : `Syncing with ${endpoint}…`;
+        default:
+          return `Synced with ${endpoint}`;
+      }
+    }
+
+    function describeConflict(conflict) {
+      return (
+        `"${conflict.text}" was ${conflict.reason} on another device, ` +
+        "so your change to it was not applied."
+      );
+    }
+
+    /* Transport and storage */
+
+    /**
+     * Milliseconds to wait before the given retry (1, 2, 3, ...)
+     */
+    function retryDelay(attempt) {
+      return Math.min(1000 * 2 ** (attempt - 1), MAX_RETRY_MS);
+    }
+
+    /**
+     * Talk to a list on the reference server:
+     *
+     *   POST <endpoint>/sites        -> { siteId }
+     *   GET  <endpoint>?since=<n>    -> { version, items?, revs? }
+     *   POST <endpoint>/ops          -> { version, results }
+     *
+     * A pull returns items and revs only when the list changed after
+     * version n. Failed requests reject, which the client retries.
+     */
+    function createHttpTransport(
+      endpoint,
+      fetchImpl = (...args) => fetch(...args),
+    ) {
+      const base = endpoint.replace(/\/+$/, "");
+
+      async function request(path, body) {
+        const response = await fetchImpl(
+          base + path,
+          body === undefined
+            ? {}
+            : {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify(body),
+              },
+        );
+        if (!response.ok) {
+          throw new Error(`${base + path} answered ${response.status}`);
+        }
+        return response.json();
+      }
+
+      return {
+        register: () => request("/sites", {}),
+        pull: (since) => request(`?since=${since}`),
+        push: (siteId, ops) => request("/ops", { siteId, ops }),
+      };
+    }
+
+    /**
+     * The sync endpoint for this page: set by ?sync=<url>, cleared by
+     * ?sync=off and otherwise the one remembered from an earlier visit
+     */
+    function configure(search, storage = localStorage) {
+      const requested = new URLSearchParams(search).get("sync");
+      if (requested === "off") {
+        storage.removeItem(ENDPOINT_KEY);
+        return null;
+      }
+      if (requested) {
+        storage.setItem(ENDPOINT_KEY, requested);
+        return requested;
+      }
+      return storage.getItem(ENDPOINT_KEY);
+    }
+
+    /**
+     * Keep the client's bookkeeping in localStorage, where every tab of the
+     * page shares it
+     */
+    function createLocalStore(key = STORE_KEY) {
+      return {
+        load() {
+          try {
+            return JSON.parse(localStorage.getItem(key));
+          } catch (error) {
+            log.warn("Unreadable sync bookkeeping, starting over:", error);
+            return null;
+          }
+        },
+        save(meta) {
+          localStorage.setItem(key, JSON.stringify(meta));
+        },
+      };
+    }
+
+    function emptyMeta(endpoint) {
+      return {
+        endpoint,
+        siteId: null,
+        joined: false,
+        version: 0,
+        items: [],
+        revs: {},
+        seq: 0,
+        outbox: [],
+        conflicts: [],
+      };
+    }
+
+    /* Client */
+
+    /**
+     * Create the sync client for a list
+     *
+     * processAction(stateJson, actionJson) is the reducer, returning a
+     * promise. onChange() is called when a sync brought something new; the
+     * caller should then call rebase(currentStateJson) in order with its own
+     * state updates. onStatus(status) is called whenever the status shown
+     * to the user changes.
+     */
+    function create({
+      endpoint,
+      transport = createHttpTransport(endpoint),
+      store = createLocalStore(),
+      processAction,
+      onChange = () => {},
+      onStatus = () => {},
+      pollMs = POLL_MS,
+    }) {
+      let timer = null;
+      let running = false;
+      let again = false;
+      let stopped = true;
+      let attempt = 0;
+      let retryAt = null;
+      let lastError = null;
+
+      // Read and write the bookkeeping fresh each time, since other tabs
+      // update it too
+      function load() {
+        const meta = store.load();
+        return meta && meta.endpoint === endpoint ? meta : emptyMeta(endpoint);
+      }
+
+      function update(change) {
+        const meta = load();
+        change(meta);
+        store.save(meta);
+        return meta;
+      }
+
+      function status() {
+        const meta = load();
+        let state = "synced";
+        if (retryAt !== null) state = "offline";
+        else if (running || meta.outbox.length > 0) state = "syncing";
+        return {
+          state,
+          pending: meta.outbox.length,
+          retryIn: retryAt === null ? null : Math.max(0, retryAt - Date.now()),
+          error: lastError,
+          conflicts: meta.conflicts,
+        };
+      }
+
+      function queue(actions) {
+        if (actions.length === 0) return;
+        update((meta) => {
+          if (!meta.joined) return; // joining sends the whole list
+          actions.forEach((action) => {
+            const revs = {};
+            touchedIds(action).forEach((id) => {
+              revs[id] = meta.revs[id] || 0;
+            });
+            meta.outbox.push({ seq: ++meta.seq, action, revs });
+          });
+        });
+        onStatus(status());
+        schedule(0);
+      }
+
+      /**
+       * One round: register if needed, push the outbox, pull. Resolves to
+       * whether the caller should rebase.
+       */
+      async function sync() {
+        let changed = false;
+
+        if (load().siteId === null) {
+          const { siteId } = await transport.register();
+          if (!TodoIds.isSite(siteId) || siteId === 0) {
+            throw new Error(`the server gave an invalid site id ${siteId}`);
+          }
+          update((meta) => {
+            if (meta.siteId === null) meta.siteId = siteId;
+          });
+        }
+
+        const { siteId, outbox } = load();
+        if (outbox.length > 0) {
+          const { results } = await transport.push(siteId, outbox);
+          update((meta) => {
+            results.forEach((result) => {
+              const sent = outbox.find((op) => op.seq === result.seq);
+              if (result.status === "rejected") {
+                log.warn("The sync server rejected", sent, result.error);
+              }
+              // A result for an operation not in the outbox (a server
+              // answering a seq it was not sent) still records its conflicts,
+              // with nothing of ours to apply
+              (result.conflicts || []).forEach((conflict) => {
+                meta.conflicts.push({
+                  id: conflict.id,
+                  reason: conflict.reason,
+                  text: (
+                    conflict.item ||
+                    meta.items.find((item) => item.id === conflict.id) ||
+                    (sent && sent.action.item) || { text: "" }
+                  ).text,
+                  mine: sent
+                    ? restrict(sent.action, (id) => id === conflict.id)
+                    : null,
+                });
+                changed = true;
+              });
+            });
+            const done = new Set(results.map((result) => result.seq));
+            meta.outbox = meta.outbox.filter((op) => !done.has(op.seq));
+          });
+        }
+
+        const since = load().version;
+        const pulled = await transport.pull(since);
+        update((meta) => {
+          // Another tab may have pulled in the meantime
+          if (meta.version !== since || pulled.version === since) return;
+          meta.version = pulled.version;
+          meta.items = pulled.items;
+          meta.revs = pulled.revs;
+          changed = true;
+        });
+
+        return changed || !load().joined;
+      }
+
+      async function run() {
+        if (stopped) return;
+        if (running) {
+          again = true;
+          return;
+        }
+        running = true;
+        onStatus(status());
+        try {
+          const changed = await sync();
+          attempt = 0;
+          retryAt = null;
+          lastError = null;
+          if (changed) onChange();
+          schedule(pollMs);
+        } catch (error) {
+          attempt++;
+          lastError = error.message;
+          retryAt = Date.now() + retryDelay(attempt);
+          log.warn("Sync failed, retrying:", error);
+          schedule(retryDelay(attempt));
+        } finally {
+          running = false;
+          onStatus(status());
+          if (again) {
+            again = false;
+            schedule(0);
+          }
+        }
+      }
+
+      function schedule(delay) {
+        if (stopped) return;
+        clearTimeout(timer);
+        timer = setTimeout(run, delay);
+      }
+
+      const step = (stateJson, action) =>
+        processAction(stateJson, JSON.stringify(action));
+
+      /**
+       * Add the page's todos to the shared list under ids from this site,
+       * the first time the page syncs with it
+       */
+      function join(meta, local) {
+        const shared = idsOf(meta.items);
+        let counter = 0;
+        local.items
+          .filter((item) => !shared.has(item.id))
+          .forEach((item) => {
+            const id = TodoIds.makeId(meta.siteId, counter++);
+            meta.outbox.push({
+              seq: ++meta.seq,
+              action: { type: "insertTodo", item: { ...item, id } },
+              revs: {},
+            });
+          });
+        meta.joined = true;
+      }
+
+      return {
+        /**
+         * Start syncing: now, then every pollMs and after each change
+         */
+        start() {
+          stopped = false;
+          schedule(0);
+        },
+
+        stop() {
+          stopped = true;
+          clearTimeout(timer);
+        },
+
+        /**
+         * Sync as soon as possible, e.g. when the browser is back online
+         */
+        syncNow() {
+          attempt = 0;
+          schedule(0);
+        },
+
+        sync,
+        status,
+
+        /**
+         * Queue a locally dispatched action, if it changes the items
+         */
+        dispatched(action, stateBeforeJson, stateAfterJson) {
+          if (stateAfterJson === stateBeforeJson) return;
+          const remote = toRemoteAction(
+            action,
+            JSON.parse(stateBeforeJson),
+            JSON.parse(stateAfterJson),
+          );
+          if (remote) queue([remote]);
+        },
+
+        /**
+         * Queue a state set without the reducer (undo, time travel, loading
+         * a trace)
+         */
+        restored(stateBeforeJson, stateAfterJson) {
+          queue(
+            diffActions(
+              JSON.parse(stateBeforeJson),
+              JSON.parse(stateAfterJson),
+            ),
+          );
+        },
+
+        /**
+         * The state to show: the last pulled items with the outbox replayed
+         * over them and the rest of currentStateJson kept
+         */
+        async rebase(currentStateJson) {
+          const local = JSON.parse(currentStateJson);
+          let meta = load();
+          if (meta.siteId === null) return currentStateJson;
+          if (!meta.joined) {
+            meta = update((fresh) => {
+              if (!fresh.joined) join(fresh, local);
+            });
+            onStatus(status());
+            schedule(0);
+          }
+
+          // A page that has only now joined starts counting for its site
+          const { siteId } = meta;
+          let stateJson = JSON.stringify({
+            ...local,
+            items: meta.items,
+            siteId,
+            nextId: local.siteId === siteId ? local.nextId : 0,
+          });
+          for (const op of meta.outbox) {
+            stateJson = await step(stateJson, op.action);
+          }
+
+          const rebased = JSON.parse(stateJson);
+          const { items } = rebased;
+          const nextId = items.reduce(
+            (next, item) =>
+              TodoIds.nextIdAfter({ siteId, nextId: next }, item.id),
+            rebased.nextId,
+          );
+          let selectedFilter = local.selectedFilter;
+          if (items.length === 0) selectedFilter = null;
+          else if (selectedFilter == null) selectedFilter = "all";
+
+          return JSON.stringify({
+            ...local,
+            items,
+            siteId,
+            nextId,
+            selectedFilter,
+            editingId: items.some((item) => item.id === local.editingId)
+              ? local.editingId
+              : null,
+          });
+        },
+
+        /**
+         * Take conflict index off the list and return it. Its mine is the
+         * operation that was not applied, limited to the conflicting todo.
+         */
+        resolve(index) {
+          let conflict = null;
+          update((meta) => {
+            [conflict] = meta.conflicts.splice(index, 1);
+          });
+          onStatus(status());
+          return conflict;
+        },
+      };
+    }
+
+    return {
+      ENDPOINT_KEY,
+      STORE_KEY,
+      REMOTE_ACTIONS,
+      toRemoteAction,
+      diffActions,
+      touchedIds,
+      restrict,
+      validateAction,
+      retryDelay,
+      describeStatus,
+      describeConflict,
+      createHttpTransport,
+      configure,
+      createLocalStore,
+      create,
+    };
+  },
+);
@@ -0,0 +1,124 @@
+/**
+ * TodoMVC - Drag-and-Drop Reordering
+ *
+ * Lets a todo be dragged to a new place in the list with a mouse or pen.
+ * Pointer events are listened for on the app container rather than on
+ * each <li>, since renders replace the list items. While dragging, the
+ * item carries the "dragging" class and the item it would land next to
+ * carries "drop-before" or "drop-after"; the view itself only changes once
+ * the move is dispatched.
+ *
+ * Touch is left to scrolling: without touch-action: none the browser
+ * claims a touch drag for itself, so touch users (like keyboard users)
+ * reorder with Alt+Up/Alt+Down instead.
+ */
+
+(function () {
+  "use strict";
+
+  // Movement, in pixels, before a press turns into a drag
+  const DRAG_THRESHOLD = 5;
+
+  // Controls inside a todo that keep their own pointer behaviour
+  const IGNORED = ".toggle, .destroy, .edit, .tag";
+
+  /**
+   * Where a drop at clientY lands, as an index among the other visible
+   * todos, plus the todo to mark and on which side
+   */
+  function dropTarget(others, clientY) {
+    const index = others.findIndex((li) => {
+      const { top, height } = li.getBoundingClientRect();
+      return clientY < top + height / 2;
+    });
+
+    if (index === -1) {
+      return {
+        index: others.length,
+        marker: others[others.length - 1] || null,
+        side: "drop-after",
+      };
+    }
+    return { index, marker: others[index], side: "drop-before" };
+  }
+
+  function clearMarkers(list) {
+    list.querySelectorAll(".drop-before, .drop-after").forEach((li) => {
+      li.classList.remove("drop-before", "drop-after");
+    });
+  }
+
+  /**
+   * Start listening for drags inside container. onMove(id, visibleIndex)
+   * is called on drop, visibleIndex being the todo's new position among
+   * the visible todos.
+   */
+  function enable(container, { onMove }) {
+    let drag = null;
+
+    container.addEventListener("pointerdown", (e) => {
+      if (e.button !== 0 || e.pointerType === "touch") return;
+      const li = e.target.closest(".todo-list > li");
+      if (
+        !li ||
+        li.classList.contains("editing") ||
+        e.target.closest(IGNORED)
+      ) {
+        return;
+      }
+      drag = { li, pointerId: e.pointerId, startY: e.clientY, active: false };
+    });
+
+    container.addEventListener("pointermove", (e) => {
+      if (!drag || e.pointerId !== drag.pointerId) return;
+      if (!drag.active) {
+        if (Math.abs(e.clientY - drag.startY) < DRAG_THRESHOLD) return;
+        if (!drag.li.isConnected) {
+          drag = null;
+          return;
+        }
+        drag.active = true;
+        drag.li.setPointerCapture(e.pointerId);
+      }
+      e.preventDefault();
+
+      // A render may have swapped the list out from under the drag
+      const list = drag.li.parentNode;
+      if (!list) return;
+      drag.li.classList.add("dragging");
+      clearMarkers(list);
+      const others = Array.from(list.children).filter((li) => li !== drag.li);
+      const { marker, side } = dropTarget(others, e.clientY);
+      if (marker) marker.classList.add(side);
+    });
+
+    function finish(e, drop) {
+      if (!drag || e.pointerId !== drag.pointerId) return;
+      const { li, active } = drag;
+      drag = null;
+      if (!active) return;
+
+      li.classList.remove("dragging");
+      const list = li.parentNode;
+      if (!list) return;
+      clearMarkers(list);
+
+      if (drop) {
+        const others = Array.from(list.children).filter(
+          (other) => other !== li,
+        );
+        onMove(
+          parseInt(li.dataset.id, 10),
+          dropTarget(others, e.clientY).index,
+        );
+      }
+    }
+
+    container.addEventListener("pointerup", (e) => finish(e, true));
+    container.addEventListener("pointercancel", (e) => finish(e, false));
+  }
+
+  window.TodoReorder = {
+    enable,
+  };
+})();
@@ -0,0 +1,203 @@
+/**
+ * TodoMVC - Hash Router
+ *
+ * The one place the URL is read and written. Routes look like
+ *
+ *   #/                  all todos
+ *   #/active            a filter (active or completed)
+ *   #/todo/3            todo 3, scrolled into view and focused
+ *   #/todo/3/edit       the same, with its editor open
+ *   #/completed/todo/3  todo 3 under a filter
+ *
+ * optionally followed by query parameters, which are kept as the rest of
+ * the route changes. The search (see search.js) is carried in three of
+ * them: q for its text, tags as a comma-separated list and fuzzy=1, e.g.
+ * #/active?q=milk&tags=shop,weekly.
+ *
+ * The page follows the URL through the onRoute callback (on load, links
+ * and back/forward), and sync() makes the URL follow the state after every
+ * render. A switch between filters pushes a history entry; anything else,
+ * such as the reducer clearing the filter when the list empties, replaces
+ * the current one.
+ *
+ * parse() and format() have no DOM dependencies and also load in Node.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./search.js"));
+  } else {
+    root.TodoRouter = factory(root.TodoSearch);
+  }
+})(typeof self !== "undefined" ? self : this, function (TodoSearch) {
+  "use strict";
+
+  const FILTERS = ["all", "active", "completed"];
+
+  /**
+   * Parse a location hash into { filter, todoId, edit, params }. Anything
+   * unrecognised falls back to the all filter.
+   */
+  function parse(hash) {
+    const text = hash.replace(/^#/, "");
+    const queryStart = text.indexOf("?");
+    const path = queryStart === -1 ? text : text.slice(0, queryStart);
+    const query = queryStart === -1 ? "" : text.slice(queryStart + 1);
+    const segments = path.split("/").filter(Boolean);
+
+    const route = { filter: "all", todoId: null, edit: false, params: {} };
+    if (FILTERS.includes(segments[0])) route.filter = segments.shift();
+    if (segments[0] === "todo" && /^\d+$/.test(segments[1])) {
+      route.todoId = parseInt(segments[1], 10);
+      route.edit = segments[2] === "edit";
+    }
+    new URLSearchParams(query).forEach((value, key) => {
+      route.params[key] = value;
+    });
+
+    return route;
+  }
+
+  /**
+   * The canonical hash for a route
+   */
+  function format({ filter, todoId, edit, params }) {
+    const segments = filter === "all" ? [] : [filter];
+    if (todoId !== null) {
+      segments.push("todo", String(todoId));
+      if (edit) segments.push("edit");
+    }
+    const query = new URLSearchParams(params).toString();
+    return "#/" + segments.join("/") + (query ? "?" + query : "");
+  }
+
+  /**
+   * The search a route asks for
+   */
+  function searchOf({ params }) {
+    return {
+      text: params.q || "",
+      fuzzy: params.fuzzy === "1",
+      tags: (params.tags || "")
+        .split(",")
+        .map((tag) => tag.trim().toLowerCase())
+        .filter(Boolean),
+    };
+  }
+
+  /**
+   * Params with the search's replaced by those for search
+   */
+  function withSearch(params, search) {
+    const { q, tags, fuzzy, ...rest } = params;
+    return {
+      ...rest,
+      ...(search.text ? { q: search.text } : {}),
+      ...(search.tags.length > 0 ? { tags: search.tags.join(",") } : {}),
+      ...(search.fuzzy ? { fuzzy: "1" } : {}),
+    };
+  }
+
+  /**
+   * Whether a todo is shown under a filter
+   */
+  function matchesFilter(filter, item) {
+    switch (filter) {
+      case "active":
+        return !item.completed;
+      case "completed":
+        return item.completed;
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Start routing. onRoute(route) is called whenever the URL changes
+   * other than through sync(): links, typed URLs, back and forward.
+   */
+  function create({ onRoute }) {
+    let route = parse(window.location.hash);
+
+    function write(next, replace) {
+      route = next;
+      const hash = format(next);
+      if (hash === window.location.hash) return;
+      if (replace) {
+        history.replaceState(history.state, "", hash);
+      } else {
+        history.pushState(null, "", hash);
+      }
+    }
+
+    // Back and forward fire both events for a hash change
+    function onLocationChange() {
+      const next = parse(window.location.hash);
+      if (format(next) === format(route)) return;
+      route = next;
+      onRoute(route);
+    }
+
+    window.addEventListener("hashchange", onLocationChange);
+    window.addEventListener("popstate", onLocationChange);
+
+    return {
+      route: () => route,
+
+      /**
+       * Correct the current route without a history entry
+       */
+      replace(next) {
+        write(next, true);
+      },
+
+      /**
+       * Bring the URL in line with the state
+       */
+      sync(state) {
+        const filter = state.selectedFilter || "all";
+        const filterChanged = filter !== route.filter;
+        const search = TodoSearch.searchOf(state);
+
+        // A deep-linked todo stays in the URL until the filter changes or
+        // it is no longer shown
+        const todoId =
+          !filterChanged &&
+          state.items.some(
+            (item) =>
+              item.id === route.todoId &&
+              matchesFilter(filter, item) &&
+              TodoSearch.matchesSearch(search, item),
+          )
+            ? route.todoId
+            : null;
+
+        write(
+          {
+            ...route,
+            filter,
+            todoId,
+            edit: todoId !== null && route.edit && state.editingId === todoId,
+            params: withSearch(route.params, search),
+          },
+          !(filterChanged && state.selectedFilter),
+        );
+      },
+
+      close() {
+        window.removeEventListener("hashchange", onLocationChange);
+        window.removeEventListener("popstate", onLocationChange);
+      },
+    };
+  }
+
+  return {
+    FILTERS,
+    parse,
+    format,
+    searchOf,
+    withSearch,
+    matchesFilter,
+    create,
+  };
+});
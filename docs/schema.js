@@ -0,0 +1,358 @@
+/**
+ * TodoMVC - State and Action Schema
+ *
+ * What a TodoState and each Action must look like, checked wherever JSON
+ * crosses into or out of an engine (guardEngine) and when a saved state
+ * is loaded (storage.js).
+ *
+ * A state is checked with the rules of the Lean TodoState.fromJson
+ * parser: pendingText and nextId are required, selectedFilter must be
+ * present, and anything in it but the name of a filter reads as no
+ * filter. The rest is what the JavaScript engine relies on: items is a
+ * list of todos with distinct ids, editingId is null or a natural number,
+ * and the optional search (see search.js), todo details (see details.js)
+ * and siteId (see ids.js) are well formed when present; an unknown sortBy
+ * reads as the manual order. Fields it does not know are allowed.
+ *
+ * Each action type has a rule for its fields, e.g. toggleTodo needs a
+ * natural number id and setFilter one of the three filters. The fields of
+ * the actions Lean parses (Action.fromJson) are read as it reads them.
+ *
+ * A problem is reported as { path, message }, e.g.
+ * { path: "items[2].id", message: "must be a natural number" }, and the
+ * checks throw a SchemaError listing every problem found.
+ *
+ * No DOM dependencies: loads in the page, in Node and in workers.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(
+      require("./search.js"),
+      require("./details.js"),
+      require("./ids.js"),
+    );
+  } else {
+    root.TodoSchema = factory(root.TodoSearch, root.TodoDetails, root.TodoIds);
+  }
+})(
+  typeof self !== "undefined" ? self : this,
+  function (TodoSearch, TodoDetails, TodoIds) {
+    "use strict";
+
+    const FILTERS = ["all", "active", "completed"];
+
+    class SchemaError extends Error {
+      /**
+       * subject names what was checked, e.g. "state" or "action", and
+       * problems lists what is wrong with it
+       */
+      constructor(subject, problems, value) {
+        super(
+          `Invalid ${subject}: ` +
+            problems
+              .map(({ path, message }) =>
+                path ? `${path} ${message}` : message,
+              )
+              .join("; "),
+        );
+        this.name = "SchemaError";
+        this.subject = subject;
+        this.problems = problems;
+        this.value = value;
+      }
+    }
+
+    /* Field types: a test and how to say what was expected */
+
+    const type = (test, expected) => ({ test, expected });
+
+    const isNat = (value) => Number.isInteger(value) && value >= 0;
+    const isObject = (value) =>
+      Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+    const nat = type(isNat, "a natural number");
+    const integer = type(Number.isInteger, "an integer");
+    const string = type((value) => typeof value === "string", "a string");
+    const boolean = type((value) => typeof value === "boolean", "a boolean");
+    const oneOf = (values) =>
+      type(
+        (value) => values.includes(value),
+        `one of ${values.map((value) => `"${value}"`).join(", ")}`,
+      );
+    const listOf = (item, expected) =>
+      type(
+        (value) => Array.isArray(value) && value.every(item.test),
+        `a list of ${expected}`,
+      );
+    // Absent and null both mean "none" (or "clear it", for the details)
+    const optional = (inner) =>
+      type((value) => value == null || inner.test(value), inner.expected);
+
+    const tag = type(
+      (value) => TodoSearch.normalizeTag(value) !== null,
+      "a tag name",
+    );
+    const date = type(TodoDetails.isDate, "a YYYY-MM-DD date");
+    const priority = type(TodoDetails.isPriority, "a priority from 1 to 3");
+
+    /**
+     * The problems with fields of value, each checked against its type
+     */
+    function checkFields(value, fields, prefix = "") {
+      return Object.entries(fields)
+        .filter(([name, { test }]) => !test(value[name]))
+        .map(([name, { expected }]) => ({
+          path: prefix + name,
+          message:
+            value[name] === undefined ? "is missing" : `must be ${expected}`,
+        }));
+    }
+
+    /* Todos and states */
+
+    const TODO_FIELDS = {
+      id: nat,
+      text: string,
+      completed: boolean,
+      due: optional(date),
+      priority: optional(priority),
+      notes: optional(string),
+    };
+
+    function checkTodo(item, prefix) {
+      if (!isObject(item)) {
+        return [{ path: prefix.slice(0, -1), message: "must be a todo" }];
+      }
+      return checkFields(item, TODO_FIELDS, prefix);
+    }
+
+    const STATE_FIELDS = {
+      pendingText: string,
+      nextId: nat,
+      items: type(Array.isArray, "a list of todos"),
+      editingId: optional(nat),
+      siteId: optional(type(TodoIds.isSite, "a site number")),
+    };
+
+    /**
+     * Every problem with a parsed state, or [] when it is valid
+     */
+    function checkState(state) {
+      if (!isObject(state)) return [{ path: "", message: "must be an object" }];
+
+      // Any selectedFilter will do, as in selectedFilterFromJson: what is
+      // not the name of a filter reads as none
+      const problems = checkFields(state, STATE_FIELDS);
+      if (!("selectedFilter" in state)) {
+        problems.push({ path: "selectedFilter", message: "is missing" });
+      }
+
+      if (Array.isArray(state.items)) {
+        const seen = new Set();
+        state.items.forEach((item, index) => {
+          const prefix = `items[${index}].`;
+          problems.push(...checkTodo(item, prefix));
+          if (isObject(item) && seen.has(item.id)) {
+            problems.push({ path: `${prefix}id`, message: "is used twice" });
+          }
+          if (isObject(item)) seen.add(item.id);
+        });
+      }
+
+      try {
+        TodoSearch.normalizeSearch(state.search);
+      } catch (error) {
+        problems.push({
+          path: "search",
+          message: "must be { text, fuzzy, tags }",
+        });
+      }
+      return problems;
+    }
+
+    /**
+     * The state as the engines read it: an unknown filter is no filter, an
+     * editingId naming no todo is dropped, and the search and sort are
+     * filled in. Throws a SchemaError for an invalid state.
+     */
+    function normalizeState(state) {
+      const problems = checkState(state);
+      if (problems.length > 0) throw new SchemaError("state", problems, state);
+
+      return {
+        ...state,
+        selectedFilter: FILTERS.includes(state.selectedFilter)
+          ? state.selectedFilter
+          : null,
+        editingId: state.items.some((item) => item.id === state.editingId)
+          ? state.editingId
+          : null,
+        search: TodoSearch.normalizeSearch(state.search),
+        sortBy: TodoDetails.sortOf(state),
+      };
+    }
+
+    /* Actions */
+
+    const ids = listOf(nat, "natural numbers");
+    const tags = optional(listOf(tag, "tag names"));
+
+    // The fields of each action type beyond "type"
+    const ACTION_FIELDS = {
+      enterText: { text: string },
+      addTodo: {},
+      insertTodo: {},
+      toggleTodo: { id: nat },
+      deleteTodo: { id: nat },
+      setFilter: { filter: oneOf(FILTERS) },
+      toggleAll: {},
+      clearCompleted: {},
+      startEdit: { id: nat },
+      updateTodoText: { id: nat, text: string },
+      cancelEdit: {},
+      moveTodo: { id: nat, toIndex: integer },
+      completeTodos: { ids, completed: boolean },
+      deleteTodos: { ids },
+      retagTodos: { ids, add: tags, remove: tags },
+      setDue: { id: nat, due: optional(date) },
+      setPriority: { id: nat, priority: optional(priority) },
+      setNotes: { id: nat, notes: optional(string) },
+      setSort: { sort: oneOf(TodoDetails.SORTS) },
+      setSearch: {
+        text: optional(string),
+        fuzzy: optional(boolean),
+        tags: optional(listOf(string, "strings")),
+      },
+      toggleTag: { tag: string },
+    };
+
+    /**
+     * Every problem with a parsed action, or [] when it is valid
+     */
+    function checkAction(action) {
+      if (!isObject(action))
+        return [{ path: "", message: "must be an object" }];
+      if (!Object.hasOwn(ACTION_FIELDS, action.type)) {
+        return [
+          {
+            path: "type",
+            message:
+              action.type === undefined
+                ? "is missing"
+                : `"${action.type}" is not an action type`,
+          },
+        ];
+      }
+
+      const problems = checkFields(action, ACTION_FIELDS[action.type]);
+      if (action.type === "insertTodo") {
+        problems.push(...checkTodo(action.item, "item."));
+        if (
+          isObject(action.item) &&
+          typeof action.item.text === "string" &&
+          action.item.text.trim() === ""
+        ) {
+          problems.push({ path: "item.text", message: "must not be blank" });
+        }
+      }
+      return problems;
+    }
+
+    /* Parsing and the engine boundary */
+
+    function parseJson(subject, json) {
+      try {
+        return JSON.parse(json);
+      } catch (error) {
+        throw new SchemaError(
+          subject,
+          [{ path: "", message: `is not JSON (${error.message})` }],
+          json,
+        );
+      }
+    }
+
+    /**
+     * The state in json, or a SchemaError naming it subject
+     */
+    function parseState(json, subject = "state") {
+      const state = parseJson(subject, json);
+      const problems = checkState(state);
+      if (problems.length > 0) throw new SchemaError(subject, problems, state);
+      return state;
+    }
+
+    /**
+     * The action in json, or a SchemaError naming it subject
+     */
+    function parseAction(json, subject = "action") {
+      const action = parseJson(subject, json);
+      const problems = checkAction(action);
+      if (problems.length > 0) throw new SchemaError(subject, problems, action);
+      return action;
+    }
+
+    /**
+     * Hand the engine the state as Lean reads it: a selectedFilter naming
+     * no filter becomes null instead of reaching the JavaScript engine
+     */
+    function engineStateJson(json, state) {
+      return state.selectedFilter === null ||
+        FILTERS.includes(state.selectedFilter)
+        ? json
+        : JSON.stringify({ ...state, selectedFilter: null });
+    }
+
+    /**
+     * Wrap an engine's getInitialState, processAction and renderState
+     * (all returning promises) so that every state and action going in and
+     * every state coming out is checked. A call given or returning invalid
+     * JSON rejects with a SchemaError instead of passing it on. Actions
+     * for which isExtraAction(type) holds, such as plugin actions, skip
+     * the action check; the state they produce is still checked.
+     */
+    function guardEngine(engine, { isExtraAction = () => false } = {}) {
+      return {
+        ...engine,
+
+        async getInitialState() {
+          const json = await engine.getInitialState();
+          parseState(json, "initial state from the engine");
+          return json;
+        },
+
+        async processAction(stateJson, actionJson) {
+          const state = parseState(stateJson, "state given to the engine");
+          const action = parseJson("action", actionJson);
+          if (!isObject(action) || !isExtraAction(action.type)) {
+            parseAction(actionJson);
+          }
+          const result = await engine.processAction(
+            engineStateJson(stateJson, state),
+            actionJson,
+          );
+          parseState(result, `state returned for ${action.type}`);
+          return result;
+        },
+
+        async renderState(stateJson) {
+          const state = parseState(stateJson, "state given to render");
+          return engine.renderState(engineStateJson(stateJson, state));
+        },
+      };
+    }
+
+    return {
+      FILTERS,
+      SchemaError,
+      ACTION_FIELDS,
+      checkState,
+      normalizeState,
+      checkAction,
+      parseState,
+      parseAction,
+      guardEngine,
+    };
+  },
+);
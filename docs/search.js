@@ -0,0 +1,161 @@
+/**
+ * TodoMVC - Search and Tags
+ *
+ * The search part of the filter model. The state carries
+ *
+ *   search: { text: "", fuzzy: false, tags: [] }
+ *
+ * next to selectedFilter, and a todo is shown when it passes both. Every
+ * word of text must occur in the todo's text, as a substring or, with
+ * fuzzy set, as a subsequence ("mlk" finds "milk"); the todo must also
+ * carry every tag in tags.
+ *
+ * Tags are "#word" tokens written in the todo text itself, so they need
+ * no storage of their own. States from before search existed (and from
+ * the Lean engine, which does not know about it) have no search field and
+ * read as an empty search.
+ *
+ * No DOM dependencies: loads in the page, in Node and in workers.
+ */
+
+(function (root, factory) {
+  const search = factory();
+  if (typeof module === "object" && module.exports) {
+    module.exports = search;
+  } else {
+    root.TodoSearch = search;
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const EMPTY_SEARCH = Object.freeze({ text: "", fuzzy: false, tags: [] });
+
+  // "#" then letters, digits, "_" or "-", at the start or after a space
+  const TAG_PATTERN = /(^|\s)#([\p{L}\p{N}_-]+)/gu;
+
+  function searchOf(state) {
+    return state.search || EMPTY_SEARCH;
+  }
+
+  function isSearching(search) {
+    return search.text.trim() !== "" || search.tags.length > 0;
+  }
+
+  /**
+   * Split text into plain runs and tags, for rendering tags as chips:
+   * [{ text }, { tag, text }, ...] where tag is the lower-cased name and
+   * text is what was written, including the "#".
+   */
+  function tokenize(text) {
+    const tokens = [];
+    let last = 0;
+
+    for (const match of text.matchAll(TAG_PATTERN)) {
+      const start = match.index + match[1].length;
+      if (start > last) tokens.push({ text: text.slice(last, start) });
+      tokens.push({ tag: match[2].toLowerCase(), text: "#" + match[2] });
+      last = start + 1 + match[2].length;
+    }
+    if (last < text.length) tokens.push({ text: text.slice(last) });
+
+    return tokens;
+  }
+
+  /**
+   * The distinct tags in a todo's text, lower-cased
+   */
+  function extractTags(text) {
+    const tags = tokenize(text)
+      .filter((token) => token.tag)
+      .map((token) => token.tag);
+    return [...new Set(tags)];
+  }
+
+  /**
+   * A tag as typed (with or without its "#"), lower-cased, or null when it
+   * is not a valid tag name
+   */
+  function normalizeTag(tag) {
+    const name = String(tag).trim().replace(/^#/, "").toLowerCase();
+    return /^[\p{L}\p{N}_-]+$/u.test(name) ? name : null;
+  }
+
+  /**
+   * text with the tags in remove taken out (with the space before them)
+   * and those in add appended. A todo that is nothing but tags keeps them
+   * rather than be left empty.
+   */
+  function retag(text, add, remove) {
+    const tokens = tokenize(text);
+    let kept = "";
+    tokens.forEach((token, i) => {
+      if (!token.tag || !remove.includes(token.tag)) {
+        kept += token.text;
+      } else if (kept === "" && tokens[i + 1] && !tokens[i + 1].tag) {
+        tokens[i + 1] = { text: tokens[i + 1].text.replace(/^\s/, "") };
+      } else {
+        kept = kept.replace(/\s$/, "");
+      }
+    });
+    if (kept.trim() === "") kept = text;
+
+    const present = extractTags(kept);
+    const added = add.filter((tag) => !present.includes(tag));
+    return [kept, ...added.map((tag) => "#" + tag)].join(" ");
+  }
+
+  function isSubsequence(needle, haystack) {
+    let i = 0;
+    for (const ch of haystack) {
+      if (ch === needle[i]) i++;
+      if (i === needle.length) return true;
+    }
+    return needle.length === 0;
+  }
+
+  function matchesSearch(search, item) {
+    const text = item.text.toLowerCase();
+    const words = search.text.toLowerCase().split(/\s+/).filter(Boolean);
+    const matchesWord = search.fuzzy
+      ? (word) => isSubsequence(word, text)
+      : (word) => text.includes(word);
+    if (!words.every(matchesWord)) return false;
+
+    const tags = extractTags(item.text);
+    return search.tags.every((tag) => tags.includes(tag));
+  }
+
+  /**
+   * Check a search read from storage or a URL. Returns the normalized
+   * search or throws with a description of the problem.
+   */
+  function normalizeSearch(search) {
+    if (search === undefined) return { ...EMPTY_SEARCH };
+    if (
+      !search ||
+      typeof search.text !== "string" ||
+      typeof search.fuzzy !== "boolean" ||
+      !Array.isArray(search.tags) ||
+      !search.tags.every((tag) => typeof tag === "string")
+    ) {
+      throw new Error("search must be { text, fuzzy, tags }");
+    }
+    return {
+      text: search.text,
+      fuzzy: search.fuzzy,
+      tags: [...new Set(search.tags.map((tag) => tag.toLowerCase()))],
+    };
+  }
+
+  return {
+    EMPTY_SEARCH,
+    searchOf,
+    isSearching,
+    tokenize,
+    extractTags,
+    normalizeTag,
+    retag,
+    matchesSearch,
+    normalizeSearch,
+  };
+});
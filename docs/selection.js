@@ -0,0 +1,115 @@
+/**
+ * TodoMVC - Multi-select
+ *
+ * The set of todos picked for a bulk action, as
+ *
+ *   { ids: [3, 5, 6], anchor: 3 }
+ *
+ * where anchor is the todo a Shift range starts from. The selection is
+ * view state: it lives in the page next to the rendered list rather than
+ * in the todo state, so picking todos is neither saved, shared with other
+ * tabs nor an undo step. Only the bulk action it leads to is.
+ *
+ * The functions here take the visible todo ids in list order as `order`
+ * and return new selections; none touch the DOM.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./search.js"));
+  } else {
+    root.TodoSelection = factory(root.TodoSearch);
+  }
+})(typeof self !== "undefined" ? self : this, function (TodoSearch) {
+  "use strict";
+
+  const EMPTY_SELECTION = Object.freeze({ ids: [], anchor: null });
+
+  function isSelected(selection, id) {
+    return selection.ids.includes(id);
+  }
+
+  /**
+   * Add id to the selection or take it out (Ctrl-click, Ctrl+Space); it
+   * becomes the anchor either way
+   */
+  function toggle(selection, id) {
+    return {
+      ids: isSelected(selection, id)
+        ? selection.ids.filter((other) => other !== id)
+        : [...selection.ids, id],
+      anchor: id,
+    };
+  }
+
+  /**
+   * Select the todos from the anchor to id (Shift-click, Shift+arrow).
+   * Without an anchor in order the range starts at from.
+   */
+  function extend(selection, order, id, from = id) {
+    const anchor = order.includes(selection.anchor) ? selection.anchor : from;
+    const start = order.indexOf(anchor);
+    const end = order.indexOf(id);
+    if (start === -1 || end === -1) return selection;
+
+    return {
+      ids: order.slice(Math.min(start, end), Math.max(start, end) + 1),
+      anchor,
+    };
+  }
+
+  function selectAll(order) {
+    return { ids: [...order], anchor: order.length > 0 ? order[0] : null };
+  }
+
+  /**
+   * Drop the todos no longer shown. Returns selection itself when nothing
+   * changed.
+   */
+  function prune(selection, order) {
+    const ids = order.filter((id) => isSelected(selection, id));
+    const anchor = order.includes(selection.anchor) ? selection.anchor : null;
+    if (ids.length === selection.ids.length && anchor === selection.anchor) {
+      return selection;
+    }
+    return { ids, anchor };
+  }
+
+  /**
+   * The reducer action for a bulk command on the selection, or null when
+   * there is nothing to do (an empty selection or an invalid tag)
+   */
+  function bulkAction(command, selection, tag) {
+    const ids = [...selection.ids];
+    if (ids.length === 0) return null;
+
+    switch (command) {
+      case "complete":
+        return { type: "completeTodos", ids, completed: true };
+      case "uncomplete":
+        return { type: "completeTodos", ids, completed: false };
+      case "delete":
+        return { type: "deleteTodos", ids };
+      case "addTag":
+      case "removeTag": {
+        const name = TodoSearch.normalizeTag(tag || "");
+        if (!name) return null;
+        return command === "addTag"
+          ? { type: "retagTodos", ids, add: [name], remove: [] }
+          : { type: "retagTodos", ids, add: [], remove: [name] };
+      }
+      default:
+        return null;
+    }
+  }
+
+  return {
+    EMPTY_SELECTION,
+    isSelected,
+    toggle,
+    extend,
+    selectAll,
+    prune,
+    bulkAction,
+  };
+});
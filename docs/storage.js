@@ -0,0 +1,129 @@
+/**
+ * TodoMVC - Versioned State Storage
+ *
+ * Persists the state JSON to localStorage so todos survive a reload.
+ * Stored blobs are wrapped in an envelope carrying a schema version, and
+ * older versions are upgraded through the migrations table on load, then
+ * checked and normalized by TodoSchema.normalizeState (see schema.js).
+ * A blob that cannot be parsed or validated is moved aside under a
+ * quarantine key instead of breaking startup.
+ *
+ * Uses the global localStorage where it runs, so it also loads in Node
+ * (for the tests, which provide one).
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(
+      require("./search.js"),
+      require("./schema.js"),
+      require("./logger.js"),
+    );
+  } else {
+    root.TodoStorage = factory(
+      root.TodoSearch,
+      root.TodoSchema,
+      root.TodoLogger,
+    );
+  }
+})(
+  typeof self !== "undefined" ? self : this,
+  function (TodoSearch, TodoSchema, TodoLogger) {
+    "use strict";
+
+    const log = TodoLogger.shared;
+
+    const DEFAULT_KEY = "tuxedo-todomvc/state";
+    const SCHEMA_VERSION = 4;
+
+    /**
+     * Migrations from version N to N + 1, applied in order on load.
+     * Version 0 is a bare state object saved without an envelope.
+     */
+    const migrations = {
+      0: (state) => state,
+      // v2: the todo being edited moved into the state
+      1: (state) => ({ ...state, editingId: null }),
+      // v3: the search joined the filter model
+      2: (state) => ({ ...state, search: { ...TodoSearch.EMPTY_SEARCH } }),
+      // v4: todos may carry due, priority and notes, shown in sortBy order
+      3: (state) => ({ ...state, sortBy: "manual" }),
+    };
+
+    /**
+     * Move an unreadable blob aside so it can be inspected later
+     */
+    function quarantine(key, raw, reason) {
+      const quarantineKey = `${key}.corrupt-${Date.now()}`;
+      log.warn(
+        `Stored state under "${key}" is unreadable (${reason}); ` +
+          `moved to "${quarantineKey}"`,
+      );
+      try {
+        localStorage.setItem(quarantineKey, raw);
+      } catch (e) {
+        log.warn("Could not quarantine stored state:", e);
+      }
+      localStorage.removeItem(key);
+    }
+
+    /**
+     * Load the saved state JSON, or null when nothing usable is stored
+     */
+    function load(key = DEFAULT_KEY) {
+      let raw;
+      try {
+        raw = localStorage.getItem(key);
+      } catch (e) {
+        log.warn("localStorage is not available:", e);
+        return null;
+      }
+      if (raw === null) return null;
+
+      try {
+        const parsed = JSON.parse(raw);
+        const isEnvelope =
+          parsed && typeof parsed === "object" && "version" in parsed;
+        let version = isEnvelope ? parsed.version : 0;
+        let state = isEnvelope ? parsed.state : parsed;
+
+        if (!Number.isInteger(version) || version > SCHEMA_VERSION) {
+          throw new Error(`unsupported schema version ${version}`);
+        }
+        while (version < SCHEMA_VERSION) {
+          state = migrations[version](state);
+          version += 1;
+        }
+
+        return JSON.stringify(TodoSchema.normalizeState(state));
+      } catch (error) {
+        quarantine(key, raw, error.message);
+        return null;
+      }
+    }
+
+    /**
+     * Save the state JSON under the current schema version
+     */
+    function save(stateJson, key = DEFAULT_KEY) {
+      try {
+        localStorage.setItem(
+          key,
+          JSON.stringify({
+            version: SCHEMA_VERSION,
+            state: JSON.parse(stateJson),
+          }),
+        );
+      } catch (error) {
+        log.warn("Failed to save state:", error);
+      }
+    }
+
+    return {
+      DEFAULT_KEY,
+      SCHEMA_VERSION,
+      load,
+      save,
+    };
+  },
+);
@@ -0,0 +1,119 @@
+/**
+ * TodoMVC - Service Worker
+ *
+ * Keeps a copy of the app shell so the page opens offline once it has
+ * loaded. Shell files are fetched network-first, so a deploy shows up on
+ * the next online visit, and served from the cache when the network fails.
+ *
+ * The WASM binary is not handled here: engine-worker.js caches it already
+ * decompressed, keyed by the content hash in wasm-manifest.json.
+ */
+
+(function () {
+  "use strict";
+
+  const SHELL_CACHE = "todomvc-shell-v1";
+
+  const SHELL_FILES = [
+    "./",
+    "index.html",
+    "embed.html",
+    "todomvc.css",
+    "view.css",
+    "main.js",
+    "logger.js",
+    "engine.js",
+    "engine-worker.js",
+    "search.js",
+    "details.js",
+    "ids.js",
+    "schema.js",
+    "hybrid.js",
+    "reducer.js",
+    "plugins.js",
+    "files.js",
+    "storage.js",
+    "controller.js",
+    "history.js",
+    "conformance.js",
+    "monitor.js",
+    "trace.js",
+    "devtools.js",
+    "formats.js",
+    "patch.js",
+    "a11y.js",
+    "selection.js",
+    "router.js",
+    "reorder.js",
+    "sync.js",
+    "remote.js",
+    "app.js",
+    "element.js",
+  ];
+
+  // Only present in deployments made with package_wasm.sh
+  const OPTIONAL_FILES = ["wasm-manifest.json"];
+
+  const shellUrls = new Set(
+    [...SHELL_FILES, ...OPTIONAL_FILES].map(
+      (file) => new URL(file, self.registration.scope).href,
+    ),
+  );
+
+  self.addEventListener("install", (event) => {
+    event.waitUntil(
+      caches
+        .open(SHELL_CACHE)
+        .then((cache) =>
+          Promise.all([
+            cache.addAll(SHELL_FILES),
+            ...OPTIONAL_FILES.map((file) => cache.add(file).catch(() => {})),
+          ]),
+        )
+        .then(() => self.skipWaiting()),
+    );
+  });
+
+  // Drop shell caches left behind by older versions of this worker
+  self.addEventListener("activate", (event) => {
+    event.waitUntil(
+      caches
+        .keys()
+        .then((keys) =>
+          Promise.all(
+            keys
+              .filter(
+                (key) =>
+                  key.startsWith("todomvc-shell-") && key !== SHELL_CACHE,
+              )
+              .map((key) => caches.delete(key)),
+          ),
+        )
+        .then(() => self.clients.claim()),
+    );
+  });
+
+  async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+      const response = await fetch(request);
+      if (response.ok) await cache.put(request, response.clone());
+      return response;
+    } catch (error) {
+      // ignoreSearch so that e.g. index.html?conformance=1 opens offline
+      const cached = await cache.match(request, { ignoreSearch: true });
+      if (cached) return cached;
+      throw error;
+    }
+  }
+
+  self.addEventListener("fetch", (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    url.search = "";
+
+    if (request.method === "GET" && shellUrls.has(url.href)) {
+      event.respondWith(networkFirst(request));
+    }
+  });
+})();
@@ -0,0 +1,285 @@
+/**
+ * TodoMVC - Multi-Tab Sync
+ *
+ * Keeps every open tab on the same list. Actions that change the shared
+ * part of the state (the items and nextId) are broadcast to the other
+ * tabs, which apply them through the same reducer. pendingText, the todo
+ * being edited, the selected filter, the search and the sort order stay
+ * local to each tab.
+ *
+ * Concurrent actions are ordered by a Lamport clock, ties broken by tab
+ * id. A tab that receives an operation ordering before ones it has already
+ * applied rebuilds its state by replaying the recent operations in that
+ * order, so every tab ends up with the same items. In particular, two tabs
+ * adding a todo at the same time both end up giving the earlier add the
+ * id nextId and the later one nextId + 1.
+ *
+ * Messages go over BroadcastChannel, or through storage events where that
+ * is unavailable. Node has BroadcastChannel too, so given a localStorage
+ * for the clock the tests run several tabs in one process.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./search.js"), require("./details.js"));
+  } else {
+    root.TodoSync = factory(root.TodoSearch, root.TodoDetails);
+  }
+})(
+  typeof self !== "undefined" ? self : this,
+  function (TodoSearch, TodoDetails) {
+    "use strict";
+
+    const CHANNEL = "tuxedo-todomvc";
+    const MESSAGE_KEY = "tuxedo-todomvc/sync";
+    const CLOCK_KEY = "tuxedo-todomvc/clock";
+
+    // Operations older than this are assumed to have reached every tab and
+    // are folded into the base state
+    const SETTLE_MS = 5000;
+
+    /**
+     * The shared form of an action, or null for actions that only touch
+     * local state. An addTodo carries its text, since the pendingText it
+     * reads is local to the tab.
+     */
+    function toSharedAction(action, stateBefore) {
+      switch (action.type) {
+        case "addTodo":
+          return stateBefore.pendingText.trim() === ""
+            ? null
+            : { type: "addTodo", text: stateBefore.pendingText };
+        case "toggleTodo":
+        case "deleteTodo":
+        case "toggleAll":
+        case "clearCompleted":
+        case "updateTodoText":
+        case "moveTodo":
+        case "completeTodos":
+        case "deleteTodos":
+        case "retagTodos":
+        case "setDue":
+        case "setPriority":
+        case "setNotes":
+          return action;
+        default:
+          return null;
+      }
+    }
+
+    function compareOps(a, b) {
+      if (a.clock !== b.clock) return a.clock - b.clock;
+      if (a.tabId === b.tabId) return 0;
+      return a.tabId < b.tabId ? -1 : 1;
+    }
+
+    /**
+     * Carry one tab's message to the others
+     */
+    function createTransport(onMessage) {
+      if (typeof BroadcastChannel !== "undefined") {
+        const channel = new BroadcastChannel(CHANNEL);
+        channel.addEventListener("message", (event) => onMessage(event.data));
+        return {
+          post: (message) => channel.postMessage(message),
+          close: () => channel.close(),
+        };
+      }
+
+      // storage events fire in every other tab on the same origin
+      const onStorage = (event) => {
+        if (event.key === MESSAGE_KEY && event.newValue) {
+          onMessage(JSON.parse(event.newValue));
+        }
+      };
+      window.addEventListener("storage", onStorage);
+      return {
+        post: (message) =>
+          localStorage.setItem(
+            MESSAGE_KEY,
+            // The nonce makes repeated identical messages still fire an event
+            JSON.stringify({ ...message, nonce: Math.random() }),
+          ),
+        close: () => window.removeEventListener("storage", onStorage),
+      };
+    }
+
+    /**
+     * Create the sync session for this tab
+     *
+     * processAction(stateJson, actionJson) is the reducer, returning a
+     * promise. onOperation(op) is called for every operation from another
+     * tab; the caller should then call receive(op, currentStateJson) in
+     * order with its own state updates.
+     */
+    function create({ initialStateJson, processAction, onOperation }) {
+      const tabId = Math.random().toString(36).slice(2, 10);
+      let clock = parseInt(localStorage.getItem(CLOCK_KEY), 10) || 0;
+      let baseJson = initialStateJson;
+      let log = [];
+
+      const transport = createTransport((op) => {
+        if (op && op.tabId !== tabId) onOperation(op);
+      });
+
+      function tick(seen = 0) {
+        clock = Math.max(clock, seen) + 1;
+        // Persisted so that a tab opened later starts after every
+        // operation already in the saved state
+        localStorage.setItem(CLOCK_KEY, String(clock));
+        return clock;
+      }
+
+      function settle(now) {
+        while (log.length > 0 && now - log[0].receivedAt > SETTLE_MS) {
+          baseJson = log.shift().stateAfterJson;
+        }
+      }
+
+      const run = (stateJson, action) =>
+        processAction(stateJson, JSON.stringify(action));
+
+      /**
+       * Apply a shared action through the reducer, keeping the local
+       * pendingText and edit
+       */
+      async function applyShared(stateJson, action) {
+        const local = JSON.parse(stateJson);
+        let next;
+
+        if (action.type === "addTodo") {
+          next = await run(stateJson, { type: "enterText", text: action.text });
+          next = await run(next, { type: "addTodo" });
+        } else if (action.type === "restore") {
+          next = JSON.stringify({
+            ...local,
+            items: action.items,
+            nextId: action.nextId,
+            selectedFilter:
+              action.items.length > 0 && local.selectedFilter == null
+                ? "all"
+                : local.selectedFilter,
+          });
+        } else {
+          next = await run(stateJson, action);
+        }
+
+        return restoreLocal(next, local);
+      }
+
+      async function restoreLocal(stateJson, local) {
+        let next = stateJson;
+        let state = JSON.parse(next);
+
+        if (state.pendingText !== local.pendingText) {
+          next = await run(next, {
+            type: "enterText",
+            text: local.pendingText,
+          });
+        }
+        if (
+          local.editingId != null &&
+          state.editingId !== local.editingId &&
+          state.items.some((item) => item.id === local.editingId)
+        ) {
+          next = await run(next, { type: "startEdit", id: local.editingId });
+        }
+
+        state = JSON.parse(next);
+        const search = TodoSearch.searchOf(local);
+        if (
+          JSON.stringify(TodoSearch.searchOf(state)) !== JSON.stringify(search)
+        ) {
+          next = await run(next, { type: "setSearch", ...search });
+        }
+        const sort = TodoDetails.sortOf(local);
+        if (TodoDetails.sortOf(state) !== sort) {
+          next = await run(next, { type: "setSort", sort });
+        }
+        if (
+          local.selectedFilter != null &&
+          state.selectedFilter !== local.selectedFilter &&
+          state.items.length > 0
+        ) {
+          next = await run(next, {
+            type: "setFilter",
+            filter: local.selectedFilter,
+          });
+        }
+        return next;
+      }
+
+      function publish(action, stateAfterJson) {
+        const now = Date.now();
+        settle(now);
+        const op = { clock: tick(), tabId, action };
+        log.push({ ...op, receivedAt: now, stateAfterJson });
+        transport.post(op);
+      }
+
+      return {
+        tabId,
+
+        /**
+         * Share a locally dispatched action, if it changes shared state
+         */
+        dispatched(action, stateBeforeJson, stateAfterJson) {
+          const shared = toSharedAction(action, JSON.parse(stateBeforeJson));
+          if (shared && stateAfterJson !== stateBeforeJson) {
+            publish(shared, stateAfterJson);
+          }
+        },
+
+        /**
+         * Share a state set without the reducer (undo, time travel, loading
+         * a trace)
+         */
+        restored(stateJson) {
+          const { items, nextId } = JSON.parse(stateJson);
+          publish({ type: "restore", items, nextId }, stateJson);
+        },
+
+        /**
+         * Apply an operation from another tab and return the new state
+         */
+        async receive(op, currentStateJson) {
+          settle(Date.now());
+          tick(op.clock);
+
+          const entry = { ...op, receivedAt: Date.now(), stateAfterJson: null };
+          const last = log[log.length - 1];
+
+          if (!last || compareOps(op, last) > 0) {
+            entry.stateAfterJson = await applyShared(
+              currentStateJson,
+              op.action,
+            );
+            log.push(entry);
+            return entry.stateAfterJson;
+          }
+
+          // Ordered before operations already applied: replay them after it
+          const index = log.findIndex((other) => compareOps(op, other) < 0);
+          log.splice(index, 0, entry);
+
+          let stateJson = baseJson;
+          for (const logged of log) {
+            stateJson = await applyShared(stateJson, logged.action);
+            logged.stateAfterJson = stateJson;
+          }
+          return restoreLocal(stateJson, JSON.parse(currentStateJson));
+        },
+
+        close() {
+          transport.close();
+        },
+      };
+    }
+
+    return {
+      toSharedAction,
+      compareOps,
+      create,
+    };
+  },
+);
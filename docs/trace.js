@@ -0,0 +1,278 @@
+/**
+ * TodoMVC - Action Traces
+ *
+ * Records the latest dispatch() calls (up to 200) as { action, stateBefore,
+ * stateAfter } so a session can be downloaded, attached to a bug report and
+ * replayed later.
+ * A trace also converts to:
+ * - a script of Driver.lean REPL commands, for pasting into the terminal
+ *   driver, and
+ * - the list of visited states, i.e. a FiniteTrace for LTL allSatisfy.
+ *
+ * Like reducer.js this has no DOM dependencies and also loads in Node, where
+ * the fuzzer uses it to print failing sequences.
+ */
+
+(function (root, factory) {
+  const trace = factory();
+  if (typeof module === "object" && module.exports) {
+    module.exports = trace;
+  } else {
+    root.TodoTrace = trace;
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const TRACE_KIND = "todomvc-trace";
+  const TRACE_VERSION = 1;
+
+  // Older steps are dropped so a long session does not grow the page
+  const DEFAULT_LIMIT = 200;
+
+  /**
+   * Create a recorder starting from the given state. It keeps the last
+   * `limit` steps as the JSON it was given and parses them only when a
+   * trace is asked for; dropping a step moves the start to its stateAfter,
+   * so the trace still replays.
+   */
+  function createRecorder(initialStateJson, limit = DEFAULT_LIMIT) {
+    const recorder = {
+      initialStateJson,
+      steps: [],
+
+      record(action, stateBeforeJson, stateAfterJson) {
+        recorder.steps.push({ action, stateBeforeJson, stateAfterJson });
+        if (recorder.steps.length > limit) {
+          recorder.initialStateJson = recorder.steps.shift().stateAfterJson;
+        }
+      },
+
+      /**
+       * Start over from a new state (e.g. after loading a trace)
+       */
+      reset(stateJson) {
+        recorder.initialStateJson = stateJson;
+        recorder.steps = [];
+      },
+
+      toTrace() {
+        const initialState = JSON.parse(recorder.initialStateJson);
+        const steps = recorder.steps.map((step) => ({
+          action: step.action,
+          stateBefore: JSON.parse(step.stateBeforeJson),
+          stateAfter: JSON.parse(step.stateAfterJson),
+        }));
+        return {
+          kind: TRACE_KIND,
+          version: TRACE_VERSION,
+          initialState,
+          steps,
+          states: toFiniteTrace(initialState, steps),
+        };
+      },
+    };
+
+    return recorder;
+  }
+
+  /**
+   * The visited states in order, starting with the initial state
+   */
+  function toFiniteTrace(initialState, steps) {
+    return [initialState, ...steps.map((step) => step.stateAfter)];
+  }
+
+  /**
+   * Parse and check a trace file. Throws on anything that is not a trace.
+   */
+  function parseTrace(text) {
+    const trace = JSON.parse(text);
+    if (!trace || trace.kind !== TRACE_KIND) {
+      throw new Error("not a TodoMVC trace file");
+    }
+    if (trace.version !== TRACE_VERSION) {
+      throw new Error(`unsupported trace version ${trace.version}`);
+    }
+    if (!trace.initialState || !Array.isArray(trace.steps)) {
+      throw new Error("trace is missing initialState or steps");
+    }
+    trace.steps.forEach((step, index) => {
+      if (!step.action || !step.stateBefore || !step.stateAfter) {
+        throw new Error(`step ${index} is incomplete`);
+      }
+    });
+    return trace;
+  }
+
+  /**
+   * Translate a trace into Driver.lean REPL commands. The driver's "add"
+   * takes the text directly, so enterText steps fold into the following
+   * addTodo. Actions the driver has no command for, or that name a todo
+   * it does not have, are returned in `skipped` with their step index.
+   *
+   * The driver starts from an empty list, so the todos in the trace's
+   * initial state are added first, then ticked and filtered as they were.
+   * It numbers todos from 0 in the order they are added, so ids are
+   * translated from the trace's to the driver's.
+   */
+  function toDriverCommands(trace) {
+    const commands = [];
+    const skipped = [];
+    const driverIds = new Map();
+    let nextDriverId = 0;
+
+    function add(id, text) {
+      commands.push(`add ${text}`);
+      if (id !== null) driverIds.set(id, nextDriverId);
+      nextDriverId += 1;
+    }
+
+    const initial = trace.initialState;
+    initial.items.forEach((item) => add(item.id, item.text));
+    initial.items
+      .filter((item) => item.completed)
+      .forEach((item) => commands.push(`toggle ${driverIds.get(item.id)}`));
+    if (initial.items.length > 0 && initial.selectedFilter !== "all") {
+      commands.push(`filter ${initial.selectedFilter}`);
+    }
+
+    trace.steps.forEach(({ action, stateBefore, stateAfter }, index) => {
+      // The driver's id for each todo the action names, or null if one of
+      // them is missing
+      const idsOf = (ids) => {
+        const mapped = ids.map((id) => driverIds.get(id));
+        return mapped.includes(undefined) ? null : mapped;
+      };
+
+      switch (action.type) {
+        case "enterText":
+          break;
+        case "addTodo": {
+          if (stateBefore.pendingText.trim() === "") break;
+          const added = stateAfter.items.find(
+            (item) => !stateBefore.items.some((other) => other.id === item.id),
+          );
+          add(added ? added.id : null, stateBefore.pendingText);
+          break;
+        }
+        case "toggleTodo":
+        case "deleteTodo": {
+          const ids = idsOf([action.id]);
+          if (!ids) {
+            skipped.push({ index, action });
+            break;
+          }
+          const command = action.type === "toggleTodo" ? "toggle" : "delete";
+          commands.push(`${command} ${ids[0]}`);
+          break;
+        }
+        case "setFilter":
+          commands.push(`filter ${action.filter}`);
+          break;
+        case "toggleAll":
+          commands.push("toggleall");
+          break;
+        case "clearCompleted":
+          commands.push("clear");
+          break;
+        // The driver has no bulk commands, but one per todo ends the same
+        case "completeTodos":
+        case "deleteTodos": {
+          const affected = stateBefore.items.filter(
+            (item) =>
+              action.ids.includes(item.id) &&
+              (action.type === "deleteTodos" ||
+                item.completed !== Boolean(action.completed)),
+          );
+          const ids = idsOf(affected.map((item) => item.id));
+          if (!ids) {
+            skipped.push({ index, action });
+            break;
+          }
+          const command = action.type === "deleteTodos" ? "delete" : "toggle";
+          ids.forEach((id) => commands.push(`${command} ${id}`));
+          break;
+        }
+        default:
+          skipped.push({ index, action });
+      }
+    });
+
+    return { commands, skipped };
+  }
+
+  /**
+   * Translate Driver.lean REPL commands back into actions, so a terminal
+   * session can be replayed in the browser. Blank lines and the driver's
+   * display-only commands (list, help, step) are ignored.
+   */
+  function fromDriverCommands(text) {
+    const actions = [];
+
+    text.split("\n").forEach((line, index) => {
+      const input = line.trim();
+      const [command, ...rest] = input.split(" ");
+      const arg = rest.join(" ");
+      const parseId = () => {
+        if (!/^\d+$/.test(arg)) {
+          throw new Error(`line ${index + 1}: invalid id "${arg}"`);
+        }
+        return parseInt(arg, 10);
+      };
+
+      switch (command) {
+        case "add":
+          actions.push({ type: "enterText", text: arg }, { type: "addTodo" });
+          break;
+        case "toggle":
+          actions.push({ type: "toggleTodo", id: parseId() });
+          break;
+        case "delete":
+        case "del":
+        case "rm":
+          actions.push({ type: "deleteTodo", id: parseId() });
+          break;
+        case "filter":
+          actions.push({ type: "setFilter", filter: arg });
+          break;
+        case "all":
+        case "active":
+        case "completed":
+          actions.push({ type: "setFilter", filter: command });
+          break;
+        case "done":
+          actions.push({ type: "setFilter", filter: "completed" });
+          break;
+        case "toggleall":
+        case "toggle-all":
+          actions.push({ type: "toggleAll" });
+          break;
+        case "clear":
+        case "clear-completed":
+          actions.push({ type: "clearCompleted" });
+          break;
+        case "":
+        case "list":
+        case "ls":
+        case "show":
+        case "help":
+        case "h":
+        case "?":
+        case "step":
+          break;
+        default:
+          throw new Error(`line ${index + 1}: unsupported command "${input}"`);
+      }
+    });
+
+    return actions;
+  }
+
+  return {
+    createRecorder,
+    toFiniteTrace,
+    parseTrace,
+    toDriverCommands,
+    fromDriverCommands,
+  };
+});
@@ -0,0 +1,35 @@
+#!/bin/bash
+# Copy a WASM build into docs/ for deployment
+# Usage: ./package_wasm.sh
+#
+# Writes docs/main.js, docs/main.wasm.gz and docs/wasm-manifest.json. The
+# manifest holds the SHA-256 of main.wasm.gz, which the page uses as the
+# cache key for the decompressed module: a new build gets a new hash, so
+# browsers drop their cached copy and download it again.
+
+set -e  # Exit on error
+
+BUILD=.lake/build/wasm
+
+if [ ! -f "$BUILD/main.wasm" ]; then
+    echo "❌ ERROR: $BUILD/main.wasm not found"
+    echo ""
+    echo "Please build the WASM module first:"
+    echo "  ./build_wasm.sh"
+    exit 1
+fi
+
+cp "$BUILD/main.js" docs/main.js
+gzip -9 -n -c "$BUILD/main.wasm" > docs/main.wasm.gz
+
+HASH=$(sha256sum docs/main.wasm.gz | cut -d ' ' -f 1)
+cat > docs/wasm-manifest.json <<JSON
+{
+  "file": "main.wasm.gz",
+  "sha256": "$HASH"
+}
+JSON
+
+echo "✓ docs/main.js"
+echo "✓ docs/main.wasm.gz ($(wc -c < docs/main.wasm.gz) bytes)"
+echo "✓ docs/wasm-manifest.json (sha256 $HASH)"
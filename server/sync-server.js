@@ -0,0 +1,279 @@
+/**
+ * TodoMVC - Reference Sync Server
+ *
+ * A small HTTP server for docs/remote.js, with no dependencies beyond
+ * Node itself. It holds any number of lists, each stored as one JSON file
+ * in the data directory:
+ *
+ *   {
+ *     "version": 12,            bumped by every push that changes the list
+ *     "state": { ... },         the state JSON, as the reducer keeps it
+ *     "revs": { "<id>": { "rev": 3, "bySite": { "1": 3, "2": 1 } } },
+ *     "sites": 2,               the last site id handed out
+ *     "seqs": { "1": 40 }       the last operation applied from each site
+ *   }
+ *
+ * Operations are applied with docs/reducer.js. A todo's rev counts the
+ * changes to it and bySite records the rev each site last left it at, so
+ * an operation based on rev n conflicts exactly when another site has
+ * changed the todo past n. Operations are numbered per site, and one
+ * already applied is acknowledged again without being reapplied, so a
+ * client may resend its outbox after a lost response.
+ *
+ * Usage: node server/sync-server.js [port] [data directory]
+ * The lists are then at http://localhost:<port>/lists/<name>.
+ */
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const TodoReducer = require("../docs/reducer.js");
+const TodoRemote = require("../docs/remote.js");
+
+const DEFAULT_PORT = 8787;
+const MAX_BODY_BYTES = 1024 * 1024;
+const LIST_PATH = /^\/lists\/([\w-]{1,64})(\/sites|\/ops)?\/?$/;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function emptyList() {
+  return {
+    version: 0,
+    state: TodoReducer.getInitialState(),
+    revs: {},
+    sites: 0,
+    seqs: {},
+  };
+}
+
+/**
+ * Lists kept in memory and written through to dir
+ */
+function createStore(dir) {
+  const lists = new Map();
+  fs.mkdirSync(dir, { recursive: true });
+
+  const fileOf = (name) => path.join(dir, `${name}.json`);
+
+  return {
+    get(name) {
+      if (!lists.has(name)) {
+        const file = fileOf(name);
+        lists.set(
+          name,
+          fs.existsSync(file)
+            ? JSON.parse(fs.readFileSync(file, "utf8"))
+            : emptyList(),
+        );
+      }
+      return lists.get(name);
+    },
+
+    save(name) {
+      // Write then rename, so a crash never leaves half a file
+      const file = fileOf(name);
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(lists.get(name)));
+      fs.renameSync(`${file}.tmp`, file);
+    },
+  };
+}
+
+/**
+ * Why the todo id may not be changed by siteId's operation, based on rev
+ * base of it: "deleted", "changed" (by another site since) or null
+ */
+function conflictOf(list, siteId, id, base) {
+  if (!list.state.items.some((item) => item.id === id)) return "deleted";
+  const { bySite } = list.revs[id] || { bySite: {} };
+  const changed = Object.entries(bySite).some(
+    ([site, rev]) => Number(site) !== siteId && rev > base,
+  );
+  return changed ? "changed" : null;
+}
+
+/**
+ * Record a new rev for every todo whose content an operation changed
+ */
+function bumpRevs(list, siteId, before, after) {
+  const was = new Map(before.map((item) => [item.id, JSON.stringify(item)]));
+  const now = new Set();
+
+  after.forEach((item) => {
+    now.add(item.id);
+    if (was.get(item.id) === JSON.stringify(item)) return;
+    const entry = list.revs[item.id] || { rev: 0, bySite: {} };
+    entry.rev += 1;
+    entry.bySite[siteId] = entry.rev;
+    list.revs[item.id] = entry;
+  });
+  was.forEach((_, id) => {
+    if (!now.has(id)) delete list.revs[id];
+  });
+}
+
+/**
+ * Apply one push from siteId and return a result per operation:
+ * { seq, status, conflicts?, error? } where status is "applied",
+ * "conflict" (applied to the todos that did not conflict, if any),
+ * "duplicate" or "rejected"
+ */
+function applyOps(list, siteId, ops) {
+  let changed = false;
+
+  const results = ops.map((op) => {
+    const { seq, action } = op;
+    const last = list.seqs[siteId] || 0;
+    if (!Number.isInteger(seq) || seq <= last) {
+      return { seq, status: "duplicate" };
+    }
+    list.seqs[siteId] = seq;
+
+    const problem = TodoRemote.validateAction(action);
+    if (problem) return { seq, status: "rejected", error: problem };
+
+    const deleting =
+      action.type === "deleteTodo" || action.type === "deleteTodos";
+    const conflicts = [];
+    TodoRemote.touchedIds(action).forEach((id) => {
+      const reason = conflictOf(list, siteId, id, (op.revs || {})[id] || 0);
+      // Deleting a todo that is already gone is no conflict
+      if (!reason || (deleting && reason === "deleted")) return;
+      conflicts.push({
+        id,
+        reason,
+        item: list.state.items.find((item) => item.id === id) || null,
+      });
+    });
+
+    const conflicting = new Set(conflicts.map((conflict) => conflict.id));
+    const allowed = TodoRemote.restrict(action, (id) => !conflicting.has(id));
+    if (allowed) {
+      const before = list.state;
+      list.state = TodoReducer.processActionInJS(before, allowed);
+      bumpRevs(list, siteId, before.items, list.state.items);
+      changed =
+        changed ||
+        JSON.stringify(list.state.items) !== JSON.stringify(before.items);
+    }
+
+    return conflicts.length > 0
+      ? { seq, status: "conflict", conflicts }
+      : { seq, status: "applied" };
+  });
+
+  if (changed) list.version += 1;
+  return results;
+}
+
+/**
+ * What a client that has seen version since gets back from a pull
+ */
+function pullResponse(list, since) {
+  if (since === list.version) return { version: list.version };
+  const revs = {};
+  Object.entries(list.revs).forEach(([id, entry]) => {
+    revs[id] = entry.rev;
+  });
+  return { version: list.version, items: list.state.items, revs };
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    request.setEncoding("utf8");
+    request.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "request body too large"));
+        request.destroy();
+      }
+    });
+    request.on("end", () => {
+      try {
+        resolve(JSON.parse(body || "{}"));
+      } catch (error) {
+        reject(new HttpError(400, "request body is not JSON"));
+      }
+    });
+    request.on("error", reject);
+  });
+}
+
+async function route(store, request, url) {
+  const match = LIST_PATH.exec(url.pathname);
+  if (!match) throw new HttpError(404, "no such list");
+  const [, name, action] = match;
+  const list = store.get(name);
+
+  if (request.method === "GET" && !action) {
+    const since = Number(url.searchParams.get("since") || 0);
+    return pullResponse(list, since);
+  }
+  if (request.method === "POST" && action === "/sites") {
+    list.sites += 1;
+    store.save(name);
+    return { siteId: list.sites };
+  }
+  if (request.method === "POST" && action === "/ops") {
+    const { siteId, ops } = await readBody(request);
+    if (!Number.isInteger(siteId) || siteId < 1 || siteId > list.sites) {
+      throw new HttpError(400, "siteId was not handed out for this list");
+    }
+    if (!Array.isArray(ops)) throw new HttpError(400, "ops must be an array");
+    const results = applyOps(list, siteId, ops);
+    store.save(name);
+    return { version: list.version, results };
+  }
+  throw new HttpError(405, "method not allowed");
+}
+
+/**
+ * An http.Server serving the lists stored in dir. Pages are usually
+ * served from another origin, so every response allows any.
+ */
+function createServer(dir) {
+  const store = createStore(dir);
+
+  return http.createServer(async (request, response) => {
+    const headers = {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+      "Access-Control-Allow-Headers": "Content-Type",
+      "Content-Type": "application/json",
+    };
+    if (request.method === "OPTIONS") {
+      response.writeHead(204, headers);
+      response.end();
+      return;
+    }
+
+    let status = 200;
+    let body;
+    try {
+      body = await route(store, request, new URL(request.url, "http://x"));
+    } catch (error) {
+      status = error instanceof HttpError ? error.status : 500;
+      body = { error: error.message };
+      if (status === 500) console.error(error);
+    }
+    response.writeHead(status, headers);
+    response.end(JSON.stringify(body));
+  });
+}
+
+if (require.main === module) {
+  const port = Number(process.argv[2]) || DEFAULT_PORT;
+  const dir = path.resolve(process.argv[3] || "sync-data");
+  createServer(dir).listen(port, () => {
+    console.log(`Sync server on http://localhost:${port}/lists/<name>`);
+    console.log(`Storing lists in ${dir}`);
+  });
+}
+
+module.exports = { createStore, applyOps, pullResponse, createServer };
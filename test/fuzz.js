@@ -0,0 +1,263 @@
+// Property-based fuzzer for TodoMVC action sequences
+// Usage: node --test test/
+//        FUZZ_SEED=1234 FUZZ_RUNS=2000 node test/fuzz.js
+//
+// Generates seeded random sequences of Lean Action values, runs them through
+// each engine and checks the state properties below after every step. A
+// failing sequence is shrunk to a minimal one and printed both as a trace
+// file for the in-page replayer and as Driver.lean REPL commands.
+
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+
+const TodoTrace = require("../docs/trace.js");
+const { jsEngine, wasmEngine, suiteOptions } = require("./helpers/engines");
+
+const SEED = parseInt(process.env.FUZZ_SEED || "20240110", 10);
+const RUNS = parseInt(process.env.FUZZ_RUNS || "300", 10);
+const MAX_LENGTH = 40;
+
+/* Random generation */
+
+// mulberry32: small, fast and good enough for test inputs
+function createRandom(seed) {
+  let a = seed >>> 0;
+  const next = () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    int: (n) => Math.floor(next() * n),
+    pick: (list) => list[Math.floor(next() * list.length)],
+  };
+}
+
+const TEXTS = ["a", "b", "buy milk", "  padded  ", " ", "", 'say "hi"', "<b>"];
+const FILTERS = ["all", "active", "completed"];
+
+/**
+ * Generate one action. Ids are usually taken from the items the sequence
+ * has created so far, so toggles and deletes mostly hit real items.
+ */
+function generateAction(random, maxId) {
+  const id = () =>
+    random.int(4) === 0 ? random.int(maxId + 3) : random.int(maxId + 1);
+
+  switch (random.int(8)) {
+    case 0:
+      return { type: "enterText", text: random.pick(TEXTS) };
+    case 1:
+    case 2:
+      return { type: "addTodo" };
+    case 3:
+      return { type: "toggleTodo", id: id() };
+    case 4:
+      return { type: "deleteTodo", id: id() };
+    case 5:
+      return { type: "setFilter", filter: random.pick(FILTERS) };
+    case 6:
+      return { type: "toggleAll" };
+    default:
+      return { type: "clearCompleted" };
+  }
+}
+
+function generateSequence(random) {
+  const actions = [];
+  const length = 1 + random.int(MAX_LENGTH);
+  let adds = 0;
+  for (let i = 0; i < length; i++) {
+    const action = generateAction(random, adds);
+    if (action.type === "addTodo") {
+      // Give most adds something to add
+      if (random.int(4) !== 0) {
+        actions.push({ type: "enterText", text: random.pick(TEXTS) });
+      }
+      adds += 1;
+    }
+    actions.push(action);
+  }
+  return actions;
+}
+
+/* Properties */
+
+function visibleItems(state) {
+  switch (state.selectedFilter) {
+    case "all":
+      return state.items;
+    case "active":
+      return state.items.filter((item) => !item.completed);
+    case "completed":
+      return state.items.filter((item) => item.completed);
+    default:
+      return [];
+  }
+}
+
+const properties = {
+  uniqueIds(state) {
+    const ids = state.items.map((item) => item.id);
+    return new Set(ids).size === ids.length;
+  },
+
+  nextIdAboveIds(state) {
+    return state.items.every((item) => item.id < state.nextId);
+  },
+
+  countsConsistent(state) {
+    const checked = state.items.filter((item) => item.completed).length;
+    const unchecked = state.items.filter((item) => !item.completed).length;
+    return (
+      checked + unchecked === state.items.length &&
+      visibleItems(state).length <= state.items.length
+    );
+  },
+
+  // Spec.lean hasFiltersInvariant, plus shouldResetFilter: the filter is
+  // cleared only once the list is empty, and only back to "no filter"
+  filterResetRules(state) {
+    if (state.items.length === 0) {
+      return state.selectedFilter === null || state.selectedFilter === "all";
+    }
+    return state.selectedFilter !== null;
+  },
+};
+
+/**
+ * Run a sequence and return the first failure, or null. Thrown errors
+ * count as failures too.
+ */
+function check(engine, actions) {
+  let stateJson = engine.getInitialState();
+  const steps = [];
+
+  for (let i = 0; i < actions.length; i++) {
+    const stateBefore = stateJson;
+    try {
+      stateJson = engine.processAction(stateJson, JSON.stringify(actions[i]));
+    } catch (error) {
+      return { step: i, property: `throws: ${error.message}`, steps };
+    }
+    steps.push({ action: actions[i], stateBefore, stateAfter: stateJson });
+
+    const state = JSON.parse(stateJson);
+    for (const [name, holds] of Object.entries(properties)) {
+      if (!holds(state)) return { step: i, property: name, steps };
+    }
+  }
+
+  return null;
+}
+
+/* Shrinking */
+
+/**
+ * Shrink a failing sequence by deleting chunks of actions (halving the
+ * chunk size down to single actions), then by lowering ids and simplifying
+ * texts, keeping each change only if the sequence still fails.
+ */
+function shrink(engine, actions) {
+  let current = actions;
+  const fails = (candidate) => check(engine, candidate) !== null;
+
+  for (let size = Math.floor(current.length / 2); size >= 1;) {
+    let removed = false;
+    for (let start = 0; start + size <= current.length;) {
+      const candidate = [
+        ...current.slice(0, start),
+        ...current.slice(start + size),
+      ];
+      if (fails(candidate)) {
+        current = candidate;
+        removed = true;
+      } else {
+        start += 1;
+      }
+    }
+    if (!removed) size = Math.floor(size / 2);
+  }
+
+  for (let i = 0; i < current.length; i++) {
+    const action = current[i];
+    const simpler = [];
+    if ("id" in action) {
+      for (let id = 0; id < action.id; id++) simpler.push({ ...action, id });
+    }
+    if ("text" in action && action.text !== "a") {
+      simpler.push({ ...action, text: "a" });
+    }
+    for (const replacement of simpler) {
+      const candidate = [...current];
+      candidate[i] = replacement;
+      if (fails(candidate)) {
+        current = candidate;
+        break;
+      }
+    }
+  }
+
+  return current;
+}
+
+/**
+ * Describe a minimal failure in forms that can be replayed elsewhere
+ */
+function formatFailure(engine, seed, actions) {
+  const failure = check(engine, actions);
+  const initialState = JSON.parse(engine.getInitialState());
+  const steps = failure.steps.map((step) => ({
+    action: step.action,
+    stateBefore: JSON.parse(step.stateBefore),
+    stateAfter: JSON.parse(step.stateAfter),
+  }));
+  const trace = {
+    kind: "todomvc-trace",
+    version: 1,
+    initialState,
+    steps,
+    states: TodoTrace.toFiniteTrace(initialState, steps),
+  };
+  const { commands, skipped } = TodoTrace.toDriverCommands(trace);
+
+  return [
+    `${failure.property} violated at step ${failure.step + 1} ` +
+      `(seed ${seed}, ${actions.length} action(s) after shrinking)`,
+    "",
+    "Actions:",
+    ...actions.map((action) => "  " + JSON.stringify(action)),
+    "",
+    "Trace file (load with 'Replay trace…'):",
+    JSON.stringify(trace),
+    "",
+    "Driver.lean commands:",
+    ...commands.map((command) => "  " + command),
+    ...(skipped.length > 0
+      ? [`  (${skipped.length} step(s) have no driver command)`]
+      : []),
+  ].join("\n");
+}
+
+/* Suite */
+
+function defineFuzzSuite(engine) {
+  describe(`${engine.name} engine fuzzing`, suiteOptions(engine), () => {
+    before(() => engine.load());
+
+    it(`keeps the state properties over ${RUNS} random sequences`, () => {
+      for (let run = 0; run < RUNS; run++) {
+        const seed = SEED + run;
+        const actions = generateSequence(createRandom(seed));
+        if (check(engine, actions)) {
+          assert.fail(formatFailure(engine, seed, shrink(engine, actions)));
+        }
+      }
+    });
+  });
+}
+
+defineFuzzSuite(jsEngine);
+defineFuzzSuite(wasmEngine);
@@ -0,0 +1,403 @@
+// A small stand-in for the DOM, enough to test the modules that work on a
+// parsed view (docs/a11y.js, docs/controller.js, docs/patch.js) in Node
+// without a browser.
+//
+// parseHTML(html) returns a fragment holding the parsed markup, as a
+// <template>'s content would. Elements have the parts of the DOM API those
+// modules use: tagName, nodeName, nodeType, children, childNodes,
+// parentNode, firstChild, nextSibling, textContent, value, checked,
+// attributes, get/set/has/removeAttribute, classList, appendChild,
+// insertBefore, removeChild, replaceWith, isEqualNode, contains, matches,
+// querySelector and querySelectorAll. Text is kept in text nodes. As in a
+// browser, setting value or checked stops the field following its markup.
+// Selectors are compounds of a tag, #id, .class and [attr] or
+// [attr="value"], joined by descendant or child (>) combinators, and lists
+// of those separated by commas.
+//
+// document has the factories patch.js needs (createElement,
+// createTextNode, createDocumentFragment); every node's ownerDocument is it.
+
+const VOID_ELEMENTS = new Set([
+  "area",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "source",
+  "wbr",
+]);
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', "#39": "'" };
+
+const decode = (text) =>
+  text.replace(/&(amp|lt|gt|quot|#39);/g, (_, name) => ENTITIES[name]);
+
+class Node {
+  constructor() {
+    this.parentNode = null;
+  }
+
+  get ownerDocument() {
+    return document;
+  }
+
+  get nextSibling() {
+    if (!this.parentNode) return null;
+    const siblings = this.parentNode.childNodes;
+    return siblings[siblings.indexOf(this) + 1] || null;
+  }
+
+  replaceWith(node) {
+    const parent = this.parentNode;
+    parent.insertBefore(node, this);
+    parent.removeChild(this);
+  }
+}
+
+class Text extends Node {
+  constructor(data) {
+    super();
+    this.nodeValue = data;
+  }
+
+  get nodeType() {
+    return 3;
+  }
+
+  get nodeName() {
+    return "#text";
+  }
+
+  get textContent() {
+    return this.nodeValue;
+  }
+
+  isEqualNode(other) {
+    return other instanceof Text && other.nodeValue === this.nodeValue;
+  }
+}
+
+class Element extends Node {
+  // What a script set, which wins over the markup from then on
+  #value = null;
+  #checked = null;
+  #attributes;
+
+  constructor(tagName, attributes = []) {
+    super();
+    this.tagName = tagName.toUpperCase();
+    this.#attributes = new Map(attributes);
+    this.childNodes = [];
+  }
+
+  get nodeType() {
+    return 1;
+  }
+
+  get nodeName() {
+    return this.tagName;
+  }
+
+  get children() {
+    return this.childNodes.filter((node) => node instanceof Element);
+  }
+
+  get firstChild() {
+    return this.childNodes[0] || null;
+  }
+
+  get attributes() {
+    return [...this.#attributes].map(([name, value]) => ({ name, value }));
+  }
+
+  get textContent() {
+    return this.childNodes.map((node) => node.textContent).join("");
+  }
+
+  set textContent(text) {
+    [...this.childNodes].forEach((node) => this.removeChild(node));
+    this.appendChild(new Text(String(text)));
+  }
+
+  // The value of a form field: what was set, or else from the markup, an
+  // input's value attribute, a textarea's text or the selected option of
+  // a select
+  get value() {
+    if (this.#value !== null) return this.#value;
+    switch (this.tagName) {
+      case "TEXTAREA":
+        return this.textContent;
+      case "SELECT": {
+        const options = this.querySelectorAll("option");
+        const option =
+          options.find((other) => other.hasAttribute("selected")) || options[0];
+        return option ? option.getAttribute("value") : "";
+      }
+      default:
+        return this.getAttribute("value") || "";
+    }
+  }
+
+  set value(value) {
+    this.#value = String(value);
+  }
+
+  get checked() {
+    return this.#checked ?? this.hasAttribute("checked");
+  }
+
+  set checked(checked) {
+    this.#checked = Boolean(checked);
+  }
+
+  get classList() {
+    const names = () =>
+      (this.getAttribute("class") || "").split(/\s+/).filter(Boolean);
+    const set = (list) => this.setAttribute("class", list.join(" "));
+    return {
+      contains: (name) => names().includes(name),
+      add: (name) => {
+        if (!names().includes(name)) set([...names(), name]);
+      },
+      remove: (name) => set(names().filter((other) => other !== name)),
+      toggle: (name, force = !names().includes(name)) => {
+        if (force) this.classList.add(name);
+        else this.classList.remove(name);
+        return force;
+      },
+    };
+  }
+
+  getAttribute(name) {
+    return this.#attributes.has(name) ? this.#attributes.get(name) : null;
+  }
+
+  setAttribute(name, value) {
+    this.#attributes.set(name, String(value));
+  }
+
+  hasAttribute(name) {
+    return this.#attributes.has(name);
+  }
+
+  removeAttribute(name) {
+    this.#attributes.delete(name);
+  }
+
+  appendChild(node) {
+    return this.insertBefore(node, null);
+  }
+
+  // Moves node from wherever it is, or the children of a fragment, to
+  // before reference (or to the end when it is null)
+  insertBefore(node, reference) {
+    const nodes = node instanceof Fragment ? [...node.childNodes] : [node];
+    nodes.forEach((child) => {
+      if (child.parentNode) child.parentNode.removeChild(child);
+      const index = reference
+        ? this.childNodes.indexOf(reference)
+        : this.childNodes.length;
+      this.childNodes.splice(index, 0, child);
+      child.parentNode = this;
+    });
+    return node;
+  }
+
+  removeChild(node) {
+    this.childNodes.splice(this.childNodes.indexOf(node), 1);
+    node.parentNode = null;
+    return node;
+  }
+
+  // Compares markup only, as a browser does: not a value or checked set
+  // by a script
+  isEqualNode(other) {
+    return (
+      other instanceof Element &&
+      other.nodeName === this.nodeName &&
+      other.#attributes.size === this.#attributes.size &&
+      [...this.#attributes].every(
+        ([name, value]) => other.getAttribute(name) === value,
+      ) &&
+      other.childNodes.length === this.childNodes.length &&
+      this.childNodes.every((child, i) =>
+        child.isEqualNode(other.childNodes[i]),
+      )
+    );
+  }
+
+  contains(node) {
+    for (let current = node; current; current = current.parentNode) {
+      if (current === this) return true;
+    }
+    return false;
+  }
+
+  matches(selectors) {
+    return parseSelectors(selectors).some((selector) =>
+      matchesSelector(this, selector),
+    );
+  }
+
+  querySelectorAll(selectors) {
+    const parsed = parseSelectors(selectors);
+    const found = [];
+    const visit = (element) => {
+      element.children.forEach((child) => {
+        if (parsed.some((selector) => matchesSelector(child, selector))) {
+          found.push(child);
+        }
+        visit(child);
+      });
+    };
+    visit(this);
+    return found;
+  }
+
+  querySelector(selectors) {
+    return this.querySelectorAll(selectors)[0] || null;
+  }
+}
+
+class Fragment extends Element {
+  constructor() {
+    super("#document-fragment");
+  }
+
+  get nodeType() {
+    return 11;
+  }
+
+  get nodeName() {
+    return "#document-fragment";
+  }
+}
+
+class Template extends Element {
+  constructor() {
+    super("template");
+    this.content = new Fragment();
+  }
+
+  set innerHTML(html) {
+    this.content = parseHTML(html);
+  }
+}
+
+const document = {
+  createElement: (tagName) =>
+    tagName.toLowerCase() === "template"
+      ? new Template()
+      : new Element(tagName),
+  createTextNode: (data) => new Text(String(data)),
+  createDocumentFragment: () => new Fragment(),
+};
+
+/* Selectors */
+
+// A selector is a list of compounds, last first, each with the combinator
+// that joins it to the compound written before it
+function parseSelectors(selectors) {
+  return selectors.split(",").map((selector) => {
+    const compounds = [];
+    let combinator = " ";
+    selector
+      .trim()
+      .split(/\s*(>)\s*|\s+/)
+      .filter(Boolean)
+      .forEach((part) => {
+        if (part === ">") {
+          combinator = ">";
+        } else {
+          compounds.unshift({ ...parseCompound(part), combinator });
+          combinator = " ";
+        }
+      });
+    return compounds;
+  });
+}
+
+function parseCompound(text) {
+  const compound = { tag: null, id: null, classes: [], attributes: [] };
+  const pattern = /^[a-z][\w-]*|#[\w-]+|\.[\w-]+|\[([\w-]+)(?:="([^"]*)")?\]/gi;
+  for (const match of text.matchAll(pattern)) {
+    const [token, name, value] = match;
+    if (token[0] === "#") compound.id = token.slice(1);
+    else if (token[0] === ".") compound.classes.push(token.slice(1));
+    else if (token[0] === "[") compound.attributes.push({ name, value });
+    else compound.tag = token.toUpperCase();
+  }
+  return compound;
+}
+
+function matchesCompound(element, compound) {
+  return (
+    (!compound.tag || element.tagName === compound.tag) &&
+    (!compound.id || element.getAttribute("id") === compound.id) &&
+    compound.classes.every((name) => element.classList.contains(name)) &&
+    compound.attributes.every(({ name, value }) =>
+      value === undefined
+        ? element.hasAttribute(name)
+        : element.getAttribute(name) === value,
+    )
+  );
+}
+
+function matchesSelector(element, [compound, ...rest]) {
+  if (!matchesCompound(element, compound)) return false;
+  if (rest.length === 0) return true;
+
+  if (compound.combinator === ">") {
+    const parent = element.parentNode;
+    return Boolean(parent && matchesSelector(parent, rest));
+  }
+  for (let up = element.parentNode; up; up = up.parentNode) {
+    if (matchesSelector(up, rest)) return true;
+  }
+  return false;
+}
+
+/* Parsing */
+
+/**
+ * Parse markup into a fragment, as a <template> would
+ */
+function parseHTML(html) {
+  const root = new Fragment();
+  const open = [root];
+  const current = () => open[open.length - 1];
+  const tokens =
+    /<!--[\s\S]*?-->|<\/([\w-]+)\s*>|<([\w-]+)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*\/?>|[^<]+/g;
+
+  for (const [token, closing, tag, attributeText] of html.matchAll(tokens)) {
+    if (token.startsWith("<!--")) continue;
+    if (closing) {
+      const index = open.findLastIndex(
+        (element) => element.tagName === closing.toUpperCase(),
+      );
+      if (index > 0) open.length = index;
+    } else if (tag) {
+      const element = current().appendChild(
+        new Element(tag, parseAttributes(attributeText)),
+      );
+      if (!VOID_ELEMENTS.has(tag.toLowerCase())) open.push(element);
+    } else {
+      current().appendChild(new Text(decode(token)));
+    }
+  }
+  return root;
+}
+
+function parseAttributes(text) {
+  const pattern = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  return [...text.matchAll(pattern)].map(([, name, double, single, bare]) => [
+    name.toLowerCase(),
+    decode(double ?? single ?? bare ?? ""),
+  ]);
+}
+
+module.exports = { parseHTML, document };
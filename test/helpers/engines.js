@@ -0,0 +1,110 @@
+// Engine adapters shared by the test suites
+//
+// Each engine exposes getInitialState(), processAction(stateJson, actionJson)
+// and renderState(stateJson), all working on JSON strings like leanAPI in
+// docs/app.js. Call load() before use.
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+const TodoReducer = require("../../docs/reducer.js");
+const TodoHybrid = require("../../docs/hybrid.js");
+const TodoDetails = require("../../docs/details.js");
+const TodoController = require("../../docs/controller.js");
+
+const WASM_JS =
+  process.env.LEAN_WASM_JS ||
+  path.join(__dirname, "..", "..", ".lake", "build", "wasm", "main.js");
+
+const jsEngine = {
+  name: "js",
+  available: true,
+  load: async () => {},
+  ...TodoController.jsEngine,
+};
+
+// The JS reducer cut down to what the Lean module knows, for testing
+// docs/hybrid.js where the module is not built. Like WebMain.processAction
+// it returns an action it cannot parse unchanged and keeps only the Lean
+// fields (TodoState.toJson) of the states it does run: of a todo, every
+// field but an absent detail. It renders only the fields the Lean view
+// shows.
+const DETAILS = Object.values(TodoDetails.DETAIL_ACTIONS);
+
+const leanItem = (item) =>
+  Object.fromEntries(
+    Object.entries(item).filter(
+      ([key, value]) =>
+        !DETAILS.includes(key) || (value != null && value !== ""),
+    ),
+  );
+
+const leanState = (state, fields = null) => ({
+  items: state.items.map((item) =>
+    fields
+      ? Object.fromEntries(
+          fields.filter((key) => key in item).map((key) => [key, item[key]]),
+        )
+      : leanItem(item),
+  ),
+  selectedFilter: state.selectedFilter,
+  pendingText: state.pendingText,
+  nextId: state.nextId,
+});
+
+const leanLikeEngine = {
+  name: "lean-like",
+  available: true,
+  load: async () => {},
+  getInitialState: () =>
+    JSON.stringify(leanState(TodoReducer.getInitialState())),
+  processAction: (stateJson, actionJson) => {
+    const action = JSON.parse(actionJson);
+    if (!TodoHybrid.LEAN_ACTIONS.includes(action.type)) return stateJson;
+    return JSON.stringify(
+      leanState(
+        TodoReducer.processActionInJS(leanState(JSON.parse(stateJson)), action),
+      ),
+    );
+  },
+  renderState: (stateJson) =>
+    TodoReducer.renderHTML(
+      leanState(JSON.parse(stateJson), TodoHybrid.LEAN_VIEW_FIELDS),
+    ),
+};
+
+const wasmEngine = {
+  name: "wasm",
+  available: fs.existsSync(WASM_JS),
+  module: null,
+  load: async () => {
+    const createLeanModule = require(WASM_JS);
+    wasmEngine.module = await createLeanModule();
+  },
+  getInitialState: () =>
+    wasmEngine.module.ccall("getInitialState", "string", [], []),
+  processAction: (stateJson, actionJson) =>
+    wasmEngine.module.ccall(
+      "processAction",
+      "string",
+      ["string", "string"],
+      [stateJson, actionJson],
+    ),
+  renderState: (stateJson) =>
+    wasmEngine.module.ccall("renderState", "string", ["string"], [stateJson]),
+};
+
+/**
+ * node:test options that skip a suite when the engine is not built
+ */
+function suiteOptions(engine) {
+  return engine.available ? {} : { skip: `WASM module not built (${WASM_JS})` };
+}
+
+module.exports = {
+  WASM_JS,
+  jsEngine,
+  leanLikeEngine,
+  wasmEngine,
+  suiteOptions,
+};
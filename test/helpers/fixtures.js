@@ -0,0 +1,38 @@
+// State fixtures shared by the test suites
+//
+// run(state, ...actions) drives the JS reducer through actions, and
+// add(text) is the pair of actions typing a todo and pressing Enter
+// dispatches, so a suite builds its lists as the page would:
+//
+//   run(TodoReducer.getInitialState(), ...add("milk"), ...add("eggs"))
+//
+// Node has no localStorage; createLocalStorage() makes a Map-backed one
+// for a suite to install as globalThis.localStorage.
+
+const TodoReducer = require("../../docs/reducer.js");
+
+function run(state, ...actions) {
+  return actions.reduce(
+    (current, action) => TodoReducer.processActionInJS(current, action),
+    state,
+  );
+}
+
+const add = (text) => [{ type: "enterText", text }, { type: "addTodo" }];
+
+const texts = (state) => state.items.map((item) => item.text);
+
+const visibleTexts = (state) =>
+  TodoReducer.getVisibleItems(state).map((item) => item.text);
+
+function createLocalStorage() {
+  const entries = new Map();
+  return {
+    entries,
+    getItem: (key) => (entries.has(key) ? entries.get(key) : null),
+    setItem: (key, value) => entries.set(key, String(value)),
+    removeItem: (key) => entries.delete(key),
+  };
+}
+
+module.exports = { run, add, texts, visibleTexts, createLocalStorage };
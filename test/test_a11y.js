@@ -0,0 +1,288 @@
+// Tests for the screen reader announcements in docs/a11y.js
+// Usage: node --test test/
+//
+// Drives the JS reducer through the actions the keyboard bindings dispatch
+// and checks what describeChange() reads out for each, and audits the view
+// annotate() makes of the rendered markup (parsed with test/helpers/dom.js)
+// for roles, names and the todo list's roving tabindex.
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const TodoA11y = require("../docs/a11y.js");
+const TodoReducer = require("../docs/reducer.js");
+const { parseHTML } = require("./helpers/dom.js");
+const { run, add } = require("./helpers/fixtures.js");
+
+describe("describeChange", () => {
+  const empty = TodoReducer.getInitialState();
+  const two = run(empty, ...add("milk"), ...add("eggs"));
+
+  it("announces an add with the new count, but not the first filter", () => {
+    const one = run(empty, ...add("milk"));
+    assert.equal(
+      TodoA11y.describeChange(empty, one),
+      'Added "milk". 1 item left.',
+    );
+  });
+
+  it("announces toggles and deletes", () => {
+    const toggled = run(two, { type: "toggleTodo", id: 1 });
+    assert.equal(
+      TodoA11y.describeChange(two, toggled),
+      'Marked "eggs" as complete. 1 item left.',
+    );
+
+    const deleted = run(toggled, { type: "deleteTodo", id: 1 });
+    assert.equal(TodoA11y.describeChange(toggled, deleted), 'Deleted "eggs".');
+
+    const all = run(two, { type: "toggleAll" });
+    assert.equal(
+      TodoA11y.describeChange(two, all),
+      "Marked 2 todos as complete. 0 items left.",
+    );
+  });
+
+  it("announces a switch of filter with the number shown", () => {
+    const toggled = run(two, { type: "toggleTodo", id: 0 });
+    const completed = run(toggled, { type: "setFilter", filter: "completed" });
+    assert.equal(
+      TodoA11y.describeChange(toggled, completed),
+      "Showing completed todos: 1.",
+    );
+  });
+
+  it("announces a rename and stays quiet for local-only changes", () => {
+    const renamed = run(
+      two,
+      { type: "startEdit", id: 0 },
+      { type: "updateTodoText", id: 0, text: "oat milk" },
+    );
+    assert.equal(
+      TodoA11y.describeChange(two, renamed),
+      'Renamed to "oat milk".',
+    );
+
+    const typed = run(two, { type: "enterText", text: "bread" });
+    assert.equal(TodoA11y.describeChange(two, typed), "");
+  });
+
+  it("announces a move with the todo's new position", () => {
+    const three = run(two, ...add("bread"));
+    const moved = run(three, { type: "moveTodo", id: 0, toIndex: 2 });
+    assert.equal(
+      TodoA11y.describeChange(three, moved),
+      'Moved "milk" to position 3 of 3.',
+    );
+
+    const down = { type: "moveTodo", id: 0, toIndex: 1 };
+    assert.equal(
+      TodoA11y.describeChange(two, run(two, down), down),
+      'Moved "milk" to position 2 of 2.',
+    );
+  });
+
+  it("counts a move's position in the todos shown", () => {
+    const tagged = run(
+      two,
+      ...add("tea #shop"),
+      { type: "retagTodos", ids: [0], add: ["shop"] },
+      { type: "toggleTag", tag: "shop" },
+    );
+    const first = { type: "moveTodo", id: 2, toIndex: 0 };
+    assert.equal(
+      TodoA11y.describeChange(tagged, run(tagged, first), first),
+      'Moved "tea #shop" to position 1 of 2.',
+    );
+
+    // No filter shows no todos, as in Lean
+    const unfiltered = { ...two, selectedFilter: null };
+    const down = { type: "moveTodo", id: 0, toIndex: 1 };
+    assert.equal(
+      TodoA11y.describeChange(unfiltered, run(unfiltered, down), down),
+      "",
+    );
+  });
+});
+
+/* Annotated markup */
+
+const view = (state) => parseHTML(TodoReducer.renderHTML(state));
+
+// The implicit ARIA roles of the controls in the view
+function roleOf(element) {
+  const explicit = element.getAttribute("role");
+  if (explicit) return explicit;
+  switch (element.tagName) {
+    case "INPUT":
+      return element.getAttribute("type") === "checkbox"
+        ? "checkbox"
+        : "textbox";
+    case "TEXTAREA":
+      return "textbox";
+    case "SELECT":
+      return "combobox";
+    case "BUTTON":
+      return "button";
+    case "A":
+      return element.hasAttribute("href") ? "link" : null;
+    case "UL":
+      return "list";
+    case "LI":
+      return "listitem";
+    default:
+      return null;
+  }
+}
+
+// The accessible name, from aria-label, a <label for>, a wrapping <label>
+// or (for buttons and links) the element's own text
+function nameOf(element, root) {
+  const ariaLabel = element.getAttribute("aria-label");
+  if (ariaLabel) return ariaLabel;
+  const id = element.getAttribute("id");
+  const forLabel = id && root.querySelector(`label[for="${id}"]`);
+  if (forLabel) return forLabel.textContent.trim();
+  for (let up = element.parentNode; up; up = up.parentNode) {
+    if (up.tagName === "LABEL") return up.textContent.trim();
+  }
+  return ["BUTTON", "A"].includes(element.tagName)
+    ? element.textContent.trim()
+    : "";
+}
+
+/**
+ * Every control in root with its role and name
+ */
+function audit(root) {
+  return root
+    .querySelectorAll("input, textarea, select, button, a, ul, li")
+    .filter((element) => roleOf(element) !== null)
+    .map((element) => ({
+      role: roleOf(element),
+      name: nameOf(element, root),
+      className: element.getAttribute("class") || "",
+    }));
+}
+
+const tabStops = (root) =>
+  root
+    .querySelectorAll(".todo-list > li")
+    .map((li) => [li.getAttribute("data-id"), li.getAttribute("tabindex")]);
+
+describe("annotate", () => {
+  const three = run(
+    TodoReducer.getInitialState(),
+    ...add("milk"),
+    ...add("eggs #shop"),
+    ...add("bread"),
+    { type: "toggleTodo", id: 1 },
+  );
+
+  it("names every interactive control", () => {
+    const root = view(three);
+    TodoA11y.annotate(root, 0);
+    const unnamed = audit(root).filter(
+      ({ role, name }) => !["list", "listitem"].includes(role) && !name,
+    );
+    assert.deepEqual(unnamed, []);
+
+    const named = (className) =>
+      audit(root)
+        .filter((control) => control.className.split(" ").includes(className))
+        .map(({ role, name }) => `${role}: ${name}`);
+    assert.deepEqual(named("new-todo"), ["textbox: New todo"]);
+    assert.deepEqual(named("toggle-all"), ["checkbox: Mark all as complete"]);
+    assert.deepEqual(named("todo-list"), ["list: Todos"]);
+    assert.deepEqual(named("toggle"), [
+      'checkbox: Mark "milk" as complete',
+      'checkbox: Mark "eggs #shop" as complete',
+      'checkbox: Mark "bread" as complete',
+    ]);
+    assert.deepEqual(named("destroy"), [
+      'button: Delete "milk"',
+      'button: Delete "eggs #shop"',
+      'button: Delete "bread"',
+    ]);
+    assert.deepEqual(named("filters"), ["list: Show"]);
+  });
+
+  it("names the editor of the todo being edited", () => {
+    const root = view(run(three, { type: "startEdit", id: 2 }));
+    TodoA11y.annotate(root, 2);
+    assert.equal(
+      root.querySelector(".edit").getAttribute("aria-label"),
+      'Edit "bread"',
+    );
+    assert.deepEqual(
+      audit(root).filter(({ role, name }) => role !== "listitem" && !name),
+      [],
+    );
+  });
+
+  it("gives the list one tab stop, on the active todo", () => {
+    const root = view(three);
+    TodoA11y.annotate(root, 1);
+    assert.deepEqual(tabStops(root), [
+      ["0", "-1"],
+      ["1", "0"],
+      ["2", "-1"],
+    ]);
+    root
+      .querySelectorAll(".todo-list .toggle, .todo-list .destroy")
+      .forEach((control) =>
+        assert.equal(control.getAttribute("tabindex"), "-1"),
+      );
+  });
+
+  it("moves the tab stop to the first todo shown when the active one is not", () => {
+    const active = run(three, { type: "setFilter", filter: "active" });
+    const root = view(active);
+    TodoA11y.annotate(root, 1);
+    assert.deepEqual(tabStops(root), [
+      ["0", "0"],
+      ["2", "-1"],
+    ]);
+  });
+
+  it("marks the selected todos and the current filter", () => {
+    const root = view(three);
+    TodoA11y.annotate(root, 0, [0, 2]);
+    const items = root.querySelectorAll(".todo-list > li");
+    assert.deepEqual(
+      items.map((li) => li.getAttribute("aria-describedby")),
+      ["todo-selected todo-keys", "todo-keys", "todo-selected todo-keys"],
+    );
+    assert.deepEqual(
+      items.map((li) => li.classList.contains("selected")),
+      [true, false, true],
+    );
+
+    const current = root.querySelectorAll("[aria-current]");
+    assert.deepEqual(
+      current.map((link) => [
+        link.textContent,
+        link.getAttribute("aria-current"),
+      ]),
+      [["All", "page"]],
+    );
+    assert.deepEqual(
+      root
+        .querySelectorAll(".filters a")
+        .map((link) => link.getAttribute("aria-keyshortcuts")),
+      ["1", "2", "3"],
+    );
+  });
+
+  it("leaves a todo without a label unnamed instead of failing", () => {
+    const root = parseHTML(
+      '<ul class="todo-list"><li data-id="0"><input class="toggle" type="checkbox"></li></ul>',
+    );
+    assert.doesNotThrow(() => TodoA11y.annotate(root, 0));
+    assert.equal(
+      root.querySelector(".toggle").getAttribute("aria-label"),
+      null,
+    );
+    assert.deepEqual(tabStops(root), [["0", "0"]]);
+  });
+});
@@ -0,0 +1,161 @@
+// Tests for the differential conformance checker (docs/conformance.js)
+// Usage: node --test test/
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const TodoConformance = require("../docs/conformance.js");
+const TodoReducer = require("../docs/reducer.js");
+const { jsEngine } = require("./helpers/engines.js");
+const { run, add } = require("./helpers/fixtures.js");
+
+// A todo as View.lean writes it (Html.flag_ and attrToString) and as
+// renderHTML in reducer.js does
+const LEAN_TODO =
+  '<li class="completed" data-id="0"><div class="view">' +
+  '<input class="toggle" type="checkbox" checked="checked">' +
+  "<label>milk</label>" +
+  '<button class="destroy"></button></div></li>';
+const JS_TODO =
+  '<li class="completed" data-id="0"><div class="view">' +
+  '<input class="toggle" type="checkbox" checked>' +
+  "<label>milk</label>" +
+  '<button class="destroy"></button></div></li>';
+
+// The JavaScript engine writing its markup the way Lean does
+const leanStyled = {
+  ...jsEngine,
+  renderState: (stateJson) =>
+    jsEngine
+      .renderState(stateJson)
+      .replace(/ (checked|autofocus)(?=[\s>])/g, ' $1="$1"')
+      .replace(/"\s+>/g, '">'),
+};
+
+const two = JSON.stringify(
+  run(TodoReducer.getInitialState(), ...add("milk"), ...add("eggs")),
+);
+const toggle = JSON.stringify({ type: "toggleTodo", id: 0 });
+
+describe("normalizeHtml", () => {
+  const same = (a, b) =>
+    assert.equal(
+      TodoConformance.normalizeHtml(a),
+      TodoConformance.normalizeHtml(b),
+    );
+
+  it("reads a boolean attribute the same with or without its value", () => {
+    same(LEAN_TODO, JS_TODO);
+    same('<input autofocus="autofocus">', "<input autofocus>");
+    same('<input value="">', "<input value>");
+  });
+
+  it("ignores attribute order and the spacing inside tags", () => {
+    same('<input type="checkbox">', '<input type="checkbox" >');
+    same('<input id="a" class="b">', "<input class='b'\n  id=a />");
+    same("<ul>\n  <li>a</li>\n</ul>", "<UL><li>a</li></ul>");
+  });
+
+  it("still tells different markup apart", () => {
+    const differ = (a, b) =>
+      assert.notEqual(
+        TodoConformance.normalizeHtml(a),
+        TodoConformance.normalizeHtml(b),
+      );
+    differ(JS_TODO, JS_TODO.replace(" checked", ""));
+    differ('<li class="">', '<li class="completed">');
+    differ("<label>milk</label>", "<label>eggs</label>");
+  });
+});
+
+describe("createChecker", () => {
+  it("passes engines that agree on state and markup", async () => {
+    const results = [];
+    const checker = TodoConformance.createChecker(
+      { wasm: leanStyled, js: jsEngine },
+      (result) => results.push(result),
+    );
+
+    assert.equal(await checker.check(two, toggle), null);
+    assert.equal(
+      await checker.check(two, JSON.stringify({ type: "toggleAll" })),
+      null,
+    );
+    assert.deepEqual(results, [null, null]);
+    assert.equal(checker.steps, 2);
+    assert.deepEqual(checker.mismatches, []);
+  });
+
+  it("records a differing state or render with the action and prior state", async () => {
+    const checker = TodoConformance.createChecker({
+      wasm: {
+        ...jsEngine,
+        processAction: (stateJson) => stateJson,
+      },
+      js: jsEngine,
+    });
+
+    const mismatch = await checker.check(two, toggle);
+    assert.deepEqual(mismatch.differences, ["state", "html"]);
+    assert.equal(mismatch.step, 0);
+    assert.deepEqual(mismatch.action, { type: "toggleTodo", id: 0 });
+    assert.equal(mismatch.stateBefore, two);
+    assert.equal(mismatch.wasm.state, two);
+    assert.deepEqual(checker.mismatches, [mismatch]);
+  });
+
+  it("counts matching errors as agreement and any other error as a difference", async () => {
+    const failing = (message) => ({
+      ...jsEngine,
+      processAction: () => {
+        throw new Error(message);
+      },
+    });
+
+    const bothFail = TodoConformance.createChecker({
+      wasm: failing("bad action"),
+      js: failing("bad action"),
+    });
+    assert.equal(await bothFail.check(two, toggle), null);
+
+    const otherError = TodoConformance.createChecker({
+      wasm: failing("bad action"),
+      js: failing("unknown todo"),
+    });
+    assert.deepEqual((await otherError.check(two, toggle)).differences, [
+      "error",
+    ]);
+
+    const oneFails = TodoConformance.createChecker({
+      wasm: failing("bad action"),
+      js: jsEngine,
+    });
+    const mismatch = await oneFails.check(two, toggle);
+    assert.deepEqual(mismatch.differences, ["error"]);
+    assert.deepEqual(mismatch.wasm, { error: "bad action" });
+  });
+});
+
+describe("toCaseFile", () => {
+  it("writes each mismatch as a case that can be replayed", async () => {
+    const checker = TodoConformance.createChecker({
+      wasm: { ...jsEngine, renderState: () => "<p>other</p>" },
+      js: jsEngine,
+    });
+    await checker.check(two, toggle);
+
+    const file = JSON.parse(TodoConformance.toCaseFile(checker.mismatches));
+    assert.equal(file.kind, "todomvc-conformance");
+    assert.equal(file.version, 1);
+    assert.equal(file.cases.length, 1);
+
+    const [entry] = file.cases;
+    assert.deepEqual(entry.differences, ["html"]);
+    assert.deepEqual(entry.action, { type: "toggleTodo", id: 0 });
+    assert.equal(
+      jsEngine.processAction(entry.stateBefore, JSON.stringify(entry.action)),
+      entry.js.state,
+    );
+    assert.equal(entry.wasm.html, "<p>other</p>");
+  });
+});
@@ -0,0 +1,259 @@
+// Tests for the list controller shared by the page and the <todo-mvc>
+// element (docs/controller.js)
+// Usage: node --test test/
+//
+// Editors and elements are parsed with test/helpers/dom.js. The element's
+// round trip is checked on the list it keeps: what one list saves under
+// its storage-key, a second list with the same key starts from.
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const TodoController = require("../docs/controller.js");
+const TodoReducer = require("../docs/reducer.js");
+const TodoSearch = require("../docs/search.js");
+const { parseHTML } = require("./helpers/dom.js");
+const {
+  run,
+  add,
+  texts,
+  createLocalStorage,
+} = require("./helpers/fixtures.js");
+
+const two = run(TodoReducer.getInitialState(), ...add("milk"), ...add("eggs"));
+
+describe("routeActions", () => {
+  const search = (fields) => ({ ...TodoSearch.EMPTY_SEARCH, ...fields });
+
+  it("sets the filter and search a route asks for", () => {
+    assert.deepEqual(
+      TodoController.routeActions(two, {
+        filter: "active",
+        search: search({ tags: ["shop"] }),
+      }),
+      [
+        { type: "setFilter", filter: "active" },
+        { type: "setSearch", text: "", fuzzy: false, tags: ["shop"] },
+      ],
+    );
+    assert.deepEqual(
+      TodoController.routeActions(two, {
+        filter: "all",
+        search: search({}),
+      }),
+      [],
+    );
+  });
+
+  it("leaves the filter of an empty list alone", () => {
+    assert.deepEqual(
+      TodoController.routeActions(TodoReducer.getInitialState(), {
+        filter: "completed",
+        search: search({}),
+      }),
+      [],
+    );
+  });
+});
+
+describe("editing", () => {
+  const editing = run(two, { type: "startEdit", id: 1 });
+  const editor = () =>
+    parseHTML(TodoReducer.renderHTML(editing)).querySelector("li.editing");
+
+  it("recognizes the fields of the open editor", () => {
+    const view = parseHTML(TodoReducer.renderHTML(editing));
+    assert.equal(
+      TodoController.isEditorField(view.querySelector(".edit")),
+      true,
+    );
+    assert.equal(
+      TodoController.isEditorField(view.querySelector(".edit-notes")),
+      true,
+    );
+    assert.equal(
+      TodoController.isEditorField(view.querySelector(".new-todo")),
+      false,
+    );
+  });
+
+  it("saves only the text when the details are unchanged", () => {
+    const li = editor();
+    li.querySelector(".edit").value = "duck eggs";
+    const editorState = TodoController.readEditor(li);
+    assert.deepEqual(editorState, {
+      text: "duck eggs",
+      details: { due: null, priority: null, notes: null },
+    });
+    assert.deepEqual(TodoController.editActions(editing, editorState), [
+      { type: "updateTodoText", id: 1, text: "duck eggs" },
+    ]);
+  });
+
+  it("saves each changed detail before the text", () => {
+    const li = editor();
+    li.querySelector(".edit-due").value = "2030-01-01";
+    li.querySelector(".edit-priority").value = "2";
+    const actions = TodoController.editActions(
+      editing,
+      TodoController.readEditor(li),
+    );
+    assert.deepEqual(actions, [
+      { type: "setDue", id: 1, due: "2030-01-01" },
+      { type: "setPriority", id: 1, priority: 2 },
+      { type: "updateTodoText", id: 1, text: "eggs" },
+    ]);
+    assert.deepEqual(run(editing, ...actions).items[1], {
+      id: 1,
+      text: "eggs",
+      completed: false,
+      due: "2030-01-01",
+      priority: 2,
+    });
+  });
+
+  it("saves just the text of a todo emptied away, and nothing without an edit", () => {
+    const li = editor();
+    li.querySelector(".edit").value = " ";
+    li.querySelector(".edit-notes").value = "free range";
+    const editorState = TodoController.readEditor(li);
+    assert.deepEqual(TodoController.editActions(editing, editorState), [
+      { type: "updateTodoText", id: 1, text: " " },
+    ]);
+    assert.deepEqual(TodoController.editActions(two, editorState), []);
+  });
+});
+
+describe("<todo-mvc> lists", () => {
+  const KEY = "test/element";
+
+  beforeEach(() => {
+    globalThis.localStorage = createLocalStorage();
+  });
+
+  afterEach(() => {
+    delete globalThis.localStorage;
+  });
+
+  const element = (attributes) =>
+    parseHTML(`<todo-mvc ${attributes}></todo-mvc>`).querySelector("todo-mvc");
+
+  function openList(attributes, events = [], engine = TodoController.jsEngine) {
+    const { storageKey } = TodoController.optionsOf(element(attributes));
+    let renders = 0;
+    const list = TodoController.createList({
+      engine,
+      storageKey,
+      onChange: (detail) => events.push(detail),
+      onError: (error) => events.push({ error }),
+      render: async () => {
+        renders++;
+      },
+    });
+    list.renders = () => renders;
+    return list;
+  }
+
+  it("reads its options from the attributes", () => {
+    assert.deepEqual(
+      TodoController.optionsOf(element(`storage-key="work" hash-routing`)),
+      { storageKey: "work", hashRouting: true },
+    );
+    assert.deepEqual(TodoController.optionsOf(element("")), {
+      storageKey: null,
+      hashRouting: false,
+    });
+  });
+
+  it("starts where a list with the same storage-key left off", async () => {
+    const events = [];
+    const first = openList(`storage-key="${KEY}"`, events);
+    await first.start();
+    assert.deepEqual(first.getState(), TodoReducer.getInitialState());
+
+    await first.update(() => [...add("milk"), { type: "toggleAll" }]);
+    await first.update(() => [{ type: "setFilter", filter: "all" }]);
+    assert.deepEqual(
+      events.map(({ action }) => action.type),
+      ["enterText", "addTodo", "toggleAll"],
+    );
+    assert.deepEqual(events[2].previousState, events[1].state);
+    assert.deepEqual(first.getState(), events[2].state);
+
+    const second = openList(`storage-key="${KEY}"`);
+    await second.start();
+    assert.deepEqual(second.getState(), first.getState());
+    assert.deepEqual(texts(second.getState()), ["milk"]);
+  });
+
+  it("starts empty without a storage-key", async () => {
+    const first = openList("");
+    await first.start();
+    await first.update(() => add("milk"));
+    assert.equal(localStorage.entries.size, 0);
+
+    const second = openList("");
+    await second.start();
+    assert.deepEqual(second.getState(), TodoReducer.getInitialState());
+  });
+
+  it("renders once for updates queued together", async () => {
+    const list = openList("");
+    await list.start();
+    assert.equal(list.renders(), 1);
+
+    await Promise.all(
+      ["a", "b", "c"].map((text) => list.update(() => add(text))),
+    );
+    assert.equal(list.renders(), 2);
+    assert.deepEqual(texts(list.getState()), ["a", "b", "c"]);
+  });
+
+  it("applies none of an update when one of its actions fails", async () => {
+    const events = [];
+    const list = openList(`storage-key="${KEY}"`, events, {
+      ...TodoController.jsEngine,
+      processAction: (stateJson, actionJson) => {
+        if (JSON.parse(actionJson).type === "toggleAll") {
+          throw new Error("no toggleAll");
+        }
+        return TodoController.jsEngine.processAction(stateJson, actionJson);
+      },
+    });
+    await list.start();
+    await list.update(() => add("milk"));
+    const before = list.getState();
+
+    await list.update(() => [...add("eggs"), { type: "toggleAll" }]);
+    assert.deepEqual(list.getState(), before);
+    assert.deepEqual(JSON.parse(localStorage.getItem(KEY)).state, before);
+    assert.deepEqual(
+      events.map((event) => (event.error ? "error" : event.action.type)),
+      ["enterText", "addTodo", "error"],
+    );
+  });
+
+  it("switches to the list saved under another storage-key", async () => {
+    const work = openList(`storage-key="${KEY}/work"`);
+    await work.start();
+    await work.update(() => add("report"));
+
+    const list = openList(`storage-key="${KEY}/home"`);
+    await list.start();
+    await list.update(() => add("milk"));
+
+    await list.useStorageKey(`${KEY}/work`);
+    assert.deepEqual(texts(list.getState()), ["report"]);
+    await list.update(() => add("slides"));
+
+    await list.useStorageKey(`${KEY}/home`);
+    assert.deepEqual(texts(list.getState()), ["milk"]);
+    await list.useStorageKey(null);
+    assert.deepEqual(list.getState(), TodoReducer.getInitialState());
+
+    const again = openList(`storage-key="${KEY}/work"`);
+    await again.start();
+    assert.deepEqual(texts(again.getState()), ["report", "slides"]);
+    assert.equal(list.renders(), 6);
+  });
+});
@@ -0,0 +1,128 @@
+// Tests for due dates, priority and notes (docs/details.js) and the
+// reducer actions and view that use them
+// Usage: node --test test/
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const TodoDetails = require("../docs/details.js");
+const TodoReducer = require("../docs/reducer.js");
+const { run, add, visibleTexts } = require("./helpers/fixtures.js");
+
+describe("fields", () => {
+  it("accepts only real calendar dates and priorities 1 to 3", () => {
+    assert.equal(TodoDetails.isDate("2024-02-29"), true);
+    assert.equal(TodoDetails.isDate("2023-02-29"), false);
+    assert.equal(TodoDetails.isDate("2024-2-1"), false);
+    assert.deepEqual([0, 1, 3, 4, 1.5, "2"].map(TodoDetails.isPriority), [
+      false,
+      true,
+      true,
+      false,
+      false,
+      false,
+    ]);
+  });
+
+  it("sets, replaces and removes a field", () => {
+    const item = { id: 0, text: "a", completed: false };
+    const due = TodoDetails.withDetail(item, "due", "2026-01-05");
+    assert.deepEqual(due, { ...item, due: "2026-01-05" });
+    assert.equal(TodoDetails.withDetail(due, "due", "soon"), due);
+    assert.deepEqual(TodoDetails.withDetail(due, "due", null), item);
+    assert.equal(TodoDetails.withDetail(item, "notes", ""), item);
+  });
+
+  it("flags active todos that are overdue or due today", () => {
+    const today = "2026-03-10";
+    const status = (fields) =>
+      TodoDetails.dueStatus({ completed: false, ...fields }, today);
+    assert.equal(status({ due: "2026-03-09" }), "overdue");
+    assert.equal(status({ due: "2026-03-10" }), "today");
+    assert.equal(status({ due: "2026-03-11" }), null);
+    assert.equal(status({}), null);
+    assert.equal(status({ due: "2026-03-09", completed: true }), null);
+  });
+});
+
+describe("reducer detail actions", () => {
+  const state = run(
+    TodoReducer.getInitialState(),
+    ...add("a"),
+    ...add("b"),
+    ...add("c"),
+    { type: "setDue", id: 0, due: "2026-05-01" },
+    { type: "setDue", id: 2, due: "2026-04-01" },
+    { type: "setPriority", id: 1, priority: 1 },
+    { type: "setPriority", id: 2, priority: 3 },
+    { type: "setNotes", id: 1, notes: "two\nlines" },
+  );
+
+  it("sets each field on its todo only", () => {
+    assert.deepEqual(state.items, [
+      { id: 0, text: "a", completed: false, due: "2026-05-01" },
+      { id: 1, text: "b", completed: false, priority: 1, notes: "two\nlines" },
+      { id: 2, text: "c", completed: false, due: "2026-04-01", priority: 3 },
+    ]);
+  });
+
+  it("clears a field with null and ignores invalid values", () => {
+    const cleared = run(state, { type: "setPriority", id: 1, priority: null });
+    assert.equal("priority" in cleared.items[1], false);
+    const ignored = run(state, { type: "setDue", id: 0, due: "tomorrow" });
+    assert.deepEqual(ignored.items, state.items);
+  });
+
+  it("sorts the visible todos with missing fields last", () => {
+    const visible = (sort) =>
+      visibleTexts(run(state, { type: "setSort", sort }));
+    assert.deepEqual(visible("due"), ["c", "a", "b"]);
+    assert.deepEqual(visible("priority"), ["b", "c", "a"]);
+    assert.deepEqual(visible("manual"), ["a", "b", "c"]);
+    assert.equal(
+      run(state, { type: "setSort", sort: "size" }).sortBy,
+      "manual",
+    );
+  });
+
+  it("highlights overdue and due-today todos", () => {
+    const html = TodoReducer.renderHTML(state, "2026-04-01");
+    assert.match(html, /<li class="due-today" data-id="2">/);
+    assert.match(html, /<time class="due" datetime="2026-04-01">Due today/);
+    assert.match(
+      TodoReducer.renderHTML(state, "2026-05-02"),
+      /<li class="overdue" data-id="0">/,
+    );
+    assert.match(html, /<span class="notes">two\nlines<\/span>/);
+  });
+
+  it("reads an older state without the fields or a sort", () => {
+    const { sortBy: _, ...old } = run(
+      TodoReducer.getInitialState(),
+      ...add("a"),
+      ...add("b"),
+    );
+    assert.deepEqual(visibleTexts(old), ["a", "b"]);
+    assert.doesNotMatch(TodoReducer.renderHTML(old), /todo-details/);
+  });
+
+  it("keeps fields it does not know through every update", () => {
+    const extended = {
+      ...state,
+      items: state.items.map((item) => ({ ...item, color: "red" })),
+    };
+    const updated = run(
+      JSON.parse(JSON.stringify(extended)),
+      { type: "toggleTodo", id: 0 },
+      { type: "toggleAll" },
+      { type: "updateTodoText", id: 1, text: "bee" },
+      { type: "moveTodo", id: 2, toIndex: 0 },
+      { type: "setNotes", id: 2, notes: "n" },
+      { type: "retagTodos", ids: [0], add: ["x"], remove: [] },
+    );
+    assert.deepEqual(
+      updated.items.map((item) => item.color),
+      ["red", "red", "red"],
+    );
+  });
+});
@@ -0,0 +1,139 @@
+// Tests for the developer panel's state diff (docs/devtools.js) and the
+// leveled logger (docs/logger.js)
+// Usage: node --test test/
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const TodoDevtools = require("../docs/devtools.js");
+const TodoLogger = require("../docs/logger.js");
+const TodoReducer = require("../docs/reducer.js");
+
+const state = (overrides = {}) => ({
+  items: [
+    { id: 0, text: "milk", completed: false },
+    { id: 1, text: "bread", completed: false },
+    { id: 2, text: "eggs", completed: true },
+  ],
+  selectedFilter: "all",
+  pendingText: "",
+  nextId: 3,
+  ...overrides,
+});
+
+describe("diffStates", () => {
+  it("finds nothing between equal states", () => {
+    assert.deepEqual(TodoDevtools.diffStates(state(), state()), []);
+  });
+
+  it("names the changed field of a todo by its id", () => {
+    const before = state();
+    const after = TodoReducer.processActionInJS(before, {
+      type: "toggleTodo",
+      id: 1,
+    });
+    assert.deepEqual(TodoDevtools.diffStates(before, after), [
+      {
+        kind: "changed",
+        path: "items[id=1].completed",
+        before: false,
+        after: true,
+      },
+    ]);
+  });
+
+  it("lists added and removed todos and fields", () => {
+    const before = state({ pendingText: "jam" });
+    const after = TodoReducer.processActionInJS(before, { type: "addTodo" });
+    assert.deepEqual(TodoDevtools.diffStates(before, after), [
+      { kind: "added", path: "items[id=3]", after: after.items[3] },
+      { kind: "changed", path: "pendingText", before: "jam", after: "" },
+      { kind: "changed", path: "nextId", before: 3, after: 4 },
+    ]);
+
+    assert.deepEqual(
+      TodoDevtools.diffStates(
+        state({ editingId: 0 }),
+        state({ items: state().items.slice(1) }),
+      ),
+      [
+        { kind: "removed", path: "items[id=0]", before: state().items[0] },
+        { kind: "removed", path: "editingId", before: 0 },
+      ],
+    );
+  });
+
+  it("reports a reorder once rather than every position", () => {
+    const before = state();
+    const after = TodoReducer.processActionInJS(before, {
+      type: "moveTodo",
+      id: 2,
+      toIndex: 0,
+    });
+    assert.deepEqual(TodoDevtools.diffStates(before, after), [
+      { kind: "moved", path: "items", before: [0, 1, 2], after: [2, 0, 1] },
+    ]);
+  });
+
+  it("compares other lists as a whole", () => {
+    const before = state({ search: { text: "", fuzzy: false, tags: [] } });
+    const after = state({ search: { text: "", fuzzy: false, tags: ["shop"] } });
+    assert.deepEqual(TodoDevtools.diffStates(before, after), [
+      { kind: "changed", path: "search.tags", before: [], after: ["shop"] },
+    ]);
+  });
+
+  it("describes each kind of change on one line", () => {
+    assert.deepEqual(
+      [
+        { kind: "changed", path: "selectedFilter", before: "all", after: null },
+        { kind: "added", path: "items[id=3]", after: { id: 3 } },
+        { kind: "removed", path: "editingId", before: 0 },
+        { kind: "moved", path: "items", before: [0, 1], after: [1, 0] },
+      ].map(TodoDevtools.describeChange),
+      [
+        'selectedFilter: "all" → null',
+        '+ items[id=3]: {"id":3}',
+        "- editingId: 0",
+        "items reordered: 0, 1 → 1, 0",
+      ],
+    );
+  });
+});
+
+describe("logger", () => {
+  const recorder = () => {
+    const lines = [];
+    const sink = {};
+    ["debug", "info", "warn", "error"].forEach((name) => {
+      sink[name] = (...args) => lines.push([name, ...args]);
+    });
+    return { sink, lines };
+  };
+
+  it("reads the level from the URL, warn by default", () => {
+    assert.equal(TodoLogger.levelOf("?log=debug"), "debug");
+    assert.equal(TodoLogger.levelOf("?sync=off&log=silent"), "silent");
+    assert.equal(TodoLogger.levelOf("?log=loud"), "warn");
+    assert.equal(TodoLogger.levelOf(""), "warn");
+  });
+
+  it("writes only at or above its level", () => {
+    const { sink, lines } = recorder();
+    const log = TodoLogger.create("info", sink);
+    log.debug("hidden");
+    log.info("shown", 1);
+    log.error("also shown");
+    assert.deepEqual(lines, [
+      ["info", "shown", 1],
+      ["error", "also shown"],
+    ]);
+  });
+
+  it("writes nothing when silent", () => {
+    const { sink, lines } = recorder();
+    const log = TodoLogger.create("silent", sink);
+    log.error("hidden");
+    assert.deepEqual(lines, []);
+  });
+});
@@ -0,0 +1,259 @@
+// Tests for the import/export formats in docs/formats.js
+// Usage: node --test test/
+//
+// Round-trips each format, checks escaping and per-line error reporting,
+// and applies imports through each engine to check the ids and filter rules
+// an import ends up with.
+
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+
+const TodoFormats = require("../docs/formats.js");
+const { jsEngine, wasmEngine, suiteOptions } = require("./helpers/engines");
+
+const ITEMS = [
+  { id: 3, text: "buy milk", completed: false },
+  { id: 5, text: 'say "hi", then leave', completed: true },
+  { id: 8, text: "- [x] **not** a `nested` item #1 <b>", completed: false },
+];
+
+const STATE = {
+  items: ITEMS,
+  pendingText: "draft",
+  selectedFilter: "active",
+  editingId: null,
+  nextId: 9,
+};
+
+function roundTrip(format) {
+  const { text } = TodoFormats.exportState(STATE, format);
+  return TodoFormats.parseImport(text, format);
+}
+
+const simplify = (items) =>
+  items.map(({ text, completed }) => ({ text, completed }));
+
+describe("export and re-import", () => {
+  for (const format of Object.keys(TodoFormats.FORMATS)) {
+    it(`round-trips ${format}`, () => {
+      const { items, errors } = roundTrip(format);
+      assert.deepEqual(errors, []);
+      assert.deepEqual(simplify(items), simplify(ITEMS));
+    });
+  }
+
+  it("carries due, priority and notes through JSON and CSV", () => {
+    const state = {
+      ...STATE,
+      items: [
+        { id: 0, text: "a", completed: false, due: "2026-03-01", priority: 1 },
+        { id: 1, text: "b", completed: true, notes: "line one\nline, two" },
+      ],
+    };
+    for (const format of ["json", "csv"]) {
+      const { text } = TodoFormats.exportState(state, format);
+      const { items, errors } = TodoFormats.parseImport(text, format);
+      assert.deepEqual(errors, []);
+      assert.deepEqual(
+        items.map(({ line, index, ...item }) => item),
+        state.items.map(({ id, ...item }) => item),
+      );
+    }
+  });
+
+  it("names the file after the format", () => {
+    assert.equal(
+      TodoFormats.exportState(STATE, "markdown").filename,
+      "todos.md",
+    );
+    assert.equal(TodoFormats.exportState(STATE, "csv").type, "text/csv");
+  });
+
+  it("escapes Markdown punctuation", () => {
+    const { text } = TodoFormats.exportState(STATE, "markdown");
+    assert.equal(
+      text.split("\n")[2],
+      "- [ ] - \\[x\\] \\*\\*not\\*\\* a \\`nested\\` item \\#1 \\<b\\>",
+    );
+  });
+
+  it("quotes CSV fields holding commas, quotes and line breaks", () => {
+    const state = {
+      ...STATE,
+      items: [{ id: 0, text: 'a, "b"\nc', completed: true }],
+    };
+    const { text } = TodoFormats.exportState(state, "csv");
+    assert.equal(
+      text,
+      'id,text,completed,due,priority,notes\r\n0,"a, ""b""\nc",true,,,\r\n',
+    );
+    assert.deepEqual(
+      simplify(TodoFormats.parseImport(text, "csv").items),
+      simplify(state.items),
+    );
+  });
+});
+
+describe("format detection", () => {
+  it("uses the file extension first", () => {
+    assert.equal(TodoFormats.detectFormat("list.MD", "{}"), "markdown");
+    assert.equal(TodoFormats.detectFormat("list.csv", "[]"), "csv");
+  });
+
+  it("falls back to the content", () => {
+    assert.equal(TodoFormats.detectFormat("list.txt", ' [{"a":1}]'), "json");
+    assert.equal(TodoFormats.detectFormat("list.txt", "- [ ] a"), "markdown");
+    assert.equal(TodoFormats.detectFormat("list", "text\na"), "csv");
+  });
+});
+
+describe("import errors", () => {
+  it("reports every malformed Markdown line", () => {
+    const text = "# Todos\n- [ ] ok\nnot an item\n\n- [x]  \n* [X] fine\n";
+    const { items, errors } = TodoFormats.parseImport(text, "markdown");
+    assert.deepEqual(simplify(items), [
+      { text: "ok", completed: false },
+      { text: "fine", completed: true },
+    ]);
+    assert.deepEqual(errors, [
+      { line: 3, message: "not a checklist item (- [ ] text)" },
+      { line: 5, message: "text is empty" },
+    ]);
+  });
+
+  it("reports CSV rows by the line they start on", () => {
+    const text = 'text,completed\n"two\nlines",yes\nshort\nc,maybe\n';
+    const { items, errors } = TodoFormats.parseImport(text, "csv");
+    assert.deepEqual(simplify(items), [
+      { text: "two\nlines", completed: true },
+    ]);
+    assert.deepEqual(errors, [
+      { line: 4, message: "expected 2 fields, found 1" },
+      { line: 5, message: "completed must be true or false" },
+    ]);
+  });
+
+  it("requires a text column and closed quotes in CSV", () => {
+    assert.deepEqual(TodoFormats.parseImport("id,done\n1,x\n", "csv").errors, [
+      { line: 1, message: 'no "text" column in header' },
+    ]);
+    assert.deepEqual(TodoFormats.parseImport('text\n"open\n', "csv").errors, [
+      { line: 2, message: "unclosed quote" },
+    ]);
+  });
+
+  it("reports JSON problems by item index", () => {
+    const text = JSON.stringify([
+      { text: "a", completed: false },
+      { text: "b" },
+      "c",
+    ]);
+    const { items, errors } = TodoFormats.parseImport(text, "json");
+    assert.equal(items.length, 1);
+    assert.deepEqual(
+      errors.map((error) => error.message),
+      ["item 1: completed must be true or false", "item 2 is not an object"],
+    );
+    assert.equal(TodoFormats.parseImport("{", "json").errors[0].line, null);
+  });
+
+  it("reports invalid due dates and priorities", () => {
+    const json = JSON.stringify([
+      { text: "a", completed: false, due: "2026-02-30" },
+    ]);
+    assert.deepEqual(
+      TodoFormats.parseImport(json, "json").errors.map((e) => e.message),
+      ["item 0: due is not valid"],
+    );
+    const csv = "text,priority\na,4\nb,\n";
+    const { items, errors } = TodoFormats.parseImport(csv, "csv");
+    assert.deepEqual(errors, [{ line: 2, message: "priority is not valid" }]);
+    assert.deepEqual(items, [{ text: "b", completed: false, line: 3 }]);
+  });
+});
+
+/* Imports through the reducer */
+
+function defineImportSuite(engine) {
+  describe(`${engine.name} engine imports`, suiteOptions(engine), () => {
+    before(() => engine.load());
+
+    function apply(state, items, mode) {
+      return TodoFormats.importActions(state, items, mode).reduce(
+        (stateJson, action) =>
+          engine.processAction(stateJson, JSON.stringify(action)),
+        JSON.stringify(state),
+      );
+    }
+
+    const imported = [
+      { text: "x", completed: true },
+      { text: "y", completed: false },
+    ];
+
+    it("merges with ids continuing from nextId", () => {
+      const state = JSON.parse(apply(STATE, imported, "merge"));
+      assert.deepEqual(
+        state.items.map(({ id, completed }) => [id, completed]),
+        [
+          [3, false],
+          [5, true],
+          [8, false],
+          [9, true],
+          [10, false],
+        ],
+      );
+      assert.equal(state.nextId, 11);
+      assert.equal(state.pendingText, "draft");
+      assert.equal(state.selectedFilter, "active");
+    });
+
+    it("replaces the list but keeps counting ids", () => {
+      const state = JSON.parse(apply(STATE, imported, "replace"));
+      assert.deepEqual(
+        state.items.map(({ id, text }) => [id, text]),
+        [
+          [9, "x"],
+          [10, "y"],
+        ],
+      );
+      // Emptying the list reset the filter; the first add selects "all"
+      assert.equal(state.selectedFilter, "all");
+    });
+
+    it("selects the all filter when importing into an empty list", () => {
+      const initial = JSON.parse(engine.getInitialState());
+      const state = JSON.parse(apply(initial, imported, "merge"));
+      assert.equal(state.selectedFilter, "all");
+      assert.deepEqual(
+        state.items.map(({ id }) => id),
+        [0, 1],
+      );
+    });
+  });
+}
+
+defineImportSuite(jsEngine);
+defineImportSuite(wasmEngine);
+
+// The Lean engine has no actions for the optional fields yet
+describe("js engine imports of due, priority and notes", () => {
+  it("sets them on the new todos", () => {
+    const stateJson = TodoFormats.importActions(
+      STATE,
+      [{ text: "x", completed: false, due: "2026-03-01", notes: "n" }],
+      "merge",
+    ).reduce(
+      (current, action) =>
+        jsEngine.processAction(current, JSON.stringify(action)),
+      JSON.stringify(STATE),
+    );
+    assert.deepEqual(JSON.parse(stateJson).items.at(-1), {
+      id: 9,
+      text: "x",
+      completed: false,
+      due: "2026-03-01",
+      notes: "n",
+    });
+  });
+});
@@ -0,0 +1,87 @@
+// Tests for the undo/redo history in docs/history.js
+// Usage: node --test test/
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const TodoHistory = require("../docs/history.js");
+
+// States are opaque to the history, so plain labels stand in for JSON
+const toggle = (id) => ({ type: "toggleTodo", id });
+
+describe("history", () => {
+  it("undoes and redoes back to each recorded state", () => {
+    const history = TodoHistory.create("s0");
+    history.push(toggle(0), "s1");
+    history.push(toggle(1), "s2");
+
+    assert.equal(history.undo(), "s1");
+    assert.equal(history.undo(), "s0");
+    assert.equal(history.redo(), "s1");
+    assert.equal(history.redo(), "s2");
+  });
+
+  it("stops at either end", () => {
+    const history = TodoHistory.create("s0");
+    assert.equal(history.canUndo(), false);
+    assert.equal(history.undo(), "s0");
+
+    history.push(toggle(0), "s1");
+    assert.equal(history.canRedo(), false);
+    assert.equal(history.redo(), "s1");
+    assert.equal(history.index, 1);
+  });
+
+  it("drops the redo branch when an action follows an undo", () => {
+    const history = TodoHistory.create("s0");
+    history.push(toggle(0), "s1");
+    history.push(toggle(1), "s2");
+    history.undo();
+    history.push(toggle(2), "s3");
+
+    assert.equal(history.canRedo(), false);
+    assert.deepEqual(
+      history.entries.map((entry) => entry.stateJson),
+      ["s0", "s1", "s3"],
+    );
+  });
+
+  it("forgets the oldest states beyond the limit", () => {
+    const history = TodoHistory.create("s0", 3);
+    for (let i = 1; i <= 5; i++) history.push(toggle(i), `s${i}`);
+
+    assert.equal(history.entries.length, 3);
+    assert.equal(history.undo(), "s4");
+    assert.equal(history.undo(), "s3");
+    assert.equal(history.canUndo(), false);
+    assert.equal(history.undo(), "s3");
+  });
+
+  it("keeps the default number of steps", () => {
+    const history = TodoHistory.create("s0");
+    for (let i = 1; i <= TodoHistory.DEFAULT_LIMIT + 10; i++) {
+      history.push(toggle(i), `s${i}`);
+    }
+    assert.equal(history.entries.length, TodoHistory.DEFAULT_LIMIT);
+    assert.equal(history.jumpTo(0), "s11");
+  });
+
+  it("merges a run of typing into one step", () => {
+    const history = TodoHistory.create("s0");
+    history.push({ type: "enterText", text: "m" }, "m");
+    history.push({ type: "enterText", text: "mi" }, "mi");
+    history.push({ type: "enterText", text: "mil" }, "mil");
+    history.push({ type: "addTodo" }, "added");
+
+    assert.equal(history.entries.length, 3);
+    assert.equal(history.undo(), "mil");
+    assert.equal(history.undo(), "s0");
+  });
+
+  it("clamps a jump to the recorded range", () => {
+    const history = TodoHistory.create("s0");
+    history.push(toggle(0), "s1");
+    assert.equal(history.jumpTo(-4), "s0");
+    assert.equal(history.jumpTo(9), "s1");
+  });
+});
@@ -0,0 +1,232 @@
+// Conformance tests for the hybrid engine in docs/hybrid.js
+// Usage: node --test test/
+//
+// A session using every action type runs through the JS reducer alone and
+// through the hybrid of a Lean engine and the JS reducer; the two must
+// agree on every state. The Lean engine is the built WASM module when
+// there is one, and otherwise a stand-in that knows only what the Lean
+// module knows (see test/helpers/engines.js), so the test proves the
+// actions Lean lacks never reach it.
+
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+
+const TodoHybrid = require("../docs/hybrid.js");
+const TodoReducer = require("../docs/reducer.js");
+const {
+  jsEngine,
+  leanLikeEngine,
+  wasmEngine,
+  suiteOptions,
+} = require("./helpers/engines.js");
+const { add } = require("./helpers/fixtures.js");
+
+const SESSION = [
+  ...add("milk"),
+  ...add("bread"),
+  ...add("eggs #shop"),
+  { type: "toggleTodo", id: 0 },
+  { type: "setFilter", filter: "active" },
+  { type: "setSearch", text: "e", fuzzy: false, tags: [] },
+  // Lean actions while searching: the search is kept
+  { type: "toggleAll" },
+  { type: "setFilter", filter: "all" },
+  { type: "toggleTag", tag: "shop" },
+  { type: "toggleTag", tag: "shop" },
+  { type: "setSort", sort: "priority" },
+  { type: "setSort", sort: "manual" },
+  { type: "startEdit", id: 1 },
+  // Deleting while editing has to end the edit
+  { type: "deleteTodo", id: 1 },
+  { type: "startEdit", id: 2 },
+  { type: "cancelEdit" },
+  { type: "startEdit", id: 2 },
+  { type: "updateTodoText", id: 2, text: "duck eggs #shop" },
+  ...add("jam"),
+  ...add("soup"),
+  { type: "deleteTodo", id: 4 },
+  { type: "moveTodo", id: 3, toIndex: 0 },
+  { type: "completeTodos", ids: [0, 3], completed: false },
+  { type: "retagTodos", ids: [0], add: ["dairy"], remove: [] },
+  { type: "setDue", id: 0, due: "2030-01-01" },
+  { type: "setPriority", id: 0, priority: 1 },
+  { type: "setNotes", id: 0, notes: "semi-skimmed" },
+  // Lean actions on todos with details
+  { type: "toggleTodo", id: 0 },
+  { type: "clearCompleted" },
+  { type: "insertTodo", item: { id: 9, text: "tea", completed: true } },
+  { type: "deleteTodos", ids: [9] },
+  { type: "toggleAll" },
+  { type: "clearCompleted" },
+];
+
+async function runSession(engine, start, actions = SESSION) {
+  const states = [];
+  let stateJson = start;
+  for (const action of actions) {
+    stateJson = await engine.processAction(stateJson, JSON.stringify(action));
+    states.push(JSON.parse(stateJson));
+  }
+  return states;
+}
+
+function conformanceSuite(lean) {
+  return () => {
+    const hybrid = TodoHybrid.combine({ wasm: lean, js: jsEngine });
+    const start = jsEngine.getInitialState();
+
+    it("uses every action type", () => {
+      const types = new Set(SESSION.map((action) => action.type));
+      assert.deepEqual([...types].sort(), [...TodoReducer.ACTION_TYPES].sort());
+    });
+
+    it("agrees with the JS reducer on every step", async () => {
+      const expected = await runSession(jsEngine, start);
+      const actual = await runSession(hybrid, start);
+      actual.forEach((state, step) => {
+        assert.deepEqual(
+          state,
+          expected[step],
+          `step ${step}: ${JSON.stringify(SESSION[step])}`,
+        );
+      });
+    });
+
+    it("sends Lean only its own actions, and some of each", async () => {
+      let stateJson = start;
+      const onLean = new Set();
+      for (const action of SESSION) {
+        const actionJson = JSON.stringify(action);
+        if (
+          hybrid.engineFor("processAction", stateJson, actionJson) === "wasm"
+        ) {
+          onLean.add(action.type);
+        }
+        stateJson = await hybrid.processAction(stateJson, actionJson);
+      }
+      assert.deepEqual([...onLean].sort(), [...TodoHybrid.LEAN_ACTIONS].sort());
+    });
+
+    it("starts from the JS initial state", async () => {
+      assert.deepEqual(
+        JSON.parse(await hybrid.getInitialState()),
+        JSON.parse(start),
+      );
+    });
+  };
+}
+
+describe("hybrid engine", () => {
+  describe("with the Lean stand-in", conformanceSuite(leanLikeEngine));
+
+  describe("with the WASM module", suiteOptions(wasmEngine), () => {
+    before(() => wasmEngine.load());
+    conformanceSuite(wasmEngine)();
+  });
+
+  it("would lose state if every action went to Lean", async () => {
+    const start = jsEngine.getInitialState();
+    const actions = [...add("milk"), { type: "startEdit", id: 0 }];
+    const [, , lean] = await runSession(leanLikeEngine, start, actions);
+    const [, , js] = await runSession(jsEngine, start, actions);
+    assert.equal(lean.editingId, undefined);
+    assert.equal(js.editingId, 0);
+  });
+
+  describe("routing", () => {
+    const hybrid = TodoHybrid.combine({ wasm: leanLikeEngine, js: jsEngine });
+    const plain = run(...add("milk"));
+    const engineFor = (state, action) =>
+      hybrid.engineFor(
+        "processAction",
+        JSON.stringify(state),
+        JSON.stringify(action),
+      );
+
+    function run(...actions) {
+      return actions.reduce(
+        (state, action) => TodoReducer.processActionInJS(state, action),
+        TodoReducer.getInitialState(),
+      );
+    }
+
+    it("sends the Lean actions on plain states to Lean", () => {
+      assert.equal(engineFor(plain, { type: "toggleTodo", id: 0 }), "wasm");
+      assert.equal(engineFor(plain, { type: "startEdit", id: 0 }), "js");
+    });
+
+    it("keeps to JS what reads fields Lean drops", () => {
+      const editing = { ...plain, editingId: 0 };
+      assert.equal(engineFor(editing, { type: "deleteTodo", id: 0 }), "js");
+
+      const cleared = {
+        ...plain,
+        items: [{ ...plain.items[0], priority: null }],
+      };
+      assert.equal(engineFor(cleared, { type: "toggleTodo", id: 0 }), "js");
+
+      const synced = { ...plain, siteId: 3, pendingText: "jam" };
+      assert.equal(engineFor(synced, { type: "addTodo" }), "js");
+      assert.equal(engineFor(synced, { type: "toggleAll" }), "wasm");
+    });
+
+    it("sends todos with details to Lean, which keeps them", () => {
+      const detailed = run(
+        ...add("milk"),
+        { type: "setDue", id: 0, due: "2030-01-01" },
+        { type: "setPriority", id: 0, priority: 2 },
+        { type: "setNotes", id: 0, notes: "oat" },
+      );
+      assert.equal(engineFor(detailed, { type: "toggleTodo", id: 0 }), "wasm");
+    });
+
+    it("sends todos with unknown fields to Lean, which keeps them", async () => {
+      const colored = {
+        ...plain,
+        items: [{ ...plain.items[0], color: "red", tags: null }],
+      };
+      const toggle = { type: "toggleTodo", id: 0 };
+      assert.equal(engineFor(colored, toggle), "wasm");
+      assert.deepEqual(
+        JSON.parse(
+          await hybrid.processAction(
+            JSON.stringify(colored),
+            JSON.stringify(toggle),
+          ),
+        ).items,
+        [{ ...colored.items[0], completed: true }],
+      );
+    });
+
+    it("renders on Lean only what its view shows", () => {
+      const renders = (state) =>
+        hybrid.engineFor("renderState", JSON.stringify(state));
+      assert.equal(renders(plain), "wasm");
+      assert.equal(renders(run(...add("eggs #shop"))), "js");
+      assert.equal(
+        renders(run(...add("milk"), { type: "setNotes", id: 0, notes: "oat" })),
+        "js",
+      );
+      assert.equal(renders({ ...plain, sortBy: "due" }), "js");
+      assert.equal(
+        renders({ ...plain, search: { text: "m", fuzzy: false, tags: [] } }),
+        "js",
+      );
+    });
+
+    it("runs everything on JS when Lean is missing an export", () => {
+      const partial = TodoHybrid.combine({
+        wasm: { processAction: null, renderState: leanLikeEngine.renderState },
+        js: jsEngine,
+      });
+      assert.equal(
+        partial.engineFor(
+          "processAction",
+          JSON.stringify(plain),
+          JSON.stringify({ type: "toggleAll" }),
+        ),
+        "js",
+      );
+    });
+  });
+});
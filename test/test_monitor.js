@@ -0,0 +1,94 @@
+// Tests for the runtime invariant monitor in docs/monitor.js
+// Usage: node --test test/
+//
+// Steps taken by the JS reducer should pass; hand-made bad states and
+// transitions should be reported under the Spec.lean predicate they break.
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const TodoMonitor = require("../docs/monitor.js");
+const TodoReducer = require("../docs/reducer.js");
+
+const step = (state, action) => TodoReducer.processActionInJS(state, action);
+
+const two = [
+  { type: "enterText", text: "milk" },
+  { type: "addTodo" },
+  { type: "enterText", text: "eggs" },
+  { type: "addTodo" },
+].reduce(step, TodoReducer.getInitialState());
+
+describe("checkState", () => {
+  it("passes the reducer's states", () => {
+    assert.deepEqual(TodoMonitor.checkState(TodoReducer.getInitialState()), []);
+    assert.deepEqual(TodoMonitor.checkState(two), []);
+  });
+
+  it("names every state predicate that fails", () => {
+    assert.deepEqual(TodoMonitor.checkState({ ...two, selectedFilter: null }), [
+      "hasFiltersInvariant",
+    ]);
+  });
+});
+
+describe("checkStep", () => {
+  it("passes every kind of step the reducer takes", () => {
+    [
+      { type: "enterText", text: "jam" },
+      { type: "setFilter", filter: "active" },
+      { type: "toggleTodo", id: 0 },
+      { type: "deleteTodo", id: 1 },
+      { type: "toggleAll" },
+      { type: "clearCompleted" },
+    ].forEach((action) => {
+      assert.deepEqual(
+        TodoMonitor.checkStep(action, two, step(two, action)),
+        [],
+        action.type,
+      );
+    });
+  });
+
+  it("checks a toggle against the predicate for its direction", () => {
+    const checked = step(two, { type: "toggleTodo", id: 0 });
+    // Unchecking reported as a check: the completed count went down
+    assert.deepEqual(
+      TodoMonitor.checkStep({ type: "toggleTodo", id: 1 }, checked, two),
+      ["checkOneTrans"],
+    );
+  });
+
+  it("reports the state and transition violations of one step together", () => {
+    const after = { ...two, items: two.items.slice(1), selectedFilter: null };
+    assert.deepEqual(
+      TodoMonitor.checkStep({ type: "deleteTodo", id: 0 }, two, after),
+      ["hasFiltersInvariant", "deleteTrans"],
+    );
+  });
+
+  it("accepts any spec transition for clearCompleted", () => {
+    // Not a transition the spec allows from anywhere
+    const after = { ...two, pendingText: "changed", selectedFilter: "active" };
+    assert.deepEqual(
+      TodoMonitor.checkStep({ type: "clearCompleted" }, two, after),
+      ["validTransition"],
+    );
+  });
+
+  it("has no transition to check when nothing changed", () => {
+    const broken = { ...two, selectedFilter: "active" };
+    assert.deepEqual(
+      TodoMonitor.checkStep({ type: "toggleAll" }, broken, broken),
+      [],
+    );
+  });
+
+  it("does not check actions the spec has no transition for", () => {
+    const after = { ...two, editingId: 0, pendingText: "changed" };
+    assert.deepEqual(
+      TodoMonitor.checkStep({ type: "startEdit", id: 0 }, two, after),
+      [],
+    );
+  });
+});
@@ -0,0 +1,118 @@
+// Tests for reordering: the moveTodo action and moveIndexFor() in
+// docs/reducer.js
+// Usage: node --test test/
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const TodoReducer = require("../docs/reducer.js");
+const { run, add, texts, visibleTexts } = require("./helpers/fixtures.js");
+
+// a, b, c, d, e with b and d completed
+const state = run(
+  TodoReducer.getInitialState(),
+  ...["a", "b", "c", "d", "e"].flatMap(add),
+  { type: "toggleTodo", id: 1 },
+  { type: "toggleTodo", id: 3 },
+);
+
+describe("moveTodo", () => {
+  it("moves a todo without touching ids or nextId", () => {
+    const moved = run(state, { type: "moveTodo", id: 0, toIndex: 3 });
+    assert.deepEqual(texts(moved), ["b", "c", "d", "a", "e"]);
+    assert.equal(moved.items[3].id, 0);
+    assert.equal(moved.nextId, state.nextId);
+
+    const added = run(moved, ...add("f"));
+    assert.equal(added.items[5].id, state.nextId);
+  });
+
+  it("clamps toIndex to the list", () => {
+    assert.deepEqual(
+      texts(run(state, { type: "moveTodo", id: 2, toIndex: 99 })),
+      ["a", "b", "d", "e", "c"],
+    );
+    assert.deepEqual(
+      texts(run(state, { type: "moveTodo", id: 2, toIndex: -4 })),
+      ["c", "a", "b", "d", "e"],
+    );
+  });
+
+  it("ignores unknown ids and non-integer indices", () => {
+    assert.equal(
+      run(state, { type: "moveTodo", id: 42, toIndex: 0 }).items,
+      state.items,
+    );
+    for (const toIndex of [1.5, "1", undefined]) {
+      assert.equal(
+        run(state, { type: "moveTodo", id: 0, toIndex }).items,
+        state.items,
+      );
+    }
+  });
+
+  it("survives a round trip through JSON", () => {
+    const moved = run(state, { type: "moveTodo", id: 4, toIndex: 0 });
+    assert.deepEqual(JSON.parse(JSON.stringify(moved)), moved);
+    assert.deepEqual(
+      texts(
+        run(JSON.parse(JSON.stringify(moved)), { type: "toggleTodo", id: 4 }),
+      ),
+      ["e", "a", "b", "c", "d"],
+    );
+  });
+});
+
+describe("moveIndexFor", () => {
+  const move = (current, id, visibleIndex) =>
+    run(current, {
+      type: "moveTodo",
+      id,
+      toIndex: TodoReducer.moveIndexFor(current, id, visibleIndex),
+    });
+
+  it("maps positions in the full list", () => {
+    assert.deepEqual(texts(move(state, 4, 1)), ["a", "e", "b", "c", "d"]);
+  });
+
+  it("keeps hidden todos in place under a filter", () => {
+    const active = run(state, { type: "setFilter", filter: "active" });
+
+    const last = move(active, 0, 2);
+    assert.deepEqual(visibleTexts(last), ["c", "e", "a"]);
+    assert.deepEqual(texts(last), ["b", "c", "d", "e", "a"]);
+
+    const first = move(active, 4, 0);
+    assert.deepEqual(visibleTexts(first), ["e", "a", "c"]);
+    assert.deepEqual(texts(first), ["e", "a", "b", "c", "d"]);
+
+    const completed = run(state, { type: "setFilter", filter: "completed" });
+    assert.deepEqual(texts(move(completed, 3, 0)), ["a", "d", "b", "c", "e"]);
+  });
+
+  it("keeps hidden todos in place under a search", () => {
+    const searched = run(
+      TodoReducer.getInitialState(),
+      ...["x #1", "y", "z #1", "w #1"].flatMap(add),
+      { type: "toggleTag", tag: "1" },
+    );
+    const moved = move(searched, 3, 1);
+    assert.deepEqual(visibleTexts(moved), ["x #1", "w #1", "z #1"]);
+    assert.deepEqual(texts(moved), ["x #1", "w #1", "y", "z #1"]);
+  });
+
+  it("puts the todo at any visible index", () => {
+    const active = run(state, { type: "setFilter", filter: "active" });
+    const visible = visibleTexts(active);
+    for (const item of TodoReducer.getVisibleItems(active)) {
+      for (let index = 0; index < visible.length; index++) {
+        const moved = move(active, item.id, index);
+        assert.equal(visibleTexts(moved)[index], item.text);
+        assert.deepEqual(
+          texts(moved).filter((text) => text === "b" || text === "d"),
+          ["b", "d"],
+        );
+      }
+    }
+  });
+});
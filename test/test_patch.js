@@ -0,0 +1,184 @@
+// Tests for the keyed DOM patcher (docs/patch.js)
+// Usage: node --test test/
+//
+// Patches views rendered by the JS reducer into the stand-in DOM of
+// test/helpers/dom.js, checking that the result matches the markup and
+// that the nodes already on the page (and so their focus) are kept.
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const TodoPatch = require("../docs/patch.js");
+const TodoReducer = require("../docs/reducer.js");
+const { parseHTML, document } = require("./helpers/dom.js");
+const { run, add } = require("./helpers/fixtures.js");
+
+const empty = TodoReducer.getInitialState();
+const three = run(empty, ...add("milk"), ...add("eggs"), ...add("bread"));
+
+const render = (state) => TodoReducer.renderHTML(state, "2026-01-01");
+
+function mount(state) {
+  const container = document.createElement("section");
+  TodoPatch.patch(container, render(state));
+  return container;
+}
+
+const todos = (container) => container.querySelectorAll(".todo-list > li");
+const byId = (container) =>
+  new Map(todos(container).map((li) => [li.getAttribute("data-id"), li]));
+const ids = (container) =>
+  todos(container).map((li) => Number(li.getAttribute("data-id")));
+
+/**
+ * Patch container to state, checking it then matches a fresh render
+ */
+function patchTo(container, state) {
+  TodoPatch.patch(container, render(state));
+  assert.ok(
+    container.isEqualNode(mount(state)),
+    "the patched view differs from a fresh render",
+  );
+}
+
+describe("patch", () => {
+  it("builds the view from markup or a structured tree", () => {
+    const container = mount(three);
+    assert.deepEqual(ids(container), [0, 1, 2]);
+
+    const fromTree = document.createElement("div");
+    TodoPatch.patch(fromTree, {
+      tag: "ul",
+      attrs: { class: "todo-list" },
+      children: [{ tag: "li", attrs: { "data-id": "4" }, children: ["tea"] }],
+    });
+    assert.ok(
+      fromTree.isEqualNode(
+        parseHTML(
+          '<div><ul class="todo-list"><li data-id="4">tea</li></ul></div>',
+        ).firstChild,
+      ),
+    );
+  });
+
+  it("moves the todos it reorders instead of rebuilding them", () => {
+    const container = mount(three);
+    const before = byId(container);
+
+    patchTo(container, run(three, { type: "moveTodo", id: 2, toIndex: 0 }));
+    assert.deepEqual(ids(container), [2, 0, 1]);
+    byId(container).forEach((li, id) => assert.equal(li, before.get(id)));
+  });
+
+  it("inserts and deletes only the todos that changed", () => {
+    const container = mount(three);
+    const before = byId(container);
+
+    const four = run(three, ...add("tea"));
+    patchTo(container, four);
+    assert.deepEqual(ids(container), [0, 1, 2, 3]);
+    before.forEach((li, id) => assert.equal(byId(container).get(id), li));
+
+    patchTo(container, run(four, { type: "deleteTodo", id: 1 }));
+    assert.deepEqual(ids(container), [0, 2, 3]);
+    assert.ok(!container.contains(before.get("1")));
+    assert.equal(byId(container).get("0"), before.get("0"));
+    assert.equal(byId(container).get("2"), before.get("2"));
+  });
+
+  it("keeps the fields in place, so they keep focus", () => {
+    const container = mount(three);
+    const input = container.querySelector(".new-todo");
+    const toggle = container.querySelector('[data-id="1"] .toggle');
+
+    input.value = "t";
+    const typing = run(three, { type: "enterText", text: "t" });
+    patchTo(container, typing);
+    patchTo(container, run(typing, { type: "toggleTodo", id: 1 }));
+
+    assert.equal(container.querySelector(".new-todo"), input);
+    assert.equal(input.value, "t");
+    assert.equal(container.querySelector('[data-id="1"] .toggle'), toggle);
+    assert.equal(toggle.checked, true);
+  });
+
+  it("puts back field values the view does not have", () => {
+    const container = mount(three);
+    const input = container.querySelector(".new-todo");
+    const toggle = container.querySelector('[data-id="0"] .toggle');
+
+    // Typed or clicked, but the state did not take it
+    input.value = "half typed";
+    toggle.checked = true;
+    patchTo(container, three);
+    assert.equal(input.value, "");
+    assert.equal(toggle.checked, false);
+
+    // Older Lean builds write checked="false" for an unchecked box
+    toggle.checked = true;
+    TodoPatch.patch(
+      container,
+      render(three).replace(
+        /type="checkbox" >/,
+        'type="checkbox" checked="false">',
+      ),
+    );
+    assert.equal(toggle.getAttribute("checked"), "false");
+    assert.equal(toggle.checked, false);
+  });
+
+  it("puts back the notes of the todo being edited", () => {
+    const editing = run(
+      three,
+      { type: "setNotes", id: 1, notes: "free range" },
+      { type: "startEdit", id: 1 },
+    );
+    const container = mount(editing);
+    const notes = container.querySelector(".edit-notes");
+
+    notes.value = "stale";
+    patchTo(container, editing);
+    assert.equal(notes.value, "free range");
+
+    notes.value = "stale";
+    patchTo(
+      container,
+      run(editing, { type: "setNotes", id: 1, notes: "brown" }),
+    );
+    assert.equal(container.querySelector(".edit-notes"), notes);
+    assert.equal(notes.value, "brown");
+  });
+
+  it("touches only the todo that moved or went in a long list", () => {
+    const count = 1000;
+    const long = {
+      ...empty,
+      items: Array.from({ length: count }, (_, id) => ({
+        id,
+        text: `todo ${id}`,
+        completed: id % 3 === 0,
+      })),
+      nextId: count,
+    };
+    const container = mount(long);
+    const list = container.querySelector(".todo-list");
+    const before = byId(container);
+
+    let moves = 0;
+    const insertBefore = list.insertBefore.bind(list);
+    list.insertBefore = (node, reference) => {
+      moves++;
+      return insertBefore(node, reference);
+    };
+
+    const moved = run(long, { type: "moveTodo", id: count - 1, toIndex: 0 });
+    patchTo(container, moved);
+    assert.equal(moves, 1);
+    assert.deepEqual(ids(container).slice(0, 3), [count - 1, 0, 1]);
+    byId(container).forEach((li, id) => assert.equal(li, before.get(id)));
+
+    patchTo(container, run(moved, { type: "deleteTodo", id: 500 }));
+    assert.equal(todos(container).length, count - 1);
+    assert.equal(moves, 1);
+  });
+});
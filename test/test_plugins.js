@@ -0,0 +1,172 @@
+// Tests for plugins and middleware (docs/plugins.js)
+// Usage: node --test test/
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const TodoPlugins = require("../docs/plugins.js");
+const TodoReducer = require("../docs/reducer.js");
+const { jsEngine } = require("./helpers/engines.js");
+const { add } = require("./helpers/fixtures.js");
+
+const star = {
+  name: "star",
+  actions: {
+    starTodo: (state, action) => ({ ...state, starred: action.id }),
+  },
+  render: (html, state) =>
+    state.starred == null
+      ? html
+      : html.replace(
+          `data-id="${state.starred}">`,
+          `data-id="${state.starred}"><span class="star">★</span>`,
+        ),
+};
+
+async function runAll(api, state, ...actions) {
+  let stateJson = JSON.stringify(state);
+  for (const action of actions) {
+    stateJson = await api.processAction(stateJson, JSON.stringify(action));
+  }
+  return stateJson;
+}
+
+describe("plugins", () => {
+  it("adds an action and a render hook on top of the engine", async () => {
+    const registry = TodoPlugins.createRegistry();
+    registry.register(star);
+    const api = registry.wrapEngine(jsEngine);
+
+    const stateJson = await runAll(
+      api,
+      TodoReducer.getInitialState(),
+      ...add("milk"),
+      { type: "starTodo", id: 0 },
+    );
+    assert.equal(JSON.parse(stateJson).starred, 0);
+    assert.equal(JSON.parse(stateJson).items[0].text, "milk");
+    assert.match(
+      await api.renderState(stateJson),
+      /data-id="0"><span class="star">★<\/span>/,
+    );
+    assert.deepEqual(registry.names(), ["star"]);
+  });
+
+  it("leaves the engine alone without plugins", async () => {
+    const api = TodoPlugins.createRegistry().wrapEngine(jsEngine);
+    const stateJson = JSON.stringify(TodoReducer.getInitialState());
+    assert.equal(
+      await api.renderState(stateJson),
+      await jsEngine.renderState(stateJson),
+    );
+    assert.equal(
+      await api.processAction(stateJson, '{"type":"starTodo","id":0}'),
+      stateJson,
+    );
+  });
+
+  it("refuses built-in and already taken action types", () => {
+    const registry = TodoPlugins.createRegistry();
+    registry.register(star);
+    assert.throws(
+      () => registry.register({ ...star, name: "again" }),
+      /"starTodo" is already handled/,
+    );
+    assert.throws(
+      () => registry.register({ name: "x", actions: { addTodo: () => {} } }),
+      /"addTodo" is a built-in action/,
+    );
+    assert.throws(() => registry.register(star), /already registered/);
+    assert.throws(() => registry.register({ actions: {} }), /needs a name/);
+  });
+
+  it("lists every action the reducer handles as built in", () => {
+    const state = {
+      ...TodoReducer.getInitialState(),
+      items: [{ id: 0, text: "a", completed: false }],
+    };
+    const unknown = TodoReducer.processActionInJS(state, { type: "nope" });
+    assert.deepEqual(unknown, state);
+    assert.ok(TodoReducer.ACTION_TYPES.includes("toggleTag"));
+    assert.equal(new Set(TodoReducer.ACTION_TYPES).size, 21);
+  });
+});
+
+describe("middleware", () => {
+  it("runs outermost first around dispatch", async () => {
+    const seen = [];
+    const chain = TodoPlugins.createMiddleware(async (action) => {
+      seen.push(`dispatch ${action.type}`);
+      return "done";
+    });
+    chain.use(async (action, next) => {
+      seen.push("outer before");
+      const result = await next(action);
+      seen.push("outer after");
+      return result;
+    });
+    chain.use((action, next) => {
+      seen.push("inner");
+      return next({ ...action, type: action.type.toUpperCase() });
+    });
+
+    assert.equal(await chain.dispatch({ type: "addTodo" }), "done");
+    assert.deepEqual(seen, [
+      "outer before",
+      "inner",
+      "dispatch ADDTODO",
+      "outer after",
+    ]);
+  });
+
+  it("drops an action not passed on and rejects on a throw", async () => {
+    const dispatched = [];
+    const chain = TodoPlugins.createMiddleware((action) =>
+      dispatched.push(action),
+    );
+    const remove = chain.use((action, next) =>
+      action.type === "deleteTodo" ? undefined : next(action),
+    );
+
+    await chain.dispatch({ type: "deleteTodo", id: 1 });
+    await chain.dispatch({ type: "toggleTodo", id: 1 });
+    remove();
+    await chain.dispatch({ type: "deleteTodo", id: 1 });
+
+    chain.use(() => {
+      throw new Error("invalid");
+    });
+    await assert.rejects(chain.dispatch({ type: "addTodo" }), /invalid/);
+    assert.deepEqual(
+      dispatched.map((action) => action.type),
+      ["toggleTodo", "deleteTodo"],
+    );
+  });
+
+  it("ends the chain in the caller's apply when given one", async () => {
+    const dispatched = [];
+    const chain = TodoPlugins.createMiddleware(async (action) =>
+      dispatched.push(action),
+    );
+    chain.use((action, next) =>
+      action.type === "deleteTodo"
+        ? undefined
+        : next({ ...action, seen: true }),
+    );
+
+    const applied = [];
+    const apply = async (action) => {
+      applied.push(action);
+      return "applied";
+    };
+    assert.equal(
+      await chain.dispatch({ type: "moveTodo", id: 0, toIndex: 1 }, apply),
+      "applied",
+    );
+    await chain.dispatch({ type: "deleteTodo", id: 0 }, apply);
+    assert.deepEqual(applied, [
+      { type: "moveTodo", id: 0, toIndex: 1, seen: true },
+    ]);
+    assert.deepEqual(dispatched, []);
+  });
+});
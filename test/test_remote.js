@@ -0,0 +1,398 @@
+// Tests for global todo ids (docs/ids.js), server sync (docs/remote.js)
+// and the reference server in server/sync-server.js
+// Usage: node --test test/
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const TodoIds = require("../docs/ids.js");
+const TodoRemote = require("../docs/remote.js");
+const TodoReducer = require("../docs/reducer.js");
+const TodoFormats = require("../docs/formats.js");
+const SyncServer = require("../server/sync-server.js");
+const { jsEngine } = require("./helpers/engines.js");
+const { run, add, texts } = require("./helpers/fixtures.js");
+
+const processAction = async (stateJson, actionJson) =>
+  jsEngine.processAction(stateJson, actionJson);
+
+function memoryStore() {
+  let saved = null;
+  return {
+    load: () => (saved ? JSON.parse(saved) : null),
+    save: (meta) => {
+      saved = JSON.stringify(meta);
+    },
+  };
+}
+
+/**
+ * A page syncing with endpoint: its state JSON and the client, driven by
+ * hand instead of by timers
+ */
+function createPage(endpoint, transport) {
+  const page = {
+    stateJson: JSON.stringify(TodoReducer.getInitialState()),
+    client: TodoRemote.create({
+      endpoint,
+      transport: transport || TodoRemote.createHttpTransport(endpoint),
+      store: memoryStore(),
+      processAction,
+    }),
+    async dispatch(...actions) {
+      for (const action of actions) {
+        const before = page.stateJson;
+        page.stateJson = await processAction(before, JSON.stringify(action));
+        page.client.dispatched(action, before, page.stateJson);
+      }
+    },
+    async sync() {
+      await page.client.sync();
+      page.stateJson = await page.client.rebase(page.stateJson);
+      return page.state();
+    },
+    state: () => JSON.parse(page.stateJson),
+  };
+  return page;
+}
+
+describe("ids", () => {
+  it("mints ids from the site and its counter", () => {
+    const id = TodoIds.makeId(3, 7);
+    assert.equal(id, 3 * 2 ** 32 + 7);
+    assert.equal(TodoIds.siteOf(id), 3);
+    assert.equal(TodoIds.counterOf(id), 7);
+    assert.ok(
+      Number.isSafeInteger(TodoIds.makeId(TodoIds.MAX_SITE, 2 ** 32 - 1)),
+    );
+  });
+
+  it("keeps plain counter ids for a state without a site", () => {
+    const state = run(TodoReducer.getInitialState(), ...add("a"), ...add("b"));
+    assert.deepEqual(
+      state.items.map((item) => item.id),
+      [0, 1],
+    );
+    const sited = run({ ...state, siteId: 2 }, ...add("c"));
+    assert.equal(sited.items[2].id, TodoIds.makeId(2, 2));
+    assert.equal(sited.nextId, 3);
+  });
+
+  it("imports under ids from the site", () => {
+    const state = { ...TodoReducer.getInitialState(), siteId: 5, nextId: 1 };
+    const actions = TodoFormats.importActions(
+      state,
+      [{ text: "x", completed: true }],
+      "merge",
+    );
+    const imported = run(state, ...actions);
+    assert.deepEqual(imported.items, [
+      { id: TodoIds.makeId(5, 1), text: "x", completed: true },
+    ]);
+  });
+
+  it("inserts a todo from elsewhere once, keeping its id", () => {
+    const state = { ...TodoReducer.getInitialState(), siteId: 1 };
+    const item = { id: TodoIds.makeId(1, 4), text: "x", completed: false };
+    const inserted = run(state, { type: "insertTodo", item });
+    assert.deepEqual(inserted.items, [item]);
+    assert.equal(inserted.nextId, 5);
+    assert.equal(run(inserted, { type: "insertTodo", item }).items.length, 1);
+    const other = run(state, {
+      type: "insertTodo",
+      item: { ...item, id: TodoIds.makeId(2, 9) },
+    });
+    assert.equal(other.nextId, 0);
+  });
+});
+
+describe("operations", () => {
+  const state = run(
+    TodoReducer.getInitialState(),
+    ...add("a"),
+    ...add("b"),
+    ...add("c"),
+    { type: "toggleTodo", id: 1 },
+  );
+  const remote = (action) =>
+    TodoRemote.toRemoteAction(action, state, run(state, action));
+
+  it("sends what an action did to which todos", () => {
+    assert.deepEqual(remote({ type: "toggleAll" }), {
+      type: "completeTodos",
+      ids: [0, 2],
+      completed: true,
+    });
+    assert.deepEqual(remote({ type: "clearCompleted" }), {
+      type: "deleteTodos",
+      ids: [1],
+    });
+    assert.deepEqual(remote({ type: "toggleTodo", id: 1 }), {
+      type: "completeTodos",
+      ids: [1],
+      completed: false,
+    });
+    const typed = run(state, { type: "enterText", text: "d" });
+    assert.deepEqual(
+      TodoRemote.toRemoteAction(
+        { type: "addTodo" },
+        typed,
+        run(typed, { type: "addTodo" }),
+      ),
+      { type: "insertTodo", item: { id: 3, text: "d", completed: false } },
+    );
+    assert.equal(remote({ type: "setFilter", filter: "active" }), null);
+  });
+
+  it("diffs a restored state into operations that reproduce it", () => {
+    const restored = {
+      ...state,
+      items: [
+        { id: 2, text: "c", completed: false, due: "2026-01-01" },
+        { id: 0, text: "A", completed: true },
+        { id: 7, text: "new", completed: false },
+      ],
+    };
+    const actions = TodoRemote.diffActions(state, restored);
+    assert.deepEqual(run(state, ...actions).items, restored.items);
+  });
+
+  it("limits an operation to some of its todos", () => {
+    const bulk = { type: "deleteTodos", ids: [1, 2, 3] };
+    const kept = TodoRemote.restrict(bulk, (id) => id !== 2);
+    assert.deepEqual(kept, { type: "deleteTodos", ids: [1, 3] });
+    assert.equal(
+      TodoRemote.restrict({ type: "deleteTodo", id: 2 }, () => false),
+      null,
+    );
+    const move = { type: "moveTodo", id: 2, toIndex: 0 };
+    assert.equal(
+      TodoRemote.restrict(move, () => false),
+      move,
+    );
+  });
+
+  it("rejects malformed operations", () => {
+    assert.equal(
+      TodoRemote.validateAction({ type: "enterText" }),
+      "unknown action",
+    );
+    assert.equal(
+      TodoRemote.validateAction({
+        type: "insertTodo",
+        item: { id: 1, text: " ", completed: false },
+      }),
+      "item is not a valid todo",
+    );
+    assert.equal(
+      TodoRemote.validateAction({ type: "completeTodos", ids: [-1] }),
+      "ids must be natural numbers",
+    );
+    assert.equal(
+      TodoRemote.validateAction({ type: "setDue", id: 1, due: null }),
+      null,
+    );
+  });
+
+  it("backs off exponentially up to a minute", () => {
+    assert.deepEqual(
+      [1, 2, 3, 10].map(TodoRemote.retryDelay),
+      [1000, 2000, 4000, 60000],
+    );
+  });
+});
+
+describe("sync with the reference server", () => {
+  let dir;
+  let server;
+  let base;
+  let lists = 0;
+  const endpoint = () => `${base}/lists/list-${++lists}`;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "todomvc-sync-"));
+    server = SyncServer.createServer(dir);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("joins with the page's todos and shares later changes", async () => {
+    const url = endpoint();
+    const alice = createPage(url);
+    await alice.dispatch(...add("milk"), ...add("eggs"));
+    const joined = await alice.sync();
+    assert.equal(joined.siteId, 1);
+    assert.deepEqual(
+      joined.items.map((item) => item.id),
+      [TodoIds.makeId(1, 0), TodoIds.makeId(1, 1)],
+    );
+
+    await alice.sync();
+    const bob = createPage(url);
+    await bob.sync();
+    assert.deepEqual(texts(bob.state()), ["milk", "eggs"]);
+    assert.equal(bob.state().siteId, 2);
+
+    await bob.dispatch(...add("bread"), { type: "toggleAll" });
+    await bob.sync();
+    const shared = await alice.sync();
+    assert.deepEqual(texts(shared), ["milk", "eggs", "bread"]);
+    assert.ok(shared.items.every((item) => item.completed));
+    assert.equal(TodoIds.siteOf(shared.items[2].id), 2);
+
+    const stored = JSON.parse(
+      fs.readFileSync(path.join(dir, `list-${lists}.json`), "utf8"),
+    );
+    assert.deepEqual(stored.state.items, shared.items);
+  });
+
+  it("keeps the other edit of the same todo and reports a conflict", async () => {
+    const url = endpoint();
+    const alice = createPage(url);
+    await alice.dispatch(...add("milk"));
+    await alice.sync();
+    await alice.sync();
+    const bob = createPage(url);
+    await bob.sync();
+    const id = bob.state().items[0].id;
+
+    await alice.dispatch({ type: "updateTodoText", id, text: "oat milk" });
+    await bob.dispatch({ type: "updateTodoText", id, text: "soy milk" });
+    await alice.sync();
+    const after = await bob.sync();
+    assert.deepEqual(texts(after), ["oat milk"]);
+
+    const [conflict] = bob.client.status().conflicts;
+    assert.equal(conflict.reason, "changed");
+    assert.equal(conflict.text, "oat milk");
+    assert.match(
+      TodoRemote.describeConflict(conflict),
+      /"oat milk" was changed/,
+    );
+
+    // Applying it again is based on the new version, so it goes through
+    bob.client.resolve(0);
+    await bob.dispatch(conflict.mine);
+    await bob.sync();
+    assert.deepEqual(texts(await alice.sync()), ["soy milk"]);
+    assert.deepEqual(bob.client.status().conflicts, []);
+  });
+
+  it("applies a bulk action to the todos that did not conflict", async () => {
+    const url = endpoint();
+    const alice = createPage(url);
+    await alice.dispatch(...add("a"), ...add("b"), ...add("c"));
+    await alice.sync();
+    await alice.sync();
+    const bob = createPage(url);
+    await bob.sync();
+    const [a, b, c] = bob.state().items.map((item) => item.id);
+
+    await alice.dispatch({ type: "deleteTodo", id: b });
+    await alice.sync();
+    await bob.dispatch({
+      type: "completeTodos",
+      ids: [a, b, c],
+      completed: true,
+    });
+    const after = await bob.sync();
+    assert.deepEqual(
+      after.items.map((item) => [item.text, item.completed]),
+      [
+        ["a", true],
+        ["c", true],
+      ],
+    );
+    assert.deepEqual(
+      bob.client
+        .status()
+        .conflicts.map((conflict) => [conflict.id, conflict.reason]),
+      [[b, "deleted"]],
+    );
+  });
+
+  it("keeps changes made offline and sends them once, later", async () => {
+    const url = endpoint();
+    let online = true;
+    const http = TodoRemote.createHttpTransport(url);
+    const flaky = {
+      register: () => http.register(),
+      pull: (since) =>
+        online ? http.pull(since) : Promise.reject(new Error("offline")),
+      push: (siteId, ops) =>
+        online ? http.push(siteId, ops) : Promise.reject(new Error("offline")),
+    };
+    const page = createPage(url, flaky);
+    await page.sync();
+
+    online = false;
+    await page.dispatch(...add("offline"), { type: "toggleAll" });
+    await assert.rejects(page.client.sync(), /offline/);
+    assert.equal(page.client.status().pending, 2);
+    assert.deepEqual(
+      texts(await page.client.rebase(page.stateJson).then(JSON.parse)),
+      ["offline"],
+    );
+
+    online = true;
+    await page.sync();
+    assert.equal(page.client.status().pending, 0);
+
+    // A resent operation is acknowledged without being applied again
+    const { results } = await http.push(1, [
+      { seq: 2, action: { type: "completeTodos", ids: [], completed: false } },
+    ]);
+    assert.deepEqual(results, [{ seq: 2, status: "duplicate" }]);
+
+    const other = createPage(url);
+    const seen = await other.sync();
+    assert.deepEqual(
+      seen.items.map((item) => [item.text, item.completed]),
+      [["offline", true]],
+    );
+  });
+
+  it("records a conflict on an operation it did not send", async () => {
+    const url = endpoint();
+    const http = TodoRemote.createHttpTransport(url);
+    const confused = {
+      ...http,
+      // Answers for the operations sent and one more it made up
+      push: async (siteId, ops) => {
+        const { results } = await http.push(siteId, ops);
+        const conflicts = [{ id: 7, reason: "deleted" }];
+        return {
+          results: [...results, { seq: 99, status: "conflict", conflicts }],
+        };
+      },
+    };
+    const page = createPage(url, confused);
+    await page.dispatch(...add("milk"));
+    await page.sync();
+    await page.dispatch({ type: "toggleAll" });
+
+    await page.sync();
+    assert.deepEqual(page.client.status().conflicts, [
+      { id: 7, reason: "deleted", text: "", mine: null },
+    ]);
+    assert.equal(page.client.status().pending, 0);
+  });
+
+  it("answers bad requests with an error", async () => {
+    const response = await fetch(`${endpoint()}/ops`, {
+      method: "POST",
+      body: JSON.stringify({ siteId: 9, ops: [] }),
+    });
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /siteId/);
+    assert.equal((await fetch(`${base}/elsewhere`)).status, 404);
+  });
+});
@@ -0,0 +1,100 @@
+// Tests for the URL format in docs/router.js
+// Usage: node --test test/
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const TodoRouter = require("../docs/router.js");
+
+const route = (fields) => ({
+  filter: "all",
+  todoId: null,
+  edit: false,
+  params: {},
+  ...fields,
+});
+
+describe("parse", () => {
+  it("reads the filter routes", () => {
+    assert.deepEqual(TodoRouter.parse(""), route({}));
+    assert.deepEqual(TodoRouter.parse("#/"), route({}));
+    assert.deepEqual(TodoRouter.parse("#/active"), route({ filter: "active" }));
+    assert.deepEqual(
+      TodoRouter.parse("#/completed"),
+      route({ filter: "completed" }),
+    );
+  });
+
+  it("reads deep links to a todo", () => {
+    assert.deepEqual(TodoRouter.parse("#/todo/3"), route({ todoId: 3 }));
+    assert.deepEqual(
+      TodoRouter.parse("#/completed/todo/12/edit"),
+      route({ filter: "completed", todoId: 12, edit: true }),
+    );
+  });
+
+  it("reads query parameters", () => {
+    assert.deepEqual(
+      TodoRouter.parse("#/active?q=oat%20milk&x=1"),
+      route({ filter: "active", params: { q: "oat milk", x: "1" } }),
+    );
+  });
+
+  it("falls back to all todos for unknown routes", () => {
+    assert.deepEqual(TodoRouter.parse("#/elsewhere"), route({}));
+    assert.deepEqual(TodoRouter.parse("#/todo/abc"), route({}));
+  });
+});
+
+describe("format", () => {
+  it("round-trips every route", () => {
+    for (const hash of [
+      "#/",
+      "#/active",
+      "#/todo/3",
+      "#/todo/3/edit",
+      "#/completed/todo/0?q=milk",
+    ]) {
+      assert.equal(TodoRouter.format(TodoRouter.parse(hash)), hash);
+    }
+  });
+
+  it("drops edit without a todo", () => {
+    assert.equal(TodoRouter.format(route({ edit: true })), "#/");
+  });
+});
+
+describe("search parameters", () => {
+  it("reads the search from q, tags and fuzzy", () => {
+    assert.deepEqual(
+      TodoRouter.searchOf(
+        TodoRouter.parse("#/?q=milk&tags=Shop,weekly&fuzzy=1"),
+      ),
+      { text: "milk", fuzzy: true, tags: ["shop", "weekly"] },
+    );
+    assert.deepEqual(TodoRouter.searchOf(TodoRouter.parse("#/")), {
+      text: "",
+      fuzzy: false,
+      tags: [],
+    });
+  });
+
+  it("writes the search over the other parameters", () => {
+    assert.deepEqual(
+      TodoRouter.withSearch(
+        { q: "old", tags: "x", other: "kept" },
+        { text: "", fuzzy: false, tags: ["a", "b"] },
+      ),
+      { other: "kept", tags: "a,b" },
+    );
+  });
+});
+
+describe("matchesFilter", () => {
+  it("follows the reducer's filters", () => {
+    const done = { id: 0, text: "a", completed: true };
+    assert.equal(TodoRouter.matchesFilter("all", done), true);
+    assert.equal(TodoRouter.matchesFilter("active", done), false);
+    assert.equal(TodoRouter.matchesFilter("completed", done), true);
+  });
+});
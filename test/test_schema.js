@@ -0,0 +1,286 @@
+// Tests for the state and action schema (docs/schema.js)
+// Usage: node --test test/
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const TodoSchema = require("../docs/schema.js");
+const TodoReducer = require("../docs/reducer.js");
+const { jsEngine } = require("./helpers/engines.js");
+
+// The initial state as the Lean getInitialState returns it, which is
+// TodoState.initial written out by TodoState.toJson
+const LEAN_INITIAL =
+  '{"items":[],"selectedFilter":"all","pendingText":"","nextId":0}';
+
+const state = (overrides = {}) => ({
+  items: [
+    { id: 0, text: "milk", completed: false },
+    { id: 1, text: "bread", completed: true, due: "2026-01-31" },
+  ],
+  selectedFilter: "all",
+  pendingText: "",
+  nextId: 2,
+  ...overrides,
+});
+
+const paths = (problems) => problems.map((problem) => problem.path);
+
+describe("states", () => {
+  it("accepts what the Lean parser accepts", () => {
+    assert.deepEqual(TodoSchema.checkState(JSON.parse(LEAN_INITIAL)), []);
+    assert.deepEqual(TodoSchema.checkState(TodoReducer.getInitialState()), []);
+    assert.deepEqual(TodoSchema.checkState(state()), []);
+    assert.deepEqual(
+      TodoSchema.checkState(state({ selectedFilter: null })),
+      [],
+    );
+    // An unknown filter reads as none, and unknown fields are kept
+    assert.deepEqual(
+      TodoSchema.checkState(state({ selectedFilter: "bogus", extra: 1 })),
+      [],
+    );
+    // As does a filter that is not a string
+    [3, true, {}, ["all"]].forEach((selectedFilter) =>
+      assert.deepEqual(TodoSchema.checkState(state({ selectedFilter })), []),
+    );
+  });
+
+  it("requires the fields the Lean parser requires", () => {
+    const { pendingText, nextId, selectedFilter, ...rest } = state();
+    assert.deepEqual(TodoSchema.checkState(rest), [
+      { path: "pendingText", message: "is missing" },
+      { path: "nextId", message: "is missing" },
+      { path: "selectedFilter", message: "is missing" },
+    ]);
+    assert.deepEqual(paths(TodoSchema.checkState(state({ nextId: -1 }))), [
+      "nextId",
+    ]);
+  });
+
+  it("points at each bad todo field", () => {
+    const problems = TodoSchema.checkState(
+      state({
+        items: [
+          { id: "0", text: "milk", completed: false },
+          { id: 1, text: "bread", completed: "yes", priority: 7 },
+          { id: 1, text: "eggs", completed: false },
+          null,
+        ],
+      }),
+    );
+    assert.deepEqual(problems, [
+      { path: "items[0].id", message: "must be a natural number" },
+      { path: "items[1].completed", message: "must be a boolean" },
+      { path: "items[1].priority", message: "must be a priority from 1 to 3" },
+      { path: "items[2].id", message: "is used twice" },
+      { path: "items[3]", message: "must be a todo" },
+    ]);
+  });
+
+  it("checks the optional fields when present", () => {
+    assert.deepEqual(
+      paths(
+        TodoSchema.checkState(
+          state({ editingId: "0", siteId: -2, search: { text: 1 } }),
+        ),
+      ),
+      ["editingId", "siteId", "search"],
+    );
+    assert.deepEqual(TodoSchema.checkState("[]"), [
+      { path: "", message: "must be an object" },
+    ]);
+  });
+
+  it("normalizes a state as the engines read it", () => {
+    const normalized = TodoSchema.normalizeState(
+      state({ selectedFilter: "bogus", editingId: 9, sortBy: "size" }),
+    );
+    assert.equal(normalized.selectedFilter, null);
+    assert.equal(normalized.editingId, null);
+    assert.equal(normalized.sortBy, "manual");
+    assert.deepEqual(normalized.search, { text: "", fuzzy: false, tags: [] });
+    assert.equal(
+      TodoSchema.normalizeState(state({ selectedFilter: 3 })).selectedFilter,
+      null,
+    );
+
+    assert.throws(
+      () => TodoSchema.normalizeState(state({ pendingText: null })),
+      (error) =>
+        error instanceof TodoSchema.SchemaError &&
+        error.subject === "state" &&
+        error.message === "Invalid state: pendingText must be a string",
+    );
+  });
+});
+
+describe("actions", () => {
+  it("has a rule for every action type of the reducer", () => {
+    assert.deepEqual(
+      Object.keys(TodoSchema.ACTION_FIELDS).sort(),
+      [...TodoReducer.ACTION_TYPES].sort(),
+    );
+  });
+
+  it("accepts well formed actions", () => {
+    [
+      { type: "enterText", text: "" },
+      { type: "addTodo" },
+      { type: "insertTodo", item: { id: 7, text: "x", completed: false } },
+      { type: "toggleTodo", id: 0 },
+      { type: "setFilter", filter: "active" },
+      { type: "updateTodoText", id: 0, text: "y" },
+      { type: "moveTodo", id: 0, toIndex: -1 },
+      { type: "completeTodos", ids: [0, 1], completed: true },
+      { type: "retagTodos", ids: [0], add: ["shop"] },
+      { type: "setDue", id: 0, due: null },
+      { type: "setPriority", id: 0, priority: 2 },
+      { type: "setSort", sort: "due" },
+      { type: "setSearch", text: "milk" },
+      { type: "toggleTag", tag: "shop" },
+    ].forEach((action) =>
+      assert.deepEqual(TodoSchema.checkAction(action), [], action.type),
+    );
+  });
+
+  it("says what is wrong with a malformed action", () => {
+    const check = (action) =>
+      TodoSchema.checkAction(action).map(
+        ({ path, message }) => `${path} ${message}`,
+      );
+    assert.deepEqual(check({ type: "setFilter", filter: "done" }), [
+      'filter must be one of "all", "active", "completed"',
+    ]);
+    assert.deepEqual(check({ type: "toggleTodo" }), ["id is missing"]);
+    assert.deepEqual(check({ type: "deleteTodo", id: 1.5 }), [
+      "id must be a natural number",
+    ]);
+    assert.deepEqual(check({ type: "deleteTodos", ids: [1, "2"] }), [
+      "ids must be a list of natural numbers",
+    ]);
+    assert.deepEqual(check({ type: "retagTodos", ids: [1], add: ["a b"] }), [
+      "add must be a list of tag names",
+    ]);
+    assert.deepEqual(check({ type: "setDue", id: 0, due: "2026-02-30" }), [
+      "due must be a YYYY-MM-DD date",
+    ]);
+    assert.deepEqual(
+      check({ type: "insertTodo", item: { id: 1, text: " ", completed: 0 } }),
+      ["item.completed must be a boolean", "item.text must not be blank"],
+    );
+    assert.deepEqual(check({ type: "explode" }), [
+      'type "explode" is not an action type',
+    ]);
+    assert.deepEqual(check({}), ["type is missing"]);
+  });
+
+  it("parses JSON into a SchemaError when it is not JSON", () => {
+    assert.throws(
+      () => TodoSchema.parseAction("{type:"),
+      (error) =>
+        error instanceof TodoSchema.SchemaError &&
+        error.problems.length === 1 &&
+        /is not JSON/.test(error.message),
+    );
+  });
+});
+
+describe("guardEngine", () => {
+  const guarded = TodoSchema.guardEngine(jsEngine);
+
+  it("passes valid calls through unchanged", async () => {
+    const stateJson = JSON.stringify(state());
+    assert.equal(
+      await guarded.processAction(stateJson, '{"type":"toggleTodo","id":0}'),
+      await jsEngine.processAction(stateJson, '{"type":"toggleTodo","id":0}'),
+    );
+    assert.equal(
+      await guarded.renderState(stateJson),
+      await jsEngine.renderState(stateJson),
+    );
+    assert.equal(
+      await guarded.getInitialState(),
+      await jsEngine.getInitialState(),
+    );
+  });
+
+  it("rejects a malformed state or action before the engine sees it", async () => {
+    let calls = 0;
+    const counting = TodoSchema.guardEngine({
+      ...jsEngine,
+      processAction: async (...args) => {
+        calls++;
+        return jsEngine.processAction(...args);
+      },
+    });
+
+    await assert.rejects(
+      counting.processAction(
+        JSON.stringify(state()),
+        '{"type":"setFilter","filter":"done"}',
+      ),
+      { name: "SchemaError", subject: "action" },
+    );
+    await assert.rejects(
+      counting.processAction('{"items":[]}', '{"type":"addTodo"}'),
+      { name: "SchemaError", subject: "state given to the engine" },
+    );
+    await assert.rejects(guarded.renderState("{}"), {
+      name: "SchemaError",
+      subject: "state given to render",
+    });
+    assert.equal(calls, 0);
+  });
+
+  it("rejects a malformed state coming out of the engine", async () => {
+    const broken = TodoSchema.guardEngine({
+      ...jsEngine,
+      processAction: async () => '{"items":[{"id":0}]}',
+    });
+    await assert.rejects(
+      broken.processAction(JSON.stringify(state()), '{"type":"addTodo"}'),
+      (error) =>
+        error.subject === "state returned for addTodo" &&
+        paths(error.problems).includes("items[0].text"),
+    );
+  });
+
+  it("hands the engine no filter for an unknown one, as Lean reads it", async () => {
+    const html = await guarded.renderState(
+      JSON.stringify(state({ selectedFilter: "bogus" })),
+    );
+    assert.doesNotMatch(html, /data-id/);
+
+    const result = JSON.parse(
+      await guarded.processAction(
+        JSON.stringify(state({ selectedFilter: "bogus" })),
+        '{"type":"enterText","text":"x"}',
+      ),
+    );
+    assert.equal(result.selectedFilter, null);
+
+    const fromNumber = JSON.parse(
+      await guarded.processAction(
+        JSON.stringify(state({ selectedFilter: 3 })),
+        '{"type":"enterText","text":"x"}',
+      ),
+    );
+    assert.equal(fromNumber.selectedFilter, null);
+  });
+
+  it("leaves extra actions such as plugin ones to the caller", async () => {
+    const withExtras = TodoSchema.guardEngine(
+      {
+        ...jsEngine,
+        processAction: async (stateJson) => stateJson,
+      },
+      { isExtraAction: (type) => type === "starTodo" },
+    );
+    const stateJson = JSON.stringify(state());
+    assert.equal(
+      await withExtras.processAction(stateJson, '{"type":"starTodo"}'),
+      stateJson,
+    );
+  });
+});
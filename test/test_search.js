@@ -0,0 +1,140 @@
+// Tests for search and tags (docs/search.js) and the reducer actions and
+// view that use them
+// Usage: node --test test/
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const TodoSearch = require("../docs/search.js");
+const TodoReducer = require("../docs/reducer.js");
+const { run } = require("./helpers/fixtures.js");
+
+const todo = (text, completed = false) => ({ id: 0, text, completed });
+const search = (fields) => ({ ...TodoSearch.EMPTY_SEARCH, ...fields });
+
+describe("tags", () => {
+  it("extracts #words at the start or after a space", () => {
+    assert.deepEqual(
+      TodoSearch.extractTags("#Shop for milk #weekly, not a#tag #shop"),
+      ["shop", "weekly"],
+    );
+    assert.deepEqual(TodoSearch.extractTags("café #été-2024"), ["été-2024"]);
+  });
+
+  it("tokenizes text around the tags", () => {
+    assert.deepEqual(TodoSearch.tokenize("buy #Milk now"), [
+      { text: "buy " },
+      { tag: "milk", text: "#Milk" },
+      { text: " now" },
+    ]);
+  });
+});
+
+describe("matchesSearch", () => {
+  it("needs every word as a substring, ignoring case", () => {
+    const item = todo("Buy oat milk");
+    assert.equal(
+      TodoSearch.matchesSearch(search({ text: "milk" }), item),
+      true,
+    );
+    assert.equal(
+      TodoSearch.matchesSearch(search({ text: "OAT buy" }), item),
+      true,
+    );
+    assert.equal(
+      TodoSearch.matchesSearch(search({ text: "mlk" }), item),
+      false,
+    );
+  });
+
+  it("accepts subsequences when fuzzy", () => {
+    const item = todo("Buy oat milk");
+    assert.equal(
+      TodoSearch.matchesSearch(search({ text: "mlk", fuzzy: true }), item),
+      true,
+    );
+    assert.equal(
+      TodoSearch.matchesSearch(search({ text: "klm", fuzzy: true }), item),
+      false,
+    );
+  });
+
+  it("needs every selected tag", () => {
+    const item = todo("eggs #shop #weekly");
+    assert.equal(
+      TodoSearch.matchesSearch(search({ tags: ["shop", "weekly"] }), item),
+      true,
+    );
+    assert.equal(
+      TodoSearch.matchesSearch(search({ tags: ["shop", "daily"] }), item),
+      false,
+    );
+  });
+});
+
+describe("normalizeSearch", () => {
+  it("defaults a missing search and rejects a malformed one", () => {
+    assert.deepEqual(
+      TodoSearch.normalizeSearch(undefined),
+      TodoSearch.EMPTY_SEARCH,
+    );
+    assert.throws(() => TodoSearch.normalizeSearch({ text: 1 }), /search/);
+  });
+});
+
+describe("reducer search actions", () => {
+  const state = run(
+    TodoReducer.getInitialState(),
+    { type: "enterText", text: "milk #shop" },
+    { type: "addTodo" },
+    { type: "enterText", text: "call mom" },
+    { type: "addTodo" },
+    { type: "enterText", text: "eggs #shop" },
+    { type: "addTodo" },
+    { type: "toggleTodo", id: 2 },
+  );
+  const visibleTexts = (s) =>
+    TodoReducer.getVisibleItems(s).map((item) => item.text);
+
+  it("combines the search with the completion filter", () => {
+    const searched = run(
+      state,
+      { type: "setSearch", text: "", tags: ["SHOP"] },
+      { type: "setFilter", filter: "active" },
+    );
+    assert.deepEqual(searched.search, {
+      text: "",
+      fuzzy: false,
+      tags: ["shop"],
+    });
+    assert.deepEqual(visibleTexts(searched), ["milk #shop"]);
+  });
+
+  it("toggles tags in and out of the search", () => {
+    const on = run(state, { type: "toggleTag", tag: "shop" });
+    assert.deepEqual(visibleTexts(on), ["milk #shop", "eggs #shop"]);
+    const off = run(on, { type: "toggleTag", tag: "shop" });
+    assert.deepEqual(off.search.tags, []);
+  });
+
+  it("reads a state without a search as an empty one", () => {
+    const { search: _, ...leanState } = state;
+    assert.equal(visibleTexts(leanState).length, 3);
+    assert.deepEqual(run(leanState, { type: "toggleTag", tag: "x" }).search, {
+      text: "",
+      fuzzy: false,
+      tags: ["x"],
+    });
+  });
+
+  it("renders tag chips and counts only what the search finds", () => {
+    const html = TodoReducer.renderHTML(
+      run(state, { type: "setSearch", text: "shop" }),
+    );
+    assert.match(
+      html,
+      /<label>milk <a class="tag" href="#\/\?tags=shop" data-tag="shop">#shop<\/a><\/label>/,
+    );
+    assert.match(html, /<strong>1<\/strong> item left, 2 of 3 shown/);
+  });
+});
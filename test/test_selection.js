@@ -0,0 +1,150 @@
+// Tests for multi-select (docs/selection.js) and the bulk reducer actions
+// it dispatches
+// Usage: node --test test/
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const TodoSelection = require("../docs/selection.js");
+const TodoSearch = require("../docs/search.js");
+const TodoReducer = require("../docs/reducer.js");
+const { run, add, texts } = require("./helpers/fixtures.js");
+
+describe("selection", () => {
+  const order = [4, 7, 2, 9];
+
+  it("toggles single todos and moves the anchor", () => {
+    const one = TodoSelection.toggle(TodoSelection.EMPTY_SELECTION, 7);
+    const two = TodoSelection.toggle(one, 9);
+    assert.deepEqual(two, { ids: [7, 9], anchor: 9 });
+    assert.deepEqual(TodoSelection.toggle(two, 7), { ids: [9], anchor: 7 });
+  });
+
+  it("selects a range from the anchor in either direction", () => {
+    const anchored = TodoSelection.toggle(TodoSelection.EMPTY_SELECTION, 2);
+    assert.deepEqual(TodoSelection.extend(anchored, order, 4), {
+      ids: [4, 7, 2],
+      anchor: 2,
+    });
+    assert.deepEqual(TodoSelection.extend(anchored, order, 9), {
+      ids: [2, 9],
+      anchor: 2,
+    });
+  });
+
+  it("starts a range at from without an anchor", () => {
+    assert.deepEqual(
+      TodoSelection.extend(TodoSelection.EMPTY_SELECTION, order, 2, 7),
+      { ids: [7, 2], anchor: 7 },
+    );
+  });
+
+  it("prunes todos that are no longer shown", () => {
+    const all = TodoSelection.selectAll(order);
+    assert.equal(TodoSelection.prune(all, order), all);
+    assert.deepEqual(TodoSelection.prune(all, [9, 7]), {
+      ids: [9, 7],
+      anchor: null,
+    });
+  });
+
+  it("builds one action per bulk command", () => {
+    const selected = { ids: [4, 7], anchor: 4 };
+    assert.deepEqual(TodoSelection.bulkAction("complete", selected), {
+      type: "completeTodos",
+      ids: [4, 7],
+      completed: true,
+    });
+    assert.deepEqual(TodoSelection.bulkAction("removeTag", selected, "#Shop"), {
+      type: "retagTodos",
+      ids: [4, 7],
+      add: [],
+      remove: ["shop"],
+    });
+    assert.equal(
+      TodoSelection.bulkAction("addTag", selected, "two words"),
+      null,
+    );
+    assert.equal(
+      TodoSelection.bulkAction("delete", TodoSelection.EMPTY_SELECTION),
+      null,
+    );
+  });
+});
+
+describe("retag", () => {
+  it("adds tags once and removes them with their space", () => {
+    assert.equal(TodoSearch.retag("milk", ["shop"], []), "milk #shop");
+    assert.equal(TodoSearch.retag("milk #Shop", ["shop"], []), "milk #Shop");
+    assert.equal(TodoSearch.retag("buy #shop milk", [], ["shop"]), "buy milk");
+    assert.equal(TodoSearch.retag("#shop milk", [], ["shop"]), "milk");
+  });
+
+  it("keeps the tags of a todo that has nothing else", () => {
+    assert.equal(TodoSearch.retag("#shop", [], ["shop"]), "#shop");
+  });
+});
+
+describe("bulk actions", () => {
+  const state = run(
+    TodoReducer.getInitialState(),
+    ...add("milk"),
+    ...add("eggs #shop"),
+    ...add("bread"),
+    { type: "toggleTodo", id: 1 },
+  );
+
+  it("completes and uncompletes the given todos", () => {
+    const done = run(state, {
+      type: "completeTodos",
+      ids: [0, 1],
+      completed: true,
+    });
+    assert.deepEqual(
+      done.items.map((item) => item.completed),
+      [true, true, false],
+    );
+    assert.equal(done.items[1], state.items[1]);
+
+    const undone = run(done, {
+      type: "completeTodos",
+      ids: [1, 2],
+      completed: false,
+    });
+    assert.deepEqual(
+      undone.items.map((item) => item.completed),
+      [true, false, false],
+    );
+  });
+
+  it("deletes the given todos and resets the filter once, at the end", () => {
+    const filtered = run(
+      state,
+      { type: "setFilter", filter: "completed" },
+      { type: "startEdit", id: 2 },
+    );
+    const some = run(filtered, { type: "deleteTodos", ids: [1, 2, 42] });
+    assert.deepEqual(texts(some), ["milk"]);
+    assert.equal(some.selectedFilter, "completed");
+    assert.equal(some.editingId, null);
+
+    const none = run(filtered, { type: "deleteTodos", ids: [0, 1, 2] });
+    assert.deepEqual(none.items, []);
+    assert.equal(none.selectedFilter, null);
+    assert.equal(none.nextId, state.nextId);
+  });
+
+  it("adds and removes tags in the given todos", () => {
+    const tagged = run(state, {
+      type: "retagTodos",
+      ids: [0, 1],
+      add: ["weekly"],
+      remove: ["shop"],
+    });
+    assert.deepEqual(texts(tagged), ["milk #weekly", "eggs #weekly", "bread"]);
+    assert.equal(
+      run(state, { type: "retagTodos", ids: [0], add: ["not a tag"] }).items,
+      state.items,
+    );
+  });
+});
@@ -0,0 +1,104 @@
+// Tests for the versioned state storage in docs/storage.js
+// Usage: node --test test/
+//
+// Node has no localStorage, so each test installs a Map-backed one; a
+// test can make it throw to stand in for a browser that refuses storage.
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const TodoStorage = require("../docs/storage.js");
+const { createLocalStorage } = require("./helpers/fixtures.js");
+
+const KEY = "test/state";
+
+const saved = {
+  items: [{ id: 0, text: "milk", completed: false }],
+  selectedFilter: "all",
+  pendingText: "",
+  nextId: 1,
+  editingId: null,
+  search: { text: "", fuzzy: false, tags: [] },
+  sortBy: "manual",
+};
+
+describe("storage", () => {
+  let storage;
+
+  beforeEach((t) => {
+    storage = createLocalStorage();
+    globalThis.localStorage = storage;
+    t.mock.method(console, "warn", () => {});
+  });
+
+  afterEach(() => {
+    delete globalThis.localStorage;
+  });
+
+  it("loads what it saved", () => {
+    TodoStorage.save(JSON.stringify(saved), KEY);
+    assert.equal(
+      JSON.parse(storage.getItem(KEY)).version,
+      TodoStorage.SCHEMA_VERSION,
+    );
+    assert.deepEqual(JSON.parse(TodoStorage.load(KEY)), saved);
+  });
+
+  it("returns null when nothing is stored", () => {
+    assert.equal(TodoStorage.load(KEY), null);
+  });
+
+  it("upgrades a state saved before the envelope", () => {
+    const { editingId, search, sortBy, ...bare } = saved;
+    storage.setItem(KEY, JSON.stringify(bare));
+    assert.deepEqual(JSON.parse(TodoStorage.load(KEY)), saved);
+  });
+
+  it("moves an unreadable blob aside and starts empty", () => {
+    storage.setItem(KEY, "{not json");
+    assert.equal(TodoStorage.load(KEY), null);
+
+    assert.equal(storage.getItem(KEY), null);
+    const [quarantined] = [...storage.entries.keys()];
+    assert.match(quarantined, /^test\/state\.corrupt-\d+$/);
+    assert.equal(storage.getItem(quarantined), "{not json");
+    assert.equal(console.warn.mock.callCount(), 1);
+  });
+
+  it("moves aside a version newer than it knows", () => {
+    storage.setItem(
+      KEY,
+      JSON.stringify({ version: TodoStorage.SCHEMA_VERSION + 1, state: saved }),
+    );
+    assert.equal(TodoStorage.load(KEY), null);
+    assert.equal(storage.getItem(KEY), null);
+  });
+
+  it("moves aside a state the schema turns away", () => {
+    storage.setItem(
+      KEY,
+      JSON.stringify({
+        version: TodoStorage.SCHEMA_VERSION,
+        state: { ...saved, nextId: -1 },
+      }),
+    );
+    assert.equal(TodoStorage.load(KEY), null);
+    assert.equal(storage.entries.size, 1);
+  });
+
+  it("starts empty when localStorage cannot be read", () => {
+    storage.getItem = () => {
+      throw new Error("SecurityError");
+    };
+    assert.equal(TodoStorage.load(KEY), null);
+    assert.equal(console.warn.mock.callCount(), 1);
+  });
+
+  it("keeps going when a save is refused", () => {
+    storage.setItem = () => {
+      throw new Error("QuotaExceededError");
+    };
+    assert.doesNotThrow(() => TodoStorage.save(JSON.stringify(saved), KEY));
+    assert.equal(console.warn.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,176 @@
+// Tests for multi-tab sync in docs/sync.js
+// Usage: node --test test/
+//
+// Each tab is a sync session over BroadcastChannel, as in the browser,
+// sharing one Map-backed localStorage for the Lamport clock. Operations
+// from other tabs wait in the tab's inbox until the test delivers them, so
+// a test decides when a message arrives.
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const TodoSync = require("../docs/sync.js");
+const { jsEngine } = require("./helpers/engines.js");
+const { add, createLocalStorage } = require("./helpers/fixtures.js");
+
+// Messages cross between channels on a later turn of the event loop
+const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+function openTab(initialStateJson) {
+  const tab = {
+    stateJson: initialStateJson,
+    inbox: [],
+    sent: [],
+    items: () =>
+      JSON.parse(tab.stateJson).items.map(({ id, text }) => ({ id, text })),
+
+    dispatch(...actions) {
+      actions.forEach((action) => {
+        const before = tab.stateJson;
+        tab.stateJson = jsEngine.processAction(before, JSON.stringify(action));
+        tab.sync.dispatched(action, before, tab.stateJson);
+      });
+    },
+
+    async deliver() {
+      for (const op of tab.inbox.splice(0)) {
+        tab.stateJson = await tab.sync.receive(op, tab.stateJson);
+      }
+    },
+  };
+  tab.sync = TodoSync.create({
+    initialStateJson,
+    processAction: async (stateJson, actionJson) =>
+      jsEngine.processAction(stateJson, actionJson),
+    onOperation: (op) => tab.inbox.push(op),
+  });
+  return tab;
+}
+
+describe("compareOps", () => {
+  it("orders by clock, then by tab id", () => {
+    const ops = [
+      { clock: 2, tabId: "a" },
+      { clock: 1, tabId: "b" },
+      { clock: 1, tabId: "a" },
+      { clock: 3, tabId: "a" },
+    ];
+    assert.deepEqual([...ops].sort(TodoSync.compareOps), [
+      ops[2],
+      ops[1],
+      ops[0],
+      ops[3],
+    ]);
+    assert.equal(TodoSync.compareOps(ops[0], { clock: 2, tabId: "a" }), 0);
+  });
+});
+
+describe("toSharedAction", () => {
+  it("shares list changes and keeps the rest to the tab", () => {
+    const state = JSON.parse(jsEngine.getInitialState());
+    assert.deepEqual(
+      TodoSync.toSharedAction(
+        { type: "addTodo" },
+        { ...state, pendingText: "milk" },
+      ),
+      { type: "addTodo", text: "milk" },
+    );
+    assert.equal(TodoSync.toSharedAction({ type: "addTodo" }, state), null);
+    assert.equal(
+      TodoSync.toSharedAction({ type: "setFilter", filter: "active" }, state),
+      null,
+    );
+    assert.equal(
+      TodoSync.toSharedAction({ type: "startEdit", id: 0 }, state),
+      null,
+    );
+  });
+});
+
+describe("sync between tabs", () => {
+  let tabs;
+
+  beforeEach(() => {
+    globalThis.localStorage = createLocalStorage();
+    tabs = [];
+  });
+
+  afterEach(() => {
+    tabs.forEach((tab) => tab.sync.close());
+    delete globalThis.localStorage;
+  });
+
+  const open = () => {
+    const tab = openTab(jsEngine.getInitialState());
+    tabs.push(tab);
+    return tab;
+  };
+
+  it("applies an operation from another tab", async () => {
+    const a = open();
+    const b = open();
+    a.dispatch(...add("milk"));
+    await settle();
+    await b.deliver();
+
+    assert.deepEqual(b.items(), [{ id: 0, text: "milk" }]);
+  });
+
+  it("orders concurrent adds by tab id in every tab", async () => {
+    const a = open();
+    const b = open();
+    // Both add before hearing from the other, at the same clock
+    a.dispatch(...add("milk"));
+    b.dispatch(...add("eggs"));
+    await settle();
+    assert.equal(a.inbox[0].clock, b.inbox[0].clock);
+
+    await a.deliver();
+    await b.deliver();
+
+    const [first, second] =
+      a.sync.tabId < b.sync.tabId ? ["milk", "eggs"] : ["eggs", "milk"];
+    const expected = [
+      { id: 0, text: first },
+      { id: 1, text: second },
+    ];
+    assert.deepEqual(a.items(), expected);
+    assert.deepEqual(b.items(), expected);
+  });
+
+  it("rebuilds the state when a message arrives late", async () => {
+    const a = open();
+    const b = open();
+    b.dispatch(...add("milk"));
+    await settle();
+    await a.deliver();
+
+    // b's add is still in flight when a adds, so a applies its own add
+    // first even though b's orders before it
+    b.dispatch(...add("eggs"));
+    a.dispatch(...add("bread"), { type: "setFilter", filter: "active" });
+    a.dispatch({ type: "enterText", text: "typing" });
+    await settle();
+    assert.ok(TodoSync.compareOps(a.inbox[0], b.inbox[0]) < 0);
+    assert.deepEqual(a.items(), [
+      { id: 0, text: "milk" },
+      { id: 1, text: "bread" },
+    ]);
+
+    await a.deliver();
+    await b.deliver();
+
+    // Replayed in (clock, tab id) order, eggs takes id 1 in both tabs
+    const expected = [
+      { id: 0, text: "milk" },
+      { id: 1, text: "eggs" },
+      { id: 2, text: "bread" },
+    ];
+    assert.deepEqual(a.items(), expected);
+    assert.deepEqual(b.items(), expected);
+    // What is local to a survives the rebuild
+    const state = JSON.parse(a.stateJson);
+    assert.equal(state.pendingText, "typing");
+    assert.equal(state.selectedFilter, "active");
+  });
+});
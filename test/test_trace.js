@@ -0,0 +1,135 @@
+// Tests for the Driver.lean translation of action traces in docs/trace.js
+// Usage: node --test test/
+//
+// Driver commands are checked by reading them back with fromDriverCommands
+// and replaying them from the driver's empty start on the JS reducer: the
+// todos should end up as they did in the trace.
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const TodoTrace = require("../docs/trace.js");
+const TodoReducer = require("../docs/reducer.js");
+const { add } = require("./helpers/fixtures.js");
+
+const step = (state, action) => TodoReducer.processActionInJS(state, action);
+
+/**
+ * Record actions from initialState as the page would
+ */
+function record(initialState, actions, limit = undefined) {
+  const recorder = TodoTrace.createRecorder(
+    JSON.stringify(initialState),
+    limit,
+  );
+  actions.reduce((state, action) => {
+    const after = step(state, action);
+    recorder.record(action, JSON.stringify(state), JSON.stringify(after));
+    return after;
+  }, initialState);
+  return recorder.toTrace();
+}
+
+/**
+ * Replay driver commands from the driver's start, returning the todos and
+ * filter it ends with
+ */
+function replay(commands) {
+  const state = TodoTrace.fromDriverCommands(commands.join("\n")).reduce(
+    step,
+    TodoReducer.getInitialState(),
+  );
+  return view(state);
+}
+
+const view = (state) => ({
+  items: state.items.map(({ text, completed }) => ({ text, completed })),
+  selectedFilter: state.selectedFilter,
+});
+
+const lastState = (trace) => trace.states[trace.states.length - 1];
+
+describe("toDriverCommands", () => {
+  it("translates a session from the empty list", () => {
+    const trace = record(TodoReducer.getInitialState(), [
+      ...add("milk"),
+      ...add("eggs"),
+      { type: "toggleTodo", id: 1 },
+      { type: "setFilter", filter: "active" },
+      { type: "startEdit", id: 0 },
+    ]);
+    const { commands, skipped } = TodoTrace.toDriverCommands(trace);
+
+    assert.deepEqual(commands, [
+      "add milk",
+      "add eggs",
+      "toggle 1",
+      "filter active",
+    ]);
+    assert.deepEqual(skipped, [{ index: 6, action: trace.steps[6].action }]);
+  });
+
+  it("sets up the todos the trace starts with", () => {
+    const initialState = [
+      ...add("milk"),
+      ...add("bread"),
+      ...add("eggs"),
+      { type: "deleteTodo", id: 0 },
+      { type: "toggleTodo", id: 2 },
+      { type: "setFilter", filter: "completed" },
+    ].reduce(step, TodoReducer.getInitialState());
+    const trace = record(initialState, [
+      { type: "toggleTodo", id: 1 },
+      ...add("jam"),
+      { type: "deleteTodo", id: 2 },
+      { type: "completeTodos", ids: [1, 3], completed: false },
+    ]);
+    const { commands, skipped } = TodoTrace.toDriverCommands(trace);
+
+    // bread and eggs are 0 and 1 to the driver, and jam 2
+    assert.deepEqual(commands, [
+      "add bread",
+      "add eggs",
+      "toggle 1",
+      "filter completed",
+      "toggle 0",
+      "add jam",
+      "delete 1",
+      "toggle 0",
+    ]);
+    assert.deepEqual(skipped, []);
+    assert.deepEqual(replay(commands), view(lastState(trace)));
+  });
+
+  it("skips actions on todos the driver does not have", () => {
+    const trace = record(TodoReducer.getInitialState(), [
+      { type: "insertTodo", item: { id: 7, text: "tea", completed: false } },
+      { type: "toggleTodo", id: 7 },
+      { type: "deleteTodos", ids: [7] },
+    ]);
+    const { commands, skipped } = TodoTrace.toDriverCommands(trace);
+
+    assert.deepEqual(commands, []);
+    assert.deepEqual(
+      skipped.map(({ index }) => index),
+      [0, 1, 2],
+    );
+  });
+});
+
+describe("createRecorder", () => {
+  it("keeps the last steps and starts the trace where they begin", () => {
+    const actions = [...add("milk"), ...add("eggs"), { type: "toggleAll" }];
+    const full = record(TodoReducer.getInitialState(), actions);
+    const capped = record(TodoReducer.getInitialState(), actions, 2);
+
+    assert.equal(capped.steps.length, 2);
+    assert.deepEqual(capped.steps, full.steps.slice(-2));
+    assert.deepEqual(capped.initialState, full.steps[2].stateAfter);
+    assert.deepEqual(lastState(capped), lastState(full));
+    assert.deepEqual(
+      capped.steps.map((step) => step.action).reduce(step, capped.initialState),
+      lastState(full),
+    );
+  });
+});